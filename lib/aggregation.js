@@ -0,0 +1,357 @@
+const { toSqlJsonPath, toJsonTreeKey, parsePath, formatPath } = require('./jsonPath');
+const { UNIT_SYSTEMS, convert, convertDelta, validateUnitSystem } = require('./units');
+const dbAsync = require('./db');
+const { machineCondition } = require('./records');
+
+const BUCKETS = {
+  '1m': 60,
+  '5m': 5 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+const BASIC_FUNCTIONS = ['min', 'max', 'avg', 'sum', 'count', 'first', 'last', 'stddev'];
+const DEFAULT_FUNCTIONS = ['avg', 'min', 'max', 'count'];
+const MAX_BUCKETS = 10000;
+
+// Device time when the machine supplied one, otherwise when we received it
+const EVENT_TIME_SQL = 'COALESCE(timestamp, received_at)';
+
+const isPercentile = (fn) => /^p(100|\d{1,2}(\.\d+)?)$/.test(fn);
+
+// Validates query-string style options; returns { errors, options }
+const parseAggregateOptions = (query) => {
+  const errors = [];
+  const { machineId, deviceType, field, bucket = '1h' } = query;
+
+  if (!machineId && !deviceType) {
+    errors.push('machineId or deviceType is required');
+  }
+
+  let jsonPath = null;
+  if (!field) {
+    errors.push('field is required (a path inside extracted_data, e.g. temperature or axis.x.position)');
+  } else {
+    try {
+      jsonPath = toSqlJsonPath(field);
+    } catch (err) {
+      errors.push(`Invalid field path: ${err.message}`);
+    }
+  }
+
+  if (!BUCKETS[bucket]) {
+    errors.push(`bucket must be one of: ${Object.keys(BUCKETS).join(', ')}`);
+  }
+
+  const functions = (query.functions ? String(query.functions).split(',') : DEFAULT_FUNCTIONS)
+    .map(fn => fn.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = functions.filter(fn => !BASIC_FUNCTIONS.includes(fn) && !isPercentile(fn));
+  if (functions.length === 0) {
+    errors.push('functions must name at least one function');
+  } else if (unknown.length > 0) {
+    errors.push(`Unknown functions: ${unknown.join(', ')}. Allowed: ${BASIC_FUNCTIONS.join(', ')}, p<0-100> (e.g. p95)`);
+  }
+
+  const unitsError = validateUnitSystem(query.units);
+  if (unitsError) errors.push(unitsError);
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    errors.push('from and to must be valid dates');
+  } else if (from >= to) {
+    errors.push('from must be before to');
+  } else if (BUCKETS[bucket] && (to - from) / 1000 / BUCKETS[bucket] > MAX_BUCKETS) {
+    errors.push(`Range too large for bucket ${bucket}. Maximum ${MAX_BUCKETS} buckets per query.`);
+  }
+
+  return {
+    errors,
+    options: errors.length ? null : {
+      machineId: machineId || null,
+      deviceType: deviceType || null,
+      field,
+      jsonPath,
+      bucket,
+      bucketSeconds: BUCKETS[bucket],
+      from,
+      to,
+      functions: [...new Set(functions)],
+      units: query.units || null
+    }
+  };
+};
+
+const percentileKey = (fn) => fn.replace('.', '_');
+
+const buildAggregateQuery = (options) => {
+  const where = [`json_type(extracted_data, ?) IN ('integer', 'real')`];
+  const whereParams = [options.jsonPath];
+
+  if (options.machineId) {
+    const machine = machineCondition(options);
+    where.push(machine.sql);
+    whereParams.push(...machine.params);
+  }
+  if (options.deviceType) {
+    where.push('device_type = ?');
+    whereParams.push(options.deviceType);
+  }
+  where.push(`julianday(${EVENT_TIME_SQL}) >= julianday(?)`, `julianday(${EVENT_TIME_SQL}) < julianday(?)`);
+  whereParams.push(options.from.toISOString(), options.to.toISOString());
+  // Rows up to minId are already counted in a rollup tier
+  if (options.minId) {
+    where.push('id > ?');
+    whereParams.push(options.minId);
+  }
+
+  const percentiles = options.functions.filter(isPercentile);
+  const percentileColumns = [];
+  const percentileParams = [];
+  percentiles.forEach(fn => {
+    const fraction = Number(fn.slice(1)) / 100;
+    const key = percentileKey(fn);
+    // Lower and upper neighbours of the rank; interpolated in JS
+    percentileColumns.push(
+      `SUM(CASE WHEN value_rank = CAST(? * (n - 1) AS INTEGER) + 1 THEN value END) AS ${key}_lo`,
+      `SUM(CASE WHEN value_rank = MIN(CAST(? * (n - 1) AS INTEGER) + 2, n) THEN value END) AS ${key}_hi`
+    );
+    percentileParams.push(fraction, fraction);
+  });
+
+  const sql = `
+    WITH base AS (
+      SELECT
+        id,
+        julianday(${EVENT_TIME_SQL}) AS event_time,
+        (CAST(strftime('%s', ${EVENT_TIME_SQL}) AS INTEGER) / ?) * ? AS bucket,
+        json_extract(extracted_data, ?) AS value
+      FROM machine_data
+      WHERE ${where.join(' AND ')}
+    ),
+    ranked AS (
+      SELECT
+        bucket,
+        value,
+        event_time,
+        ROW_NUMBER() OVER (PARTITION BY bucket ORDER BY value) AS value_rank,
+        COUNT(*) OVER (PARTITION BY bucket) AS n,
+        FIRST_VALUE(value) OVER (PARTITION BY bucket ORDER BY event_time, id) AS first_value,
+        FIRST_VALUE(value) OVER (PARTITION BY bucket ORDER BY event_time DESC, id DESC) AS last_value
+      FROM base
+    )
+    SELECT
+      bucket,
+      COUNT(*) AS count,
+      MIN(value) AS min,
+      MAX(value) AS max,
+      AVG(value) AS avg,
+      SUM(value) AS sum,
+      SUM(value * value) AS sum_sq,
+      MAX(first_value) AS first,
+      MAX(last_value) AS last,
+      MIN(event_time) AS first_at,
+      MAX(event_time) AS last_at${percentileColumns.length ? ',\n      ' + percentileColumns.join(',\n      ') : ''}
+    FROM ranked
+    GROUP BY bucket
+    ORDER BY bucket
+  `;
+
+  return {
+    sql,
+    params: [
+      options.bucketSeconds,
+      options.bucketSeconds,
+      options.jsonPath,
+      ...whereParams,
+      ...percentileParams
+    ]
+  };
+};
+
+// Same row shape as buildAggregateQuery (minus percentiles), summed up from a rollup table
+const buildRollupQuery = (options, table) => {
+  const where = ['field = ?', 'bucket >= ?', 'bucket < ?'];
+  const params = [toJsonTreeKey(options.field), Math.floor(options.from / 1000), Math.ceil(options.to / 1000)];
+
+  if (options.machineId) {
+    const machine = machineCondition(options);
+    where.push(machine.sql);
+    params.push(...machine.params);
+  }
+  if (options.deviceType) {
+    where.push('device_type = ?');
+    params.push(options.deviceType);
+  }
+
+  const sql = `
+    WITH base AS (
+      SELECT
+        (bucket / ?) * ? AS query_bucket,
+        count, sum, sum_sq, min, max, first, first_at, last, last_at,
+        FIRST_VALUE(first) OVER (PARTITION BY (bucket / ?) ORDER BY first_at) AS first_value,
+        FIRST_VALUE(last) OVER (PARTITION BY (bucket / ?) ORDER BY last_at DESC) AS last_value
+      FROM ${table}
+      WHERE ${where.join(' AND ')}
+    )
+    SELECT
+      query_bucket AS bucket,
+      SUM(count) AS count,
+      MIN(min) AS min,
+      MAX(max) AS max,
+      SUM(sum) * 1.0 / SUM(count) AS avg,
+      SUM(sum) AS sum,
+      SUM(sum_sq) AS sum_sq,
+      MAX(first_value) AS first,
+      MAX(last_value) AS last,
+      MIN(first_at) AS first_at,
+      MAX(last_at) AS last_at
+    FROM base
+    GROUP BY query_bucket
+    ORDER BY query_bucket
+  `;
+
+  const seconds = options.bucketSeconds;
+  return { sql, params: [seconds, seconds, seconds, seconds, ...params] };
+};
+
+// Combines a rollup row with the raw row for the same bucket (rows newer than the rollup watermark)
+const mergeRows = (rollupRows, rawRows) => {
+  const merged = new Map(rollupRows.map(row => [row.bucket, { ...row }]));
+  rawRows.forEach(raw => {
+    const row = merged.get(raw.bucket);
+    if (!row) {
+      merged.set(raw.bucket, { ...raw });
+      return;
+    }
+    row.count += raw.count;
+    row.sum += raw.sum;
+    row.sum_sq += raw.sum_sq;
+    row.avg = row.sum / row.count;
+    row.min = Math.min(row.min, raw.min);
+    row.max = Math.max(row.max, raw.max);
+    if (raw.first_at < row.first_at) {
+      row.first = raw.first;
+      row.first_at = raw.first_at;
+    }
+    if (raw.last_at >= row.last_at) {
+      row.last = raw.last;
+      row.last_at = raw.last_at;
+    }
+  });
+  return [...merged.values()].sort((a, b) => a.bucket - b.bucket);
+};
+
+// Sample standard deviation from the running sums
+const stddev = (row) => {
+  if (row.count < 2) return null;
+  const variance = (row.sum_sq - (row.sum * row.sum) / row.count) / (row.count - 1);
+  return Math.sqrt(Math.max(variance, 0));
+};
+
+// Interpolates between the neighbours buildAggregateQuery() picked, like PERCENTILE_CONT
+const percentile = (row, fn) => {
+  const key = percentileKey(fn);
+  const lo = row[`${key}_lo`];
+  const hi = row[`${key}_hi`];
+  if (lo === null || lo === undefined) return null;
+  const position = (Number(fn.slice(1)) / 100) * (row.count - 1);
+  return lo + (position - Math.floor(position)) * (hi - lo);
+};
+
+const formatRow = (row, functions) => {
+  const result = { bucket: new Date(row.bucket * 1000).toISOString() };
+  functions.forEach(fn => {
+    if (fn === 'stddev') result.stddev = stddev(row);
+    else if (isPercentile(fn)) result[fn] = row[percentileKey(fn)] ?? null;
+    else result[fn] = row[fn];
+  });
+  return result;
+};
+
+// Canonical unit the field was stored in, taken from the newest record that declared one (SQLite storage)
+const findStoredUnit = async (db, options) => {
+  const conversionPath = `$.unit_conversions."${formatPath(parsePath(options.field))}"`;
+  const where = [`json_extract(metadata, ?) IS NOT NULL`];
+  const params = [conversionPath];
+  if (options.machineId) {
+    const machine = machineCondition(options);
+    where.push(machine.sql);
+    params.push(...machine.params);
+  }
+  if (options.deviceType) {
+    where.push('device_type = ?');
+    params.push(options.deviceType);
+  }
+
+  const row = await dbAsync.get(db, `
+    SELECT json_extract(metadata, ?) AS conversion FROM machine_data
+    WHERE ${where.join(' AND ')}
+    ORDER BY id DESC LIMIT 1
+  `, [conversionPath, ...params]);
+  return row ? dbAsync.parseJSON(row.conversion, null) : null;
+};
+
+// Spreads only scale; sums convert through the mean so offset units (°C -> °F) stay correct
+const convertBucket = (bucket, row, functions, fromUnit, toUnit) => {
+  const converted = { ...bucket };
+  functions.forEach(fn => {
+    const value = converted[fn];
+    if (fn === 'count' || value === null || value === undefined) return;
+    if (fn === 'stddev') converted[fn] = convertDelta(value, fromUnit, toUnit);
+    else if (fn === 'sum') converted[fn] = Number((convert(value / row.count, fromUnit, toUnit) * row.count).toPrecision(12));
+    else converted[fn] = convert(value, fromUnit, toUnit);
+  });
+  return converted;
+};
+
+/**
+ * Bucket rows for the SQLite storage backend. source comes from retention.selectTier(): raw rows only,
+ * or a rollup table plus raw rows newer than its watermark.
+ */
+const sqliteAggregate = async (db, options, source = { tier: 'raw' }) => {
+  if (source.tier !== 'raw') {
+    const rollup = buildRollupQuery(options, source.table);
+    const raw = buildAggregateQuery({ ...options, minId: source.rolledUpTo });
+    return mergeRows(await dbAsync.all(db, rollup.sql, rollup.params), await dbAsync.all(db, raw.sql, raw.params));
+  }
+
+  const { sql, params } = buildAggregateQuery(options);
+  const rows = await dbAsync.all(db, sql, params);
+  const percentiles = options.functions.filter(isPercentile);
+  return rows.map(row => {
+    const result = { ...row };
+    percentiles.forEach(fn => { result[percentileKey(fn)] = percentile(row, fn); });
+    return result;
+  });
+};
+
+// Rows carry count / min / max / avg / sum / sum_sq / first / last and one column per percentile (see percentileKey)
+const runAggregation = async (storage, options, source = { tier: 'raw' }) => {
+  const rows = await storage.aggregate(options, source);
+  let buckets = rows.map(row => formatRow(row, options.functions));
+
+  const stored = await storage.storedUnit(options);
+  let unit = stored ? stored.canonicalUnit : null;
+  const target = stored && options.units ? UNIT_SYSTEMS[options.units][stored.quantity] : null;
+  if (target && target !== unit) {
+    buckets = buckets.map((bucket, i) => convertBucket(bucket, rows[i], options.functions, unit, target));
+    unit = target;
+  }
+
+  return { buckets, unit };
+};
+
+module.exports = {
+  BUCKETS,
+  BASIC_FUNCTIONS,
+  EVENT_TIME_SQL,
+  parseAggregateOptions,
+  isPercentile,
+  percentileKey,
+  buildAggregateQuery,
+  sqliteAggregate,
+  findStoredUnit,
+  runAggregation
+};
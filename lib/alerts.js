@@ -0,0 +1,531 @@
+const express = require('express');
+const { getPath, parsePath } = require('./jsonPath');
+const dbAsync = require('./db');
+
+const ORDERED_CONDITIONS = ['>', '>=', '<', '<='];
+const CONDITIONS = [...ORDERED_CONDITIONS, '==', '!=', 'changes_to', 'changed'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const ALERT_STATES = ['firing', 'acknowledged', 'resolved'];
+const SWEEP_INTERVAL_MS = 5 * 1000;
+const WEBHOOK_TIMEOUT_MS = 5 * 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const sameValue = (a, b) => a === b || (a !== null && b !== null && a !== undefined && b !== undefined && String(a) === String(b));
+
+const compare = (condition, value, threshold) => {
+  switch (condition) {
+    case '>': return typeof value === 'number' && value > threshold;
+    case '>=': return typeof value === 'number' && value >= threshold;
+    case '<': return typeof value === 'number' && value < threshold;
+    case '<=': return typeof value === 'number' && value <= threshold;
+    case '==': return sameValue(value, threshold);
+    case '!=': return !sameValue(value, threshold);
+    default: return false;
+  }
+};
+
+// Whether a reading keeps (or puts) the rule in the active state.
+// Hysteresis only applies when already active: the value must fall back past threshold -/+ hysteresis to clear.
+const isActive = (rule, value, previous, currentlyActive) => {
+  const { condition, threshold, hysteresis } = rule;
+
+  if (condition === 'changes_to') {
+    if (currentlyActive) return sameValue(value, threshold);
+    return sameValue(value, threshold) && previous !== undefined && !sameValue(previous, threshold);
+  }
+  if (condition === 'changed') {
+    return previous !== undefined && !sameValue(value, previous);
+  }
+
+  if (currentlyActive && hysteresis > 0 && ORDERED_CONDITIONS.includes(condition)) {
+    const relaxed = condition.startsWith('>') ? threshold - hysteresis : threshold + hysteresis;
+    return compare(condition, value, relaxed);
+  }
+  return compare(condition, value, threshold);
+};
+
+const validateRule = (body) => {
+  const errors = [];
+
+  if (!isPlainObject(body)) {
+    return { errors: ['Rule must be a JSON object'], rule: null };
+  }
+
+  const {
+    name,
+    machineId = null,
+    deviceType = null,
+    field,
+    condition,
+    threshold = null,
+    hysteresis = 0,
+    minDurationSeconds = 0,
+    severity = 'warning',
+    webhookUrl = null,
+    enabled = true
+  } = body;
+
+  if (typeof name !== 'string' || name.trim() === '') errors.push('name is required');
+
+  if (!!machineId === !!deviceType) {
+    errors.push('Set exactly one of machineId or deviceType as the rule scope');
+  } else if (typeof (machineId || deviceType) !== 'string') {
+    errors.push('machineId / deviceType must be a string');
+  }
+
+  if (typeof field !== 'string') {
+    errors.push('field is required (a path inside extracted_data)');
+  } else {
+    try {
+      parsePath(field);
+    } catch (err) {
+      errors.push(`Invalid field path: ${err.message}`);
+    }
+  }
+
+  if (!CONDITIONS.includes(condition)) {
+    errors.push(`condition must be one of: ${CONDITIONS.join(', ')}`);
+  } else if (ORDERED_CONDITIONS.includes(condition) && typeof threshold !== 'number') {
+    errors.push(`threshold must be a number for condition ${condition}`);
+  } else if (condition !== 'changed' && threshold === null) {
+    errors.push(`threshold is required for condition ${condition}`);
+  }
+
+  if (typeof hysteresis !== 'number' || hysteresis < 0) errors.push('hysteresis must be a non-negative number');
+  if (!Number.isInteger(minDurationSeconds) || minDurationSeconds < 0) {
+    errors.push('minDurationSeconds must be a non-negative integer');
+  }
+  if (!SEVERITIES.includes(severity)) errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  if (webhookUrl !== null && (typeof webhookUrl !== 'string' || !/^https?:\/\//.test(webhookUrl))) {
+    errors.push('webhookUrl must be an http(s) URL');
+  }
+  if (typeof enabled !== 'boolean') errors.push('enabled must be a boolean');
+
+  return {
+    errors,
+    rule: errors.length ? null : {
+      name: name.trim(),
+      machineId,
+      deviceType,
+      field,
+      condition,
+      threshold: condition === 'changed' ? null : threshold,
+      hysteresis,
+      minDurationSeconds,
+      severity,
+      webhookUrl,
+      enabled
+    }
+  };
+};
+
+const rowToRule = (row) => ({
+  id: row.id,
+  name: row.name,
+  machineId: row.machine_id,
+  deviceType: row.device_type,
+  field: row.field,
+  condition: row.condition,
+  threshold: dbAsync.parseJSON(row.threshold, null),
+  hysteresis: row.hysteresis,
+  minDurationSeconds: row.min_duration_seconds,
+  severity: row.severity,
+  webhookUrl: row.webhook_url,
+  enabled: !!row.enabled,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+const rowToAlert = (row) => ({
+  id: row.id,
+  ruleId: row.rule_id,
+  ruleName: row.rule_name,
+  machineId: row.machine_id,
+  severity: row.severity,
+  state: row.state,
+  value: dbAsync.parseJSON(row.value, null),
+  lastValue: dbAsync.parseJSON(row.last_value, null),
+  recordId: row.record_id,
+  triggered_at: row.triggered_at,
+  fired_at: row.fired_at,
+  acknowledged_at: row.acknowledged_at,
+  acknowledged_by: row.acknowledged_by,
+  resolved_at: row.resolved_at,
+  notification_error: row.notification_error
+});
+
+const passThrough = () => (req, res, next) => next();
+
+const createAlerting = ({ db, webhookUrl = null, requireScope = passThrough }) => {
+  let rules = [];
+  // Per rule+machine evaluation state: { previous, pendingSince, pendingValue, alertId }
+  const states = new Map();
+  // Evaluations and state transitions run one at a time, in ingest order
+  let queue = Promise.resolve();
+  // Webhook deliveries in flight
+  const deliveries = new Set();
+  let sweepTimer = null;
+
+  const stateKey = (ruleId, machineId) => `${ruleId}:${machineId === null || machineId === undefined ? '' : machineId}`;
+
+  const getState = (ruleId, machineId) => {
+    const key = stateKey(ruleId, machineId);
+    if (!states.has(key)) states.set(key, { previous: undefined, pendingSince: null, pendingValue: null, alertId: null });
+    return states.get(key);
+  };
+
+  const enqueue = (task) => {
+    queue = queue.then(task).catch(err => console.error('Alert evaluation failed:', err));
+    return queue;
+  };
+
+  const reload = async () => {
+    const rows = await dbAsync.all(db, 'SELECT * FROM alert_rules WHERE enabled = 1 ORDER BY id ASC');
+    rules = rows.map(rowToRule);
+
+    // Open alerts survive restarts; pending (not yet fired) conditions do not
+    const open = await dbAsync.all(db, `SELECT id, rule_id, machine_id FROM alerts WHERE state != 'resolved'`);
+    open.forEach(alert => {
+      getState(alert.rule_id, alert.machine_id).alertId = alert.id;
+    });
+    return rules;
+  };
+
+  const loadAlert = async (id) => {
+    const row = await dbAsync.get(db, `
+      SELECT alerts.*, alert_rules.name AS rule_name
+      FROM alerts LEFT JOIN alert_rules ON alert_rules.id = alerts.rule_id
+      WHERE alerts.id = ?
+    `, [id]);
+    return row ? rowToAlert(row) : null;
+  };
+
+  const deliver = async (url, event, alert, rule) => {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event: `alert.${event}`, timestamp: new Date().toISOString(), alert, rule }),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      if (!response.ok) throw new Error(`Webhook responded with HTTP ${response.status}`);
+      await dbAsync.write(db, 'UPDATE alerts SET notification_error = NULL WHERE id = ?', [alert.id]);
+    } catch (err) {
+      console.error(`Alert webhook failed (${url}):`, err.message);
+      await dbAsync.write(db, 'UPDATE alerts SET notification_error = ? WHERE id = ?', [err.message, alert.id]);
+    }
+  };
+
+  // Sends the alert as it is now; delivery runs outside the evaluation queue, so a slow or unreachable
+  // webhook holds nothing up. Failures end up in the alert's notification_error.
+  const notify = async (event, alertId, rule) => {
+    const url = (rule && rule.webhookUrl) || webhookUrl;
+    if (!url) return;
+
+    const alert = await loadAlert(alertId);
+    const delivery = deliver(url, event, alert, rule)
+      .catch(err => console.error('Failed to record alert notification:', err))
+      .finally(() => deliveries.delete(delivery));
+    deliveries.add(delivery);
+  };
+
+  const fire = async (rule, machineId, state, record) => {
+    const result = await dbAsync.write(db, `
+      INSERT INTO alerts (rule_id, machine_id, severity, state, value, last_value, record_id, triggered_at, fired_at)
+      VALUES (?, ?, ?, 'firing', ?, ?, ?, ?, ?)
+    `, [rule.id, machineId, rule.severity, JSON.stringify(state.pendingValue), JSON.stringify(state.pendingValue),
+      record ? record.id : null, new Date(state.pendingSince).toISOString(), new Date().toISOString()]);
+
+    state.alertId = result.lastID;
+    state.pendingSince = null;
+    console.log(`🚨 Alert fired: ${rule.name} on ${machineId || 'unknown'} (alert ${result.lastID})`);
+    await notify('firing', result.lastID, rule);
+  };
+
+  const resolve = async (rule, state, value) => {
+    const alertId = state.alertId;
+    state.alertId = null;
+    await dbAsync.write(db, `
+      UPDATE alerts SET state = 'resolved', resolved_at = ?, last_value = ? WHERE id = ?
+    `, [new Date().toISOString(), JSON.stringify(value), alertId]);
+    console.log(`✅ Alert resolved: ${rule.name} (alert ${alertId})`);
+    await notify('resolved', alertId, rule);
+  };
+
+  const evaluateRecord = async (record) => {
+    const now = Date.now();
+
+    for (const rule of rules) {
+      if (rule.machineId && rule.machineId !== record.machineId) continue;
+      if (rule.deviceType && rule.deviceType !== record.deviceType) continue;
+
+      const value = getPath(record.extractedData, rule.field);
+      if (value === undefined) continue;
+
+      const state = getState(rule.id, record.machineId);
+      const active = isActive(rule, value, state.previous, !!state.alertId);
+      state.previous = value;
+
+      if (state.alertId) {
+        if (active) {
+          await dbAsync.write(db, 'UPDATE alerts SET last_value = ? WHERE id = ?', [JSON.stringify(value), state.alertId]);
+        } else {
+          await resolve(rule, state, value);
+        }
+        continue;
+      }
+
+      if (!active) {
+        state.pendingSince = null;
+        continue;
+      }
+
+      if (state.pendingSince === null) {
+        state.pendingSince = now;
+        state.pendingValue = value;
+      }
+      if (now - state.pendingSince >= rule.minDurationSeconds * 1000) {
+        await fire(rule, record.machineId, state, record);
+      }
+    }
+  };
+
+  // Conditions still pending once their minimum duration has passed fire without waiting for another reading
+  const sweep = async () => {
+    const now = Date.now();
+    for (const rule of rules) {
+      if (rule.minDurationSeconds === 0) continue;
+      for (const [key, state] of states) {
+        if (!key.startsWith(`${rule.id}:`) || state.alertId || state.pendingSince === null) continue;
+        if (now - state.pendingSince >= rule.minDurationSeconds * 1000) {
+          const machineId = key.slice(String(rule.id).length + 1) || null;
+          await fire(rule, machineId, state, null);
+        }
+      }
+    }
+  };
+
+  // records: [{ id, machineId, deviceType, extractedData }]
+  const evaluate = (records) => enqueue(async () => {
+    for (const record of records) {
+      await evaluateRecord(record);
+    }
+  });
+
+  const start = () => {
+    if (!sweepTimer) {
+      sweepTimer = setInterval(() => enqueue(sweep), SWEEP_INTERVAL_MS);
+      sweepTimer.unref();
+    }
+  };
+
+  // Resolves once the webhook deliveries in flight have been recorded
+  const stop = async () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+    await queue;
+    await Promise.all([...deliveries]);
+  };
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  // Rule changes reset in-memory state for that rule
+  const forgetRule = (ruleId) => {
+    for (const key of states.keys()) {
+      if (key.startsWith(`${ruleId}:`)) states.delete(key);
+    }
+  };
+
+  const rulesRouter = express.Router();
+
+  rulesRouter.get('/', async (req, res) => {
+    try {
+      const rows = await dbAsync.all(db, 'SELECT * FROM alert_rules ORDER BY id ASC');
+      res.json({ success: true, data: rows.map(rowToRule) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  rulesRouter.get('/:id', async (req, res) => {
+    try {
+      const row = await dbAsync.get(db, 'SELECT * FROM alert_rules WHERE id = ?', [req.params.id]);
+      if (!row) return res.status(404).json({ success: false, error: `Alert rule not found: ${req.params.id}` });
+      res.json({ success: true, data: rowToRule(row) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  const ruleParams = (rule) => [
+    rule.name, rule.machineId, rule.deviceType, rule.field, rule.condition, JSON.stringify(rule.threshold),
+    rule.hysteresis, rule.minDurationSeconds, rule.severity, rule.webhookUrl, rule.enabled ? 1 : 0
+  ];
+
+  rulesRouter.post('/', async (req, res) => {
+    const { errors, rule } = validateRule(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid alert rule', details: errors });
+    }
+
+    try {
+      const result = await dbAsync.write(db, `
+        INSERT INTO alert_rules (name, machine_id, device_type, field, condition, threshold, hysteresis,
+          min_duration_seconds, severity, webhook_url, enabled)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, ruleParams(rule));
+      await enqueue(reload);
+      const row = await dbAsync.get(db, 'SELECT * FROM alert_rules WHERE id = ?', [result.lastID]);
+      res.status(201).json({ success: true, data: rowToRule(row) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  rulesRouter.put('/:id', async (req, res) => {
+    const { errors, rule } = validateRule(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid alert rule', details: errors });
+    }
+
+    try {
+      const result = await dbAsync.write(db, `
+        UPDATE alert_rules SET name = ?, machine_id = ?, device_type = ?, field = ?, condition = ?, threshold = ?,
+          hysteresis = ?, min_duration_seconds = ?, severity = ?, webhook_url = ?, enabled = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...ruleParams(rule), req.params.id]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `Alert rule not found: ${req.params.id}` });
+      }
+
+      await enqueue(async () => {
+        forgetRule(Number(req.params.id));
+        await reload();
+      });
+      const row = await dbAsync.get(db, 'SELECT * FROM alert_rules WHERE id = ?', [req.params.id]);
+      res.json({ success: true, data: rowToRule(row) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  // Deleting a rule resolves its open alerts
+  rulesRouter.delete('/:id', async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM alert_rules WHERE id = ?', [req.params.id]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `Alert rule not found: ${req.params.id}` });
+      }
+      await dbAsync.write(db, `
+        UPDATE alerts SET state = 'resolved', resolved_at = ? WHERE rule_id = ? AND state != 'resolved'
+      `, [new Date().toISOString(), req.params.id]);
+
+      await enqueue(async () => {
+        forgetRule(Number(req.params.id));
+        await reload();
+      });
+      res.json({ success: true, message: `Alert rule ${req.params.id} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  const alertsRouter = express.Router();
+
+  alertsRouter.get('/', requireScope('read'), async (req, res) => {
+    const { state, machineId, ruleId, limit = 100 } = req.query;
+
+    if (state && !ALERT_STATES.includes(state)) {
+      return res.status(400).json({ success: false, error: `state must be one of: ${ALERT_STATES.join(', ')}` });
+    }
+
+    const where = ['1=1'];
+    const params = [];
+    if (state) {
+      where.push('alerts.state = ?');
+      params.push(state);
+    }
+    if (machineId) {
+      where.push('alerts.machine_id = ?');
+      params.push(machineId);
+    }
+    if (ruleId) {
+      where.push('alerts.rule_id = ?');
+      params.push(ruleId);
+    }
+
+    try {
+      const rows = await dbAsync.all(db, `
+        SELECT alerts.*, alert_rules.name AS rule_name
+        FROM alerts LEFT JOIN alert_rules ON alert_rules.id = alerts.rule_id
+        WHERE ${where.join(' AND ')}
+        ORDER BY alerts.id DESC
+        LIMIT ?
+      `, [...params, parseInt(limit)]);
+      res.json({ success: true, data: rows.map(rowToAlert) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  alertsRouter.get('/:id', requireScope('read'), async (req, res) => {
+    try {
+      const alert = await loadAlert(req.params.id);
+      if (!alert) return res.status(404).json({ success: false, error: `Alert not found: ${req.params.id}` });
+      res.json({ success: true, data: alert });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  // Acknowledged alerts stay open until the condition clears
+  alertsRouter.post('/:id/acknowledge', requireScope('admin'), async (req, res) => {
+    const { by = null } = req.body || {};
+    const acknowledgedBy = by || (req.apiKey ? req.apiKey.name : null);
+
+    try {
+      const result = await dbAsync.write(db, `
+        UPDATE alerts SET state = 'acknowledged', acknowledged_at = ?, acknowledged_by = ?
+        WHERE id = ? AND state = 'firing'
+      `, [new Date().toISOString(), acknowledgedBy, req.params.id]);
+
+      const alert = await loadAlert(req.params.id);
+      if (!alert) return res.status(404).json({ success: false, error: `Alert not found: ${req.params.id}` });
+      if (result.changes === 0) {
+        return res.status(409).json({ success: false, error: `Alert ${req.params.id} is ${alert.state}, only firing alerts can be acknowledged` });
+      }
+
+      const rule = rules.find(r => r.id === alert.ruleId) || null;
+      await notify('acknowledged', alert.id, rule);
+      res.json({ success: true, data: alert });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  return {
+    reload,
+    evaluate,
+    start,
+    stop,
+    rulesRouter,
+    alertsRouter
+  };
+};
+
+module.exports = {
+  CONDITIONS,
+  SEVERITIES,
+  ALERT_STATES,
+  isActive,
+  validateRule,
+  createAlerting
+};
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const express = require('express');
+const dbAsync = require('./db');
+
+const SCOPES = ['ingest', 'read', 'admin'];
+const KEY_PREFIX = 'mdk';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Keys look like mdk_<lookup id>_<secret>; only the lookup id is stored in clear
+const generateKey = () => {
+  const lookup = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { key: `${KEY_PREFIX}_${lookup}_${secret}`, lookup };
+};
+
+const parseLookup = (key) => {
+  const parts = typeof key === 'string' ? key.split('_') : [];
+  return parts.length >= 3 && parts[0] === KEY_PREFIX ? parts[1] : null;
+};
+
+const hashesMatch = (a, b) => {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// X-API-Key header, or Authorization: Bearer <key>
+const readKeyFromRequest = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return null;
+};
+
+const rowToKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  keyPrefix: `${KEY_PREFIX}_${row.lookup}`,
+  scopes: dbAsync.parseJSON(row.scopes, []),
+  machineIds: dbAsync.parseJSON(row.machine_ids, null),
+  created_at: row.created_at,
+  rotated_at: row.rotated_at,
+  last_used_at: row.last_used_at,
+  revoked_at: row.revoked_at
+});
+
+const hasScope = (apiKey, scope) =>
+  !!apiKey && (apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope));
+
+// Ingest keys may be bound to a set of machine IDs; unbound keys may write as any machine
+const allowsMachine = (apiKey, machineId) => {
+  if (!apiKey || !apiKey.machineIds || apiKey.scopes.includes('admin')) return true;
+  return machineId !== null && machineId !== undefined && apiKey.machineIds.includes(String(machineId));
+};
+
+const validateKeyRequest = (body) => {
+  const errors = [];
+  const { name, scopes, machineIds = null } = body || {};
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push('name is required');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.push(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+  } else if (scopes.some(scope => !SCOPES.includes(scope))) {
+    errors.push(`Unknown scope. Allowed: ${SCOPES.join(', ')}`);
+  }
+  if (machineIds !== null) {
+    if (!Array.isArray(machineIds) || machineIds.length === 0 ||
+        machineIds.some(id => typeof id !== 'string' || id === '')) {
+      errors.push('machineIds must be a non-empty array of machine ID strings (or omitted for any machine)');
+    } else if (Array.isArray(scopes) && !scopes.includes('ingest')) {
+      errors.push('machineIds can only be set on keys with the ingest scope');
+    }
+  }
+
+  return {
+    errors,
+    request: errors.length ? null : {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      machineIds: machineIds ? [...new Set(machineIds)] : null
+    }
+  };
+};
+
+const createApiKeys = (db, { enabled = true } = {}) => {
+  const loadKey = async (key) => {
+    const lookup = parseLookup(key);
+    if (!lookup) return null;
+
+    const row = await dbAsync.get(db, 'SELECT * FROM api_keys WHERE lookup = ? AND revoked_at IS NULL', [lookup]);
+    if (!row || !hashesMatch(row.key_hash, hashKey(key))) return null;
+
+    dbAsync.write(db, 'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id])
+      .catch(err => console.error('Failed to record API key use:', err));
+    return rowToKey(row);
+  };
+
+  // Resolves the key (if any) onto req.apiKey; a key that is sent but invalid is rejected outright
+  const authenticate = async (req, res, next) => {
+    req.apiKey = null;
+    const key = readKeyFromRequest(req);
+    if (!key) return next();
+
+    try {
+      req.apiKey = await loadKey(key);
+    } catch (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({
+        success: false,
+        error: 'Database error occurred'
+      });
+    }
+
+    if (!req.apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or revoked API key'
+      });
+    }
+    next();
+  };
+
+  const requireScope = (scope) => (req, res, next) => {
+    if (!enabled) return next();
+
+    if (!req.apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key required. Send it in the X-API-Key header.'
+      });
+    }
+    if (!hasScope(req.apiKey, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key lacks the "${scope}" scope`
+      });
+    }
+    next();
+  };
+
+  // Whether the caller may see non-public details (health internals, endpoint list)
+  const isAuthenticated = (req) => !enabled || !!req.apiKey;
+
+  const insertKey = async ({ name, scopes, machineIds }) => {
+    const { key, lookup } = generateKey();
+    const result = await dbAsync.write(db, `
+      INSERT INTO api_keys (name, lookup, key_hash, scopes, machine_ids)
+      VALUES (?, ?, ?, ?, ?)
+    `, [name, lookup, hashKey(key), JSON.stringify(scopes), machineIds ? JSON.stringify(machineIds) : null]);
+    return { id: result.lastID, key };
+  };
+
+  // With auth on and no usable admin key, issue one so the API can still be administered
+  const ensureAdminKey = async () => {
+    if (!enabled) return null;
+    const rows = await dbAsync.all(db, 'SELECT scopes FROM api_keys WHERE revoked_at IS NULL');
+    if (rows.some(row => dbAsync.parseJSON(row.scopes, []).includes('admin'))) return null;
+
+    const { key } = await insertKey({ name: 'bootstrap-admin', scopes: ['admin'], machineIds: null });
+    console.log(`🔑 No admin API key found - issued bootstrap admin key: ${key}`);
+    console.log('   Store it now, it will not be shown again.');
+    return key;
+  };
+
+  const router = express.Router();
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const notFound = (res, id) => res.status(404).json({
+    success: false,
+    error: `API key not found: ${id}`
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      const rows = await dbAsync.all(db, 'SELECT * FROM api_keys ORDER BY id ASC');
+      res.json({ success: true, data: rows.map(rowToKey) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    const { errors, request } = validateKeyRequest(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid API key request', details: errors });
+    }
+
+    try {
+      const { id, key } = await insertKey(request);
+      const row = await dbAsync.get(db, 'SELECT * FROM api_keys WHERE id = ?', [id]);
+      res.status(201).json({
+        success: true,
+        message: 'API key issued. Store it now, it will not be shown again.',
+        key,
+        data: rowToKey(row)
+      });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  // Replace the secret, keeping name, scopes and machine bindings
+  router.post('/:id/rotate', async (req, res) => {
+    try {
+      const row = await dbAsync.get(db, 'SELECT * FROM api_keys WHERE id = ? AND revoked_at IS NULL', [req.params.id]);
+      if (!row) return notFound(res, req.params.id);
+
+      const { key, lookup } = generateKey();
+      await dbAsync.write(db, `
+        UPDATE api_keys SET lookup = ?, key_hash = ?, rotated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `, [lookup, hashKey(key), row.id]);
+
+      const updated = await dbAsync.get(db, 'SELECT * FROM api_keys WHERE id = ?', [row.id]);
+      res.json({
+        success: true,
+        message: 'API key rotated. The previous key no longer works.',
+        key,
+        data: rowToKey(updated)
+      });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, `
+        UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL
+      `, [req.params.id]);
+      if (result.changes === 0) return notFound(res, req.params.id);
+
+      res.json({ success: true, message: `API key ${req.params.id} revoked` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  return {
+    enabled,
+    resolveKey: loadKey,
+    authenticate,
+    requireScope,
+    isAuthenticated,
+    allowsMachine,
+    ensureAdminKey,
+    router
+  };
+};
+
+module.exports = {
+  SCOPES,
+  hashKey,
+  hasScope,
+  allowsMachine,
+  createApiKeys
+};
@@ -0,0 +1,1821 @@
+const { SCOPES } = require('./apiKeys');
+const { ORDER_COLUMNS, RECORD_FIELDS } = require('./records');
+const { BUCKETS, BASIC_FUNCTIONS } = require('./aggregation');
+const { EXPORT_FORMATS } = require('./export');
+const { UNIT_SYSTEMS } = require('./units');
+const { SCHEMA_MODES } = require('./schemaContracts');
+const { MACHINE_STATUSES } = require('./machineRegistry');
+const { CONDITIONS, SEVERITIES, ALERT_STATES } = require('./alerts');
+const { COLLECTOR_MODES, SECURITY_MODES, SECURITY_POLICIES } = require('./opcuaCollectors');
+const { FUNCTION_CODES, REGISTER_WORDS, BYTE_ORDERS } = require('./modbusPoller');
+const { TIER_NAMES } = require('./retention');
+const { TIMESTAMP_ACTIONS } = require('./timestamps');
+const { TIMESTAMP_FORMATS, EPOCH_UNITS } = require('./mappingProfiles');
+const { MAX_KEY_FIELDS } = require('./deduplication');
+const { WS_PATH } = require('./liveStream');
+const { CONFIRM_SKEWS } = require('./timestamps');
+
+const QUEUE_STATUSES = ['queued', 'stored', 'failed'];
+const SKEW_OUTCOMES = {
+  flag: 'flagged',
+  correct: 'corrected by the machine\'s offset',
+  reject: 'rejected with `422`'
+};
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  410: 'Gone',
+  413: 'PayloadTooLarge',
+  422: 'Unprocessable',
+  429: 'TooManyRequests',
+  500: 'ServerError'
+};
+
+const text = (...paragraphs) => paragraphs.join('\n\n');
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const parameterRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+const errorRef = (status) => ({ $ref: `#/components/responses/${ERROR_RESPONSES[status]}` });
+
+const nullable = (schema) => (schema.$ref || schema.allOf
+  ? { anyOf: [schema, { type: 'null' }] }
+  : { ...schema, type: [schema.type, 'null'] });
+const string = (description, extra = {}) => ({ type: 'string', ...(description && { description }), ...extra });
+const integer = (description, extra = {}) => ({ type: 'integer', ...(description && { description }), ...extra });
+const number = (description, extra = {}) => ({ type: 'number', ...(description && { description }), ...extra });
+const boolean = (description, extra = {}) => ({ type: 'boolean', ...(description && { description }), ...extra });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, required = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length && { required }),
+  ...extra
+});
+const dateTime = (description) => string(description, { format: 'date-time' });
+// SQLite CURRENT_TIMESTAMP values ("2026-01-01 12:00:00", UTC) as stored
+const dbTime = (description) => nullable(string(description || 'UTC, as stored by the database'));
+
+// Entity returned as stored: its input fields plus id and timestamps
+const stored = (input, properties = {}) => ({
+  allOf: [schemaRef(input), object({ id: integer(), ...properties, created_at: dbTime(), updated_at: dbTime() })]
+});
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const success = (data, properties = {}) => object({ success: { const: true }, data, ...properties }, ['success', 'data']);
+const jsonBody = (schema, { required = true, description } = {}) => ({
+  required,
+  ...(description && { description }),
+  content: { 'application/json': { schema } }
+});
+
+const pathParam = (name, description, schema = string()) => ({ name, in: 'path', required: true, description, schema });
+const queryParam = (name, description, schema = string(), extra = {}) => ({ name, in: 'query', description, schema, ...extra });
+
+/**
+ * One operation. The 400 / 401 / 403 / 429 / 500 responses follow from what it declares: parameters or a body
+ * (checked against this document), a scope, and whether it sits behind the /api rate limits. errors lists
+ * further error statuses, each with the shared error envelope.
+ */
+const operation = ({
+  tag,
+  summary,
+  description,
+  scope = null,
+  parameters = [],
+  requestBody,
+  responses,
+  errors = [],
+  rateLimited = true,
+  ...rest
+}) => {
+  const statuses = new Set(errors);
+  if (parameters.length || requestBody) statuses.add(400);
+  if (scope) {
+    statuses.add(401);
+    statuses.add(403);
+  }
+  if (rateLimited) statuses.add(429);
+  statuses.add(500);
+
+  const errorResponses = Object.fromEntries([...statuses]
+    .filter(status => !responses[status])
+    .map(status => [status, errorRef(status)]));
+
+  return {
+    tags: [tag],
+    summary,
+    ...(description && { description }),
+    ...(scope && { 'x-scope': scope }),
+    ...(parameters.length && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses: Object.fromEntries(Object.entries({ ...responses, ...errorResponses })
+      .sort(([a], [b]) => Number(a) - Number(b))),
+    ...rest
+  };
+};
+
+const deleted = (subject) => ({ 200: json(`${subject} deleted`, schemaRef('Message')) });
+
+const components = ({ maxBatchItems }) => ({
+  securitySchemes: {
+    ApiKeyHeader: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: 'API key (mdk_...) with the scope the operation names'
+    },
+    BearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'The same API key as Authorization: Bearer <key>, e.g. for Prometheus scrapes'
+    }
+  },
+
+  parameters: {
+    MachineId: queryParam('machineId', 'Only this machine ID'),
+    DeviceType: queryParam('deviceType', 'Only this device type'),
+    Location: queryParam('location', 'Only machines registered at this location (see /api/machines)'),
+    Tags: queryParam('tags', 'Only machines registered with all of these tags, comma-separated'),
+    From: queryParam('from', 'Received at or after this time (ISO 8601 date or date-time)'),
+    To: queryParam('to', 'Received at or before this time (ISO 8601 date or date-time)'),
+    Filter: queryParam('filter', 'Filter expression over extracted_data and the record columns, e.g. temperature > 80 and status in ("fault", "stopped")'),
+    Fields: queryParam('fields', `Comma-separated record fields to return (id is always included): ${RECORD_FIELDS.join(', ')}`),
+    Cursor: queryParam('cursor', 'pagination.next or pagination.prev of the previous page'),
+    Offset: queryParam('offset', 'Rows to skip; cannot be combined with cursor', integer(null, { minimum: 0, default: 0 })),
+    OrderBy: queryParam('orderBy', 'Sort by arrival or by device time (records without a device timestamp come last), newest first',
+      string(null, { enum: ORDER_COLUMNS, default: 'received_at' })),
+    IncludeTotal: queryParam('includeTotal', 'false skips counting all matching rows', boolean(null, { default: true })),
+    Units: queryParam('units', 'Convert extracted_data into this unit system', string(null, { enum: Object.keys(UNIT_SYSTEMS) })),
+    DeviceTypePath: pathParam('deviceType', 'Device type'),
+    IdempotencyKey: {
+      name: 'Idempotency-Key',
+      in: 'header',
+      description: 'Makes retries safe: a payload already accepted under this key (per API key) is answered with the first delivery\'s ids instead of being stored again',
+      schema: string(null, { minLength: 1, maxLength: 255, pattern: '\\S' })
+    }
+  },
+
+  schemas: {
+    Error: object({
+      success: { const: false },
+      error: string('What went wrong'),
+      details: arrayOf({}, { description: 'Individual problems: messages, or { path, keyword, message, params } for schema violations' }),
+      hint: string(),
+      position: integer('Character offset of a filter expression error'),
+      retryAfter: string('When a rate limited request may be retried')
+    }, ['success', 'error']),
+
+    Message: object({
+      success: { const: true },
+      message: string()
+    }, ['success', 'message']),
+
+    Pagination: object({
+      total: integer('Rows matching the query, left out with includeTotal=false'),
+      limit: integer(),
+      offset: integer('Left out on cursor pages'),
+      hasMore: boolean(),
+      next: nullable(string('Cursor for the next (older) page')),
+      prev: nullable(string('Cursor for the previous (newer) page'))
+    }, ['limit', 'hasMore', 'next', 'prev']),
+
+    Record: object({
+      id: integer(),
+      machine_id: nullable(string()),
+      device_type: nullable(string()),
+      timestamp: nullable(string('Device timestamp (ISO 8601), corrected per timestamp policy')),
+      received_at: string('Arrival time'),
+      raw_payload: { description: 'The payload as sent' },
+      extracted_data: object({}, [], { description: 'Measurements, with units normalized to metric' }),
+      metadata: object({}, [], { description: 'Source, mapping profile, unit conversions, clock skew, schema violations, ...' }),
+      units: object({}, [], { description: 'Unit of each converted field, with ?units=' })
+    }, ['id']),
+
+    SchemaError: object({
+      path: string(),
+      keyword: string(),
+      message: string(),
+      params: object({})
+    }),
+
+    TimestampCheck: object({
+      action: string(null, { enum: TIMESTAMP_ACTIONS }),
+      skewMs: number('Device time minus arrival time'),
+      toleranceSeconds: number(),
+      error: string(),
+      correctedTimestamp: string()
+    }, ['action', 'skewMs', 'toleranceSeconds']),
+
+    IngestAccepted: object({
+      success: { const: true },
+      message: string(),
+      ingestId: string(null, { format: 'uuid' }),
+      statusUrl: string(),
+      timestamp: dateTime(),
+      extracted: object({
+        machineId: string(),
+        deviceType: string(),
+        timestamp: string(),
+        dataFields: integer(),
+        mappingProfile: string()
+      }),
+      schemaViolations: arrayOf(schemaRef('SchemaError'), { description: 'Stored anyway: the device type\'s contract is in warn mode' }),
+      timestampCheck: schemaRef('TimestampCheck')
+    }, ['success', 'ingestId', 'statusUrl']),
+
+    IngestDuplicate: object({
+      success: { const: true },
+      duplicate: { const: true },
+      message: string(),
+      ingestId: string('Ingest id of the first delivery', { format: 'uuid' }),
+      status: string(null, { enum: QUEUE_STATUSES }),
+      recordId: nullable(integer('Record id of the first delivery, once written')),
+      statusUrl: string(),
+      timestamp: dateTime()
+    }, ['success', 'duplicate', 'ingestId', 'status']),
+
+    BatchItemResult: object({
+      index: integer(),
+      success: boolean(),
+      ingestId: string(null, { format: 'uuid' }),
+      machineId: string(),
+      duplicate: boolean(),
+      status: string(null, { enum: QUEUE_STATUSES }),
+      recordId: nullable(integer()),
+      schemaViolations: arrayOf(schemaRef('SchemaError')),
+      timestampCheck: schemaRef('TimestampCheck'),
+      error: string(),
+      details: arrayOf({}),
+      rateLimited: boolean()
+    }, ['index', 'success']),
+
+    BatchResult: object({
+      success: boolean('Whether any item was accepted'),
+      message: string(),
+      timestamp: dateTime(),
+      summary: object({
+        total: integer(),
+        accepted: integer(),
+        rejected: integer(),
+        duplicates: integer()
+      }, ['total', 'accepted', 'rejected', 'duplicates']),
+      results: arrayOf(schemaRef('BatchItemResult'), { description: 'One per item, in input order' })
+    }, ['success', 'summary', 'results']),
+
+    IngestStatus: object({
+      ingestId: string(null, { format: 'uuid' }),
+      status: string(null, { enum: QUEUE_STATUSES }),
+      recordId: nullable(integer()),
+      attempts: integer(),
+      error: nullable(string()),
+      queuedAt: string(),
+      processedAt: nullable(string())
+    }, ['ingestId', 'status']),
+
+    ClockEstimate: object({
+      offsetMs: integer('Median skew of recent timestamps; positive means the device clock runs ahead'),
+      samples: integer(),
+      lastTimestamp: nullable(string()),
+      updatedAt: string()
+    }, ['offsetMs', 'samples']),
+
+    MachineInput: object({
+      machineId: string(null, { minLength: 1 }),
+      displayName: nullable(string()),
+      deviceType: nullable(string()),
+      location: nullable(string()),
+      line: nullable(string()),
+      cell: nullable(string()),
+      vendor: nullable(string()),
+      model: nullable(string()),
+      tags: arrayOf(string(null, { minLength: 1 })),
+      aliases: arrayOf(string(null, { minLength: 1 }), { description: 'Other machine IDs this machine reports under' }),
+      expectedIntervalSeconds: nullable(number('Reporting interval; learned from arrivals when null', { exclusiveMinimum: 0 })),
+      decommissioned: boolean('PATCH only: false brings a decommissioned machine back')
+    }),
+
+    Machine: object({
+      machineId: string(),
+      displayName: nullable(string()),
+      deviceType: nullable(string()),
+      location: nullable(string()),
+      line: nullable(string()),
+      cell: nullable(string()),
+      vendor: nullable(string()),
+      model: nullable(string()),
+      tags: arrayOf(string()),
+      aliases: arrayOf(string()),
+      status: string(null, { enum: MACHINE_STATUSES }),
+      statusChangedAt: nullable(string()),
+      firstSeen: nullable(string()),
+      lastSeen: nullable(string()),
+      secondsSinceLastSeen: nullable(integer()),
+      expectedIntervalSeconds: nullable(number()),
+      learnedIntervalSeconds: nullable(number()),
+      effectiveIntervalSeconds: nullable(number()),
+      clock: nullable(schemaRef('ClockEstimate')),
+      decommissionedAt: nullable(string())
+    }, ['machineId', 'status']),
+
+    MachineSummary: object(Object.fromEntries(['total', ...MACHINE_STATUSES].map(status => [status, integer()]))),
+
+    ApiKeyInput: object({
+      name: string(null, { minLength: 1 }),
+      scopes: arrayOf(string(null, { enum: SCOPES }), { minItems: 1 }),
+      machineIds: nullable(arrayOf(string(null, { minLength: 1 }), {
+        minItems: 1,
+        description: 'Ingest keys only: the machine IDs the key may write as (any when null)'
+      }))
+    }, ['name', 'scopes']),
+
+    ApiKey: object({
+      id: integer(),
+      name: string(),
+      keyPrefix: string('mdk_<lookup id>, enough to recognize the key'),
+      scopes: arrayOf(string(null, { enum: SCOPES })),
+      machineIds: nullable(arrayOf(string())),
+      created_at: dbTime(),
+      rotated_at: dbTime(),
+      last_used_at: dbTime(),
+      revoked_at: dbTime()
+    }, ['id', 'name', 'scopes']),
+
+    IssuedKey: object({
+      success: { const: true },
+      message: string(),
+      key: string('The full key - shown once'),
+      data: schemaRef('ApiKey')
+    }, ['success', 'key', 'data']),
+
+    Paths: {
+      description: 'A path into the payload (e.g. device.serial), or a list of paths tried in order',
+      anyOf: [string(), arrayOf(string(), { minItems: 1 })]
+    },
+
+    MappingRules: object({
+      machineId: schemaRef('Paths'),
+      deviceType: {
+        description: 'Paths, or { "value": "..." } for a fixed device type',
+        anyOf: [schemaRef('Paths'), object({ value: string() }, ['value'])]
+      },
+      timestamp: {
+        description: 'Paths, or { path, format, unit } for epoch timestamps',
+        anyOf: [schemaRef('Paths'), object({
+          path: schemaRef('Paths'),
+          format: string(null, { enum: TIMESTAMP_FORMATS }),
+          unit: string(null, { enum: Object.keys(EPOCH_UNITS) })
+        })]
+      },
+      fields: object({}, [], { additionalProperties: schemaRef('Paths'), description: 'Field name -> paths' }),
+      exclude: arrayOf(schemaRef('Paths')),
+      keepUnmapped: boolean('Keep payload fields no rule maps')
+    }),
+
+    MappingProfileInput: object({
+      name: string(null, { minLength: 1 }),
+      description: nullable(string()),
+      priority: integer('Higher priorities are tried first', { default: 0 }),
+      enabled: boolean(null, { default: true }),
+      match: object({
+        headers: object({}, [], { additionalProperties: string(), description: 'Header name -> value ("*" matches any value)' }),
+        sourceIp: { anyOf: [string(), arrayOf(string())] },
+        paths: arrayOf(string(), { description: 'Paths the payload must contain' })
+      }, [], { description: 'When the profile applies; at least one condition' }),
+      rules: schemaRef('MappingRules')
+    }, ['name', 'match', 'rules']),
+
+    MappingProfile: stored('MappingProfileInput'),
+
+    Extracted: object({
+      machineId: nullable(string()),
+      deviceType: string(),
+      timestamp: nullable(string()),
+      extractedData: object({}),
+      profile: nullable(string())
+    }),
+
+    UnitConfig: object({
+      deviceType: string(),
+      fields: object({}, [], { additionalProperties: string(), description: 'Field path -> unit, e.g. { "temperature": "°F" }' }),
+      updated_at: dbTime()
+    }, ['deviceType', 'fields']),
+
+    SchemaContractInput: object({
+      schema: { type: ['object', 'boolean'], description: 'JSON Schema the raw payload must match' },
+      mode: string('off, warn (store and flag) or strict (reject with 422)', { enum: SCHEMA_MODES, default: 'warn' }),
+      description: nullable(string())
+    }, ['schema']),
+
+    SchemaContract: object({
+      deviceType: string(),
+      mode: string(null, { enum: SCHEMA_MODES }),
+      description: nullable(string()),
+      schema: { type: ['object', 'boolean'] },
+      violationCount: integer(),
+      created_at: dbTime(),
+      updated_at: dbTime()
+    }, ['deviceType', 'mode', 'schema']),
+
+    SchemaViolation: object({
+      id: integer(),
+      machine_id: nullable(string()),
+      device_type: nullable(string()),
+      record_id: nullable(integer('Stored record, for warn mode')),
+      mode: string(null, { enum: SCHEMA_MODES }),
+      errors: arrayOf(schemaRef('SchemaError')),
+      created_at: dbTime()
+    }, ['id', 'mode', 'errors']),
+
+    NaturalKey: object({
+      deviceType: string(),
+      fields: arrayOf(string(), { description: 'machineId and timestamp mean the extracted values, anything else is a payload path' })
+    }, ['deviceType', 'fields']),
+
+    DuplicateScan: object({
+      startedAt: dateTime(),
+      finishedAt: dateTime(),
+      filter: object({}),
+      remove: boolean(),
+      scanned: integer(),
+      duplicateGroups: integer(),
+      duplicates: integer(),
+      removed: integer(),
+      groups: arrayOf(object({
+        machineId: nullable(string()),
+        hash: string('sha256 of the raw payload'),
+        keptId: integer('Oldest row, the one kept'),
+        duplicateIds: arrayOf(integer())
+      }), { description: 'The first 100 groups' })
+    }, ['scanned', 'duplicates', 'removed']),
+
+    TimestampPolicy: object({
+      action: string('What happens beyond the tolerance', { enum: TIMESTAMP_ACTIONS }),
+      toleranceSeconds: number('Largest skew accepted as is', { minimum: 0 }),
+      timeZone: nullable(string('IANA time zone of timestamps sent without one, e.g. Europe/Berlin'))
+    }),
+
+    AlertRuleInput: object({
+      name: string(null, { minLength: 1 }),
+      machineId: nullable(string('Set exactly one of machineId or deviceType')),
+      deviceType: nullable(string()),
+      field: string('Path inside extracted_data'),
+      condition: string(null, { enum: CONDITIONS }),
+      threshold: { description: 'Number for >, >=, <, <=; any value for ==, != and changes_to; unused for changed' },
+      hysteresis: number('How far the value must fall back past the threshold to clear', { minimum: 0, default: 0 }),
+      minDurationSeconds: integer('How long the condition must hold before the alert fires', { minimum: 0, default: 0 }),
+      severity: string(null, { enum: SEVERITIES, default: 'warning' }),
+      webhookUrl: nullable(string('Overrides ALERT_WEBHOOK_URL for this rule')),
+      enabled: boolean(null, { default: true })
+    }, ['name', 'field', 'condition']),
+
+    AlertRule: stored('AlertRuleInput'),
+
+    Alert: object({
+      id: integer(),
+      ruleId: integer(),
+      ruleName: nullable(string()),
+      machineId: nullable(string()),
+      severity: string(null, { enum: SEVERITIES }),
+      state: string(null, { enum: ALERT_STATES }),
+      value: { description: 'Value that triggered the alert' },
+      lastValue: { description: 'Latest value seen' },
+      recordId: nullable(integer()),
+      triggered_at: nullable(string()),
+      fired_at: nullable(string()),
+      acknowledged_at: nullable(string()),
+      acknowledged_by: nullable(string()),
+      resolved_at: nullable(string()),
+      notification_error: nullable(string())
+    }, ['id', 'state']),
+
+    ConnectorStatus: object({
+      state: string(),
+      connected: boolean()
+    }, ['state', 'connected'], { description: 'Connection state, last values and recent errors' }),
+
+    OpcUaCollectorInput: object({
+      name: string(null, { minLength: 1 }),
+      endpointUrl: string('opc.tcp:// URL of the server', { pattern: '^opc\\.tcp://.+' }),
+      machineId: string('Machine ID samples are stored under', { minLength: 1 }),
+      deviceType: string(null, { default: 'opcua' }),
+      mode: string(null, { enum: COLLECTOR_MODES, default: 'subscribe' }),
+      samplingIntervalMs: integer(null, { default: 1000 }),
+      nodes: arrayOf({
+        anyOf: [string('Node ID, e.g. ns=2;s=Temperature'), object({ nodeId: string(), field: string('Path inside extracted_data') }, ['nodeId'])]
+      }, { minItems: 1 }),
+      securityMode: string(null, { enum: SECURITY_MODES, default: 'None' }),
+      securityPolicy: string(null, { enum: SECURITY_POLICIES, default: 'None' }),
+      username: nullable(string()),
+      password: nullable(string('Write only; left out on PUT keeps the stored one', { writeOnly: true })),
+      enabled: boolean(null, { default: true })
+    }, ['name', 'endpointUrl', 'machineId', 'nodes']),
+
+    OpcUaCollector: object({
+      id: integer(),
+      name: string(),
+      endpointUrl: string(),
+      machineId: string(),
+      deviceType: string(),
+      mode: string(null, { enum: COLLECTOR_MODES }),
+      samplingIntervalMs: integer(),
+      nodes: arrayOf(object({ nodeId: string(), field: string() })),
+      securityMode: string(null, { enum: SECURITY_MODES }),
+      securityPolicy: string(null, { enum: SECURITY_POLICIES }),
+      username: nullable(string()),
+      hasPassword: boolean(),
+      enabled: boolean(),
+      status: schemaRef('ConnectorStatus'),
+      created_at: dbTime(),
+      updated_at: dbTime()
+    }, ['id', 'name', 'endpointUrl', 'status']),
+
+    ModbusRegister: object({
+      field: string('Path inside extracted_data'),
+      address: integer(null, { minimum: 0, maximum: 65535 }),
+      functionCode: integer(null, { enum: FUNCTION_CODES, default: 3 }),
+      dataType: string('bool for function codes 1 and 2', { enum: Object.keys(REGISTER_WORDS) }),
+      byteOrder: string(null, { enum: BYTE_ORDERS, default: 'ABCD' }),
+      bit: integer(null, { minimum: 0, maximum: 15, default: 0 }),
+      scale: number(null, { default: 1 }),
+      offset: number(null, { default: 0 })
+    }, ['field', 'address']),
+
+    RegisterMap: object({
+      deviceType: string(),
+      registers: arrayOf(schemaRef('ModbusRegister')),
+      updated_at: dbTime()
+    }, ['deviceType', 'registers']),
+
+    ModbusDeviceInput: object({
+      name: string(null, { minLength: 1 }),
+      host: string(null, { minLength: 1 }),
+      port: integer(null, { minimum: 1, maximum: 65535, default: 502 }),
+      unitId: integer(null, { minimum: 0, maximum: 255, default: 1 }),
+      machineId: string(null, { minLength: 1 }),
+      deviceType: string('Selects the register map', { minLength: 1 }),
+      intervalMs: integer(null, { default: 5000 }),
+      timeoutMs: integer(null, { minimum: 1, default: 2000 }),
+      enabled: boolean(null, { default: true })
+    }, ['name', 'host', 'machineId', 'deviceType']),
+
+    ModbusDevice: stored('ModbusDeviceInput', { status: schemaRef('ConnectorStatus') }),
+
+    RateLimit: object({
+      ratePerMinute: number(null, { exclusiveMinimum: 0 }),
+      burst: integer(null, { minimum: 1 })
+    }, ['ratePerMinute', 'burst']),
+
+    RetentionPolicyInput: object({
+      name: string(null, { minLength: 1 }),
+      machineId: nullable(string('Set machineId or deviceType, or neither for the default policy', { minLength: 1 })),
+      deviceType: nullable(string(null, { minLength: 1 })),
+      tiers: object(Object.fromEntries(TIER_NAMES.map(tier => [tier, nullable(integer(null, { minimum: 1 }))])), ['raw'], {
+        description: 'Days each tier is kept, null keeps forever; rollup tiers need the sqlite backend'
+      }),
+      enabled: boolean(null, { default: true })
+    }, ['name', 'tiers']),
+
+    RetentionPolicy: stored('RetentionPolicyInput'),
+
+    RetentionRun: object({
+      id: integer(),
+      started_at: dbTime(),
+      finished_at: dbTime(),
+      status: string(),
+      rolled_up_to: nullable(integer()),
+      rows_rolled_up: nullable(integer()),
+      rows_deleted: nullable(integer()),
+      details: arrayOf({}),
+      error: nullable(string())
+    }, ['id', 'status']),
+
+    Health: object({
+      status: string(null, { enum: ['operational', 'degraded'] }),
+      database: string(),
+      storage: string(),
+      timestamp: dateTime(),
+      uptime: number(),
+      memory: object({}),
+      metrics: object({}),
+      machines: schemaRef('MachineSummary'),
+      mqtt: object({}),
+      opcua: object({}),
+      modbus: object({}),
+      retention: object({}),
+      ingestQueue: object({}),
+      guide: object({ available: boolean(), url: string() })
+    }, ['status', 'timestamp'], { description: 'Callers without an API key only get status, timestamp and guide' })
+  },
+
+  responses: {
+    BadRequest: json('The request does not match this description, or fails a check of the route', schemaRef('Error')),
+    Unauthorized: json('No API key, or an invalid or revoked one', schemaRef('Error')),
+    Forbidden: json('The API key lacks the scope or machine', schemaRef('Error')),
+    NotFound: json('Not found', schemaRef('Error')),
+    Conflict: json('Conflicts with the current state', schemaRef('Error')),
+    Gone: json('Removed', schemaRef('Error')),
+    PayloadTooLarge: json(`Payload over 10 MB, or a batch over ${maxBatchItems} items`, schemaRef('Error')),
+    Unprocessable: json('Refused by the device type\'s strict schema contract or timestamp policy', schemaRef('Error')),
+    TooManyRequests: {
+      description: 'Rate limited',
+      headers: { 'Retry-After': { description: 'Seconds until a request goes through', schema: integer() } },
+      content: { 'application/json': { schema: schemaRef('Error') } }
+    },
+    ServerError: json('Database or server error', schemaRef('Error'))
+  }
+});
+
+const recordFilters = [
+  parameterRef('MachineId'),
+  parameterRef('DeviceType'),
+  parameterRef('Location'),
+  parameterRef('Tags'),
+  parameterRef('From'),
+  parameterRef('To'),
+  parameterRef('Filter')
+];
+
+const pageParameters = (defaultLimit) => [
+  queryParam('limit', 'Rows per page', integer(null, { minimum: 1, default: defaultLimit })),
+  parameterRef('Cursor'),
+  parameterRef('Offset'),
+  parameterRef('OrderBy'),
+  parameterRef('Fields'),
+  parameterRef('IncludeTotal'),
+  parameterRef('Units')
+];
+
+const listLimit = (defaultLimit) => queryParam('limit', 'Most recent rows returned', integer(null, { minimum: 1, default: defaultLimit }));
+
+const idParam = (subject) => pathParam('id', `${subject} id`, integer());
+
+// Tag, icon and description per section of the guide and the docs, in display order
+const tags = ({ rateLimits, timestamps }) => [
+  {
+    name: 'Ingest',
+    'x-icon': '🎯',
+    description: text(
+      '**Send ANY JSON.** Payloads need no required fields; the API extracts what it can:',
+      '- **Machine ID:** machineId, machine_id, deviceId, device_id, id, serial, name\n- **Device type:** deviceType, device_type, type, category\n- **Timestamp:** timestamp, time, datetime, created_at, recorded_at\n- **Data:** everything else is stored as measurement data',
+      '**Units:** send `{"temperature": {"value": 180, "unit": "°F"}}` or `"temperature_unit": "°F"` and the value is stored in metric (°C, bar, mm, kg, ...). Devices that never say get defaults per device type under Units.',
+      'Ingest is store-and-forward: payloads go to a durable queue (`INGEST_QUEUE_PATH`) and are answered with `202` and an `ingestId`; a writer commits them to machine data in batches. `GET /api/ingest/:ingestId` tells whether one is still queued, stored (with its record id) or failed; queue depth and lag show up in `/health`.',
+      `Retries are safe: send an \`Idempotency-Key\` header, or name the fields that identify a payload per device type under Deduplication. A payload seen before is answered with \`200\`, \`duplicate: true\` and the first delivery's ingest and record ids instead of being stored again, for as long as the first delivery's row is kept (see Retention).`
+    )
+  },
+  {
+    name: 'Records',
+    'x-icon': '📊',
+    description: text(
+      'List routes return newest first. Follow `pagination.next` with `?cursor=`, narrow with `?filter=temperature > 80 and status in ("fault", "stopped")`, trim rows with `?fields=machine_id,extracted_data` and skip the count with `?includeTotal=false`.',
+      'They sort by arrival; add `?orderBy=timestamp` to sort by device time instead (records without one come last). Read back in another unit system with `?units=imperial` or `?units=si`.',
+      'Exports stream CSV, NDJSON or Parquet with the same filters, and aggregates are served from 1m / 1h rollups once raw rows age out.'
+    )
+  },
+  {
+    name: 'Live stream',
+    'x-icon': '📺',
+    description: text(
+      'Watch records as they arrive instead of polling. Filter with `machineId`, `deviceType` and `where` (e.g. `where=temperature>80`, repeatable).',
+      `- **SSE:** \`GET /api/stream?machineId=PRESS-001\` - reconnecting clients get missed records via \`Last-Event-ID\`\n- **WebSocket:** \`${WS_PATH}?machineId=PRESS-001&apiKey=YOUR_READ_KEY\``
+    )
+  },
+  {
+    name: 'Machines',
+    'x-icon': '🏭',
+    description: 'The machine registry: metadata, tags and aliases (e.g. press_001 -> PRESS-001) per machine, and online / late / offline status from the learned or expected reporting interval. Machines appear on their first reading or can be registered ahead of it.'
+  },
+  {
+    name: 'Mapping profiles',
+    'x-icon': '🗺️',
+    description: 'Devices with nested IDs or epoch timestamps can get their own mapping profile, selected by headers, source IP or payload paths. Try a sample payload with `POST /api/mapping-profiles/dry-run` first.'
+  },
+  {
+    name: 'Units',
+    'x-icon': '📏',
+    description: 'Units assumed per device type when a payload does not declare them, e.g. `{ "fields": { "temperature": "°F" } }`.'
+  },
+  {
+    name: 'Schema contracts',
+    'x-icon': '📜',
+    description: 'Register a JSON Schema for a device type with mode `warn` (store and flag) or `strict` (reject with 422). Violations are listed under `/api/schema-violations`.'
+  },
+  {
+    name: 'Deduplication',
+    'x-icon': '🧹',
+    description: 'Natural keys name the fields that identify a payload per device type (e.g. `{ "fields": ["machineId", "timestamp", "seq"] }`), so resent payloads are recognized at ingest. The duplicate scan reports rows already stored twice (same machine and raw payload), and removes the extra copies with `{ "remove": true }`.'
+  },
+  {
+    name: 'Device timestamps',
+    'x-icon': '🕒',
+    description: text(
+      'Each record stores how far the device timestamp is off the arrival time (`clock_skew_ms` in its metadata, `out_of_order` when it is older than one the machine sent before), and the clock offset of each machine is estimated from them.',
+      `Only accepted, non-duplicate timestamps in order count, and a new offset only once ${CONFIRM_SKEWS} in a row agree, so backfills and redeliveries leave it alone; until then a machine has no offset and its timestamps are flagged rather than corrected.`,
+      `Beyond ${timestamps.toleranceSeconds} seconds (\`TIMESTAMP_SKEW_TOLERANCE_SECONDS\`) a timestamp is ${SKEW_OUTCOMES[timestamps.action]} (\`TIMESTAMP_SKEW_ACTION\`). Policies per device type flag, correct or reject instead, e.g. \`{ "action": "correct", "toleranceSeconds": 60, "timeZone": "Europe/Berlin" }\`; the time zone applies to timestamps sent without one and falls back to \`TIMESTAMP_DEFAULT_TIMEZONE\`.`
+    )
+  },
+  {
+    name: 'Alerts',
+    'x-icon': '🚨',
+    description: 'Threshold and change rules per machine or device type, with hysteresis and a minimum duration. Firing, acknowledged and resolved alerts are sent to the rule\'s webhook or `ALERT_WEBHOOK_URL`.'
+  },
+  {
+    name: 'OPC UA',
+    'x-icon': '🔗',
+    description: 'The server can pull from OPC UA controllers (Bosch Rexroth ctrlX, Siemens, ...) itself: give a collector an `endpointUrl`, the `nodes` to read, `machineId`, `deviceType`, `mode` (subscribe or poll) and `samplingIntervalMs`. Connection state, last values and errors show up per collector.'
+  },
+  {
+    name: 'Modbus TCP',
+    'x-icon': '🔌',
+    description: 'Describe a device type\'s registers once (`field`, `address`, `functionCode`, `dataType` such as int16 / uint32 / float32, `byteOrder`, `scale`), then add hosts. Each device is polled on its interval; errors and timeouts are listed per device.'
+  },
+  {
+    name: 'Rate limits',
+    'x-icon': '⚡',
+    description: text(
+      `Token buckets per API key (or IP without one): ${rateLimits.read.ratePerMinute} reads and ${rateLimits.ingest.ratePerMinute} ingest requests per minute, and ${rateLimits.machine.ratePerMinute} payloads per minute per machine, whoever sends them, with bursts of ${rateLimits.machine.burst}, overridable per machine. A device type rule limits all machines of the type together, on top of their own limits.`,
+      'Batches take one token per machine in them (and per machine from its device type); items of machines over a limit are rejected individually. Rejected payloads are counted per machine under `statistics.rateLimited` in `/api/stats`.'
+    )
+  },
+  {
+    name: 'Retention',
+    'x-icon': '🗄️',
+    description: 'Policies per machine, device type or by default keep raw rows and 1m / 1h rollups for a number of days each. They run on a schedule, or now with `POST /api/retention/run`.'
+  },
+  {
+    name: 'API keys',
+    'x-icon': '🔑',
+    description: 'Every `/api` route needs an API key in the `X-API-Key` header (or `Authorization: Bearer <key>`). Keys carry scopes: **ingest** (send data, optionally limited to specific machine IDs), **read** (query data and stats) and **admin** (everything, including `/api/keys`).'
+  },
+  {
+    name: 'System',
+    'x-icon': '🩺',
+    description: text(
+      '`GET /metrics` serves Prometheus text format to **read** keys: ingest counts per device type and result, request latency per route, storage query durations, the record count, ingest queue depth and the last-seen time per machine. Set `METRICS_MACHINE_LABELS=false` to drop the per-machine series on large fleets.',
+      'This API description is served as `GET /openapi.json` and browsable at `/docs`. Requests are checked against it; set `OPENAPI_VALIDATE_RESPONSES=true` to also log responses that stray from it.'
+    )
+  }
+];
+
+const info = ({ version }) => ({
+  title: 'Flexible Machine Data API',
+  version,
+  description: text(
+    'Send **ANY JSON payload** from your machines - no required fields, no strict validation. The API extracts machine IDs, device types, timestamps and measurements itself, and stores the payload as sent next to them.',
+    '## 💾 Storage',
+    'Machine data goes to SQLite (`DB_PATH`) by default. Set `STORAGE_BACKEND=postgres` and `DATABASE_URL` to keep it in PostgreSQL instead, as JSONB and a TimescaleDB hypertable when the extension is installed. Configuration stays in SQLite, and retention on Postgres prunes raw rows only (no 1m / 1h rollups).',
+    'Schema changes are versioned migrations, recorded in a `schema_version` table and applied on start. With `MIGRATE_ON_START=false` the server refuses to start while any are pending: check with `npm run migrate:status` and apply them with `npm run migrate`.',
+    '## 📡 MQTT',
+    'Set `MQTT_URL` and the server subscribes to `MQTT_TOPICS` (comma-separated) with QoS 1. Name topic segments to identify machines whose payloads do not, e.g. `factory/+line/machines/+machineId/telemetry`. Messages go through the same extraction, schema and insert path as `POST /api/machine-data`; a JSON array is one reading per item, queued all together. The broker session is kept per client ID, `machine-data-api-<hostname>` unless `MQTT_CLIENT_ID` is set - set it for each server when several run on one host.'
+  )
+});
+
+const paths = ({ maxBatchItems, ingestRetainHours }) => ({
+  '/health': {
+    get: operation({
+      tag: 'System',
+      summary: 'Service status, or the guide with ?guide=true',
+      description: 'Without an API key only whether the service is up; with one also database, queue, machine and connector status.',
+      security: [{}, { ApiKeyHeader: [] }, { BearerAuth: [] }],
+      rateLimited: false,
+      parameters: [queryParam('guide', 'true returns the HTML guide', boolean())],
+      responses: {
+        200: {
+          description: 'Status, or the guide',
+          content: {
+            'application/json': { schema: schemaRef('Health') },
+            'text/html': { schema: string() }
+          }
+        }
+      }
+    })
+  },
+
+  '/metrics': {
+    get: operation({
+      tag: 'System',
+      summary: 'Prometheus metrics',
+      description: 'Ingest counts per device type and result (stored, duplicate, rejected, rate_limited, failed), request latency per route, storage query durations, record count, ingest queue depth and lag, and the last-seen time per machine (`METRICS_MACHINE_LABELS=false` drops those). Scrape with `authorization: { credentials: <key> }`.',
+      scope: 'read',
+      rateLimited: false,
+      responses: {
+        200: { description: 'Prometheus text format', content: { 'text/plain': { schema: string() } } }
+      }
+    })
+  },
+
+  '/openapi.json': {
+    get: operation({
+      tag: 'System',
+      summary: 'This API description (OpenAPI 3.1)',
+      scope: 'read',
+      rateLimited: false,
+      responses: {
+        200: json('OpenAPI document', object({ openapi: string(), info: object({}), paths: object({}) }, ['openapi', 'paths']))
+      }
+    })
+  },
+
+  '/docs': {
+    get: operation({
+      tag: 'System',
+      summary: 'Interactive API reference',
+      description: 'Swagger UI over /openapi.json; asks for a read key when authentication is on.',
+      security: [],
+      rateLimited: false,
+      responses: {
+        200: { description: 'HTML page', content: { 'text/html': { schema: string() } } }
+      }
+    })
+  },
+
+  '/api/machine-data': {
+    post: operation({
+      tag: 'Ingest',
+      summary: 'Send one payload (any JSON object)',
+      description: 'Queued durably and answered with 202 and an ingest id; a retry of an accepted payload gets 200 and the first delivery\'s ids. An ingest key bound to machine IDs may only write as those machines.',
+      scope: 'ingest',
+      parameters: [parameterRef('IdempotencyKey')],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: object({}, [], { description: 'Any JSON object' }),
+            examples: {
+              simple: {
+                summary: 'Simple data',
+                value: { temp: 25.6, status: 'running', location: 'Factory Floor A' }
+              },
+              rich: {
+                summary: 'Rich machine data',
+                value: {
+                  machineId: 'PRESS-001',
+                  deviceType: 'hydraulic_press',
+                  timestamp: '2026-06-10T14:30:00Z',
+                  pressure: 1500,
+                  temperature: 78.2,
+                  cycles_completed: 1247,
+                  operator: 'John Smith',
+                  shift: 'morning'
+                }
+              },
+              anything: {
+                summary: 'Whatever your machine sends',
+                value: {
+                  xyz_sensor_reading: 42.7,
+                  custom_field_name: 'some_value',
+                  nested_object: { sub_field: 123, another_field: true },
+                  timestamp_field: '2026-06-10T14:30:00Z'
+                }
+              }
+            }
+          },
+          'application/x-www-form-urlencoded': { schema: object({}) }
+        }
+      },
+      responses: {
+        200: json('Received before under the same Idempotency-Key or natural key; not stored again', schemaRef('IngestDuplicate')),
+        202: json('Queued for storage', schemaRef('IngestAccepted'))
+      },
+      errors: [413, 422]
+    }),
+    get: operation({
+      tag: 'Records',
+      summary: 'List records',
+      scope: 'read',
+      parameters: [...recordFilters, ...pageParameters(100)],
+      responses: {
+        200: json('One page of records', success(arrayOf(schemaRef('Record')), { pagination: schemaRef('Pagination') }))
+      }
+    })
+  },
+
+  '/api/machine-data/batch': {
+    post: operation({
+      tag: 'Ingest',
+      summary: 'Send many payloads at once (JSON array or NDJSON)',
+      description: `Up to ${maxBatchItems} items, each accepted or rejected on its own. 202 when all were queued, 200 when all of them had been received before, 207 when some were rejected, 400 or 429 when none were accepted. With an Idempotency-Key each item is deduplicated as <key>:<index>.`,
+      scope: 'ingest',
+      parameters: [parameterRef('IdempotencyKey')],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': { schema: arrayOf({}, { description: 'Payloads; items that are not objects are rejected individually' }) },
+          'application/x-ndjson': { schema: string('One JSON object per line') },
+          'application/ndjson': { schema: string('One JSON object per line') }
+        }
+      },
+      responses: {
+        200: json('Every accepted item was received before', schemaRef('BatchResult')),
+        202: json('Every item was queued', schemaRef('BatchResult')),
+        207: json('Some items were rejected', schemaRef('BatchResult')),
+        400: json('No item was accepted, or the body is not a batch', { anyOf: [schemaRef('BatchResult'), schemaRef('Error')] }),
+        429: {
+          description: 'Rate limited: the caller, or every machine in the batch',
+          headers: { 'Retry-After': { description: 'Seconds until a request goes through', schema: integer() } },
+          content: { 'application/json': { schema: { anyOf: [schemaRef('BatchResult'), schemaRef('Error')] } } }
+        }
+      },
+      errors: [413]
+    })
+  },
+
+  '/api/ingest/{ingestId}': {
+    get: operation({
+      tag: 'Ingest',
+      summary: 'Status of a queued payload',
+      description: `Stored entries are kept for ${ingestRetainHours} hours.`,
+      scope: 'ingest',
+      parameters: [pathParam('ingestId', 'Ingest id from the POST response')],
+      responses: {
+        200: json('Queued, stored (with its record id) or failed', success(schemaRef('IngestStatus')))
+      },
+      errors: [404]
+    })
+  },
+
+  '/api/machine-data/{machineId}': {
+    get: operation({
+      tag: 'Records',
+      summary: 'List records of one machine',
+      description: 'Aliases resolve to the machine they belong to. 404 when the machine has no records at all.',
+      scope: 'read',
+      parameters: [pathParam('machineId', 'Machine ID or alias'), parameterRef('Filter'), ...pageParameters(50)],
+      responses: {
+        200: json('One page of records', success(arrayOf(schemaRef('Record')), {
+          machineId: string(),
+          recordCount: integer('Records on this page'),
+          pagination: schemaRef('Pagination')
+        }))
+      },
+      errors: [404]
+    })
+  },
+
+  '/api/stats': {
+    get: operation({
+      tag: 'Records',
+      summary: 'Statistics',
+      scope: 'read',
+      parameters: [parameterRef('Location'), parameterRef('Tags')],
+      responses: {
+        200: json('Statistics', object({
+          success: { const: true },
+          statistics: object({
+            totalMessages: integer('Including rows pruned by retention'),
+            uniqueMachines: integer(),
+            deviceTypes: arrayOf(nullable(string())),
+            recentActivity24h: integer(),
+            lastMessage: nullable(string()),
+            topMachines: arrayOf(object({ machine_id: string(), message_count: integer() })),
+            rateLimited: object({
+              total: integer(),
+              byMachine: arrayOf(object({ machineId: nullable(string()), count: integer(), lastRejectedAt: string() }))
+            })
+          })
+        }, ['success', 'statistics']))
+      }
+    })
+  },
+
+  '/api/export/{format}': {
+    get: operation({
+      tag: 'Records',
+      summary: 'Export records',
+      description: 'Streamed, oldest first. CSV and Parquet flatten extracted_data into columns and leave out the raw payload.',
+      scope: 'read',
+      parameters: [
+        pathParam('format', 'File format', string(null, { enum: Object.keys(EXPORT_FORMATS) })),
+        ...recordFilters,
+        parameterRef('Units')
+      ],
+      responses: {
+        200: {
+          description: 'The export as a file download',
+          headers: { 'Content-Disposition': { description: 'attachment; filename=...', schema: string() } },
+          content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) =>
+            [contentType.split(';')[0], { schema: string(null, { format: 'binary' }) }]))
+        }
+      }
+    })
+  },
+
+  '/api/aggregate': {
+    get: operation({
+      tag: 'Records',
+      summary: 'Time-bucketed aggregates of one field',
+      description: 'Buckets by device time, falling back to arrival time. Past the raw retention window the data comes from rollups, which cannot give percentiles.',
+      scope: 'read',
+      parameters: [
+        parameterRef('MachineId'),
+        parameterRef('DeviceType'),
+        queryParam('field', 'Path inside extracted_data, e.g. temperature or axis.x.position', string(), { required: true }),
+        queryParam('bucket', 'Bucket size', string(null, { enum: Object.keys(BUCKETS), default: '1h' })),
+        queryParam('functions', `Comma-separated: ${BASIC_FUNCTIONS.join(', ')} or a percentile such as p95 (default avg,min,max,count)`),
+        queryParam('from', 'Start (ISO 8601), 24 hours before to by default'),
+        queryParam('to', 'End (ISO 8601), now by default'),
+        parameterRef('Units')
+      ],
+      responses: {
+        200: json('Buckets', success(arrayOf(object({ bucket: dateTime('Bucket start') }, ['bucket'], {
+          additionalProperties: nullable(number()),
+          description: 'One value per requested function'
+        })), {
+          query: object({}),
+          tier: string('Where the data came from', { enum: ['raw', '1m', '1h'] }),
+          retention: nullable(object({ policy: string(), dataSince: nullable(string()) })),
+          unit: nullable(string()),
+          bucketCount: integer()
+        }))
+      }
+    })
+  },
+
+  '/api/stream': {
+    get: operation({
+      tag: 'Live stream',
+      summary: 'Live records over Server-Sent Events',
+      description: 'Each record is a machine-data event with the record id as event id. Reconnecting with Last-Event-ID (or ?lastEventId=) replays what was missed first.',
+      scope: 'read',
+      parameters: [
+        parameterRef('MachineId'),
+        parameterRef('DeviceType'),
+        queryParam('where', 'Predicate on extracted_data such as temperature>80; repeatable, all must hold', arrayOf(string())),
+        parameterRef('Units'),
+        queryParam('lastEventId', 'Replay records after this id', integer()),
+        { name: 'Last-Event-ID', in: 'header', description: 'Set by reconnecting EventSource clients', schema: integer() }
+      ],
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: string() } } }
+      }
+    })
+  },
+
+  [WS_PATH]: {
+    get: operation({
+      tag: 'Live stream',
+      summary: 'Live records over WebSocket',
+      description: 'Upgrade request; each record arrives as one JSON message. Browsers cannot set headers here, so the key may be passed as ?apiKey=.',
+      scope: 'read',
+      'x-websocket': true,
+      parameters: [
+        parameterRef('MachineId'),
+        parameterRef('DeviceType'),
+        queryParam('where', 'Predicate on extracted_data such as temperature>80; repeatable', arrayOf(string())),
+        parameterRef('Units'),
+        queryParam('apiKey', 'Read key, for clients that cannot send headers')
+      ],
+      responses: {
+        101: { description: 'Switching to the WebSocket protocol' }
+      }
+    })
+  },
+
+  '/api/machines': {
+    get: operation({
+      tag: 'Machines',
+      summary: 'List machines',
+      scope: 'read',
+      parameters: [
+        queryParam('status', 'Only machines in this state', string(null, { enum: MACHINE_STATUSES })),
+        parameterRef('DeviceType'),
+        parameterRef('Location'),
+        queryParam('line', 'Only machines on this line'),
+        parameterRef('Tags'),
+        queryParam('includeDecommissioned', 'Also list decommissioned machines', boolean(null, { default: false }))
+      ],
+      responses: {
+        200: json('Machines by ID', success(arrayOf(schemaRef('Machine')), { summary: schemaRef('MachineSummary') }))
+      }
+    }),
+    post: operation({
+      tag: 'Machines',
+      summary: 'Register a machine ahead of its first reading',
+      scope: 'admin',
+      requestBody: jsonBody({ allOf: [schemaRef('MachineInput'), { required: ['machineId'] }] }),
+      responses: {
+        201: json('Registered', success(schemaRef('Machine')))
+      },
+      errors: [409]
+    })
+  },
+
+  '/api/machines/{machineId}': {
+    parameters: [pathParam('machineId', 'Machine ID or alias')],
+    get: operation({
+      tag: 'Machines',
+      summary: 'Get a machine with its record count and latest record',
+      scope: 'read',
+      responses: {
+        200: json('The machine', success({
+          allOf: [schemaRef('Machine'), object({ recordCount: integer(), latestRecord: nullable(schemaRef('Record')) })]
+        }))
+      },
+      errors: [404]
+    }),
+    patch: operation({
+      tag: 'Machines',
+      summary: 'Update metadata, aliases or the expected interval',
+      description: 'A machine that has already reported under one of the aliases is folded in: its registry entry merges into this one and its stored data is read through the alias. An alias that other machines are aliases of is a conflict (409).',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('MachineInput')),
+      responses: {
+        200: json('Updated', success(schemaRef('Machine')))
+      },
+      errors: [404, 409]
+    }),
+    delete: operation({
+      tag: 'Machines',
+      summary: 'Decommission a machine',
+      description: 'It leaves listings and status checks; its data stays.',
+      scope: 'admin',
+      responses: {
+        200: json('Decommissioned', success(schemaRef('Machine'), { message: string() }))
+      },
+      errors: [404]
+    })
+  },
+
+  '/api/mapping-profiles': {
+    get: operation({
+      tag: 'Mapping profiles',
+      summary: 'List mapping profiles',
+      scope: 'admin',
+      responses: {
+        200: json('Profiles, highest priority first', success(arrayOf(schemaRef('MappingProfile')), {
+          defaultRules: schemaRef('MappingRules')
+        }))
+      }
+    }),
+    post: operation({
+      tag: 'Mapping profiles',
+      summary: 'Create a mapping profile',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('MappingProfileInput')),
+      responses: {
+        201: json('Created', success(schemaRef('MappingProfile')))
+      },
+      errors: [409]
+    })
+  },
+
+  '/api/mapping-profiles/dry-run': {
+    post: operation({
+      tag: 'Mapping profiles',
+      summary: 'Show what a sample payload extracts to',
+      description: 'Uses the profile given inline or by id, or the one that would be selected. Nothing is stored.',
+      scope: 'admin',
+      requestBody: jsonBody(object({
+        payload: object({}, [], { description: 'Sample payload' }),
+        headers: object({}, [], { additionalProperties: string() }),
+        sourceIp: nullable(string()),
+        profileId: integer(),
+        profile: schemaRef('MappingProfileInput')
+      }, ['payload'])),
+      responses: {
+        200: json('Extraction result', object({
+          success: { const: true },
+          profile: nullable(string()),
+          matches: boolean('Whether the profile\'s match conditions select the payload'),
+          extracted: schemaRef('Extracted')
+        }, ['success', 'extracted']))
+      },
+      errors: [404]
+    })
+  },
+
+  '/api/mapping-profiles/{id}': {
+    parameters: [idParam('Mapping profile')],
+    get: operation({
+      tag: 'Mapping profiles',
+      summary: 'Get a mapping profile',
+      scope: 'admin',
+      responses: { 200: json('The profile', success(schemaRef('MappingProfile'))) },
+      errors: [404]
+    }),
+    put: operation({
+      tag: 'Mapping profiles',
+      summary: 'Replace a mapping profile',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('MappingProfileInput')),
+      responses: { 200: json('Updated', success(schemaRef('MappingProfile'))) },
+      errors: [404, 409]
+    }),
+    delete: operation({
+      tag: 'Mapping profiles',
+      summary: 'Delete a mapping profile',
+      scope: 'admin',
+      responses: deleted('Profile'),
+      errors: [404]
+    })
+  },
+
+  '/api/unit-configs': {
+    get: operation({
+      tag: 'Units',
+      summary: 'List unit configurations and supported units',
+      scope: 'read',
+      responses: {
+        200: json('Configurations', success(arrayOf(schemaRef('UnitConfig')), {
+          supportedUnits: object({}, [], { additionalProperties: arrayOf(string()), description: 'Quantity -> units' }),
+          unitSystems: object({}, [], { description: 'Unit system -> unit per quantity' })
+        }))
+      }
+    })
+  },
+
+  '/api/unit-configs/{deviceType}': {
+    parameters: [parameterRef('DeviceTypePath')],
+    get: operation({
+      tag: 'Units',
+      summary: 'Get the units of a device type',
+      scope: 'read',
+      responses: { 200: json('Configuration', success(schemaRef('UnitConfig'))) },
+      errors: [404]
+    }),
+    put: operation({
+      tag: 'Units',
+      summary: 'Set the units of a device type',
+      scope: 'admin',
+      requestBody: jsonBody(object({
+        fields: object({}, [], { additionalProperties: string(), minProperties: 1, description: 'Field path -> unit' })
+      }, ['fields'])),
+      responses: { 200: json('Saved', success(schemaRef('UnitConfig'))) }
+    }),
+    delete: operation({
+      tag: 'Units',
+      summary: 'Delete the units of a device type',
+      scope: 'admin',
+      responses: deleted('Configuration'),
+      errors: [404]
+    })
+  },
+
+  '/api/device-schemas': {
+    get: operation({
+      tag: 'Schema contracts',
+      summary: 'List schema contracts',
+      scope: 'read',
+      responses: { 200: json('Contracts', success(arrayOf(schemaRef('SchemaContract')))) }
+    })
+  },
+
+  '/api/device-schemas/{deviceType}': {
+    parameters: [parameterRef('DeviceTypePath')],
+    get: operation({
+      tag: 'Schema contracts',
+      summary: 'Get the schema contract of a device type',
+      scope: 'read',
+      responses: { 200: json('Contract', success(schemaRef('SchemaContract'))) },
+      errors: [404]
+    }),
+    put: operation({
+      tag: 'Schema contracts',
+      summary: 'Set the schema contract of a device type',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('SchemaContractInput')),
+      responses: { 200: json('Saved', success(schemaRef('SchemaContract'))) }
+    }),
+    delete: operation({
+      tag: 'Schema contracts',
+      summary: 'Delete the schema contract of a device type',
+      scope: 'admin',
+      responses: deleted('Contract'),
+      errors: [404]
+    })
+  },
+
+  '/api/schema-violations': {
+    get: operation({
+      tag: 'Schema contracts',
+      summary: 'List schema violations, newest first',
+      scope: 'read',
+      parameters: [
+        parameterRef('MachineId'),
+        parameterRef('DeviceType'),
+        queryParam('mode', 'warn (stored) or strict (rejected)', string(null, { enum: SCHEMA_MODES })),
+        listLimit(100)
+      ],
+      responses: { 200: json('Violations', success(arrayOf(schemaRef('SchemaViolation')))) }
+    })
+  },
+
+  '/api/schema-violations/by-machine': {
+    get: operation({
+      tag: 'Schema contracts',
+      summary: 'Violation counts per machine',
+      scope: 'read',
+      responses: {
+        200: json('Counts', success(arrayOf(object({
+          machine_id: nullable(string()),
+          device_type: nullable(string()),
+          total: integer(),
+          rejected: integer(),
+          flagged: integer(),
+          last_violation_at: dbTime()
+        }))))
+      }
+    })
+  },
+
+  '/api/deduplication/natural-keys': {
+    get: operation({
+      tag: 'Deduplication',
+      summary: 'List natural keys',
+      scope: 'read',
+      responses: { 200: json('Natural keys', success(arrayOf(schemaRef('NaturalKey')))) }
+    })
+  },
+
+  '/api/deduplication/natural-keys/{deviceType}': {
+    parameters: [parameterRef('DeviceTypePath')],
+    put: operation({
+      tag: 'Deduplication',
+      summary: 'Set the natural key of a device type',
+      scope: 'admin',
+      requestBody: jsonBody(object({
+        fields: arrayOf(string(), { minItems: 1, maxItems: MAX_KEY_FIELDS, uniqueItems: true })
+      }, ['fields'])),
+      responses: { 200: json('Saved', success(schemaRef('NaturalKey'))) }
+    }),
+    delete: operation({
+      tag: 'Deduplication',
+      summary: 'Delete the natural key of a device type',
+      scope: 'admin',
+      responses: deleted('Natural key'),
+      errors: [404]
+    })
+  },
+
+  '/api/deduplication/scan': {
+    get: operation({
+      tag: 'Deduplication',
+      summary: 'Report of the last duplicate scan',
+      scope: 'read',
+      responses: {
+        200: json('Last report, null before the first scan', object({
+          success: { const: true },
+          running: boolean(),
+          data: nullable(schemaRef('DuplicateScan'))
+        }, ['success', 'running', 'data']))
+      }
+    }),
+    post: operation({
+      tag: 'Deduplication',
+      summary: 'Scan for rows stored twice, and optionally remove them',
+      description: 'Keeps the oldest row of each group. Rollups made from removed rows before the scan are left as they are.',
+      scope: 'admin',
+      requestBody: jsonBody(object({
+        remove: boolean(null, { default: false }),
+        machineId: string(),
+        deviceType: string(),
+        from: string('ISO 8601, on received_at'),
+        to: string('ISO 8601, on received_at')
+      }), { required: false }),
+      responses: { 200: json('Scan report', success(schemaRef('DuplicateScan'))) },
+      errors: [409]
+    })
+  },
+
+  '/api/timestamps/policies': {
+    get: operation({
+      tag: 'Device timestamps',
+      summary: 'Defaults and timestamp policies per device type',
+      scope: 'read',
+      responses: {
+        200: json('Policies', success(object({
+          defaults: schemaRef('TimestampPolicy'),
+          deviceTypes: arrayOf({ allOf: [schemaRef('TimestampPolicy'), object({ deviceType: string() }, ['deviceType'])] })
+        })))
+      }
+    })
+  },
+
+  '/api/timestamps/policies/{deviceType}': {
+    parameters: [parameterRef('DeviceTypePath')],
+    put: operation({
+      tag: 'Device timestamps',
+      summary: 'Set the timestamp policy of a device type',
+      description: 'Omitted fields take the server defaults.',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('TimestampPolicy')),
+      responses: {
+        200: json('Saved', success({ allOf: [schemaRef('TimestampPolicy'), object({ deviceType: string() }, ['deviceType'])] }))
+      }
+    }),
+    delete: operation({
+      tag: 'Device timestamps',
+      summary: 'Delete the timestamp policy of a device type',
+      scope: 'admin',
+      responses: deleted('Policy'),
+      errors: [404]
+    })
+  },
+
+  '/api/timestamps/clocks': {
+    get: operation({
+      tag: 'Device timestamps',
+      summary: 'Estimated clock offset per machine, largest first',
+      scope: 'read',
+      responses: {
+        200: json('Clock offsets', success(arrayOf({ allOf: [schemaRef('ClockEstimate'), object({ machineId: string() }, ['machineId'])] })))
+      }
+    })
+  },
+
+  '/api/alert-rules': {
+    get: operation({
+      tag: 'Alerts',
+      summary: 'List alert rules',
+      scope: 'admin',
+      responses: { 200: json('Rules', success(arrayOf(schemaRef('AlertRule')))) }
+    }),
+    post: operation({
+      tag: 'Alerts',
+      summary: 'Create an alert rule',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('AlertRuleInput')),
+      responses: { 201: json('Created', success(schemaRef('AlertRule'))) }
+    })
+  },
+
+  '/api/alert-rules/{id}': {
+    parameters: [idParam('Alert rule')],
+    get: operation({
+      tag: 'Alerts',
+      summary: 'Get an alert rule',
+      scope: 'admin',
+      responses: { 200: json('The rule', success(schemaRef('AlertRule'))) },
+      errors: [404]
+    }),
+    put: operation({
+      tag: 'Alerts',
+      summary: 'Replace an alert rule',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('AlertRuleInput')),
+      responses: { 200: json('Updated', success(schemaRef('AlertRule'))) },
+      errors: [404]
+    }),
+    delete: operation({
+      tag: 'Alerts',
+      summary: 'Delete an alert rule, resolving its open alerts',
+      scope: 'admin',
+      responses: deleted('Rule'),
+      errors: [404]
+    })
+  },
+
+  '/api/alerts': {
+    get: operation({
+      tag: 'Alerts',
+      summary: 'List alerts, newest first',
+      scope: 'read',
+      parameters: [
+        queryParam('state', 'Only alerts in this state', string(null, { enum: ALERT_STATES })),
+        parameterRef('MachineId'),
+        queryParam('ruleId', 'Only alerts of this rule', integer()),
+        listLimit(100)
+      ],
+      responses: { 200: json('Alerts', success(arrayOf(schemaRef('Alert')))) }
+    })
+  },
+
+  '/api/alerts/{id}': {
+    get: operation({
+      tag: 'Alerts',
+      summary: 'Get an alert',
+      scope: 'read',
+      parameters: [idParam('Alert')],
+      responses: { 200: json('The alert', success(schemaRef('Alert'))) },
+      errors: [404]
+    })
+  },
+
+  '/api/alerts/{id}/acknowledge': {
+    post: operation({
+      tag: 'Alerts',
+      summary: 'Acknowledge a firing alert',
+      description: 'It stays open until the condition clears.',
+      scope: 'admin',
+      parameters: [idParam('Alert')],
+      requestBody: jsonBody(object({
+        by: nullable(string('Who acknowledged it; the API key name by default'))
+      }), { required: false }),
+      responses: { 200: json('Acknowledged', success(schemaRef('Alert'))) },
+      errors: [404, 409]
+    })
+  },
+
+  '/api/opcua-collectors': {
+    get: operation({
+      tag: 'OPC UA',
+      summary: 'List OPC UA collectors with their status',
+      scope: 'read',
+      responses: { 200: json('Collectors', success(arrayOf(schemaRef('OpcUaCollector')))) }
+    }),
+    post: operation({
+      tag: 'OPC UA',
+      summary: 'Add an OPC UA collector',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('OpcUaCollectorInput')),
+      responses: { 201: json('Created and started', success(schemaRef('OpcUaCollector'))) },
+      errors: [409]
+    })
+  },
+
+  '/api/opcua-collectors/{id}': {
+    parameters: [idParam('Collector')],
+    get: operation({
+      tag: 'OPC UA',
+      summary: 'Get an OPC UA collector',
+      scope: 'read',
+      responses: { 200: json('The collector', success(schemaRef('OpcUaCollector'))) },
+      errors: [404]
+    }),
+    put: operation({
+      tag: 'OPC UA',
+      summary: 'Replace an OPC UA collector',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('OpcUaCollectorInput')),
+      responses: { 200: json('Updated and restarted', success(schemaRef('OpcUaCollector'))) },
+      errors: [404, 409]
+    }),
+    delete: operation({
+      tag: 'OPC UA',
+      summary: 'Delete an OPC UA collector',
+      scope: 'admin',
+      responses: deleted('Collector'),
+      errors: [404]
+    })
+  },
+
+  '/api/modbus/register-maps': {
+    get: operation({
+      tag: 'Modbus TCP',
+      summary: 'List register maps',
+      scope: 'read',
+      responses: { 200: json('Register maps', success(arrayOf(schemaRef('RegisterMap')))) }
+    })
+  },
+
+  '/api/modbus/register-maps/{deviceType}': {
+    parameters: [parameterRef('DeviceTypePath')],
+    get: operation({
+      tag: 'Modbus TCP',
+      summary: 'Get the register map of a device type',
+      scope: 'read',
+      responses: { 200: json('Register map', success(schemaRef('RegisterMap'))) },
+      errors: [404]
+    }),
+    put: operation({
+      tag: 'Modbus TCP',
+      summary: 'Set the register map of a device type',
+      scope: 'admin',
+      requestBody: jsonBody(object({ registers: arrayOf(schemaRef('ModbusRegister'), { minItems: 1 }) }, ['registers'])),
+      responses: { 200: json('Saved', success(schemaRef('RegisterMap'))) }
+    }),
+    delete: operation({
+      tag: 'Modbus TCP',
+      summary: 'Delete the register map of a device type',
+      scope: 'admin',
+      responses: deleted('Register map'),
+      errors: [404]
+    })
+  },
+
+  '/api/modbus/devices': {
+    get: operation({
+      tag: 'Modbus TCP',
+      summary: 'List Modbus devices with their status',
+      scope: 'read',
+      responses: { 200: json('Devices', success(arrayOf(schemaRef('ModbusDevice')))) }
+    }),
+    post: operation({
+      tag: 'Modbus TCP',
+      summary: 'Add a Modbus device',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('ModbusDeviceInput')),
+      responses: { 201: json('Created and polled', success(schemaRef('ModbusDevice'))) },
+      errors: [409]
+    })
+  },
+
+  '/api/modbus/devices/{id}': {
+    parameters: [idParam('Device')],
+    get: operation({
+      tag: 'Modbus TCP',
+      summary: 'Get a Modbus device',
+      scope: 'read',
+      responses: { 200: json('The device', success(schemaRef('ModbusDevice'))) },
+      errors: [404]
+    }),
+    put: operation({
+      tag: 'Modbus TCP',
+      summary: 'Replace a Modbus device',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('ModbusDeviceInput')),
+      responses: { 200: json('Updated', success(schemaRef('ModbusDevice'))) },
+      errors: [404, 409]
+    }),
+    delete: operation({
+      tag: 'Modbus TCP',
+      summary: 'Delete a Modbus device',
+      scope: 'admin',
+      responses: deleted('Device'),
+      errors: [404]
+    })
+  },
+
+  '/api/rate-limits': {
+    get: operation({
+      tag: 'Rate limits',
+      summary: 'Defaults and rules per machine and device type',
+      scope: 'read',
+      responses: {
+        200: json('Rate limits', success(object({
+          enabled: boolean(),
+          defaults: object({ read: schemaRef('RateLimit'), ingest: schemaRef('RateLimit'), machine: schemaRef('RateLimit') }),
+          machines: arrayOf({ allOf: [schemaRef('RateLimit'), object({ machineId: string() }, ['machineId'])] }),
+          deviceTypes: arrayOf({ allOf: [schemaRef('RateLimit'), object({ deviceType: string() }, ['deviceType'])] })
+        })))
+      }
+    })
+  },
+
+  '/api/rate-limits/machines/{machineId}': {
+    parameters: [pathParam('machineId', 'Machine ID')],
+    put: operation({
+      tag: 'Rate limits',
+      summary: 'Set the rate limit of a machine',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('RateLimit')),
+      responses: {
+        200: json('Saved', success({ allOf: [schemaRef('RateLimit'), object({ machineId: string() }, ['machineId'])] }))
+      }
+    }),
+    delete: operation({
+      tag: 'Rate limits',
+      summary: 'Delete the rate limit of a machine',
+      scope: 'admin',
+      responses: deleted('Rate limit'),
+      errors: [404]
+    })
+  },
+
+  '/api/rate-limits/device-types/{deviceType}': {
+    parameters: [parameterRef('DeviceTypePath')],
+    put: operation({
+      tag: 'Rate limits',
+      summary: 'Set the rate limit of a device type',
+      description: 'One bucket all machines of the type share, on top of each machine\'s own.',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('RateLimit')),
+      responses: {
+        200: json('Saved', success({ allOf: [schemaRef('RateLimit'), object({ deviceType: string() }, ['deviceType'])] }))
+      }
+    }),
+    delete: operation({
+      tag: 'Rate limits',
+      summary: 'Delete the rate limit of a device type',
+      scope: 'admin',
+      responses: deleted('Rate limit'),
+      errors: [404]
+    })
+  },
+
+  '/api/retention/policies': {
+    get: operation({
+      tag: 'Retention',
+      summary: 'List retention policies',
+      scope: 'read',
+      responses: { 200: json('Policies', success(arrayOf(schemaRef('RetentionPolicy')))) }
+    }),
+    post: operation({
+      tag: 'Retention',
+      summary: 'Create a retention policy',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('RetentionPolicyInput')),
+      responses: { 201: json('Created', success(schemaRef('RetentionPolicy'))) },
+      errors: [409]
+    })
+  },
+
+  '/api/retention/policies/{id}': {
+    parameters: [idParam('Retention policy')],
+    get: operation({
+      tag: 'Retention',
+      summary: 'Get a retention policy',
+      scope: 'read',
+      responses: { 200: json('The policy', success(schemaRef('RetentionPolicy'))) },
+      errors: [404]
+    }),
+    put: operation({
+      tag: 'Retention',
+      summary: 'Replace a retention policy',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('RetentionPolicyInput')),
+      responses: { 200: json('Updated', success(schemaRef('RetentionPolicy'))) },
+      errors: [404, 409]
+    }),
+    delete: operation({
+      tag: 'Retention',
+      summary: 'Delete a retention policy',
+      scope: 'admin',
+      responses: deleted('Policy'),
+      errors: [404]
+    })
+  },
+
+  '/api/retention/runs': {
+    get: operation({
+      tag: 'Retention',
+      summary: 'Recent retention runs, newest first',
+      scope: 'read',
+      parameters: [listLimit(50)],
+      responses: { 200: json('Runs', success(arrayOf(schemaRef('RetentionRun')))) }
+    })
+  },
+
+  '/api/retention/run': {
+    post: operation({
+      tag: 'Retention',
+      summary: 'Roll up and prune now',
+      description: 'Joins the run in progress, if any.',
+      scope: 'admin',
+      responses: { 200: json('The finished run', success(schemaRef('RetentionRun'))) },
+      errors: [409]
+    })
+  },
+
+  '/api/keys': {
+    get: operation({
+      tag: 'API keys',
+      summary: 'List API keys',
+      scope: 'admin',
+      responses: { 200: json('Keys, revoked ones included', success(arrayOf(schemaRef('ApiKey')))) }
+    }),
+    post: operation({
+      tag: 'API keys',
+      summary: 'Issue an API key',
+      scope: 'admin',
+      requestBody: jsonBody(schemaRef('ApiKeyInput')),
+      responses: { 201: json('Issued; the key is only shown now', schemaRef('IssuedKey')) }
+    })
+  },
+
+  '/api/keys/{id}/rotate': {
+    post: operation({
+      tag: 'API keys',
+      summary: 'Replace the secret of an API key',
+      description: 'Name, scopes and machine bindings stay; the previous key stops working.',
+      scope: 'admin',
+      parameters: [idParam('API key')],
+      responses: { 200: json('Rotated; the new key is only shown now', schemaRef('IssuedKey')) },
+      errors: [404]
+    })
+  },
+
+  '/api/keys/{id}': {
+    delete: operation({
+      tag: 'API keys',
+      summary: 'Revoke an API key',
+      scope: 'admin',
+      parameters: [idParam('API key')],
+      responses: deleted('Key revoked; it'),
+      errors: [404]
+    })
+  },
+
+  '/api/cleanup': {
+    delete: operation({
+      tag: 'Retention',
+      summary: 'Replaced by retention policies',
+      scope: 'admin',
+      deprecated: true,
+      responses: {},
+      errors: [410]
+    })
+  }
+});
+
+/**
+ * The OpenAPI 3.1 description of every route: the source for request and response validation, the docs
+ * at /docs, the guide at /health?guide=true and the 404 endpoint list (see lib/openapi.js). Settings that
+ * shape the API - batch size, rate limits, timestamp defaults, ingest retention - are read from the running
+ * configuration, so the document describes this server rather than the defaults.
+ */
+const buildApiSpec = ({ version, maxBatchItems, ingestRetainHours, rateLimits, timestamps }) => ({
+  openapi: '3.1.0',
+  info: info({ version }),
+  tags: tags({ rateLimits, timestamps }),
+  security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+  paths: paths({ maxBatchItems, ingestRetainHours }),
+  components: components({ maxBatchItems })
+});
+
+module.exports = {
+  buildApiSpec
+};
@@ -0,0 +1,66 @@
+// Promise wrappers around the sqlite3 callback API
+
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) return reject(err);
+    resolve({ lastID: this.lastID, changes: this.changes });
+  });
+});
+
+const get = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+});
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+// Work on a connection that must not overlap other such work, one at a time in call order
+const queues = new WeakMap();
+const exclusive = (db, work) => {
+  const result = (queues.get(db) || Promise.resolve()).then(() => work());
+  queues.set(db, result.catch(() => {}));
+  return result;
+};
+
+// One statement on its own: a plain run() on a shared connection joins whichever transaction another
+// module has open there, and is rolled back with it
+const write = (db, sql, params = []) => exclusive(db, () => run(db, sql, params));
+
+/**
+ * Runs work inside BEGIN IMMEDIATE ... COMMIT (ROLLBACK when it throws). A connection has a single
+ * transaction, so every transaction on it goes through here and they take turns - as do statements
+ * passed to exclusive(), which would otherwise end up in whichever transaction is open.
+ */
+const transaction = (db, work) => exclusive(db, async () => {
+  await run(db, 'BEGIN IMMEDIATE');
+  try {
+    const result = await work();
+    await run(db, 'COMMIT');
+    return result;
+  } catch (err) {
+    await run(db, 'ROLLBACK').catch(() => {});
+    throw err;
+  }
+});
+
+// Parse a JSON column, falling back when it is empty or corrupt (Postgres jsonb arrives parsed already)
+const parseJSON = (value, fallback = {}) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+module.exports = {
+  run,
+  get,
+  all,
+  exclusive,
+  write,
+  transaction,
+  parseJSON
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const express = require('express');
+const { parsePath, getPath } = require('./jsonPath');
+const dbAsync = require('./db');
+
+// Key fields that mean the extracted value rather than a path in the payload
+const EXTRACTED_FIELDS = ['machineId', 'timestamp'];
+const MAX_KEY_FIELDS = 10;
+const MAX_REPORTED_GROUPS = 100;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const validateNaturalKey = (body) => {
+  const errors = [];
+  const { fields } = body || {};
+
+  if (!Array.isArray(fields) || fields.length === 0) {
+    errors.push('fields must be a non-empty array');
+  } else {
+    if (fields.length > MAX_KEY_FIELDS) errors.push(`fields may name at most ${MAX_KEY_FIELDS} fields`);
+    for (const field of fields) {
+      if (EXTRACTED_FIELDS.includes(field)) continue;
+      try {
+        parsePath(field);
+      } catch (err) {
+        errors.push(`fields: ${err.message}`);
+      }
+    }
+    if (new Set(fields).size !== fields.length) errors.push('fields must not repeat');
+  }
+
+  return { errors, fields: errors.length ? null : fields };
+};
+
+// Body of a scan request -> storage filter; from / to are ISO dates
+const parseScanFilter = ({ machineId, deviceType, from, to } = {}) => {
+  const errors = [];
+  const filter = {};
+  if (machineId !== undefined) filter.machineId = String(machineId);
+  if (deviceType !== undefined) filter.deviceType = String(deviceType);
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) errors.push(`${name} must be a date`);
+    else filter[name] = date;
+  }
+  return { errors, filter };
+};
+
+/**
+ * Duplicate handling for machine_data.
+ *
+ * Natural keys name the fields that identify a payload per device type, e.g. machineId, timestamp and
+ * a sequence number. machineId and timestamp are the extracted values, anything else is a path in the
+ * raw payload. naturalKey(record) hashes them for the ingest queue, which refuses a second entry with
+ * the same key while the first one is queued or stored.
+ *
+ * The duplicate scan looks for rows already stored twice: same machine and same raw_payload hash. It
+ * reports them and, with remove, deletes all but the oldest row of each group. Rollups made from
+ * removed rows before the scan are left as they are.
+ */
+const createDeduplication = ({
+  db,
+  storage,
+  requireScope = () => (req, res, next) => next()
+}) => {
+  // device type -> key fields
+  let naturalKeys = new Map();
+  let running = null;
+  let lastScan = null;
+
+  const reload = async () => {
+    const rows = await dbAsync.all(db, 'SELECT device_type, fields FROM natural_keys');
+    naturalKeys = new Map(rows.map(row => [row.device_type, dbAsync.parseJSON(row.fields, [])]));
+    return naturalKeys.size;
+  };
+
+  // Hash of the record's natural key, or null when its device type has none or a key field is missing
+  const naturalKey = (record) => {
+    const fields = naturalKeys.get(record.deviceType);
+    if (!fields) return null;
+
+    const values = fields.map(field => (EXTRACTED_FIELDS.includes(field) ? record[field] : getPath(record.rawPayload, field)));
+    if (values.some(value => value === undefined || value === null)) return null;
+    return sha256(JSON.stringify([record.deviceType, ...values]));
+  };
+
+  // Rows up to the current max id, grouped in the database (storage.duplicates), so memory grows with the
+  // duplicates found rather than the table; the first row of a group is the one kept
+  const scan = async ({ filter = {}, remove = false } = {}) => {
+    const startedAt = new Date().toISOString();
+    const { scanned, rows } = await storage.duplicates(filter, { maxId: await storage.maxId() });
+
+    const groups = new Map();
+    for (const row of rows) {
+      if (!groups.has(row.kept_id)) groups.set(row.kept_id, { machineId: row.machine_id, hash: null, keptId: row.kept_id, duplicateIds: [] });
+      groups.get(row.kept_id).duplicateIds.push(row.id);
+    }
+    const reported = [...groups.values()].slice(0, MAX_REPORTED_GROUPS);
+    for (const kept of await storage.getByIds(reported.map(group => group.keptId))) {
+      groups.get(kept.id).hash = sha256(JSON.stringify(kept.raw_payload));
+    }
+
+    const duplicateIds = [...groups.values()].flatMap(group => group.duplicateIds);
+    const removed = remove ? await storage.remove(duplicateIds) : 0;
+
+    lastScan = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      filter,
+      remove,
+      scanned,
+      duplicateGroups: groups.size,
+      duplicates: duplicateIds.length,
+      removed,
+      groups: reported
+    };
+    if (duplicateIds.length) {
+      console.log(`🧹 Duplicate scan: ${duplicateIds.length} duplicates in ${groups.size} groups${remove ? `, removed ${removed}` : ''}`);
+    }
+    return lastScan;
+  };
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const listNaturalKeys = () => [...naturalKeys.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([deviceType, fields]) => ({ deviceType, fields }));
+
+  const router = express.Router();
+
+  router.get('/natural-keys', requireScope('read'), (req, res) => {
+    res.json({ success: true, data: listNaturalKeys() });
+  });
+
+  router.put('/natural-keys/:deviceType', requireScope('admin'), async (req, res) => {
+    const { errors, fields } = validateNaturalKey(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid natural key', details: errors });
+    }
+
+    try {
+      await dbAsync.write(db, `
+        INSERT INTO natural_keys (device_type, fields) VALUES (?, ?)
+        ON CONFLICT(device_type) DO UPDATE SET fields = excluded.fields, updated_at = CURRENT_TIMESTAMP
+      `, [req.params.deviceType, JSON.stringify(fields)]);
+      await reload();
+      res.json({ success: true, data: { deviceType: req.params.deviceType, fields } });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/natural-keys/:deviceType', requireScope('admin'), async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM natural_keys WHERE device_type = ?', [req.params.deviceType]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `No natural key for device type: ${req.params.deviceType}` });
+      }
+      await reload();
+      res.json({ success: true, message: `Natural key for ${req.params.deviceType} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.get('/scan', requireScope('read'), (req, res) => {
+    res.json({ success: true, running: Boolean(running), data: lastScan });
+  });
+
+  // Report duplicates stored so far, or remove them with { "remove": true }
+  router.post('/scan', requireScope('admin'), async (req, res) => {
+    const { remove = false, ...scope } = req.body || {};
+    const { errors, filter } = parseScanFilter(scope);
+    if (typeof remove !== 'boolean') errors.push('remove must be a boolean');
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid scan request', details: errors });
+    }
+    if (running) {
+      return res.status(409).json({ success: false, error: 'A duplicate scan is already running' });
+    }
+
+    running = scan({ filter, remove });
+    try {
+      res.json({ success: true, data: await running });
+    } catch (err) {
+      dbError(res, err);
+    } finally {
+      running = null;
+    }
+  });
+
+  return {
+    reload,
+    naturalKey,
+    scan,
+    router
+  };
+};
+
+module.exports = {
+  MAX_KEY_FIELDS,
+  createDeduplication
+};
@@ -0,0 +1,192 @@
+const { ParquetSchema, ParquetWriter } = require('@dsnp/parquetjs');
+const { RECORD_FIELDS } = require('./records');
+const { applyUnitSystem } = require('./units');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+const PAGE_SIZE = 1000;
+const BASE_COLUMNS = ['id', 'machine_id', 'device_type', 'timestamp', 'received_at'];
+// CSV and Parquet leave out the raw payload
+const FLAT_FIELDS = RECORD_FIELDS.filter(field => field !== 'raw_payload');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// { axis: { x: 1 }, tags: ['a'] } -> { 'axis.x': 1, tags: ['a'] }; arrays stay whole
+const flatten = (value, prefix = '', out = {}) => {
+  for (const [key, child] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length > 0) flatten(child, name, out);
+    else out[name] = child;
+  }
+  return out;
+};
+
+// Extracted fields that clash with a base column keep an extracted_data. prefix
+const columnName = (field) => BASE_COLUMNS.includes(field) ? `extracted_data.${field}` : field;
+
+const flattenRecord = (record) => {
+  const row = {};
+  BASE_COLUMNS.forEach(column => { row[column] = record[column]; });
+  for (const [field, value] of Object.entries(flatten(record.extracted_data || {}))) {
+    row[columnName(field)] = value;
+  }
+  return row;
+};
+
+// Spreadsheet apps run cells starting with = + - @ as formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Pages through the matching records in id order, so memory use does not grow with the export.
+ * Rows after snapshot.maxId are left out; onPage may be async and is awaited.
+ */
+const eachPage = async (storage, snapshot, fields, onPage, shouldStop = () => false) => {
+  let afterId = 0;
+  while (!shouldStop()) {
+    const records = await storage.scan(snapshot.filter, { afterId, maxId: snapshot.maxId, limit: PAGE_SIZE, fields });
+    if (records.length === 0) return;
+    await onPage(records);
+    if (records.length < PAGE_SIZE) return;
+    afterId = records[records.length - 1].id;
+  }
+};
+
+// First pass: column order of first appearance and, for Parquet, one type per column
+const inferColumns = async (storage, snapshot, shouldStop) => {
+  const types = new Map();
+  await eachPage(storage, snapshot, ['id', 'extracted_data'], (records) => {
+    records.forEach(record => {
+      for (const [field, value] of Object.entries(flatten(record.extracted_data || {}))) {
+        const column = columnName(field);
+        const type = typeof value === 'number' ? 'DOUBLE' : typeof value === 'boolean' ? 'BOOLEAN' : 'UTF8';
+        if (value === null) {
+          if (!types.has(column)) types.set(column, null);
+        } else if (!types.get(column)) {
+          types.set(column, type);
+        } else if (types.get(column) !== type) {
+          types.set(column, 'UTF8');
+        }
+      }
+    });
+  }, shouldStop);
+  return types;
+};
+
+// Waits for the client to catch up; a closed connection counts as caught up (shouldStop ends the loop)
+const write = (res, chunk) => new Promise(resolve => {
+  if (res.write(chunk)) return resolve();
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const streamNdjson = async (storage, snapshot, res, { units, shouldStop }) => {
+  await eachPage(storage, snapshot, RECORD_FIELDS, async (records) => {
+    const lines = records.map(record => JSON.stringify(applyUnitSystem(record, units))).join('\n');
+    await write(res, `${lines}\n`);
+  }, shouldStop);
+};
+
+const streamCsv = async (storage, snapshot, res, { units, shouldStop }) => {
+  const columns = [...BASE_COLUMNS, ...(await inferColumns(storage, snapshot, shouldStop)).keys()];
+  await write(res, csvLine(columns));
+
+  await eachPage(storage, snapshot, FLAT_FIELDS, async (records) => {
+    const lines = records.map(record => {
+      const flat = flattenRecord(applyUnitSystem(record, units));
+      return csvLine(columns.map(column => flat[column]));
+    });
+    await write(res, lines.join(''));
+  }, shouldStop);
+};
+
+const streamParquet = async (storage, snapshot, res, { units, shouldStop }) => {
+  const types = await inferColumns(storage, snapshot, shouldStop);
+  const schema = new ParquetSchema({
+    id: { type: 'INT64' },
+    machine_id: { type: 'UTF8', optional: true },
+    device_type: { type: 'UTF8', optional: true },
+    timestamp: { type: 'TIMESTAMP_MILLIS', optional: true },
+    received_at: { type: 'TIMESTAMP_MILLIS', optional: true },
+    ...Object.fromEntries([...types].map(([column, type]) => [column, { type: type || 'UTF8', optional: true }]))
+  });
+
+  const writer = await ParquetWriter.openStream(schema, res);
+  await eachPage(storage, snapshot, FLAT_FIELDS, async (records) => {
+    for (const record of records) {
+      const flat = flattenRecord(applyUnitSystem(record, units));
+      const out = {
+        id: flat.id,
+        machine_id: flat.machine_id,
+        device_type: flat.device_type,
+        timestamp: toDate(flat.timestamp),
+        received_at: toDate(flat.received_at)
+      };
+      for (const [column, type] of types) {
+        const value = flat[column];
+        if (value === null || value === undefined) continue;
+        out[column] = type === 'UTF8' ? (typeof value === 'object' ? JSON.stringify(value) : String(value)) : value;
+      }
+      await writer.appendRow(out);
+    }
+  }, shouldStop);
+  await writer.close();
+};
+
+const STREAMERS = {
+  csv: streamCsv,
+  ndjson: streamNdjson,
+  parquet: streamParquet
+};
+
+/**
+ * Streams the records matching a storage filter to res.
+ * Headers go out before the first row; a failure after that can only abort the response.
+ */
+const streamExport = async (storage, filter, res, { format, units = null }) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const fileName = `machine-data-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  // Rows stored while the export runs are left out, so every pass sees the same set
+  const snapshot = { filter, maxId: await storage.maxId() };
+
+  res.status(200);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  await STREAMERS[format](storage, snapshot, res, { units, shouldStop: () => closed });
+  if (!res.writableEnded) res.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  flatten,
+  streamExport
+};
@@ -0,0 +1,377 @@
+const { toSqlJsonPath, formatPath } = require('./jsonPath');
+
+// Filter expressions over machine_data, e.g.
+//   temperature > 80 and status in ("fault", "stopped")
+//   axis.x exists or not (spindle['load %'] <= 0.5)
+//   timestamp >= "2026-01-01" and received_at < "2026-02-01T00:00:00Z"
+// Paths refer to extracted_data unless they name one of the columns below;
+// extracted_data.<path> reaches a payload field that shares a column name.
+
+const COLUMNS = {
+  machine_id: 'text',
+  device_type: 'text',
+  timestamp: 'time',
+  received_at: 'time'
+};
+const KEYWORDS = ['and', 'or', 'not', 'in', 'exists', 'true', 'false', 'null'];
+const COMPARISONS = ['=', '!=', '<', '<=', '>', '>='];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:\d{2})?$/;
+const MAX_LENGTH = 2000;
+
+const fail = (message, position) => {
+  const err = new Error(`${message} at position ${position}`);
+  err.position = position;
+  throw err;
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (quote) => {
+    let value = '';
+    const start = i;
+    i++;
+    while (i < source.length && source[i] !== quote) {
+      if (source[i] === '\\' && i + 1 < source.length) i++;
+      value += source[i++];
+    }
+    if (i >= source.length) fail('Unterminated string', start);
+    i++;
+    return value;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const start = i;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, position: start });
+      i++;
+    } else if (/[=!<>]/.test(char)) {
+      const pair = source.slice(i, i + 2);
+      const op = pair === '==' ? '=' : COMPARISONS.includes(pair) ? pair : char;
+      if (!COMPARISONS.includes(op)) fail(`Unexpected "${char}"`, start);
+      i += op === char && pair !== '==' ? 1 : 2;
+      tokens.push({ type: 'op', value: op, position: start });
+    } else if (char === '"' || char === "'") {
+      tokens.push({ type: 'string', value: readQuoted(char), position: start });
+    } else if (/[-\d]/.test(char)) {
+      const match = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(source.slice(i));
+      if (!match) fail(`Unexpected "${char}"`, start);
+      i += match[0].length;
+      tokens.push({ type: 'number', value: Number(match[0]), position: start });
+    } else if (/[A-Za-z_$]/.test(char)) {
+      // a.b[0]['odd key'] - read the whole path as one token
+      const segments = [];
+      const identifier = () => {
+        const match = /^[A-Za-z_$][\w$-]*/.exec(source.slice(i));
+        if (!match) fail('Expected a field name', i);
+        i += match[0].length;
+        return match[0];
+      };
+      segments.push(identifier());
+      while (source[i] === '.' || source[i] === '[') {
+        if (source[i] === '.') {
+          i++;
+          segments.push(identifier());
+        } else {
+          const open = i;
+          i++;
+          if (source[i] === '"' || source[i] === "'") {
+            segments.push(readQuoted(source[i]));
+          } else {
+            const match = /^\d+/.exec(source.slice(i));
+            if (!match) fail('Expected an array index or quoted key', i);
+            segments.push(Number(match[0]));
+            i += match[0].length;
+          }
+          if (source[i] !== ']') fail('Expected "]"', open);
+          i++;
+        }
+      }
+      const keyword = segments.length === 1 && KEYWORDS.includes(segments[0].toLowerCase()) ? segments[0].toLowerCase() : null;
+      tokens.push(keyword ? { type: keyword, position: start } : { type: 'path', segments, position: start });
+    } else {
+      fail(`Unexpected "${char}"`, start);
+    }
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+// Recursive descent: or -> and -> not -> predicate | ( or )
+const parse = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const describe = (token) => {
+    if (token.type === 'end') return 'end of expression';
+    if (token.type === 'path') return `"${formatPath(token.segments)}"`;
+    return `"${token.value ?? token.type}"`;
+  };
+  const expect = (type, what) => {
+    const token = next();
+    if (token.type !== type) fail(`Expected ${what} but found ${describe(token)}`, token.position);
+    return token;
+  };
+
+  const literal = () => {
+    const token = next();
+    if (token.type === 'string' || token.type === 'number') return { value: token.value, position: token.position };
+    if (token.type === 'true' || token.type === 'false') return { value: token.type === 'true', position: token.position };
+    if (token.type === 'null') return { value: null, position: token.position };
+    return fail(`Expected a value but found ${describe(token)}`, token.position);
+  };
+
+  const predicate = () => {
+    const field = expect('path', 'a field name');
+    const token = next();
+
+    if (token.type === 'exists') return { type: 'exists', field };
+    if (token.type === 'not') {
+      const after = next();
+      if (after.type === 'exists') return { type: 'not', operand: { type: 'exists', field } };
+      if (after.type !== 'in') fail(`Expected "in" or "exists" after "not" but found ${describe(after)}`, after.position);
+      return { type: 'in', field, values: list(), negated: true };
+    }
+    if (token.type === 'in') return { type: 'in', field, values: list(), negated: false };
+    if (token.type === 'op') return { type: 'compare', field, op: token.value, value: literal() };
+    return fail(`Expected an operator, "in" or "exists" but found ${describe(token)}`, token.position);
+  };
+
+  const list = () => {
+    expect('(', '"("');
+    const values = [literal()];
+    while (peek().type === ',') {
+      next();
+      values.push(literal());
+    }
+    expect(')', '"," or ")"');
+    return values;
+  };
+
+  const unary = () => {
+    if (peek().type === 'not') {
+      next();
+      return { type: 'not', operand: unary() };
+    }
+    if (peek().type === '(') {
+      next();
+      const inner = or();
+      expect(')', '")"');
+      return inner;
+    }
+    return predicate();
+  };
+
+  const and = () => {
+    let node = unary();
+    while (peek().type === 'and') {
+      next();
+      node = { type: 'and', left: node, right: unary() };
+    }
+    return node;
+  };
+
+  const or = () => {
+    let node = and();
+    while (peek().type === 'or') {
+      next();
+      node = { type: 'or', left: node, right: and() };
+    }
+    return node;
+  };
+
+  const tree = or();
+  const rest = peek();
+  if (rest.type !== 'end') fail(`Unexpected ${describe(rest)}`, rest.position);
+  return tree;
+};
+
+// Columns stay columns; anything else is a path into extracted_data, validated here so compiling cannot fail
+const resolveField = ({ segments, position }) => {
+  if (segments.length === 1 && COLUMNS[segments[0]]) {
+    return { kind: COLUMNS[segments[0]], column: segments[0] };
+  }
+  const path = segments[0] === 'extracted_data' && segments.length > 1 ? segments.slice(1) : segments;
+  try {
+    return { kind: 'json', segments: path, jsonPath: toSqlJsonPath(path) };
+  } catch (err) {
+    return fail(err.message, position);
+  }
+};
+
+const timeParam = ({ value, position }) => {
+  if (typeof value === 'number') return new Date(value).toISOString();
+  if (typeof value === 'string' && DATE_PATTERN.test(value.trim()) && !isNaN(new Date(value.trim().replace(' ', 'T')).getTime())) {
+    return value.trim();
+  }
+  return fail('Expected a date (e.g. "2026-01-31T12:00:00Z") or epoch milliseconds', position);
+};
+
+// Resolves fields and checks literals against them: time columns take dates, null only takes = / !=
+const resolve = (node) => {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return { ...node, left: resolve(node.left), right: resolve(node.right) };
+    case 'not':
+      return { ...node, operand: resolve(node.operand) };
+    case 'exists':
+      return { ...node, field: resolveField(node.field) };
+    case 'in': {
+      const field = resolveField(node.field);
+      return { ...node, field, values: node.values.map(value => field.kind === 'time' ? timeParam(value) : value.value) };
+    }
+    case 'compare': {
+      const field = resolveField(node.field);
+      const { value, position } = node.value;
+      if (value === null && node.op !== '=' && node.op !== '!=') fail('null can only be compared with = or !=', position);
+      return { ...node, field, value: value !== null && field.kind === 'time' ? timeParam(node.value) : value };
+    }
+    default:
+      throw new Error(`Unknown filter node ${node.type}`);
+  }
+};
+
+// true/false travel as 1/0, matching what json_extract() returns for JSON booleans
+const sqliteValue = (value) => typeof value === 'boolean' ? Number(value) : value;
+
+// SQLite: json_extract() / json_type() with the path as a parameter, julianday() so any date format compares
+const SQLITE = {
+  not: (sql) => `NOT COALESCE(${sql}, 0)`,
+  exists: (field) => field.kind === 'json'
+    ? { sql: 'json_type(extracted_data, ?) IS NOT NULL', params: [field.jsonPath] }
+    : { sql: `${field.column} IS NOT NULL`, params: [] },
+  isNull: (field, op) => field.kind === 'json'
+    ? { sql: `json_type(extracted_data, ?) ${op} 'null'`, params: [field.jsonPath] }
+    : { sql: `${field.column} ${op === '=' ? 'IS NULL' : 'IS NOT NULL'}`, params: [] },
+  in: (field, values, operator) => {
+    const placeholders = values.map(() => field.kind === 'time' ? 'julianday(?)' : '?').join(', ');
+    if (field.kind === 'json') {
+      return { sql: `json_extract(extracted_data, ?) ${operator} (${placeholders})`, params: [field.jsonPath, ...values.map(sqliteValue)] };
+    }
+    const column = field.kind === 'time' ? `julianday(${field.column})` : field.column;
+    return { sql: `${column} ${operator} (${placeholders})`, params: values.map(sqliteValue) };
+  },
+  compare: (field, op, value) => {
+    if (field.kind === 'time') {
+      return { sql: `julianday(${field.column}) ${op} julianday(?)`, params: [value] };
+    }
+    if (field.kind === 'text') {
+      return { sql: `${field.column} ${op} ?`, params: [sqliteValue(value)] };
+    }
+    if (op === '=' || op === '!=') {
+      return { sql: `json_extract(extracted_data, ?) ${op} ?`, params: [field.jsonPath, sqliteValue(value)] };
+    }
+    // SQLite orders every number before every string, so range checks also check the JSON type
+    const types = typeof value === 'number' ? "('integer', 'real')" : typeof value === 'string' ? "('text')" : "('true', 'false')";
+    return {
+      sql: `(json_type(extracted_data, ?) IN ${types} AND json_extract(extracted_data, ?) ${op} ?)`,
+      params: [field.jsonPath, field.jsonPath, sqliteValue(value)]
+    };
+  }
+};
+
+// Postgres: extracted_data #> path compared as jsonb, ranges cast only when the jsonb type fits
+const pgPath = (field) => field.segments.map(String);
+const PG_CASTS = { number: 'double precision', string: 'text', boolean: 'boolean' };
+
+const POSTGRES = {
+  not: (sql) => `NOT COALESCE(${sql}, false)`,
+  exists: (field) => field.kind === 'json'
+    ? { sql: 'extracted_data #> ?::text[] IS NOT NULL', params: [pgPath(field)] }
+    : { sql: `${field.column} IS NOT NULL`, params: [] },
+  isNull: (field, op) => field.kind === 'json'
+    ? { sql: `jsonb_typeof(extracted_data #> ?::text[]) ${op} 'null'`, params: [pgPath(field)] }
+    : { sql: `${field.column} ${op === '=' ? 'IS NULL' : 'IS NOT NULL'}`, params: [] },
+  in: (field, values, operator) => {
+    if (field.kind === 'json') {
+      return {
+        sql: `extracted_data #> ?::text[] ${operator} (${values.map(() => '?::jsonb').join(', ')})`,
+        params: [pgPath(field), ...values.map(value => JSON.stringify(value))]
+      };
+    }
+    const placeholder = field.kind === 'time' ? '?::timestamptz' : '?::text';
+    return {
+      sql: `${field.column} ${operator} (${values.map(() => placeholder).join(', ')})`,
+      params: values.map(value => value === null ? null : String(value))
+    };
+  },
+  compare: (field, op, value) => {
+    const sqlOp = op === '!=' ? '<>' : op;
+    if (field.kind === 'time') {
+      return { sql: `${field.column} ${sqlOp} ?::timestamptz`, params: [value] };
+    }
+    if (field.kind === 'text') {
+      return { sql: `${field.column} ${sqlOp} ?::text`, params: [String(value)] };
+    }
+    if (op === '=' || op === '!=') {
+      return { sql: `extracted_data #> ?::text[] ${sqlOp} ?::jsonb`, params: [pgPath(field), JSON.stringify(value)] };
+    }
+    const type = typeof value;
+    return {
+      sql: `(CASE WHEN jsonb_typeof(extracted_data #> ?::text[]) = '${type}' ` +
+        `THEN (extracted_data #>> ?::text[])::${PG_CASTS[type]} END) ${sqlOp} ?::${PG_CASTS[type]}`,
+      params: [pgPath(field), pgPath(field), value]
+    };
+  }
+};
+
+const DIALECTS = { sqlite: SQLITE, postgres: POSTGRES };
+
+const compile = (node, dialect) => {
+  switch (node.type) {
+    case 'and':
+    case 'or': {
+      const left = compile(node.left, dialect);
+      const right = compile(node.right, dialect);
+      return { sql: `(${left.sql} ${node.type.toUpperCase()} ${right.sql})`, params: [...left.params, ...right.params] };
+    }
+    case 'not': {
+      // Rows where the operand is unknown (missing field) count as not matching it
+      const operand = compile(node.operand, dialect);
+      return { sql: dialect.not(operand.sql), params: operand.params };
+    }
+    case 'exists':
+      return dialect.exists(node.field);
+    case 'in':
+      return dialect.in(node.field, node.values, node.negated ? 'NOT IN' : 'IN');
+    case 'compare':
+      // = null matches a JSON null, not a missing field
+      return node.value === null ? dialect.isNull(node.field, node.op) : dialect.compare(node.field, node.op, node.value);
+    default:
+      throw new Error(`Unknown filter node ${node.type}`);
+  }
+};
+
+/**
+ * Parses a filter expression into a checked expression tree.
+ * Returns { expression } or { error, position } for input that does not parse.
+ */
+const parseFilter = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    return { error: 'filter must be a non-empty expression', position: 0 };
+  }
+  if (source.length > MAX_LENGTH) {
+    return { error: `filter must be at most ${MAX_LENGTH} characters`, position: MAX_LENGTH };
+  }
+
+  try {
+    return { expression: resolve(parse(tokenize(source))) };
+  } catch (err) {
+    return { error: err.message, position: err.position ?? 0 };
+  }
+};
+
+// Parameterized SQL condition over machine_data for a parsed expression; dialect is 'sqlite' or 'postgres'
+const compileFilter = (expression, dialect = 'sqlite') => compile(expression, DIALECTS[dialect]);
+
+module.exports = {
+  parseFilter,
+  compileFilter
+};
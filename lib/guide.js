@@ -0,0 +1,135 @@
+const { expressPath } = require('./openapi');
+
+const METHODS = ['get', 'put', 'post', 'patch', 'delete'];
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// `code` and **bold** - all the markdown the document's descriptions use inline
+const inline = (text) => escapeHtml(text)
+  .replace(/`([^`]+)`/g, '<code>$1</code>')
+  .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+
+// Paragraphs, "- " lists and ## / ### headings, blocks separated by blank lines
+const markdown = (text = '') => text.split(/\n{2,}/).map(block => {
+  const heading = /^(#{2,3}) (.*)$/.exec(block);
+  if (heading) return `<h${heading[1].length}>${inline(heading[2])}</h${heading[1].length}>`;
+  const lines = block.split('\n');
+  if (lines.every(line => line.startsWith('- '))) {
+    return `<ul>${lines.map(line => `<li>${inline(line.slice(2))}</li>`).join('')}</ul>`;
+  }
+  return `<p>${inline(block)}</p>`;
+}).join('\n');
+
+// info.description: the part before the first ## heading introduces the API, each ## section gets a box
+const introduction = (description = '') => {
+  const [intro, ...sections] = description.split(/^## /m);
+  return {
+    intro: markdown(intro.trim()),
+    sections: sections.map(section => {
+      const [title, ...body] = section.split('\n');
+      return `<h2>${inline(title)}</h2>\n<div class="info">${markdown(body.join('\n').trim())}</div>`;
+    })
+  };
+};
+
+const quickTests = (document, baseUrl) => {
+  const content = ((document.paths['/api/machine-data'] || {}).post || {}).requestBody;
+  const examples = Object.values(((content && content.content['application/json']) || {}).examples || {});
+  return examples.map(({ summary, value }, index) => {
+    const body = JSON.stringify(value, null, 2).replace(/\n/g, '\n  ');
+    const snippet = [
+      `fetch('${baseUrl}/api/machine-data', {`,
+      '  method: \'POST\',',
+      '  headers: { \'Content-Type\': \'application/json\', \'X-API-Key\': \'YOUR_INGEST_KEY\' },',
+      `  body: JSON.stringify(${body})`,
+      '})',
+      '.then(r => r.json())',
+      '.then(data => console.log(\'✅ SUCCESS:\', data));'
+    ].join('\n');
+    return `<div class="step">\n<h3>Method ${index + 1}: ${escapeHtml(summary)}</h3>\n<pre><code>${escapeHtml(snippet)}</code></pre>\n</div>`;
+  });
+};
+
+// GETs without path or required parameters open straight in the browser
+const isLinkable = (method, template, operation, pathItem) => method === 'get' &&
+  !template.includes('{') &&
+  !operation['x-websocket'] &&
+  ![...(pathItem.parameters || []), ...(operation.parameters || [])].some(parameter => parameter.required);
+
+const endpointsOf = (document, tag, baseUrl) => Object.entries(document.paths).flatMap(([template, pathItem]) => METHODS
+  .filter(method => pathItem[method] && (pathItem[method].tags || []).includes(tag))
+  .map(method => {
+    const operation = pathItem[method];
+    const route = expressPath(template);
+    const label = `${operation['x-websocket'] ? 'WS' : method.toUpperCase()} ${route}`;
+    const endpoint = isLinkable(method, template, operation, pathItem)
+      ? `<a href="${escapeHtml(baseUrl + route)}" target="_blank"><code>${escapeHtml(label)}</code></a>`
+      : `<code>${escapeHtml(label)}</code>`;
+    const notes = [operation['x-scope'], operation.deprecated && 'deprecated'].filter(Boolean);
+    return `<li>${endpoint} - ${inline(operation.summary)}${notes.length ? ` <small>(${notes.join(', ')})</small>` : ''}</li>`;
+  }));
+
+/**
+ * The HTML guide at /health?guide=true, written from the OpenAPI document: the introduction and the tag
+ * descriptions are its prose, the ingest examples its quick tests. Like the 404 endpoint list, the
+ * endpoints of each section are only listed for authenticated callers; everyone else is pointed to /docs.
+ */
+const renderGuide = (document, { baseUrl, authenticated }) => {
+  const { intro, sections } = introduction(document.info.description);
+  const tagSections = (document.tags || []).map(tag => {
+    const endpoints = authenticated ? endpointsOf(document, tag.name, baseUrl) : [];
+    return [
+      `<h2>${escapeHtml(tag['x-icon'] ? `${tag['x-icon']} ${tag.name}` : tag.name)}</h2>`,
+      `<div class="info">${markdown(tag.description)}</div>`,
+      endpoints.length ? `<ul>\n${endpoints.join('\n')}\n</ul>` : ''
+    ].join('\n');
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API Guide - ${escapeHtml(document.info.title)}</title>
+    <style>
+        body { font-family: system-ui, -apple-system, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; line-height: 1.6; }
+        h1 { color: #2563eb; }
+        h2 { color: #1e40af; border-bottom: 2px solid #e5e7eb; padding-bottom: 8px; }
+        h3 { color: #1e3a8a; }
+        code { background: #f3f4f6; color: #1f2937; padding: 2px 4px; border-radius: 3px; font-size: 0.9em; }
+        pre { background: #1f2937; color: #f9fafb; padding: 16px; border-radius: 8px; overflow-x: auto; cursor: pointer; }
+        pre code { background: none; color: inherit; padding: 0; }
+        .success { background: #d1fae5; border-left: 4px solid #10b981; padding: 12px; margin: 16px 0; }
+        .info { background: #dbeafe; border-left: 4px solid #3b82f6; padding: 12px; margin: 16px 0; }
+        .step { background: #eff6ff; padding: 12px; margin: 8px 0; border-radius: 6px; }
+    </style>
+</head>
+<body>
+    <h1>🚀 ${escapeHtml(document.info.title)} - Send ANY JSON!</h1>
+
+    <div class="success">${intro}</div>
+
+    <div class="info">
+        <p>📖 Every route, parameter and response is described in the <a href="${escapeHtml(baseUrl)}/docs">API reference</a> (<code>GET /openapi.json</code>, OpenAPI ${escapeHtml(document.openapi)}). Both need a <strong>read</strong> key${authenticated ? '' : ', as do the endpoint lists of this guide'}.</p>
+    </div>
+
+    <h2>🔧 Quick Test (Copy &amp; Paste in Browser Console)</h2>
+    ${quickTests(document, baseUrl).join('\n')}
+
+    ${sections.join('\n\n')}
+
+    ${tagSections.join('\n\n')}
+
+    <script src="/docs/guide.js"></script>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  renderGuide
+};
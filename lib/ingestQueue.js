@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const express = require('express');
+const dbAsync = require('./db');
+const { sqliteMigrationTarget } = require('./migrations');
+
+const MAX_BACKOFF_MS = 30 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+const QUEUE_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_ingest_queue',
+    up: async (db) => {
+      await db.run(`
+        CREATE TABLE ingest_queue (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          ingest_id TEXT NOT NULL UNIQUE,
+          entry TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'queued',
+          record_id INTEGER,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          queued_at TEXT NOT NULL,
+          processed_at TEXT
+        )
+      `);
+      await db.run('CREATE INDEX idx_ingest_queue_status ON ingest_queue(status, seq)');
+    }
+  },
+  {
+    version: 2,
+    name: 'dedup_keys',
+    up: async (db) => {
+      await db.run('ALTER TABLE ingest_queue ADD COLUMN idempotency_key TEXT');
+      await db.run('ALTER TABLE ingest_queue ADD COLUMN natural_key TEXT');
+      await db.run('CREATE UNIQUE INDEX idx_ingest_queue_idempotency_key ON ingest_queue(idempotency_key)');
+      await db.run('CREATE UNIQUE INDEX idx_ingest_queue_natural_key ON ingest_queue(natural_key)');
+    }
+  }
+];
+
+// The queue lives in its own SQLite file, so machine_data locks never hold up accepting payloads
+const queueMigrationTarget = (db) => sqliteMigrationTarget(db, { name: 'ingest_queue', migrations: QUEUE_MIGRATIONS });
+
+/**
+ * Store-and-forward ingest. enqueue() durably appends { record, violation } entries and returns their
+ * ingest ids; a writer batch-commits queued entries into storage and hands them to onStored with their
+ * record ids. Delivery is at least once: a crash between the storage commit and marking the entries
+ * stored writes them again on restart.
+ *
+ * A batch that fails is retried record by record. When none of them go in the database is taken to be
+ * unavailable and the writer backs off; records that keep failing while others are stored are marked
+ * failed after maxAttempts and passed to onFailed. Stored entries are kept for retainMs so their
+ * ingest ids stay resolvable, failed ones until removed by hand.
+ *
+ * Entries may carry an idempotency key (a client's Idempotency-Key, scoped to the caller) and a natural
+ * key (see deduplication.naturalKey). Both are unique across queued entries, and are stored with the
+ * record (storage.findKeys) for as long as its row is kept, so a retry resolves to the first entry
+ * however late it comes - and an entry written again after a crash is matched to its row, not duplicated.
+ */
+const createIngestQueue = ({
+  db,
+  storage,
+  batchSize = 500,
+  intervalMs = 1000,
+  retainMs = 24 * 60 * 60 * 1000,
+  maxAttempts = 5,
+  onStored = () => {},
+  onFailed = () => {},
+  requireScope = () => (req, res, next) => next()
+}) => {
+  let timer = null;
+  let running = null;
+  let rerun = false;
+  let failures = 0;
+  let retryAt = 0;
+  let lastCleanupAt = 0;
+  let lastStoredAt = null;
+  let lastError = null;
+
+  const transaction = (work) => dbAsync.transaction(db, work);
+
+  // The keys an entry's record is stored with
+  const keysOf = ({ idempotencyKey, naturalKey }) => [
+    ...(idempotencyKey === null ? [] : [`idempotency:${idempotencyKey}`]),
+    ...(naturalKey === null ? [] : [`natural:${naturalKey}`])
+  ];
+
+  // Earlier entry holding either key, if any: queued or kept in the queue, else stored and cleaned up since
+  const findDuplicate = async ({ idempotencyKey = null, naturalKey = null }) => {
+    if (idempotencyKey === null && naturalKey === null) return null;
+    const queued = await dbAsync.get(db, `
+      SELECT ingest_id, status, record_id FROM ingest_queue WHERE idempotency_key = ? OR natural_key = ?
+      ORDER BY idempotency_key = ? DESC LIMIT 1
+    `, [idempotencyKey, naturalKey, idempotencyKey]);
+    if (queued) return queued;
+    const [stored] = await storage.findKeys(keysOf({ idempotencyKey, naturalKey }));
+    return stored && { ingest_id: stored.ingest_id, status: 'stored', record_id: stored.record_id };
+  };
+
+  // [{ record, violation, idempotencyKey?, naturalKey? }] -> [{ ingestId, duplicate, status, recordId }].
+  // An entry whose key is already queued or stored is not added again; its result is the earlier entry's.
+  const enqueue = async (entries) => {
+    const queuedAt = new Date().toISOString();
+    const results = await transaction(async () => {
+      const queued = [];
+      for (const { record, violation, idempotencyKey = null, naturalKey = null } of entries) {
+        const earlier = await findDuplicate({ idempotencyKey, naturalKey });
+        if (earlier) {
+          queued.push({ ingestId: earlier.ingest_id, duplicate: true, status: earlier.status, recordId: earlier.record_id });
+          continue;
+        }
+        const ingestId = crypto.randomUUID();
+        await dbAsync.run(db, 'INSERT INTO ingest_queue (ingest_id, entry, queued_at, idempotency_key, natural_key) VALUES (?, ?, ?, ?, ?)',
+          [ingestId, JSON.stringify({ record, violation }), queuedAt, idempotencyKey, naturalKey]);
+        queued.push({ ingestId, duplicate: false, status: 'queued', recordId: null });
+      }
+      return queued;
+    });
+    if (results.some(result => !result.duplicate)) schedule();
+    return results;
+  };
+
+  // Entries found stored before (storedBefore) take the earlier row's id and are not passed on again
+  const markStored = async (stored) => {
+    const processedAt = new Date().toISOString();
+    await transaction(async () => {
+      for (const { seq, recordId } of stored) {
+        await dbAsync.run(db, "UPDATE ingest_queue SET status = 'stored', record_id = ?, error = NULL, processed_at = ? WHERE seq = ?",
+          [recordId, processedAt, seq]);
+      }
+    });
+    lastStoredAt = processedAt;
+    const fresh = stored.filter(entry => !entry.storedBefore);
+    if (fresh.length) onStored(fresh);
+  };
+
+  const markFailing = async (failing) => {
+    const processedAt = new Date().toISOString();
+    const failed = failing.filter(entry => entry.attempts + 1 >= maxAttempts);
+    await transaction(async () => {
+      for (const { seq, attempts, error } of failing) {
+        if (attempts + 1 < maxAttempts) {
+          await dbAsync.run(db, 'UPDATE ingest_queue SET attempts = attempts + 1, error = ? WHERE seq = ?', [error, seq]);
+          continue;
+        }
+        // Nothing of a failed entry is in storage, so it gives up its keys and the payload can be sent again
+        await dbAsync.run(db, `
+          UPDATE ingest_queue SET status = 'failed', attempts = attempts + 1, error = ?, processed_at = ?,
+            idempotency_key = NULL, natural_key = NULL
+          WHERE seq = ?
+        `, [error, processedAt, seq]);
+      }
+    });
+    if (failed.length) onFailed(failed);
+  };
+
+  const noteError = (entries, err) => transaction(() => dbAsync.run(db,
+    `UPDATE ingest_queue SET error = ? WHERE seq IN (${entries.map(() => '?').join(', ')})`, [err.message, ...entries.map(entry => entry.seq)]));
+
+  // The entry as stored before under one of its keys, or null
+  const storedBefore = (entry, found) => {
+    const earlier = found.find(row => entry.keys.includes(row.key));
+    return earlier ? { ...entry, recordId: earlier.record_id, storedBefore: true } : null;
+  };
+
+  const keyedRecord = entry => ({ ...entry.record, ingestId: entry.ingestId, keys: entry.keys });
+
+  // Resolves { fetched, stored } for one batch of queued entries
+  const flush = async () => {
+    const rows = await dbAsync.all(db, `
+      SELECT seq, ingest_id, entry, attempts, idempotency_key, natural_key FROM ingest_queue WHERE status = 'queued' ORDER BY seq LIMIT ?
+    `, [batchSize]);
+    const entries = rows.map(row => ({
+      seq: row.seq,
+      ingestId: row.ingest_id,
+      attempts: row.attempts,
+      keys: keysOf({ idempotencyKey: row.idempotency_key, naturalKey: row.natural_key }),
+      ...JSON.parse(row.entry)
+    }));
+    if (entries.length === 0) return { fetched: 0, stored: 0 };
+
+    const keys = entries.flatMap(entry => entry.keys);
+    let found;
+    try {
+      found = keys.length ? await storage.findKeys(keys) : [];
+    } catch (err) {
+      await noteError(entries, err);
+      throw err;
+    }
+    const before = entries.map(entry => storedBefore(entry, found)).filter(Boolean);
+    const pending = entries.filter(entry => !before.some(earlier => earlier.seq === entry.seq));
+
+    try {
+      const ids = await storage.insertMany(pending.map(keyedRecord));
+      await markStored([...before, ...pending.map((entry, i) => ({ ...entry, recordId: ids[i] }))]);
+      return { fetched: entries.length, stored: entries.length };
+    } catch (batchError) {
+      const stored = [...before];
+      const failing = [];
+      for (const entry of pending) {
+        try {
+          stored.push({ ...entry, recordId: await storage.insert(keyedRecord(entry)) });
+        } catch (err) {
+          // Another writer may have stored the same key since the check
+          const earlier = entry.keys.length ? storedBefore(entry, await storage.findKeys(entry.keys).catch(() => [])) : null;
+          if (earlier) stored.push(earlier);
+          else failing.push({ ...entry, error: err.message });
+        }
+      }
+      if (stored.length === 0) {
+        // Nothing goes in: the database, not the records, is the problem, so attempts stay as they are
+        await noteError(entries, batchError);
+        throw batchError;
+      }
+      await markStored(stored);
+      await markFailing(failing);
+      return { fetched: entries.length, stored: stored.length };
+    }
+  };
+
+  const drain = async () => {
+    for (;;) {
+      const { fetched, stored } = await flush();
+      if (fetched < batchSize || stored < fetched) return;
+    }
+  };
+
+  const cleanup = async () => {
+    lastCleanupAt = Date.now();
+    await dbAsync.write(db, "DELETE FROM ingest_queue WHERE status = 'stored' AND processed_at < ?",
+      [new Date(Date.now() - retainMs).toISOString()]);
+  };
+
+  // Starts the writer unless it is stopped, running (then it goes again once done) or backing off
+  const schedule = () => {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    if (!timer || Date.now() < retryAt) return;
+
+    running = drain().then(() => {
+      failures = 0;
+      lastError = null;
+    }, (err) => {
+      failures++;
+      lastError = err.message;
+      retryAt = Date.now() + Math.min(MAX_BACKOFF_MS, intervalMs * 2 ** failures);
+      console.error(`Ingest writer failed (attempt ${failures}), retrying in ${Math.round((retryAt - Date.now()) / 1000)}s:`, err.message);
+    }).finally(() => {
+      running = null;
+      if (rerun) {
+        rerun = false;
+        schedule();
+      }
+    });
+  };
+
+  const tick = () => {
+    schedule();
+    if (Date.now() - lastCleanupAt >= CLEANUP_INTERVAL_MS) {
+      cleanup().catch(err => console.error('Failed to clean up the ingest queue:', err));
+    }
+  };
+
+  // Entries left queued by the previous run go first. WAL keeps appends cheap; FULL sync means an
+  // acknowledged payload survives power loss.
+  const start = async () => {
+    if (timer) return;
+    await dbAsync.run(db, 'PRAGMA journal_mode = WAL');
+    await dbAsync.run(db, 'PRAGMA synchronous = FULL');
+    timer = setInterval(tick, intervalMs);
+    tick();
+  };
+
+  // Stops the writer once the batch in progress is done
+  const stop = async () => {
+    clearInterval(timer);
+    timer = null;
+    rerun = false;
+    await running;
+  };
+
+  // { depth, lagSeconds, failed, lastStoredAt, lastError, retryingAt } - lag is the age of the oldest queued entry
+  const status = async () => {
+    const [queued, failed] = await Promise.all([
+      dbAsync.get(db, "SELECT COUNT(*) AS depth, MIN(queued_at) AS oldest FROM ingest_queue WHERE status = 'queued'"),
+      dbAsync.get(db, "SELECT COUNT(*) AS failed FROM ingest_queue WHERE status = 'failed'")
+    ]);
+    return {
+      depth: queued.depth,
+      lagSeconds: queued.oldest ? Math.max(0, (Date.now() - Date.parse(queued.oldest)) / 1000) : 0,
+      failed: failed.failed,
+      lastStoredAt,
+      lastError,
+      retryingAt: Date.now() < retryAt ? new Date(retryAt).toISOString() : null
+    };
+  };
+
+  const router = express.Router();
+
+  router.get('/:ingestId', requireScope('ingest'), async (req, res) => {
+    try {
+      const row = await dbAsync.get(db, 'SELECT * FROM ingest_queue WHERE ingest_id = ?', [req.params.ingestId]);
+      if (!row) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown ingest id: ${req.params.ingestId}`,
+          details: [`Stored entries are kept for ${Math.round(retainMs / 3600000)} hours`]
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ingestId: row.ingest_id,
+          status: row.status,
+          recordId: row.record_id,
+          attempts: row.attempts,
+          error: row.error,
+          queuedAt: row.queued_at,
+          processedAt: row.processed_at
+        }
+      });
+    } catch (err) {
+      console.error('Database error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Database error occurred'
+      });
+    }
+  });
+
+  return {
+    enqueue,
+    start,
+    stop,
+    status,
+    router
+  };
+};
+
+module.exports = {
+  QUEUE_MIGRATIONS,
+  queueMigrationTarget,
+  createIngestQueue
+};
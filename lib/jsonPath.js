@@ -0,0 +1,140 @@
+// Minimal JSONPath-style helpers: $.a.b, a.b, a[0].b, $['key.with.dots']
+
+const pathCache = new Map();
+
+// Turn a path string into an array of keys/indexes. Throws on malformed input.
+const parsePath = (path) => {
+  if (Array.isArray(path)) return path;
+  if (typeof path !== 'string' || path.trim() === '') {
+    throw new Error('Path must be a non-empty string');
+  }
+  if (pathCache.has(path)) return pathCache.get(path);
+
+  const segments = [];
+  let i = 0;
+  let source = path.trim();
+
+  if (source.startsWith('$')) {
+    source = source.slice(1);
+    if (source.startsWith('.')) source = source.slice(1);
+  }
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '.') {
+      i++;
+      continue;
+    }
+
+    if (char === '[') {
+      const close = source.indexOf(']', i);
+      if (close === -1) throw new Error(`Unclosed bracket at position ${i} in path "${path}"`);
+      const inner = source.slice(i + 1, close).trim();
+      if (/^\d+$/.test(inner)) {
+        segments.push(parseInt(inner, 10));
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        segments.push(inner.slice(1, -1));
+      } else {
+        throw new Error(`Invalid bracket segment "${inner}" in path "${path}"`);
+      }
+      i = close + 1;
+      continue;
+    }
+
+    let end = i;
+    while (end < source.length && source[end] !== '.' && source[end] !== '[') end++;
+    segments.push(source.slice(i, end));
+    i = end;
+  }
+
+  if (segments.length === 0) throw new Error(`Path "${path}" does not select anything`);
+
+  pathCache.set(path, segments);
+  return segments;
+};
+
+// Read the value at a path, or undefined when any segment is missing
+const getPath = (obj, path) => {
+  let current = obj;
+  for (const segment of parsePath(path)) {
+    if (current === null || current === undefined || typeof current !== 'object') return undefined;
+    current = current[segment];
+  }
+  return current;
+};
+
+const hasPath = (obj, path) => getPath(obj, path) !== undefined;
+
+// Remove the value at a path in place (no-op when missing)
+const deletePath = (obj, path) => {
+  const segments = parsePath(path);
+  let current = obj;
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (current === null || typeof current !== 'object') return;
+    current = current[segments[i]];
+  }
+  if (current !== null && typeof current === 'object') {
+    delete current[segments[segments.length - 1]];
+  }
+};
+
+// Set the value at a path in place, creating intermediate objects as needed
+const setPath = (obj, path, value) => {
+  const segments = parsePath(path);
+  let current = obj;
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (current[segments[i]] === null || typeof current[segments[i]] !== 'object') {
+      current[segments[i]] = typeof segments[i + 1] === 'number' ? [] : {};
+    }
+    current = current[segments[i]];
+  }
+  current[segments[segments.length - 1]] = value;
+};
+
+// Inverse of parsePath: ['axis', 'x', 0] -> "axis.x[0]", odd keys become ['key.with.dots']
+const formatPath = (segments) => segments.map((segment, index) => {
+  if (typeof segment === 'number') return `[${segment}]`;
+  if (/^[A-Za-z_][\w$-]*$/.test(segment)) return index === 0 ? segment : `.${segment}`;
+  return `['${segment}']`;
+}).join('');
+
+// Return the first non-empty value found among one or more candidate paths
+const firstValue = (obj, paths) => {
+  const candidates = Array.isArray(paths) ? paths : [paths];
+  for (const candidate of candidates) {
+    const value = getPath(obj, candidate);
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+};
+
+// Convert a path into SQLite JSON path syntax ($.a.b[0], $."odd key") for json_extract()
+const toSqlJsonPath = (path) => {
+  return '$' + parsePath(path).map(segment => {
+    if (typeof segment === 'number') return `[${segment}]`;
+    if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(segment)) return `.${segment}`;
+    if (segment.includes('"')) throw new Error(`Path segment "${segment}" cannot contain double quotes`);
+    return `."${segment}"`;
+  }).join('');
+};
+
+// The same path the way json_tree() reports it as fullkey: keys that are not plain alphanumerics are quoted
+const toJsonTreeKey = (path) => {
+  return '$' + parsePath(path).map(segment => {
+    if (typeof segment === 'number') return `[${segment}]`;
+    return /^[A-Za-z][A-Za-z0-9]*$/.test(segment) ? `.${segment}` : `."${segment}"`;
+  }).join('');
+};
+
+module.exports = {
+  parsePath,
+  getPath,
+  hasPath,
+  deletePath,
+  setPath,
+  formatPath,
+  firstValue,
+  toSqlJsonPath,
+  toJsonTreeKey
+};
@@ -0,0 +1,258 @@
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+const { getPath, parsePath } = require('./jsonPath');
+const { hasScope } = require('./apiKeys');
+const { applyUnitSystem, validateUnitSystem } = require('./units');
+
+const WS_PATH = '/api/stream/ws';
+const HEARTBEAT_MS = 25 * 1000;
+const REPLAY_PAGE_SIZE = 500;
+const MAX_REPLAY = 10000;
+
+const PREDICATE_PATTERN = /^\s*([^<>=!\s]+)\s*(==|!=|>=|<=|>|<|=)\s*(.+?)\s*$/;
+
+const parseLiteral = (text) => {
+  if (/^(['"]).*\1$/.test(text)) return text.slice(1, -1);
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  if (text !== '' && !isNaN(Number(text))) return Number(text);
+  return text;
+};
+
+// "temperature>80", "status==fault", "axis.x.position<=3.5"
+const parsePredicate = (expression) => {
+  const match = PREDICATE_PATTERN.exec(expression);
+  if (!match) {
+    throw new Error(`Invalid predicate "${expression}". Use <field><op><value> with one of ==, !=, >, >=, <, <=`);
+  }
+  const [, field, op, value] = match;
+  parsePath(field);
+  return { field, op: op === '=' ? '==' : op, value: parseLiteral(value) };
+};
+
+const testPredicate = ({ field, op, value }, data) => {
+  const actual = getPath(data, field);
+  switch (op) {
+    case '==': return actual === value || (actual !== undefined && actual !== null && String(actual) === String(value));
+    case '!=': return !(actual === value || (actual !== undefined && actual !== null && String(actual) === String(value)));
+    case '>': return typeof actual === 'number' && actual > value;
+    case '>=': return typeof actual === 'number' && actual >= value;
+    case '<': return typeof actual === 'number' && actual < value;
+    case '<=': return typeof actual === 'number' && actual <= value;
+    default: return false;
+  }
+};
+
+// machineId / deviceType / where (repeatable, ANDed) / units from a query string
+const parseFilter = (query) => {
+  const where = query.where === undefined ? [] : [].concat(query.where);
+  const unitsError = validateUnitSystem(query.units);
+  if (unitsError) throw new Error(unitsError);
+  return {
+    machineId: query.machineId || null,
+    deviceType: query.deviceType || null,
+    predicates: where.map(parsePredicate),
+    units: query.units || null
+  };
+};
+
+const matchesFilter = (filter, record) => {
+  if (filter.machineId && record.machine_id !== filter.machineId) return false;
+  if (filter.deviceType && record.device_type !== filter.deviceType) return false;
+  return filter.predicates.every(predicate => testPredicate(predicate, record.extracted_data));
+};
+
+const createLiveStream = ({ storage, apiKeys }) => {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  // Fetch freshly stored rows and fan them out; skipped entirely when nobody listens
+  const publish = async (ids) => {
+    if (ids.length === 0 || events.listenerCount('record') === 0) return;
+    const records = await storage.getByIds(ids);
+    records.forEach(record => events.emit('record', record));
+  };
+
+  // Rows after lastId matching the filter, oldest first, a page at a time
+  const replay = async (filter, lastId, send) => {
+    let cursor = lastId;
+    let sent = 0;
+
+    while (sent < MAX_REPLAY) {
+      const records = await storage.scan(
+        { machineId: filter.machineId, deviceType: filter.deviceType },
+        { afterId: cursor, limit: REPLAY_PAGE_SIZE }
+      );
+
+      records.forEach(record => {
+        if (matchesFilter(filter, record)) {
+          send(record);
+          sent++;
+        }
+      });
+
+      if (records.length < REPLAY_PAGE_SIZE) {
+        return { cursor: records.length ? records[records.length - 1].id : cursor, truncated: false };
+      }
+      cursor = records[records.length - 1].id;
+    }
+    return { cursor, truncated: true };
+  };
+
+  // Live records that arrive while the replay runs are held back, then flushed without duplicates
+  const subscribe = (filter, send) => {
+    let buffer = [];
+    let lastSentId = 0;
+
+    const deliver = (record) => {
+      if (record.id <= lastSentId) return;
+      lastSentId = record.id;
+      send(applyUnitSystem(record, filter.units));
+    };
+
+    const listener = (record) => {
+      if (!matchesFilter(filter, record)) return;
+      if (buffer) buffer.push(record);
+      else deliver(record);
+    };
+    events.on('record', listener);
+
+    return {
+      deliver,
+      flush: () => {
+        const pending = buffer;
+        buffer = null;
+        pending.forEach(deliver);
+      },
+      close: () => events.off('record', listener)
+    };
+  };
+
+  const sseHandler = async (req, res) => {
+    let filter;
+    try {
+      filter = parseFilter(req.query);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const subscription = subscribe(filter, (record) => {
+      res.write(`id: ${record.id}\nevent: machine-data\ndata: ${JSON.stringify(record)}\n\n`);
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      subscription.close();
+    });
+
+    if (!isNaN(lastEventId)) {
+      try {
+        const { truncated } = await replay(filter, lastEventId, subscription.deliver);
+        if (truncated) {
+          res.write(`event: replay-truncated\ndata: ${JSON.stringify({ maxReplay: MAX_REPLAY })}\n\n`);
+        }
+      } catch (err) {
+        console.error('Database error:', err);
+        res.write(`event: error\ndata: ${JSON.stringify({ error: 'Replay failed' })}\n\n`);
+      }
+    }
+    subscription.flush();
+  };
+
+  // WebSocket clients authenticate with the X-API-Key header or ?apiKey= (browsers cannot set headers)
+  const attach = (server) => {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== WS_PATH) return socket.destroy();
+      // The client may hang up while its key is checked
+      socket.on('error', () => socket.destroy());
+
+      const reject = (status, message) => {
+        socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+        socket.destroy();
+      };
+
+      const query = Object.fromEntries(url.searchParams);
+      query.where = url.searchParams.getAll('where');
+
+      let filter;
+      try {
+        filter = parseFilter(query);
+      } catch (err) {
+        return reject(400, 'Bad Request');
+      }
+
+      if (apiKeys.enabled) {
+        let apiKey = null;
+        try {
+          apiKey = await apiKeys.resolveKey(req.headers['x-api-key'] || query.apiKey);
+        } catch (err) {
+          console.error('Database error:', err);
+          return reject(500, 'Internal Server Error');
+        }
+        if (!apiKey) return reject(401, 'Unauthorized');
+        if (!hasScope(apiKey, 'read')) return reject(403, 'Forbidden');
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        const subscription = subscribe(filter, (record) => {
+          ws.send(JSON.stringify({ type: 'machine-data', id: record.id, data: record }));
+        });
+        subscription.flush();
+
+        const heartbeat = setInterval(() => ws.ping(), HEARTBEAT_MS);
+        const end = () => {
+          clearInterval(heartbeat);
+          subscription.close();
+        };
+        ws.on('close', end);
+        // Protocol errors (e.g. an unmasked client frame) end this connection, not the server
+        ws.on('error', (err) => {
+          console.warn(`Live stream WebSocket closed on error: ${err.message}`);
+          end();
+          ws.terminate();
+        });
+        ws.send(JSON.stringify({
+          type: 'subscribed',
+          machineId: filter.machineId,
+          deviceType: filter.deviceType,
+          where: query.where
+        }));
+      });
+    });
+
+    return wss;
+  };
+
+  return {
+    publish,
+    sseHandler,
+    attach,
+    subscriberCount: () => events.listenerCount('record')
+  };
+};
+
+module.exports = {
+  WS_PATH,
+  parsePredicate,
+  matchesFilter,
+  createLiveStream
+};
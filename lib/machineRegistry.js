@@ -0,0 +1,596 @@
+const { EventEmitter } = require('events');
+const express = require('express');
+const dbAsync = require('./db');
+const { RECORD_FIELDS } = require('./records');
+
+const MACHINE_STATUSES = ['online', 'late', 'offline', 'unknown', 'decommissioned'];
+// A machine is late after 1.5 missed intervals and offline after 3
+const LATE_FACTOR = 1.5;
+const OFFLINE_FACTOR = 3;
+// Gaps kept per machine for learning its reporting interval
+const MAX_GAPS = 20;
+const MIN_GAPS_TO_LEARN = 3;
+
+// Editable metadata: request field -> column
+const METADATA_FIELDS = {
+  displayName: 'display_name',
+  location: 'location',
+  line: 'line',
+  cell: 'cell',
+  deviceType: 'device_type',
+  vendor: 'vendor',
+  model: 'model'
+};
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+const parseDbTime = (value) => {
+  if (!value) return null;
+  const normalized = /[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`;
+  const time = new Date(normalized).getTime();
+  return isNaN(time) ? null : time;
+};
+
+const toIso = (time) => time ? new Date(time).toISOString() : null;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item !== '');
+
+// Validates a create (full) or update (partial) body; returns { errors, changes }
+const validateMachine = (body, { partial }) => {
+  const errors = [];
+  const changes = {};
+
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Machine must be a JSON object'], changes };
+  }
+
+  if (!partial) {
+    if (typeof body.machineId !== 'string' || body.machineId.trim() === '') {
+      errors.push('machineId is required');
+    } else {
+      changes.machineId = body.machineId.trim();
+    }
+  }
+
+  for (const field of Object.keys(METADATA_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== 'string') errors.push(`${field} must be a string or null`);
+    else changes[field] = body[field];
+  }
+
+  if (body.tags !== undefined) {
+    if (!isStringArray(body.tags)) errors.push('tags must be an array of strings');
+    else changes.tags = [...new Set(body.tags)];
+  }
+
+  if (body.aliases !== undefined) {
+    if (!isStringArray(body.aliases)) errors.push('aliases must be an array of machine ID strings');
+    else changes.aliases = [...new Set(body.aliases)];
+  }
+
+  if (body.expectedIntervalSeconds !== undefined) {
+    const interval = body.expectedIntervalSeconds;
+    if (interval !== null && !(Number.isFinite(interval) && interval > 0)) {
+      errors.push('expectedIntervalSeconds must be a positive number or null');
+    } else {
+      changes.expectedIntervalSeconds = interval;
+    }
+  }
+
+  if (partial && body.decommissioned !== undefined) {
+    if (typeof body.decommissioned !== 'boolean') errors.push('decommissioned must be a boolean');
+    else changes.decommissioned = body.decommissioned;
+  }
+
+  return { errors, changes };
+};
+
+const createMachineRegistry = ({
+  db,
+  storage,
+  defaultIntervalSeconds = 60,
+  checkIntervalMs = 15 * 1000,
+  // machineId -> estimated device clock offset (see timestamps.clockOf), or null
+  clockOf = () => null,
+  requireScope = () => (req, res, next) => next()
+}) => {
+  const events = new EventEmitter();
+  // machineId -> { deviceType, firstSeen, lastSeen, expectedInterval, gaps, status, statusChangedAt, meta }
+  const machines = new Map();
+  // alias -> canonical machineId
+  const aliases = new Map();
+  let checkTimer = null;
+
+  const learnedInterval = (machine) =>
+    machine.gaps.length >= MIN_GAPS_TO_LEARN ? Math.round(median(machine.gaps)) : null;
+
+  const effectiveInterval = (machine) =>
+    machine.expectedInterval || learnedInterval(machine) || defaultIntervalSeconds;
+
+  const computeStatus = (machine, now = Date.now()) => {
+    if (machine.meta.decommissionedAt) return 'decommissioned';
+    if (!machine.lastSeen) return 'unknown';
+    const silence = (now - machine.lastSeen) / 1000;
+    const interval = effectiveInterval(machine);
+    if (silence <= interval * LATE_FACTOR) return 'online';
+    if (silence <= interval * OFFLINE_FACTOR) return 'late';
+    return 'offline';
+  };
+
+  const aliasesOf = (machineId) =>
+    [...aliases.entries()].filter(([, canonical]) => canonical === machineId).map(([alias]) => alias).sort();
+
+  const describe = (machineId, machine, now = Date.now()) => ({
+    machineId,
+    displayName: machine.meta.displayName,
+    deviceType: machine.deviceType,
+    location: machine.meta.location,
+    line: machine.meta.line,
+    cell: machine.meta.cell,
+    vendor: machine.meta.vendor,
+    model: machine.meta.model,
+    tags: machine.meta.tags,
+    aliases: aliasesOf(machineId),
+    status: machine.status,
+    statusChangedAt: toIso(machine.statusChangedAt),
+    firstSeen: toIso(machine.firstSeen),
+    lastSeen: toIso(machine.lastSeen),
+    secondsSinceLastSeen: machine.lastSeen ? Math.round((now - machine.lastSeen) / 1000) : null,
+    expectedIntervalSeconds: machine.expectedInterval,
+    learnedIntervalSeconds: learnedInterval(machine),
+    effectiveIntervalSeconds: effectiveInterval(machine),
+    clock: clockOf(machineId),
+    decommissionedAt: toIso(machine.meta.decommissionedAt)
+  });
+
+  const setStatus = (machineId, machine, status, now = Date.now()) => {
+    const previous = machine.status;
+    if (previous === status) return;
+
+    machine.status = status;
+    machine.statusChangedAt = now;
+
+    dbAsync.write(db, `
+      UPDATE machines SET status = ?, status_changed_at = ?, learned_interval_seconds = ? WHERE machine_id = ?
+    `, [status, new Date(now).toISOString(), learnedInterval(machine), machineId])
+      .catch(err => console.error('Failed to persist machine status:', err));
+
+    // "status" for every transition, plus a named event per target state (online / late / offline)
+    const event = { ...describe(machineId, machine, now), previousStatus: previous };
+    events.emit('status', event);
+    events.emit(status, event);
+  };
+
+  const rowToMachine = (row, gaps = []) => ({
+    deviceType: row.device_type,
+    firstSeen: parseDbTime(row.first_seen),
+    lastSeen: parseDbTime(row.last_seen),
+    expectedInterval: row.expected_interval_seconds,
+    gaps,
+    status: row.status,
+    statusChangedAt: parseDbTime(row.status_changed_at),
+    meta: {
+      displayName: row.display_name || null,
+      location: row.location || null,
+      line: row.line || null,
+      cell: row.cell || null,
+      vendor: row.vendor || null,
+      model: row.model || null,
+      tags: dbAsync.parseJSON(row.tags, []),
+      decommissionedAt: parseDbTime(row.decommissioned_at)
+    }
+  });
+
+  // Rebuild in-memory state from the machines table, backfilling it from machine_data if needed
+  const load = async () => {
+    const aliasRows = await dbAsync.all(db, 'SELECT alias, machine_id FROM machine_aliases');
+    // Rows stored under an alias belong to the machine it was folded into
+    const known = new Set([
+      ...(await dbAsync.all(db, 'SELECT machine_id FROM machines')).map(row => row.machine_id),
+      ...aliasRows.map(row => row.alias)
+    ]);
+    for (const summary of await storage.machineSummaries()) {
+      if (known.has(summary.machine_id)) continue;
+      await dbAsync.write(db, 'INSERT OR IGNORE INTO machines (machine_id, device_type, first_seen, last_seen) VALUES (?, ?, ?, ?)',
+        [summary.machine_id, summary.device_type, summary.first_seen, summary.last_seen]);
+    }
+
+    const rows = await dbAsync.all(db, 'SELECT * FROM machines');
+    const recent = await storage.recentArrivals(MAX_GAPS + 1);
+
+    const arrivals = new Map();
+    recent.forEach(row => {
+      if (!arrivals.has(row.machine_id)) arrivals.set(row.machine_id, []);
+      arrivals.get(row.machine_id).push(parseDbTime(row.received_at));
+    });
+
+    machines.clear();
+    rows.forEach(row => {
+      const times = arrivals.get(row.machine_id) || [];
+      const gaps = [];
+      for (let i = 1; i < times.length; i++) {
+        if (times[i] > times[i - 1]) gaps.push((times[i] - times[i - 1]) / 1000);
+      }
+      machines.set(row.machine_id, rowToMachine(row, gaps));
+    });
+
+    aliases.clear();
+    aliasRows.forEach(row => aliases.set(row.alias, row.machine_id));
+
+    check();
+    return machines.size;
+  };
+
+  // [[alias, machineId]] for every alias
+  const aliasList = () => [...aliases.entries()];
+
+  // Map a reported ID to its canonical machine ID (unknown IDs pass through unchanged)
+  const resolveAlias = (machineId) => {
+    if (machineId === null || machineId === undefined) return machineId;
+    return aliases.get(String(machineId)) || machineId;
+  };
+
+  const newMachine = (deviceType, now) => ({
+    deviceType,
+    firstSeen: now,
+    lastSeen: now,
+    expectedInterval: null,
+    gaps: [],
+    status: null,
+    statusChangedAt: null,
+    meta: {
+      displayName: null,
+      location: null,
+      line: null,
+      cell: null,
+      vendor: null,
+      model: null,
+      tags: [],
+      decommissionedAt: null
+    }
+  });
+
+  // Called for every stored record
+  const touch = (machineId, deviceType, now = Date.now()) => {
+    if (machineId === null || machineId === undefined) return;
+    machineId = String(machineId);
+
+    let machine = machines.get(machineId);
+    if (!machine) {
+      machine = newMachine(deviceType, now);
+      machines.set(machineId, machine);
+    } else {
+      const gap = machine.lastSeen ? (now - machine.lastSeen) / 1000 : 0;
+      // Sub-second gaps are bursts (batches, replays), not the reporting rhythm
+      if (gap >= 1) {
+        machine.gaps.push(gap);
+        if (machine.gaps.length > MAX_GAPS) machine.gaps.shift();
+      }
+      machine.firstSeen = machine.firstSeen || now;
+      machine.lastSeen = Math.max(machine.lastSeen || 0, now);
+      // A device type set by hand wins over whatever the payload claims
+      machine.deviceType = machine.deviceType && machine.deviceType !== 'unknown' ? machine.deviceType : deviceType;
+    }
+
+    const iso = new Date(now).toISOString();
+    dbAsync.write(db, `
+      INSERT INTO machines (machine_id, device_type, first_seen, last_seen)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(machine_id) DO UPDATE SET
+        last_seen = excluded.last_seen,
+        first_seen = COALESCE(machines.first_seen, excluded.first_seen),
+        device_type = ?
+    `, [machineId, machine.deviceType, iso, iso, machine.deviceType])
+      .catch(err => console.error('Failed to update machine registry:', err));
+
+    setStatus(machineId, machine, computeStatus(machine, now), now);
+  };
+
+  const check = () => {
+    const now = Date.now();
+    for (const [machineId, machine] of machines) {
+      setStatus(machineId, machine, computeStatus(machine, now), now);
+    }
+  };
+
+  const start = () => {
+    if (!checkTimer) {
+      checkTimer = setInterval(check, checkIntervalMs);
+      checkTimer.unref();
+    }
+  };
+
+  const stop = () => {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  };
+
+  const summary = () => {
+    const counts = { total: machines.size, online: 0, late: 0, offline: 0, unknown: 0, decommissioned: 0 };
+    for (const machine of machines.values()) {
+      if (counts[machine.status] !== undefined) counts[machine.status]++;
+    }
+    return counts;
+  };
+
+  // { machineId, deviceType, lastSeen } per machine that has sent data, lastSeen in epoch ms
+  const lastSeenTimes = () => [...machines.entries()]
+    .filter(([, machine]) => machine.lastSeen)
+    .map(([machineId, machine]) => ({ machineId, deviceType: machine.deviceType, lastSeen: machine.lastSeen }));
+
+  // Machine IDs (and their aliases) matching registry metadata (location, comma-separated tags), or null when neither is given
+  const matchingMachineIds = ({ location, tags } = {}) => {
+    const wantedTags = String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    if (!location && wantedTags.length === 0) return null;
+
+    return [...machines.entries()]
+      .filter(([, machine]) =>
+        (!location || machine.meta.location === location) &&
+        wantedTags.every(tag => machine.meta.tags.includes(tag)))
+      .flatMap(([machineId]) => [machineId, ...aliasesOf(machineId)]);
+  };
+
+  // Aliases must not collide with another machine's ID or alias. A machine that has reported under an
+  // ID of its own can be folded in, unless other IDs are aliases of it.
+  const findAliasConflicts = (machineId, list) => list.filter(alias =>
+    alias === machineId ||
+    (machines.has(alias) && aliasesOf(alias).length > 0) ||
+    (aliases.has(alias) && aliases.get(alias) !== machineId)
+  );
+
+  // machine with what was known about a machine folded into it: the longer history and whatever
+  // metadata machine lacks
+  const mergeMachines = (machine, folded) => {
+    const times = (field) => [machine[field], folded[field]].filter(Boolean);
+    const merged = { ...machine, meta: { ...machine.meta } };
+    merged.firstSeen = times('firstSeen').length ? Math.min(...times('firstSeen')) : null;
+    merged.lastSeen = times('lastSeen').length ? Math.max(...times('lastSeen')) : null;
+    if (!merged.deviceType || merged.deviceType === 'unknown') merged.deviceType = folded.deviceType;
+    merged.expectedInterval = merged.expectedInterval || folded.expectedInterval;
+    if (merged.gaps.length < MIN_GAPS_TO_LEARN) merged.gaps = folded.gaps;
+    for (const field of Object.keys(METADATA_FIELDS).filter(field => field !== 'deviceType')) {
+      merged.meta[field] = merged.meta[field] || folded.meta[field];
+    }
+    merged.meta.tags = [...new Set([...merged.meta.tags, ...folded.meta.tags])];
+    return merged;
+  };
+
+  // Known machines in the list are folded in: their registry rows merge into machineId's and go. Their
+  // stored rows keep the old IDs; reads find them through the aliases (see aliasesOf).
+  const saveAliases = async (machineId, machine, list) => {
+    const foldedIds = list.filter(alias => machines.has(alias));
+    const merged = foldedIds.reduce((result, alias) => mergeMachines(result, machines.get(alias)), machine);
+
+    await dbAsync.transaction(db, async () => {
+      if (foldedIds.length) {
+        await dbAsync.run(db, `
+          UPDATE machines SET first_seen = ?, last_seen = ?, device_type = ?, expected_interval_seconds = ?,
+            display_name = ?, location = ?, line = ?, cell = ?, vendor = ?, model = ?, tags = ?
+          WHERE machine_id = ?
+        `, [
+          toIso(merged.firstSeen), toIso(merged.lastSeen), merged.deviceType, merged.expectedInterval,
+          merged.meta.displayName, merged.meta.location, merged.meta.line, merged.meta.cell, merged.meta.vendor,
+          merged.meta.model, JSON.stringify(merged.meta.tags), machineId
+        ]);
+        await dbAsync.run(db, `DELETE FROM machines WHERE machine_id IN (${foldedIds.map(() => '?').join(', ')})`, foldedIds);
+      }
+      await dbAsync.run(db, 'DELETE FROM machine_aliases WHERE machine_id = ?', [machineId]);
+      for (const alias of list) {
+        await dbAsync.run(db, 'INSERT INTO machine_aliases (alias, machine_id) VALUES (?, ?)', [alias, machineId]);
+      }
+    });
+
+    Object.assign(machine, merged);
+    foldedIds.forEach(alias => machines.delete(alias));
+    for (const [alias, canonical] of [...aliases.entries()]) {
+      if (canonical === machineId) aliases.delete(alias);
+    }
+    list.forEach(alias => aliases.set(alias, machineId));
+  };
+
+  const saveMetadata = async (machineId, machine, changes) => {
+    const sets = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(METADATA_FIELDS)) {
+      if (changes[field] === undefined) continue;
+      sets.push(`${column} = ?`);
+      params.push(changes[field]);
+      if (field === 'deviceType') machine.deviceType = changes[field];
+      else machine.meta[field] = changes[field];
+    }
+    if (changes.tags !== undefined) {
+      sets.push('tags = ?');
+      params.push(JSON.stringify(changes.tags));
+      machine.meta.tags = changes.tags;
+    }
+    if (changes.expectedIntervalSeconds !== undefined) {
+      sets.push('expected_interval_seconds = ?');
+      params.push(changes.expectedIntervalSeconds);
+      machine.expectedInterval = changes.expectedIntervalSeconds;
+    }
+    if (changes.decommissioned !== undefined && changes.decommissioned !== !!machine.meta.decommissionedAt) {
+      machine.meta.decommissionedAt = changes.decommissioned ? Date.now() : null;
+      sets.push('decommissioned_at = ?');
+      params.push(toIso(machine.meta.decommissionedAt));
+    }
+
+    if (sets.length > 0) {
+      await dbAsync.write(db, `UPDATE machines SET ${sets.join(', ')} WHERE machine_id = ?`, [...params, machineId]);
+    }
+    if (changes.aliases !== undefined) {
+      await saveAliases(machineId, machine, changes.aliases);
+    }
+    setStatus(machineId, machine, computeStatus(machine));
+  };
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const notFound = (res, machineId) => res.status(404).json({
+    success: false,
+    error: `Machine not found: ${machineId}`
+  });
+
+  const router = express.Router();
+
+  router.get('/', requireScope('read'), (req, res) => {
+    const { status, deviceType, location, line, tags, includeDecommissioned } = req.query;
+
+    if (status && !MACHINE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${MACHINE_STATUSES.join(', ')}`
+      });
+    }
+
+    const wantedTags = String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    const showDecommissioned = includeDecommissioned === 'true' || status === 'decommissioned';
+
+    const now = Date.now();
+    const data = [...machines.entries()]
+      .filter(([, machine]) =>
+        (showDecommissioned || !machine.meta.decommissionedAt) &&
+        (!status || machine.status === status) &&
+        (!deviceType || machine.deviceType === deviceType) &&
+        (!location || machine.meta.location === location) &&
+        (!line || machine.meta.line === line) &&
+        wantedTags.every(tag => machine.meta.tags.includes(tag)))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([machineId, machine]) => describe(machineId, machine, now));
+
+    res.json({
+      success: true,
+      summary: summary(),
+      data
+    });
+  });
+
+  // Register a machine ahead of its first reading
+  router.post('/', requireScope('admin'), async (req, res) => {
+    const { errors, changes } = validateMachine(req.body, { partial: false });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid machine', details: errors });
+    }
+
+    const { machineId } = changes;
+    if (machines.has(machineId) || aliases.has(machineId)) {
+      return res.status(409).json({ success: false, error: `Machine already exists: ${machineId}` });
+    }
+    const conflicts = findAliasConflicts(machineId, changes.aliases || []);
+    if (conflicts.length) {
+      return res.status(409).json({ success: false, error: `Aliases already in use: ${conflicts.join(', ')}` });
+    }
+
+    try {
+      await dbAsync.write(db, 'INSERT INTO machines (machine_id, device_type, created_at) VALUES (?, ?, ?)',
+        [machineId, changes.deviceType || 'unknown', new Date().toISOString()]);
+
+      const machine = newMachine(changes.deviceType || 'unknown', null);
+      machines.set(machineId, machine);
+      await saveMetadata(machineId, machine, changes);
+
+      res.status(201).json({ success: true, data: describe(machineId, machine) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.get('/:machineId', requireScope('read'), async (req, res) => {
+    const machineId = resolveAlias(req.params.machineId);
+    const machine = machines.get(machineId);
+    if (!machine) return notFound(res, req.params.machineId);
+
+    try {
+      const filter = { machineId, machineAliases: aliasesOf(machineId) };
+      const { data: [latestRecord = null], pagination } = await storage.query(filter, {
+        limit: 1, offset: 0, fields: RECORD_FIELDS, includeTotal: true
+      });
+      const recordCount = pagination.total;
+
+      res.json({
+        success: true,
+        data: {
+          ...describe(machineId, machine),
+          recordCount,
+          latestRecord
+        }
+      });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  // Partial update of metadata, aliases, expected interval; decommissioned: false brings a machine back
+  router.patch('/:machineId', requireScope('admin'), async (req, res) => {
+    const machineId = resolveAlias(req.params.machineId);
+    const machine = machines.get(machineId);
+    if (!machine) return notFound(res, req.params.machineId);
+
+    const { errors, changes } = validateMachine(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid machine', details: errors });
+    }
+    const conflicts = findAliasConflicts(machineId, changes.aliases || []);
+    if (conflicts.length) {
+      return res.status(409).json({ success: false, error: `Aliases already in use: ${conflicts.join(', ')}` });
+    }
+
+    try {
+      await saveMetadata(machineId, machine, changes);
+      res.json({ success: true, data: describe(machineId, machine) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  // Decommission: the machine leaves listings and status checks, its data stays
+  router.delete('/:machineId', requireScope('admin'), async (req, res) => {
+    const machineId = resolveAlias(req.params.machineId);
+    const machine = machines.get(machineId);
+    if (!machine) return notFound(res, req.params.machineId);
+
+    try {
+      await saveMetadata(machineId, machine, { decommissioned: true });
+      res.json({
+        success: true,
+        message: `Machine ${machineId} decommissioned`,
+        data: describe(machineId, machine)
+      });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  return {
+    events,
+    load,
+    touch,
+    check,
+    start,
+    stop,
+    summary,
+    lastSeenTimes,
+    resolveAlias,
+    aliasesOf,
+    aliasList,
+    matchingMachineIds,
+    router
+  };
+};
+
+module.exports = {
+  MACHINE_STATUSES,
+  createMachineRegistry
+};
@@ -0,0 +1,530 @@
+const express = require('express');
+const { parsePath, getPath, hasPath, deletePath, firstValue } = require('./jsonPath');
+const dbAsync = require('./db');
+
+// Built-in rules used when no stored profile matches a payload.
+// These are the alias lists extractMachineInfo always had, expressed as a profile.
+const DEFAULT_MAPPING_RULES = {
+  machineId: ['machineId', 'machine_id', 'deviceId', 'device_id', 'id', 'serial', 'name'],
+  deviceType: ['deviceType', 'device_type', 'type', 'category'],
+  timestamp: { path: ['timestamp', 'time', 'datetime', 'created_at', 'recorded_at'], format: 'auto' },
+  exclude: ['machineId', 'machine_id', 'deviceId', 'device_id', 'deviceType', 'device_type', 'type', 'category']
+};
+
+const TIMESTAMP_FORMATS = ['auto', 'iso', 'epoch'];
+
+// Multiplier to milliseconds for each supported epoch unit
+const EPOCH_UNITS = {
+  s: 1000,
+  ms: 1,
+  us: 0.001,
+  ns: 0.000001
+};
+
+const MATCH_KEYS = ['headers', 'sourceIp', 'paths'];
+
+const toArray = (value) => Array.isArray(value) ? value : [value];
+
+const normalizeTimestampRule = (rule) => {
+  if (!rule) return null;
+  if (typeof rule === 'string' || Array.isArray(rule)) {
+    return { path: rule, format: 'auto' };
+  }
+  return { format: 'auto', ...rule };
+};
+
+// "2024-05-01 08:00:00" / "2024-05-01T08:00:00.250" - a date and time with no zone or offset
+const ZONELESS_DATE_TIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+const zoneFormatters = new Map();
+
+const zoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+// IANA zone names such as Europe/Berlin or UTC
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    zoneFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// How far timeZone's wall clock is ahead of UTC at the given instant, in ms
+const zoneOffset = (time, timeZone) => {
+  const parts = Object.fromEntries(zoneFormatter(timeZone).formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - (time - (((time % 1000) + 1000) % 1000));
+};
+
+// Wall-clock time in timeZone -> Date. The second pass settles the offset across DST changes.
+const zonedDate = (value, timeZone) => {
+  const wall = Date.parse(`${value.trim().replace(' ', 'T')}Z`);
+  if (isNaN(wall)) return new Date(NaN);
+  const guess = wall - zoneOffset(wall, timeZone);
+  return new Date(wall - zoneOffset(guess, timeZone));
+};
+
+// Zone-less date-times are read in timeZone when given, otherwise in the server's local time
+const parseDateString = (value, timeZone) => (
+  timeZone && ZONELESS_DATE_TIME.test(value.trim()) ? zonedDate(value, timeZone) : new Date(value)
+);
+
+const parseTimestamp = (value, format = 'auto', unit, timeZone = null) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  let date;
+  const numeric = typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()));
+
+  if (format === 'epoch' || (format === 'auto' && unit && numeric)) {
+    if (!numeric) return null;
+    date = new Date(Number(value) * EPOCH_UNITS[unit || 'ms']);
+  } else if (format === 'iso') {
+    if (typeof value !== 'string') return null;
+    date = parseDateString(value, timeZone);
+  } else {
+    date = typeof value === 'string' ? parseDateString(value, timeZone) : new Date(value);
+  }
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// First candidate path that holds a parseable timestamp wins
+const resolveTimestamp = (payload, rule, timeZone) => {
+  const normalized = normalizeTimestampRule(rule);
+  if (!normalized) return null;
+
+  for (const candidate of toArray(normalized.path)) {
+    const timestamp = parseTimestamp(getPath(payload, candidate), normalized.format, normalized.unit, timeZone);
+    if (timestamp) return timestamp;
+  }
+  return null;
+};
+
+// timeZoneFor(deviceType) names the zone for zone-less timestamp strings, or returns null
+const applyMappingRules = (payload, rules, { timeZoneFor = () => null } = {}) => {
+  const machineId = rules.machineId ? firstValue(payload, rules.machineId) : undefined;
+
+  let deviceType;
+  if (rules.deviceType && typeof rules.deviceType === 'object' && !Array.isArray(rules.deviceType)) {
+    deviceType = rules.deviceType.value;
+  } else if (rules.deviceType) {
+    deviceType = firstValue(payload, rules.deviceType);
+  }
+
+  const timestamp = resolveTimestamp(payload, rules.timestamp, timeZoneFor(deviceType === undefined ? 'unknown' : deviceType));
+
+  // Unless told otherwise, drop whatever was used as the machine ID / device type
+  const exclude = rules.exclude || [
+    ...(rules.machineId ? toArray(rules.machineId) : []),
+    ...(Array.isArray(rules.deviceType) || typeof rules.deviceType === 'string' ? toArray(rules.deviceType) : [])
+  ];
+
+  let extractedData = {};
+  if (!rules.fields || rules.keepUnmapped) {
+    extractedData = structuredClone(payload);
+    exclude.forEach(path => deletePath(extractedData, path));
+  }
+
+  if (rules.fields) {
+    for (const [field, paths] of Object.entries(rules.fields)) {
+      const value = firstValue(payload, paths);
+      if (value !== undefined) extractedData[field] = value;
+    }
+  }
+
+  return {
+    machineId: machineId === undefined ? null : machineId,
+    deviceType: deviceType === undefined ? 'unknown' : deviceType,
+    timestamp,
+    extractedData
+  };
+};
+
+const normalizeIp = (ip) => typeof ip === 'string' ? ip.replace(/^::ffff:/, '') : '';
+
+const ipv4ToInt = (ip) => {
+  const parts = ip.split('.');
+  if (parts.length !== 4 || parts.some(p => !/^\d+$/.test(p) || Number(p) > 255)) return null;
+  return parts.reduce((acc, part) => (acc * 256) + Number(part), 0);
+};
+
+// Exact address, "10.1.*" style prefix or IPv4 CIDR ("10.1.0.0/16")
+const ipMatches = (pattern, ip) => {
+  const address = normalizeIp(ip);
+  if (pattern.endsWith('*')) return address.startsWith(pattern.slice(0, -1));
+  if (pattern.includes('/')) {
+    const [base, bits] = pattern.split('/');
+    const baseInt = ipv4ToInt(base);
+    const addressInt = ipv4ToInt(address);
+    const prefix = parseInt(bits, 10);
+    if (baseInt === null || addressInt === null || isNaN(prefix)) return false;
+    const size = 2 ** (32 - prefix);
+    return Math.floor(baseInt / size) === Math.floor(addressInt / size);
+  }
+  return normalizeIp(pattern) === address;
+};
+
+// All conditions present on the profile must hold
+const matchesProfile = (profile, payload, context = {}) => {
+  const { match } = profile;
+  const headers = context.headers || {};
+
+  if (match.headers) {
+    for (const [name, expected] of Object.entries(match.headers)) {
+      const actual = headers[name.toLowerCase()];
+      if (actual === undefined) return false;
+      if (expected !== '*' && String(actual).toLowerCase() !== String(expected).toLowerCase()) return false;
+    }
+  }
+
+  if (match.sourceIp) {
+    if (!toArray(match.sourceIp).some(pattern => ipMatches(pattern, context.sourceIp))) return false;
+  }
+
+  if (match.paths) {
+    if (!match.paths.every(path => hasPath(payload, path))) return false;
+  }
+
+  return true;
+};
+
+const validatePaths = (value, label, errors) => {
+  const paths = toArray(value);
+  if (paths.length === 0) {
+    errors.push(`${label} must name at least one path`);
+    return;
+  }
+  for (const path of paths) {
+    try {
+      parsePath(path);
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`);
+    }
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns { errors, profile } where profile is the normalized input
+const validateProfile = (body) => {
+  const errors = [];
+
+  if (!isPlainObject(body)) {
+    return { errors: ['Profile must be a JSON object'], profile: null };
+  }
+
+  const { name, description = null, priority = 0, enabled = true, match, rules } = body;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push('name is required');
+  }
+  if (!Number.isInteger(priority)) {
+    errors.push('priority must be an integer');
+  }
+  if (typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  if (!isPlainObject(match)) {
+    errors.push('match must be an object');
+  } else {
+    const keys = Object.keys(match);
+    const unknown = keys.filter(k => !MATCH_KEYS.includes(k));
+    if (unknown.length > 0) errors.push(`match has unknown keys: ${unknown.join(', ')}`);
+    if (!keys.some(k => MATCH_KEYS.includes(k))) {
+      errors.push(`match needs at least one of: ${MATCH_KEYS.join(', ')}`);
+    }
+    if (match.headers !== undefined && (!isPlainObject(match.headers) ||
+        Object.values(match.headers).some(v => typeof v !== 'string'))) {
+      errors.push('match.headers must map header names to string values ("*" matches any value)');
+    }
+    if (match.sourceIp !== undefined && toArray(match.sourceIp).some(ip => typeof ip !== 'string')) {
+      errors.push('match.sourceIp must be a string or an array of strings');
+    }
+    if (match.paths !== undefined) {
+      if (!Array.isArray(match.paths)) errors.push('match.paths must be an array');
+      else validatePaths(match.paths, 'match.paths', errors);
+    }
+  }
+
+  if (!isPlainObject(rules)) {
+    errors.push('rules must be an object');
+  } else {
+    if (rules.machineId !== undefined) validatePaths(rules.machineId, 'rules.machineId', errors);
+
+    if (rules.deviceType !== undefined) {
+      if (isPlainObject(rules.deviceType)) {
+        if (typeof rules.deviceType.value !== 'string') errors.push('rules.deviceType.value must be a string');
+      } else {
+        validatePaths(rules.deviceType, 'rules.deviceType', errors);
+      }
+    }
+
+    if (rules.timestamp !== undefined) {
+      const ts = normalizeTimestampRule(rules.timestamp);
+      if (!ts || ts.path === undefined) {
+        errors.push('rules.timestamp needs a path');
+      } else {
+        validatePaths(ts.path, 'rules.timestamp.path', errors);
+      }
+      if (ts && !TIMESTAMP_FORMATS.includes(ts.format)) {
+        errors.push(`rules.timestamp.format must be one of: ${TIMESTAMP_FORMATS.join(', ')}`);
+      }
+      if (ts && ts.unit !== undefined && !EPOCH_UNITS[ts.unit]) {
+        errors.push(`rules.timestamp.unit must be one of: ${Object.keys(EPOCH_UNITS).join(', ')}`);
+      }
+    }
+
+    if (rules.fields !== undefined) {
+      if (!isPlainObject(rules.fields)) {
+        errors.push('rules.fields must map field names to paths');
+      } else {
+        for (const [field, paths] of Object.entries(rules.fields)) {
+          validatePaths(paths, `rules.fields.${field}`, errors);
+        }
+      }
+    }
+
+    if (rules.exclude !== undefined) {
+      if (!Array.isArray(rules.exclude)) errors.push('rules.exclude must be an array');
+      else rules.exclude.forEach(path => validatePaths(path, 'rules.exclude', errors));
+    }
+
+    if (rules.keepUnmapped !== undefined && typeof rules.keepUnmapped !== 'boolean') {
+      errors.push('rules.keepUnmapped must be a boolean');
+    }
+  }
+
+  return {
+    errors,
+    profile: errors.length ? null : {
+      name: name.trim(),
+      description,
+      priority,
+      enabled,
+      match,
+      rules
+    }
+  };
+};
+
+const rowToProfile = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  priority: row.priority,
+  enabled: !!row.enabled,
+  match: dbAsync.parseJSON(row.match),
+  rules: dbAsync.parseJSON(row.rules),
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// timeZoneFor(deviceType, context) -> zone for zone-less timestamps (see applyMappingRules)
+const createMappingProfiles = (db, { timeZoneFor = () => null } = {}) => {
+  // Enabled profiles, highest priority first - extraction runs synchronously off this cache
+  let profiles = [];
+
+  const reload = async () => {
+    const rows = await dbAsync.all(db, `
+      SELECT * FROM mapping_profiles WHERE enabled = 1 ORDER BY priority DESC, id ASC
+    `);
+    profiles = rows.map(rowToProfile);
+    return profiles;
+  };
+
+  const findProfile = (payload, context) =>
+    profiles.find(profile => matchesProfile(profile, payload, context)) || null;
+
+  // Drop-in for the old hardcoded extraction: stored profile first, built-in aliases otherwise
+  const extract = (payload, context = {}, profile = findProfile(payload, context)) => ({
+    ...applyMappingRules(payload, profile ? profile.rules : DEFAULT_MAPPING_RULES, {
+      timeZoneFor: (deviceType) => timeZoneFor(deviceType, context)
+    }),
+    profile: profile ? profile.name : null
+  });
+
+  const router = express.Router();
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const isUniqueViolation = (err) => err && err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message);
+
+  router.get('/', async (req, res) => {
+    try {
+      const rows = await dbAsync.all(db, 'SELECT * FROM mapping_profiles ORDER BY priority DESC, id ASC');
+      res.json({
+        success: true,
+        data: rows.map(rowToProfile),
+        defaultRules: DEFAULT_MAPPING_RULES
+      });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  // Show what a sample payload would extract to, without storing anything
+  router.post('/dry-run', async (req, res) => {
+    const { payload, headers = {}, sourceIp = null, profileId, profile: inlineProfile } = req.body || {};
+
+    if (!isPlainObject(payload)) {
+      return res.status(400).json({
+        success: false,
+        error: 'payload must be a JSON object'
+      });
+    }
+
+    const context = {
+      headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+      sourceIp
+    };
+
+    let profile;
+    try {
+      if (inlineProfile) {
+        const { errors, profile: candidate } = validateProfile(inlineProfile);
+        if (errors.length) {
+          return res.status(400).json({ success: false, error: 'Invalid profile', details: errors });
+        }
+        profile = candidate;
+      } else if (profileId !== undefined) {
+        const row = await dbAsync.get(db, 'SELECT * FROM mapping_profiles WHERE id = ?', [profileId]);
+        if (!row) {
+          return res.status(404).json({ success: false, error: `Mapping profile not found: ${profileId}` });
+        }
+        profile = rowToProfile(row);
+      }
+    } catch (err) {
+      return dbError(res, err);
+    }
+
+    // An explicitly chosen profile is applied even if its match conditions would not select it
+    const selected = profile || findProfile(payload, context);
+
+    res.json({
+      success: true,
+      profile: selected ? selected.name : null,
+      matches: profile ? matchesProfile(profile, payload, context) : !!selected,
+      extracted: extract(payload, context, selected)
+    });
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const row = await dbAsync.get(db, 'SELECT * FROM mapping_profiles WHERE id = ?', [req.params.id]);
+      if (!row) {
+        return res.status(404).json({ success: false, error: `Mapping profile not found: ${req.params.id}` });
+      }
+      res.json({ success: true, data: rowToProfile(row) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    const { errors, profile } = validateProfile(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid profile', details: errors });
+    }
+
+    try {
+      const result = await dbAsync.write(db, `
+        INSERT INTO mapping_profiles (name, description, priority, enabled, match, rules)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [profile.name, profile.description, profile.priority, profile.enabled ? 1 : 0,
+        JSON.stringify(profile.match), JSON.stringify(profile.rules)]);
+
+      await reload();
+      const row = await dbAsync.get(db, 'SELECT * FROM mapping_profiles WHERE id = ?', [result.lastID]);
+      res.status(201).json({ success: true, data: rowToProfile(row) });
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, error: `Mapping profile already exists: ${profile.name}` });
+      }
+      dbError(res, err);
+    }
+  });
+
+  router.put('/:id', async (req, res) => {
+    const { errors, profile } = validateProfile(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid profile', details: errors });
+    }
+
+    try {
+      const result = await dbAsync.write(db, `
+        UPDATE mapping_profiles
+        SET name = ?, description = ?, priority = ?, enabled = ?, match = ?, rules = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [profile.name, profile.description, profile.priority, profile.enabled ? 1 : 0,
+        JSON.stringify(profile.match), JSON.stringify(profile.rules), req.params.id]);
+
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `Mapping profile not found: ${req.params.id}` });
+      }
+
+      await reload();
+      const row = await dbAsync.get(db, 'SELECT * FROM mapping_profiles WHERE id = ?', [req.params.id]);
+      res.json({ success: true, data: rowToProfile(row) });
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, error: `Mapping profile already exists: ${profile.name}` });
+      }
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM mapping_profiles WHERE id = ?', [req.params.id]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `Mapping profile not found: ${req.params.id}` });
+      }
+      await reload();
+      res.json({ success: true, message: `Mapping profile ${req.params.id} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  return {
+    reload,
+    findProfile,
+    extract,
+    router
+  };
+};
+
+module.exports = {
+  DEFAULT_MAPPING_RULES,
+  TIMESTAMP_FORMATS,
+  EPOCH_UNITS,
+  applyMappingRules,
+  matchesProfile,
+  parseTimestamp,
+  isValidTimeZone,
+  validateProfile,
+  createMappingProfiles
+};
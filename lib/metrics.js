@@ -0,0 +1,133 @@
+const client = require('prom-client');
+
+const UNMATCHED_ROUTE = 'unmatched';
+
+// Route pattern the request matched (e.g. /api/machines/:machineId), never the raw URL
+const routeLabel = (req) => (req.route ? `${req.baseUrl || ''}${req.route.path}` : UNMATCHED_ROUTE);
+
+/**
+ * Prometheus metrics served as text at GET /metrics. recordCount(), queueStatus() and machinesLastSeen()
+ * are read on every scrape; machineLabels=false leaves out the per-machine series (one per machine ID).
+ */
+const createMetrics = ({ machineLabels = true, recordCount, queueStatus, machinesLastSeen }) => {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register });
+
+  const ingestTotal = new client.Counter({
+    name: 'machine_data_ingest_total',
+    help: 'Ingested payloads by device type and result (stored, duplicate, rejected, rate_limited, failed)',
+    labelNames: ['device_type', 'result'],
+    registers: [register]
+  });
+
+  const requestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+  });
+
+  const queryDuration = new client.Histogram({
+    name: 'machine_data_db_query_duration_seconds',
+    help: 'machine_data storage operation durations',
+    labelNames: ['backend', 'operation'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register]
+  });
+
+  new client.Gauge({
+    name: 'machine_data_records',
+    help: 'Records currently stored in machine_data',
+    registers: [register],
+    async collect() {
+      // A failing database shows up in the query histogram and /health; keep the scrape working
+      const total = await recordCount().catch(() => null);
+      if (total !== null) this.set(total);
+    }
+  });
+
+  new client.Gauge({
+    name: 'machine_data_ingest_queue_depth',
+    help: 'Payloads accepted but not yet written to machine_data',
+    registers: [register],
+    async collect() {
+      const status = await queueStatus().catch(() => null);
+      if (status) this.set(status.depth);
+    }
+  });
+
+  new client.Gauge({
+    name: 'machine_data_ingest_queue_lag_seconds',
+    help: 'Age of the oldest payload waiting in the ingest queue',
+    registers: [register],
+    async collect() {
+      const status = await queueStatus().catch(() => null);
+      if (status) this.set(status.lagSeconds);
+    }
+  });
+
+  if (machineLabels) {
+    new client.Gauge({
+      name: 'machine_last_seen_timestamp_seconds',
+      help: 'Unix time of the last payload per machine',
+      labelNames: ['machine_id', 'device_type'],
+      registers: [register],
+      collect() {
+        this.reset();
+        for (const { machineId, deviceType, lastSeen } of machinesLastSeen()) {
+          this.set({ machine_id: machineId, device_type: deviceType || 'unknown' }, lastSeen / 1000);
+        }
+      }
+    });
+  }
+
+  const countIngest = (deviceType, result, count = 1) => {
+    if (count > 0) ingestTotal.inc({ device_type: deviceType || 'unknown', result }, count);
+  };
+
+  // Times every request; the route is only known once the response is done
+  const requestTimer = (req, res, next) => {
+    const end = requestDuration.startTimer();
+    res.on('finish', () => end({ method: req.method, route: routeLabel(req), status_code: res.statusCode }));
+    next();
+  };
+
+  // Same storage interface, with every database operation timed
+  const instrumentStorage = (storage) => {
+    const timed = { ...storage };
+    for (const [operation, fn] of Object.entries(storage)) {
+      if (typeof fn !== 'function' || operation === 'init' || operation === 'close') continue;
+      timed[operation] = (...args) => {
+        const end = queryDuration.startTimer({ backend: storage.name, operation });
+        return Promise.resolve(fn(...args)).finally(end);
+      };
+    }
+    return timed;
+  };
+
+  const handler = async (req, res) => {
+    try {
+      res.set('Content-Type', register.contentType);
+      res.send(await register.metrics());
+    } catch (err) {
+      console.error('Failed to collect metrics:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to collect metrics'
+      });
+    }
+  };
+
+  return {
+    register,
+    countIngest,
+    requestTimer,
+    instrumentStorage,
+    handler
+  };
+};
+
+module.exports = {
+  createMetrics
+};
@@ -0,0 +1,509 @@
+const dbAsync = require('./db');
+
+// Versioned schema changes. Applied versions are recorded in schema_version; migrations run in
+// order, each in its own transaction, and never change once released - add a new one instead.
+
+const VERSION_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )
+`;
+
+const machineDataTable = (name) => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    machine_id TEXT,
+    device_type TEXT DEFAULT 'unknown',
+    timestamp DATETIME,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    raw_payload TEXT NOT NULL,
+    extracted_data TEXT DEFAULT '{}',
+    metadata TEXT DEFAULT '{}',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+const MACHINE_DATA_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_machine_id ON machine_data(machine_id)',
+  'CREATE INDEX IF NOT EXISTS idx_timestamp ON machine_data(timestamp)',
+  'CREATE INDEX IF NOT EXISTS idx_device_type ON machine_data(device_type)',
+  'CREATE INDEX IF NOT EXISTS idx_received_at ON machine_data(received_at)'
+];
+
+// The schema as it stood when migrations were introduced. IF NOT EXISTS because databases
+// created before then already have some or all of it.
+const BASELINE = [
+  machineDataTable('machine_data'),
+  ...MACHINE_DATA_INDEXES,
+  `
+    CREATE TABLE IF NOT EXISTS pruned_message_counts (
+      machine_id TEXT NOT NULL,
+      device_type TEXT NOT NULL,
+      count INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (machine_id, device_type)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS mapping_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      priority INTEGER DEFAULT 0,
+      enabled INTEGER DEFAULT 1,
+      match TEXT NOT NULL DEFAULT '{}',
+      rules TEXT NOT NULL DEFAULT '{}',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      lookup TEXT NOT NULL UNIQUE,
+      key_hash TEXT NOT NULL,
+      scopes TEXT NOT NULL DEFAULT '[]',
+      machine_ids TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      rotated_at DATETIME,
+      last_used_at DATETIME,
+      revoked_at DATETIME
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      machine_id TEXT,
+      device_type TEXT,
+      field TEXT NOT NULL,
+      condition TEXT NOT NULL,
+      threshold TEXT,
+      hysteresis REAL DEFAULT 0,
+      min_duration_seconds INTEGER DEFAULT 0,
+      severity TEXT DEFAULT 'warning',
+      webhook_url TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id INTEGER NOT NULL,
+      machine_id TEXT,
+      severity TEXT,
+      state TEXT NOT NULL DEFAULT 'firing',
+      value TEXT,
+      last_value TEXT,
+      record_id INTEGER,
+      triggered_at DATETIME,
+      fired_at DATETIME,
+      acknowledged_at DATETIME,
+      acknowledged_by TEXT,
+      resolved_at DATETIME,
+      notification_error TEXT
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_alerts_state ON alerts(state);`,
+  `
+    CREATE TABLE IF NOT EXISTS machines (
+      machine_id TEXT PRIMARY KEY,
+      display_name TEXT,
+      device_type TEXT,
+      location TEXT,
+      line TEXT,
+      cell TEXT,
+      vendor TEXT,
+      model TEXT,
+      tags TEXT DEFAULT '[]',
+      first_seen DATETIME,
+      last_seen DATETIME,
+      expected_interval_seconds REAL,
+      learned_interval_seconds REAL,
+      status TEXT,
+      status_changed_at DATETIME,
+      created_at DATETIME,
+      decommissioned_at DATETIME
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS machine_aliases (
+      alias TEXT PRIMARY KEY,
+      machine_id TEXT NOT NULL
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS unit_configs (
+      device_type TEXT PRIMARY KEY,
+      fields TEXT NOT NULL DEFAULT '{}',
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS device_schemas (
+      device_type TEXT PRIMARY KEY,
+      mode TEXT NOT NULL DEFAULT 'warn',
+      description TEXT,
+      schema TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS schema_violations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      machine_id TEXT,
+      device_type TEXT,
+      record_id INTEGER,
+      mode TEXT NOT NULL,
+      errors TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_schema_violations_machine ON schema_violations(machine_id, id)`,
+  `
+    CREATE TABLE IF NOT EXISTS opcua_collectors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      endpoint_url TEXT NOT NULL,
+      machine_id TEXT NOT NULL,
+      device_type TEXT NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'subscribe',
+      sampling_interval_ms INTEGER NOT NULL DEFAULT 1000,
+      nodes TEXT NOT NULL,
+      security_mode TEXT NOT NULL DEFAULT 'None',
+      security_policy TEXT NOT NULL DEFAULT 'None',
+      username TEXT,
+      password TEXT,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS modbus_register_maps (
+      device_type TEXT PRIMARY KEY,
+      registers TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS modbus_devices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      host TEXT NOT NULL,
+      port INTEGER NOT NULL DEFAULT 502,
+      unit_id INTEGER NOT NULL DEFAULT 1,
+      machine_id TEXT NOT NULL,
+      device_type TEXT NOT NULL,
+      interval_ms INTEGER NOT NULL DEFAULT 5000,
+      timeout_ms INTEGER NOT NULL DEFAULT 2000,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS retention_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      machine_id TEXT,
+      device_type TEXT,
+      tiers TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_policies_scope
+    ON retention_policies(COALESCE(machine_id, ''), COALESCE(device_type, ''))
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS rollups_1m (
+      machine_id TEXT NOT NULL,
+      device_type TEXT NOT NULL,
+      field TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      count INTEGER NOT NULL,
+      sum REAL NOT NULL,
+      sum_sq REAL NOT NULL,
+      min REAL,
+      max REAL,
+      first REAL,
+      first_at REAL,
+      last REAL,
+      last_at REAL,
+      PRIMARY KEY (machine_id, device_type, field, bucket)
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_rollups_1m_bucket ON rollups_1m(bucket)`,
+  `
+    CREATE TABLE IF NOT EXISTS rollups_1h (
+      machine_id TEXT NOT NULL,
+      device_type TEXT NOT NULL,
+      field TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      count INTEGER NOT NULL,
+      sum REAL NOT NULL,
+      sum_sq REAL NOT NULL,
+      min REAL,
+      max REAL,
+      first REAL,
+      first_at REAL,
+      last REAL,
+      last_at REAL,
+      PRIMARY KEY (machine_id, device_type, field, bucket)
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_rollups_1h_bucket ON rollups_1h(bucket)`,
+  `
+    CREATE TABLE IF NOT EXISTS retention_state (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS retention_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      started_at DATETIME,
+      finished_at DATETIME,
+      status TEXT NOT NULL,
+      rolled_up_to INTEGER,
+      rows_rolled_up INTEGER DEFAULT 0,
+      rows_deleted INTEGER DEFAULT 0,
+      details TEXT,
+      error TEXT
+    )
+  `
+];
+
+const columnNames = async (db, table) => new Set((await db.all(`PRAGMA table_info(${table})`)).map(column => column.name));
+
+const SQLITE_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'convert_legacy_machine_data',
+    // The first release (server.backup.js) kept the payload's data object in a `data` column with
+    // NOT NULL machine_id / timestamp. Rebuild those tables in the current layout, keeping ids.
+    up: async (db) => {
+      const columns = await columnNames(db, 'machine_data');
+      if (!columns.has('data') || columns.has('raw_payload')) return;
+
+      await db.run(machineDataTable('machine_data_converted'));
+      await db.run(`
+        INSERT INTO machine_data_converted (id, machine_id, device_type, timestamp, received_at, raw_payload, extracted_data, metadata, created_at)
+        SELECT
+          id,
+          machine_id,
+          device_type,
+          timestamp,
+          received_at,
+          json_object('machineId', machine_id, 'deviceType', device_type, 'timestamp', timestamp,
+            'data', CASE WHEN json_valid(data) THEN json(data) ELSE data END),
+          CASE WHEN json_valid(data) AND json_type(data) = 'object' THEN data ELSE '{}' END,
+          CASE WHEN json_valid(metadata) THEN metadata ELSE '{}' END,
+          created_at
+        FROM machine_data
+      `);
+      await db.run('DROP TABLE machine_data');
+      await db.run('ALTER TABLE machine_data_converted RENAME TO machine_data');
+      for (const sql of MACHINE_DATA_INDEXES) await db.run(sql);
+    }
+  },
+  {
+    version: 2,
+    name: 'baseline_schema',
+    up: async (db) => {
+      for (const sql of BASELINE) await db.run(sql);
+    }
+  },
+  {
+    version: 3,
+    name: 'machine_registry_metadata',
+    // machines tables created before the registry kept metadata lack these columns
+    up: async (db) => {
+      const existing = await columnNames(db, 'machines');
+      const columns = {
+        display_name: 'TEXT',
+        location: 'TEXT',
+        line: 'TEXT',
+        cell: 'TEXT',
+        vendor: 'TEXT',
+        model: 'TEXT',
+        tags: "TEXT DEFAULT '[]'",
+        created_at: 'DATETIME',
+        decommissioned_at: 'DATETIME'
+      };
+      for (const [name, definition] of Object.entries(columns)) {
+        if (!existing.has(name)) await db.run(`ALTER TABLE machines ADD COLUMN ${name} ${definition}`);
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'rate_limits',
+    // Token bucket limits per machine / device type, bucket state that survives restarts, and
+    // rejected ingest counts per machine
+    up: async (db) => {
+      await db.run(`
+        CREATE TABLE rate_limits (
+          kind TEXT NOT NULL,
+          target TEXT NOT NULL,
+          rate_per_minute REAL NOT NULL,
+          burst INTEGER NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (kind, target)
+        )
+      `);
+      await db.run(`
+        CREATE TABLE rate_limit_buckets (
+          bucket TEXT PRIMARY KEY,
+          tokens REAL NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+      await db.run(`
+        CREATE TABLE rate_limit_rejections (
+          machine_id TEXT NOT NULL,
+          device_type TEXT NOT NULL,
+          count INTEGER NOT NULL DEFAULT 0,
+          last_rejected_at DATETIME,
+          PRIMARY KEY (machine_id, device_type)
+        )
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'natural_keys',
+    // Fields that identify a payload per device type, for duplicate detection at ingest
+    up: async (db) => {
+      await db.run(`
+        CREATE TABLE natural_keys (
+          device_type TEXT PRIMARY KEY,
+          fields TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'device_clocks',
+    // Skew policies and default time zones per device type, and the estimated clock offset per machine
+    up: async (db) => {
+      await db.run(`
+        CREATE TABLE timestamp_policies (
+          device_type TEXT PRIMARY KEY,
+          action TEXT NOT NULL,
+          tolerance_seconds REAL NOT NULL,
+          time_zone TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.run(`
+        CREATE TABLE machine_clocks (
+          machine_id TEXT PRIMARY KEY,
+          offset_ms REAL NOT NULL,
+          skews TEXT NOT NULL,
+          last_timestamp TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'record_keys',
+    // Idempotency and natural keys of stored machine_data rows, kept as long as the rows, so a retry is
+    // recognised after the ingest queue has forgotten it (a separate table, as the PostgreSQL backend's
+    // hypertable cannot hold a unique index without received_at)
+    up: async (db) => {
+      await db.run(`
+        CREATE TABLE record_keys (
+          key TEXT PRIMARY KEY,
+          record_id INTEGER NOT NULL,
+          ingest_id TEXT
+        )
+      `);
+      await db.run('CREATE INDEX idx_record_keys_record_id ON record_keys(record_id)');
+    }
+  }
+];
+
+/**
+ * Migration target for a SQLite database - by default the main one (configuration tables, plus
+ * machine_data on the sqlite storage backend). Targets provide name, migrations, run / get / all
+ * and transaction(work).
+ */
+const sqliteMigrationTarget = (db, { name = 'sqlite', migrations = SQLITE_MIGRATIONS } = {}) => {
+  const exec = {
+    run: (sql, params) => dbAsync.run(db, sql, params),
+    get: (sql, params) => dbAsync.get(db, sql, params),
+    all: (sql, params) => dbAsync.all(db, sql, params)
+  };
+
+  return {
+    name,
+    migrations,
+    ...exec,
+    transaction: (work) => dbAsync.transaction(db, () => work(exec))
+  };
+};
+
+// { database, current, latest, applied, pending, unknown } - unknown lists versions only a newer release knows
+const migrationStatus = async (target) => {
+  await target.run(VERSION_TABLE);
+  const applied = await target.all('SELECT version, name, applied_at FROM schema_version ORDER BY version');
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const knownVersions = new Set(target.migrations.map(migration => migration.version));
+
+  return {
+    database: target.name,
+    current: applied.length ? applied[applied.length - 1].version : 0,
+    latest: target.migrations[target.migrations.length - 1].version,
+    applied,
+    pending: target.migrations
+      .filter(migration => !appliedVersions.has(migration.version))
+      .map(({ version, name }) => ({ version, name })),
+    unknown: applied.map(row => row.version).filter(version => !knownVersions.has(version))
+  };
+};
+
+// Applies pending migrations in order; resolves with the ones that ran
+const migrate = async (target, { onApply = () => {} } = {}) => {
+  const status = await migrationStatus(target);
+  if (status.unknown.length) {
+    throw new Error(`The ${target.name} database has schema versions ${status.unknown.join(', ')}, which this release does not know. ` +
+      'It was migrated by a newer version.');
+  }
+
+  for (const { version, name } of status.pending) {
+    const migration = target.migrations.find(m => m.version === version);
+    await target.transaction(async (db) => {
+      // Another process may have applied it since the status check
+      if (await db.get('SELECT 1 AS applied FROM schema_version WHERE version = ?', [version])) return;
+      await migration.up(db);
+      await db.run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)', [version, name, new Date().toISOString()]);
+    });
+    onApply({ database: target.name, version, name });
+  }
+  return status.pending;
+};
+
+const logMigration = ({ database, version, name }) => console.log(`🧱 Migrated ${database} schema to version ${version} (${name})`);
+
+module.exports = {
+  SQLITE_MIGRATIONS,
+  logMigration,
+  sqliteMigrationTarget,
+  migrationStatus,
+  migrate
+};
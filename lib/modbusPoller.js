@@ -0,0 +1,530 @@
+const express = require('express');
+const ModbusRTU = require('modbus-serial');
+const { parsePath, setPath } = require('./jsonPath');
+const dbAsync = require('./db');
+
+const FUNCTION_CODES = [1, 2, 3, 4];
+// 16-bit registers per data type (coils and discrete inputs are single bits)
+const REGISTER_WORDS = {
+  bool: 1,
+  int16: 1,
+  uint16: 1,
+  int32: 2,
+  uint32: 2,
+  float32: 2,
+  float64: 4
+};
+// A = most significant byte. CDAB swaps words, BADC swaps bytes inside words, DCBA does both.
+const BYTE_ORDERS = ['ABCD', 'CDAB', 'BADC', 'DCBA'];
+const MIN_INTERVAL_MS = 100;
+const MAX_RECENT_ERRORS = 10;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+const orderBytes = (buffer, byteOrder) => {
+  const words = [];
+  for (let i = 0; i < buffer.length; i += 2) words.push([buffer[i], buffer[i + 1]]);
+  if (byteOrder === 'CDAB' || byteOrder === 'DCBA') words.reverse();
+  const swapBytes = byteOrder === 'BADC' || byteOrder === 'DCBA';
+  return Buffer.from(words.flatMap(([high, low]) => swapBytes ? [low, high] : [high, low]));
+};
+
+// Register bytes (as read, big-endian per register) -> scaled value
+const decodeRegister = (register, buffer) => {
+  const bytes = orderBytes(buffer, register.byteOrder);
+  let raw;
+  switch (register.dataType) {
+    case 'bool': return ((bytes.readUInt16BE(0) >> register.bit) & 1) === 1;
+    case 'int16': raw = bytes.readInt16BE(0); break;
+    case 'uint16': raw = bytes.readUInt16BE(0); break;
+    case 'int32': raw = bytes.readInt32BE(0); break;
+    case 'uint32': raw = bytes.readUInt32BE(0); break;
+    // float32 only carries ~7 significant digits; don't report the widening noise
+    case 'float32': raw = Number(bytes.readFloatBE(0).toPrecision(7)); break;
+    case 'float64': raw = bytes.readDoubleBE(0); break;
+    default: throw new Error(`Unsupported data type ${register.dataType}`);
+  }
+  if (register.scale === 1 && register.offset === 0) return raw;
+  return Number((raw * register.scale + register.offset).toPrecision(12));
+};
+
+const validateRegisterMap = (body) => {
+  const errors = [];
+  const registers = body && body.registers;
+
+  if (!Array.isArray(registers) || registers.length === 0) {
+    return { errors: ['registers must be a non-empty array'], registers: null };
+  }
+
+  const normalized = registers.map((register, index) => {
+    const label = `registers[${index}]`;
+    if (!isPlainObject(register)) {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+
+    const {
+      field,
+      address,
+      functionCode = 3,
+      dataType = functionCode <= 2 ? 'bool' : 'uint16',
+      byteOrder = 'ABCD',
+      bit = 0,
+      scale = 1,
+      offset = 0
+    } = register;
+
+    try {
+      parsePath(field);
+    } catch (err) {
+      errors.push(`${label}.field: ${err.message}`);
+    }
+    if (!Number.isInteger(address) || address < 0 || address > 65535) {
+      errors.push(`${label}.address must be an integer between 0 and 65535`);
+    }
+    if (!FUNCTION_CODES.includes(functionCode)) {
+      errors.push(`${label}.functionCode must be one of: ${FUNCTION_CODES.join(', ')}`);
+    }
+    if (!REGISTER_WORDS[dataType]) {
+      errors.push(`${label}.dataType must be one of: ${Object.keys(REGISTER_WORDS).join(', ')}`);
+    } else if (functionCode <= 2 && dataType !== 'bool') {
+      errors.push(`${label}: coils and discrete inputs (function codes 1 and 2) are always bool`);
+    }
+    if (!BYTE_ORDERS.includes(byteOrder)) errors.push(`${label}.byteOrder must be one of: ${BYTE_ORDERS.join(', ')}`);
+    if (!Number.isInteger(bit) || bit < 0 || bit > 15) errors.push(`${label}.bit must be an integer between 0 and 15`);
+    if (!isNumber(scale)) errors.push(`${label}.scale must be a number`);
+    if (!isNumber(offset)) errors.push(`${label}.offset must be a number`);
+
+    return { field, address, functionCode, dataType, byteOrder, bit, scale, offset };
+  });
+
+  return { errors, registers: errors.length ? null : normalized };
+};
+
+const validateDevice = (body) => {
+  const errors = [];
+
+  if (!isPlainObject(body)) {
+    return { errors: ['Device must be a JSON object'], device: null };
+  }
+
+  const {
+    name,
+    host,
+    port = 502,
+    unitId = 1,
+    machineId,
+    deviceType,
+    intervalMs = 5000,
+    timeoutMs = 2000,
+    enabled = true
+  } = body;
+
+  if (typeof name !== 'string' || name.trim() === '') errors.push('name is required');
+  if (typeof host !== 'string' || host.trim() === '') errors.push('host is required');
+  if (!Number.isInteger(port) || port < 1 || port > 65535) errors.push('port must be an integer between 1 and 65535');
+  if (!Number.isInteger(unitId) || unitId < 0 || unitId > 255) errors.push('unitId must be an integer between 0 and 255');
+  if (typeof machineId !== 'string' || machineId.trim() === '') errors.push('machineId is required');
+  if (typeof deviceType !== 'string' || deviceType.trim() === '') {
+    errors.push('deviceType is required (it selects the register map)');
+  }
+  if (!Number.isInteger(intervalMs) || intervalMs < MIN_INTERVAL_MS) {
+    errors.push(`intervalMs must be an integer of at least ${MIN_INTERVAL_MS}`);
+  }
+  if (!Number.isInteger(timeoutMs) || timeoutMs < 1) errors.push('timeoutMs must be a positive integer');
+  if (typeof enabled !== 'boolean') errors.push('enabled must be a boolean');
+
+  return {
+    errors,
+    device: errors.length ? null : {
+      name: name.trim(),
+      host: host.trim(),
+      port,
+      unitId,
+      machineId: machineId.trim(),
+      deviceType,
+      intervalMs,
+      timeoutMs,
+      enabled
+    }
+  };
+};
+
+const rowToDevice = (row) => ({
+  id: row.id,
+  name: row.name,
+  host: row.host,
+  port: row.port,
+  unitId: row.unit_id,
+  machineId: row.machine_id,
+  deviceType: row.device_type,
+  intervalMs: row.interval_ms,
+  timeoutMs: row.timeout_ms,
+  enabled: !!row.enabled,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+/**
+ * Polls one Modbus TCP device. The register map is looked up on every poll,
+ * so map edits apply without reconnecting.
+ */
+const createDevicePoller = (device, getRegisters, ingest) => {
+  const state = {
+    state: 'stopped',
+    connected: false,
+    lastPollAt: null,
+    lastSuccessAt: null,
+    lastValues: {},
+    polls: 0,
+    samplesStored: 0,
+    errorCount: 0,
+    consecutiveFailures: 0,
+    registerErrors: {},
+    recentErrors: []
+  };
+  const client = new ModbusRTU();
+  let timer = null;
+  let busy = false;
+
+  const recordError = (message) => {
+    state.errorCount++;
+    state.recentErrors.unshift({ message, at: new Date().toISOString() });
+    state.recentErrors.length = Math.min(state.recentErrors.length, MAX_RECENT_ERRORS);
+  };
+
+  const disconnect = () => new Promise(resolve => {
+    state.connected = false;
+    if (!client.isOpen) return resolve();
+    client.close(() => resolve());
+  });
+
+  const connect = async () => {
+    if (client.isOpen) return;
+    await client.connectTCP(device.host, { port: device.port });
+    client.setID(device.unitId);
+    client.setTimeout(device.timeoutMs);
+    state.connected = true;
+  };
+
+  const readRegister = async (register) => {
+    const words = REGISTER_WORDS[register.dataType];
+    switch (register.functionCode) {
+      case 1: return (await client.readCoils(register.address, 1)).data[0];
+      case 2: return (await client.readDiscreteInputs(register.address, 1)).data[0];
+      case 3: return decodeRegister(register, (await client.readHoldingRegisters(register.address, words)).buffer);
+      case 4: return decodeRegister(register, (await client.readInputRegisters(register.address, words)).buffer);
+      default: throw new Error(`Unsupported function code ${register.functionCode}`);
+    }
+  };
+
+  // Modbus exceptions only spoil one register; timeouts and socket errors end the poll
+  const isConnectionError = (err) => err.modbusCode === undefined;
+
+  const poll = async () => {
+    if (busy) return;
+    busy = true;
+    state.polls++;
+    state.lastPollAt = new Date().toISOString();
+
+    const registers = getRegisters(device.deviceType);
+    if (!registers) {
+      state.state = 'no-register-map';
+      busy = false;
+      return;
+    }
+
+    try {
+      await connect();
+      const values = {};
+      for (const register of registers) {
+        try {
+          setPath(values, register.field, await readRegister(register));
+          delete state.registerErrors[register.field];
+        } catch (err) {
+          if (isConnectionError(err)) throw err;
+          state.registerErrors[register.field] = err.message;
+          recordError(`Reading ${register.field} (address ${register.address}) failed: ${err.message}`);
+        }
+      }
+
+      state.state = 'running';
+      state.consecutiveFailures = 0;
+      if (Object.keys(values).length === 0) return;
+
+      state.lastSuccessAt = new Date().toISOString();
+      state.lastValues = values;
+      const result = await ingest({
+        ...values,
+        machineId: device.machineId,
+        deviceType: device.deviceType,
+        timestamp: state.lastPollAt
+      }, device);
+      if (result.stored) state.samplesStored++;
+      else recordError(`Sample rejected: ${result.error}`);
+    } catch (err) {
+      state.state = 'error';
+      state.consecutiveFailures++;
+      recordError(err.name === 'TransactionTimedOutError' || /timed out/i.test(err.message)
+        ? `Timeout after ${device.timeoutMs} ms`
+        : `Poll failed: ${err.message}`);
+      // Start from a fresh connection next time
+      await disconnect();
+    } finally {
+      busy = false;
+    }
+  };
+
+  const start = () => {
+    state.state = 'starting';
+    timer = setInterval(poll, device.intervalMs);
+    poll();
+  };
+
+  const stop = async () => {
+    clearInterval(timer);
+    state.state = 'stopped';
+    await disconnect();
+  };
+
+  return {
+    start,
+    stop,
+    status: () => ({ ...state })
+  };
+};
+
+const createModbusPoller = ({ db, ingest, requireScope = () => (req, res, next) => next() }) => {
+  // deviceType -> normalized registers
+  let registerMaps = new Map();
+  // device id -> { key, poller }
+  const running = new Map();
+
+  const reloadMaps = async () => {
+    const rows = await dbAsync.all(db, 'SELECT device_type, registers FROM modbus_register_maps');
+    registerMaps = new Map(rows.map(row => [row.device_type, dbAsync.parseJSON(row.registers, [])]));
+  };
+
+  const reloadDevices = async () => {
+    const rows = await dbAsync.all(db, 'SELECT * FROM modbus_devices WHERE enabled = 1');
+    const devices = new Map(rows.map(row => [row.id, rowToDevice(row)]));
+    const keyOf = (device) => JSON.stringify({ ...device, updated_at: null });
+
+    for (const [id, entry] of running) {
+      const device = devices.get(id);
+      if (!device || keyOf(device) !== entry.key) {
+        running.delete(id);
+        await entry.poller.stop();
+      }
+    }
+
+    for (const [id, device] of devices) {
+      if (running.has(id)) continue;
+      const poller = createDevicePoller(device, (deviceType) => registerMaps.get(deviceType), ingest);
+      running.set(id, { key: keyOf(device), poller });
+      poller.start();
+    }
+  };
+
+  const reload = async () => {
+    await reloadMaps();
+    await reloadDevices();
+    return running.size;
+  };
+
+  const stopAll = async () => {
+    const entries = [...running.values()];
+    running.clear();
+    await Promise.all(entries.map(entry => entry.poller.stop()));
+  };
+
+  const summary = () => ({
+    devices: running.size,
+    connected: [...running.values()].filter(entry => entry.poller.status().connected).length
+  });
+
+  const withStatus = (device) => {
+    const entry = running.get(device.id);
+    return {
+      ...device,
+      status: entry ? entry.poller.status() : { state: device.enabled ? 'starting' : 'disabled', connected: false }
+    };
+  };
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const isUniqueViolation = (err) => err && err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message);
+
+  const loadDevice = async (id) => {
+    const row = await dbAsync.get(db, 'SELECT * FROM modbus_devices WHERE id = ?', [id]);
+    return row ? rowToDevice(row) : null;
+  };
+
+  const deviceParams = (device) => [
+    device.name,
+    device.host,
+    device.port,
+    device.unitId,
+    device.machineId,
+    device.deviceType,
+    device.intervalMs,
+    device.timeoutMs,
+    device.enabled ? 1 : 0
+  ];
+
+  const router = express.Router();
+
+  router.get('/register-maps', requireScope('read'), async (req, res) => {
+    try {
+      const rows = await dbAsync.all(db, 'SELECT * FROM modbus_register_maps ORDER BY device_type');
+      res.json({
+        success: true,
+        data: rows.map(row => ({ deviceType: row.device_type, registers: dbAsync.parseJSON(row.registers, []), updated_at: row.updated_at }))
+      });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.get('/register-maps/:deviceType', requireScope('read'), (req, res) => {
+    const registers = registerMaps.get(req.params.deviceType);
+    if (!registers) {
+      return res.status(404).json({ success: false, error: `No register map for device type: ${req.params.deviceType}` });
+    }
+    res.json({ success: true, data: { deviceType: req.params.deviceType, registers } });
+  });
+
+  router.put('/register-maps/:deviceType', requireScope('admin'), async (req, res) => {
+    const { errors, registers } = validateRegisterMap(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid register map', details: errors });
+    }
+
+    try {
+      await dbAsync.write(db, `
+        INSERT INTO modbus_register_maps (device_type, registers, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(device_type) DO UPDATE SET registers = excluded.registers, updated_at = CURRENT_TIMESTAMP
+      `, [req.params.deviceType, JSON.stringify(registers)]);
+      await reloadMaps();
+      res.json({ success: true, data: { deviceType: req.params.deviceType, registers } });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/register-maps/:deviceType', requireScope('admin'), async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM modbus_register_maps WHERE device_type = ?', [req.params.deviceType]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `No register map for device type: ${req.params.deviceType}` });
+      }
+      await reloadMaps();
+      res.json({ success: true, message: `Register map for ${req.params.deviceType} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.get('/devices', requireScope('read'), async (req, res) => {
+    try {
+      const rows = await dbAsync.all(db, 'SELECT * FROM modbus_devices ORDER BY id');
+      res.json({ success: true, data: rows.map(rowToDevice).map(withStatus) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.get('/devices/:id', requireScope('read'), async (req, res) => {
+    try {
+      const device = await loadDevice(req.params.id);
+      if (!device) return res.status(404).json({ success: false, error: `Modbus device not found: ${req.params.id}` });
+      res.json({ success: true, data: withStatus(device) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.post('/devices', requireScope('admin'), async (req, res) => {
+    const { errors, device } = validateDevice(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid Modbus device', details: errors });
+    }
+
+    try {
+      const result = await dbAsync.write(db, `
+        INSERT INTO modbus_devices (name, host, port, unit_id, machine_id, device_type, interval_ms, timeout_ms, enabled)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, deviceParams(device));
+      await reloadDevices();
+      res.status(201).json({ success: true, data: withStatus(await loadDevice(result.lastID)) });
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, error: `Modbus device already exists: ${device.name}` });
+      }
+      dbError(res, err);
+    }
+  });
+
+  router.put('/devices/:id', requireScope('admin'), async (req, res) => {
+    const { errors, device } = validateDevice(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid Modbus device', details: errors });
+    }
+
+    try {
+      const result = await dbAsync.write(db, `
+        UPDATE modbus_devices
+        SET name = ?, host = ?, port = ?, unit_id = ?, machine_id = ?, device_type = ?, interval_ms = ?, timeout_ms = ?,
+          enabled = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...deviceParams(device), req.params.id]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `Modbus device not found: ${req.params.id}` });
+      }
+      await reloadDevices();
+      res.json({ success: true, data: withStatus(await loadDevice(req.params.id)) });
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, error: `Modbus device already exists: ${device.name}` });
+      }
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/devices/:id', requireScope('admin'), async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM modbus_devices WHERE id = ?', [req.params.id]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `Modbus device not found: ${req.params.id}` });
+      }
+      await reloadDevices();
+      res.json({ success: true, message: `Modbus device ${req.params.id} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  return {
+    reload,
+    stopAll,
+    summary,
+    router
+  };
+};
+
+module.exports = {
+  FUNCTION_CODES,
+  REGISTER_WORDS,
+  BYTE_ORDERS,
+  decodeRegister,
+  validateRegisterMap,
+  createModbusPoller
+};
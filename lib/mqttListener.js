@@ -0,0 +1,207 @@
+const os = require('os');
+const mqtt = require('mqtt');
+
+const NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+// Keep broker credentials out of logs and /health
+const redactUrl = (url) => url.replace(/\/\/[^@/]*@/, '//');
+
+/**
+ * "factory/+line/machines/+machineId/telemetry" -> subscription "factory/+/machines/+/telemetry"
+ * plus the names of the captured segments. A bare "+" matches without capturing.
+ */
+const parseTopicPattern = (pattern) => {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    throw new Error('Topic pattern must be a non-empty string');
+  }
+
+  const segments = pattern.trim().split('/');
+  const names = [];
+
+  segments.forEach((segment, index) => {
+    if (segment === '#') {
+      if (index !== segments.length - 1) throw new Error(`"#" must be the last segment in ${pattern}`);
+    } else if (segment.startsWith('+')) {
+      const name = segment.slice(1);
+      if (name && !NAME_PATTERN.test(name)) throw new Error(`Invalid segment name "${name}" in ${pattern}`);
+      names[index] = name || null;
+    } else if (/[+#]/.test(segment)) {
+      throw new Error(`Wildcards must fill a whole segment in ${pattern}`);
+    }
+  });
+
+  return {
+    pattern,
+    segments,
+    names,
+    subscription: segments.map(segment => segment.startsWith('+') ? '+' : segment).join('/')
+  };
+};
+
+// Named segment values when the topic matches the pattern, otherwise null
+const matchTopic = (parsed, topic) => {
+  const parts = topic.split('/');
+  const params = {};
+
+  for (let i = 0; i < parsed.segments.length; i++) {
+    const segment = parsed.segments[i];
+    if (segment === '#') return params;
+    if (i >= parts.length) return null;
+    if (segment.startsWith('+')) {
+      if (parsed.names[i]) params[parsed.names[i]] = parts[i];
+    } else if (segment !== parts[i]) {
+      return null;
+    }
+  }
+
+  return parts.length === parsed.segments.length ? params : null;
+};
+
+/**
+ * Subscribes to the configured topic patterns and hands the readings of each JSON message - one, or
+ * the items of an array - to ingest(payloads, context), which resolves a result per reading and queues
+ * all of them or none. QoS 1 messages are only acknowledged once ingest() settles without a storage
+ * error. The broker only resends unacknowledged messages on a new connection, so after a storage error
+ * the client disconnects and reconnects reconnectPeriod later; the persistent session (clean: false)
+ * brings the message back, with none of its readings stored yet.
+ *
+ * The session belongs to the client ID, which defaults to one per host: replicas on the same host need
+ * a clientId each, or the broker keeps dropping one of them for the other.
+ */
+const createMqttListener = ({
+  url,
+  topics,
+  qos = 1,
+  clientId = `machine-data-api-${os.hostname()}`,
+  username,
+  password,
+  reconnectPeriod = 5000,
+  ingest
+}) => {
+  const patterns = topics.map(parseTopicPattern);
+  const displayUrl = redactUrl(url);
+  const stats = {
+    connected: false,
+    received: 0,
+    stored: 0,
+    rejected: 0,
+    failed: 0,
+    lastMessageAt: null,
+    lastError: null
+  };
+  let client = null;
+  let recovery = null;
+
+  // Ends the connection without acknowledging what is in flight, then connects again for the redelivery
+  const recover = () => {
+    if (recovery) return;
+    recovery = setTimeout(() => {
+      recovery = null;
+      if (client) client.reconnect();
+    }, reconnectPeriod);
+    client.end(true);
+  };
+
+  const handle = async (topic, message, packet) => {
+    const pattern = patterns.find(p => matchTopic(p, topic));
+    const params = pattern ? matchTopic(pattern, topic) : {};
+
+    let payload;
+    try {
+      payload = JSON.parse(message.toString('utf8'));
+    } catch (err) {
+      stats.rejected++;
+      console.warn(`MQTT message on ${topic} is not valid JSON - dropped`);
+      return;
+    }
+
+    // Gateways often publish several readings at once
+    const items = Array.isArray(payload) ? payload : [payload];
+    const results = await ingest(items, { topic, params, qos: packet.qos, retain: packet.retain });
+    for (const result of results) {
+      if (result.stored) {
+        stats.stored++;
+      } else {
+        stats.rejected++;
+        console.warn(`MQTT message on ${topic} rejected: ${result.error}`);
+      }
+    }
+  };
+
+  const start = () => {
+    client = mqtt.connect(url, {
+      clientId,
+      username,
+      password,
+      clean: false,
+      reconnectPeriod
+    });
+
+    // Runs before the PUBACK is sent; passing an error withholds it
+    client.handleMessage = (packet, done) => {
+      stats.received++;
+      stats.lastMessageAt = new Date();
+      handle(packet.topic, packet.payload, packet)
+        .then(() => done())
+        .catch(err => {
+          stats.failed++;
+          stats.lastError = err.message;
+          console.error(`Failed to store MQTT message on ${packet.topic}, reconnecting for redelivery:`, err);
+          done(err);
+          recover();
+        });
+    };
+
+    client.on('connect', (connack) => {
+      stats.connected = true;
+      console.log(`📡 MQTT connected to ${displayUrl}${connack.sessionPresent ? ' (session resumed)' : ''}`);
+      const subscriptions = Object.fromEntries(patterns.map(p => [p.subscription, { qos }]));
+      client.subscribe(subscriptions, (err) => {
+        if (err) {
+          stats.lastError = err.message;
+          console.error('MQTT subscribe failed:', err);
+          return;
+        }
+        console.log(`📡 MQTT subscribed to ${patterns.map(p => p.subscription).join(', ')}`);
+      });
+    });
+    client.on('reconnect', () => console.log(`📡 MQTT reconnecting to ${displayUrl}`));
+    client.on('close', () => {
+      stats.connected = false;
+    });
+    client.on('error', (err) => {
+      stats.lastError = err.message;
+      console.error('MQTT error:', err.message);
+    });
+
+    return client;
+  };
+
+  const stop = () => new Promise(resolve => {
+    clearTimeout(recovery);
+    recovery = null;
+    if (!client) return resolve();
+    const stopping = client;
+    client = null;
+    stopping.end(false, {}, () => resolve());
+  });
+
+  const status = () => ({
+    enabled: true,
+    url: displayUrl,
+    topics: patterns.map(p => p.pattern),
+    ...stats
+  });
+
+  return {
+    start,
+    stop,
+    status
+  };
+};
+
+module.exports = {
+  parseTopicPattern,
+  matchTopic,
+  createMqttListener
+};
@@ -0,0 +1,519 @@
+const express = require('express');
+const { parsePath, setPath } = require('./jsonPath');
+const dbAsync = require('./db');
+
+const COLLECTOR_MODES = ['subscribe', 'poll'];
+const SECURITY_MODES = ['None', 'Sign', 'SignAndEncrypt'];
+const SECURITY_POLICIES = ['None', 'Basic128Rsa15', 'Basic256', 'Basic256Sha256', 'Aes128_Sha256_RsaOaep', 'Aes256_Sha256_RsaPss'];
+const MIN_SAMPLING_INTERVAL_MS = 100;
+const MAX_RECENT_ERRORS = 10;
+// Wait before retrying a connect that failed outright (bad certificate store, rejected session, ...)
+const RESTART_DELAY_MS = 10 * 1000;
+
+// node-opcua is heavy and logs on load, so only pull it in once a collector actually starts
+let opcuaModule = null;
+const loadOpcua = () => {
+  if (!opcuaModule) opcuaModule = require('node-opcua-client');
+  return opcuaModule;
+};
+
+// Severity lives in the top two bits; 00 covers Good and the Good_* variants
+const isGood = (statusCode) => (statusCode.value >>> 30) === 0;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// "ns=2;s=Press.Temperature" -> "Press_Temperature"
+const defaultField = (nodeId) => nodeId.slice(nodeId.lastIndexOf('=') + 1).replace(/[^\w$-]+/g, '_');
+
+// Variant values as JSON: typed arrays become arrays, dates ISO strings, structures plain objects
+const toJsonValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'bigint') return Number(value);
+  if (typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+const validateCollector = (body) => {
+  const errors = [];
+
+  if (!isPlainObject(body)) {
+    return { errors: ['Collector must be a JSON object'], collector: null };
+  }
+
+  const {
+    name,
+    endpointUrl,
+    machineId,
+    deviceType = 'opcua',
+    mode = 'subscribe',
+    samplingIntervalMs = 1000,
+    nodes,
+    securityMode = 'None',
+    securityPolicy = 'None',
+    username = null,
+    password = null,
+    enabled = true
+  } = body;
+
+  if (typeof name !== 'string' || name.trim() === '') errors.push('name is required');
+  if (typeof endpointUrl !== 'string' || !/^opc\.tcp:\/\/.+/.test(endpointUrl)) {
+    errors.push('endpointUrl must be an opc.tcp:// URL');
+  }
+  if (typeof machineId !== 'string' || machineId.trim() === '') errors.push('machineId is required');
+  if (typeof deviceType !== 'string' || deviceType.trim() === '') errors.push('deviceType must be a non-empty string');
+  if (!COLLECTOR_MODES.includes(mode)) errors.push(`mode must be one of: ${COLLECTOR_MODES.join(', ')}`);
+  if (!Number.isInteger(samplingIntervalMs) || samplingIntervalMs < MIN_SAMPLING_INTERVAL_MS) {
+    errors.push(`samplingIntervalMs must be an integer of at least ${MIN_SAMPLING_INTERVAL_MS}`);
+  }
+  if (!SECURITY_MODES.includes(securityMode)) errors.push(`securityMode must be one of: ${SECURITY_MODES.join(', ')}`);
+  if (!SECURITY_POLICIES.includes(securityPolicy)) {
+    errors.push(`securityPolicy must be one of: ${SECURITY_POLICIES.join(', ')}`);
+  }
+  if ((securityMode === 'None') !== (securityPolicy === 'None')) {
+    errors.push('securityMode and securityPolicy must both be None or both be set');
+  }
+  if (username !== null && typeof username !== 'string') errors.push('username must be a string or null');
+  if (password !== null && typeof password !== 'string') errors.push('password must be a string or null');
+  if (typeof enabled !== 'boolean') errors.push('enabled must be a boolean');
+
+  // Nodes: "ns=2;s=Temperature" or { nodeId, field } where field is a path inside extracted_data
+  const normalizedNodes = [];
+  if (!Array.isArray(nodes) || nodes.length === 0) {
+    errors.push('nodes must be a non-empty array of node IDs or { nodeId, field } objects');
+  } else {
+    nodes.forEach((node, index) => {
+      const nodeId = typeof node === 'string' ? node : node && node.nodeId;
+      if (typeof nodeId !== 'string' || nodeId.trim() === '') {
+        errors.push(`nodes[${index}] needs a nodeId`);
+        return;
+      }
+      const field = (isPlainObject(node) && node.field) || defaultField(nodeId);
+      try {
+        parsePath(field);
+      } catch (err) {
+        errors.push(`nodes[${index}] has an invalid field "${field}": ${err.message}`);
+        return;
+      }
+      normalizedNodes.push({ nodeId: nodeId.trim(), field });
+    });
+  }
+
+  return {
+    errors,
+    collector: errors.length ? null : {
+      name: name.trim(),
+      endpointUrl,
+      machineId: machineId.trim(),
+      deviceType,
+      mode,
+      samplingIntervalMs,
+      nodes: normalizedNodes,
+      securityMode,
+      securityPolicy,
+      username,
+      password,
+      enabled
+    }
+  };
+};
+
+const rowToConfig = (row) => ({
+  id: row.id,
+  name: row.name,
+  endpointUrl: row.endpoint_url,
+  machineId: row.machine_id,
+  deviceType: row.device_type,
+  mode: row.mode,
+  samplingIntervalMs: row.sampling_interval_ms,
+  nodes: dbAsync.parseJSON(row.nodes, []),
+  securityMode: row.security_mode,
+  securityPolicy: row.security_policy,
+  username: row.username,
+  password: row.password,
+  enabled: !!row.enabled,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// Configs are returned without the password
+const publicConfig = ({ password, ...config }) => ({ ...config, hasPassword: !!password });
+
+/**
+ * One OPC UA session per endpoint config. node-opcua reconnects on its own and
+ * repairs the session and subscription afterwards; we only track what happened.
+ */
+const createCollector = (config, ingest) => {
+  const state = {
+    state: 'stopped',
+    connected: false,
+    lastValues: {},
+    lastSampleAt: null,
+    samplesStored: 0,
+    nodeStatus: {},
+    errorCount: 0,
+    recentErrors: []
+  };
+  let client = null;
+  let session = null;
+  let subscription = null;
+  let timer = null;
+  let restartTimer = null;
+  let pending = {};
+  let pendingTimestamp = null;
+  let busy = false;
+
+  const recordError = (message) => {
+    state.errorCount++;
+    state.recentErrors.unshift({ message, at: new Date().toISOString() });
+    state.recentErrors.length = Math.min(state.recentErrors.length, MAX_RECENT_ERRORS);
+  };
+
+  const store = async (values, timestamp) => {
+    state.lastValues = { ...state.lastValues, ...values };
+    state.lastSampleAt = new Date().toISOString();
+
+    const result = await ingest({
+      ...values,
+      machineId: config.machineId,
+      deviceType: config.deviceType,
+      timestamp: (timestamp || new Date()).toISOString()
+    }, config);
+
+    if (result.stored) state.samplesStored++;
+    else recordError(`Sample rejected: ${result.error}`);
+  };
+
+  // Good values keyed by field, plus the newest source timestamp among them
+  const collectValue = (node, dataValue, values) => {
+    state.nodeStatus[node.nodeId] = dataValue.statusCode.name;
+    if (!isGood(dataValue.statusCode)) return null;
+    setPath(values, node.field, toJsonValue(dataValue.value.value));
+    return dataValue.sourceTimestamp || dataValue.serverTimestamp || null;
+  };
+
+  const poll = async () => {
+    if (busy || !session) return;
+    busy = true;
+    try {
+      const { AttributeIds } = loadOpcua();
+      const dataValues = await session.read(config.nodes.map(node => ({ nodeId: node.nodeId, attributeId: AttributeIds.Value })));
+      const values = {};
+      let newest = null;
+      dataValues.forEach((dataValue, index) => {
+        const time = collectValue(config.nodes[index], dataValue, values);
+        if (time && (!newest || time > newest)) newest = time;
+      });
+      if (Object.keys(values).length > 0) await store(values, newest);
+    } catch (err) {
+      recordError(`Read failed: ${err.message}`);
+    } finally {
+      busy = false;
+    }
+  };
+
+  // Data changes arrive per node; they are stored together once per sampling interval
+  const flush = async () => {
+    if (busy || Object.keys(pending).length === 0) return;
+    busy = true;
+    const values = pending;
+    const timestamp = pendingTimestamp;
+    pending = {};
+    pendingTimestamp = null;
+    try {
+      await store(values, timestamp);
+    } catch (err) {
+      recordError(`Store failed: ${err.message}`);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const subscribe = () => {
+    const { ClientSubscription, ClientMonitoredItem, AttributeIds, TimestampsToReturn } = loadOpcua();
+    subscription = ClientSubscription.create(session, {
+      requestedPublishingInterval: config.samplingIntervalMs,
+      requestedLifetimeCount: 100,
+      requestedMaxKeepAliveCount: 10,
+      maxNotificationsPerPublish: 0,
+      publishingEnabled: true,
+      priority: 10
+    });
+
+    config.nodes.forEach(node => {
+      const item = ClientMonitoredItem.create(
+        subscription,
+        { nodeId: node.nodeId, attributeId: AttributeIds.Value },
+        { samplingInterval: config.samplingIntervalMs, discardOldest: true, queueSize: 1 },
+        TimestampsToReturn.Both
+      );
+      item.on('changed', (dataValue) => {
+        const time = collectValue(node, dataValue, pending);
+        if (time && (!pendingTimestamp || time > pendingTimestamp)) pendingTimestamp = time;
+      });
+      item.on('err', (message) => {
+        state.nodeStatus[node.nodeId] = String(message);
+        recordError(`Monitoring ${node.nodeId} failed: ${message}`);
+      });
+    });
+  };
+
+  const start = async () => {
+    const { OPCUAClient, MessageSecurityMode, SecurityPolicy, UserTokenType } = loadOpcua();
+    state.state = 'connecting';
+
+    client = OPCUAClient.create({
+      applicationName: 'machine-data-api',
+      endpointMustExist: false,
+      keepSessionAlive: true,
+      securityMode: MessageSecurityMode[config.securityMode],
+      securityPolicy: SecurityPolicy[config.securityPolicy],
+      connectionStrategy: { initialDelay: 1000, maxDelay: 30 * 1000, maxRetry: Infinity }
+    });
+    client.on('backoff', (retry) => {
+      state.state = 'connecting';
+      if (retry === 0) recordError(`Cannot reach ${config.endpointUrl}, retrying`);
+    });
+    client.on('connection_lost', () => {
+      state.connected = false;
+      state.state = 'reconnecting';
+      recordError('Connection lost');
+    });
+    client.on('connection_reestablished', () => {
+      state.connected = true;
+      state.state = 'running';
+    });
+
+    try {
+      await client.connect(config.endpointUrl);
+      session = await client.createSession(config.username
+        ? { type: UserTokenType.UserName, userName: config.username, password: config.password || '' }
+        : { type: UserTokenType.Anonymous });
+    } catch (err) {
+      // stop() while connecting also lands here
+      if (state.state === 'stopped') return;
+      state.state = 'error';
+      recordError(`Connect failed: ${err.message}`);
+      await client.disconnect().catch(() => {});
+      if (state.state === 'stopped') return;
+      restartTimer = setTimeout(() => {
+        start().catch(error => console.error(`OPC UA collector ${config.name} failed:`, error));
+      }, RESTART_DELAY_MS);
+      return;
+    }
+
+    if (state.state === 'stopped') {
+      await session.close().catch(() => {});
+      return;
+    }
+    state.connected = true;
+    state.state = 'running';
+    if (config.mode === 'poll') {
+      timer = setInterval(poll, config.samplingIntervalMs);
+    } else {
+      subscribe();
+      timer = setInterval(flush, config.samplingIntervalMs);
+    }
+  };
+
+  const stop = async () => {
+    state.state = 'stopped';
+    state.connected = false;
+    clearInterval(timer);
+    clearTimeout(restartTimer);
+    try {
+      if (subscription) await subscription.terminate();
+      if (session) await session.close();
+      if (client) await client.disconnect();
+    } catch (err) {
+      console.error(`OPC UA collector ${config.name}: error while stopping:`, err.message);
+    }
+    subscription = null;
+    session = null;
+    client = null;
+  };
+
+  return {
+    start,
+    stop,
+    status: () => ({ ...state })
+  };
+};
+
+const createOpcUaCollectors = ({ db, ingest, requireScope = () => (req, res, next) => next() }) => {
+  // id -> { key, collector }; key is the stored config, so unchanged collectors keep their session
+  const running = new Map();
+
+  const reload = async () => {
+    const rows = await dbAsync.all(db, 'SELECT * FROM opcua_collectors WHERE enabled = 1');
+    const configs = new Map(rows.map(row => [row.id, rowToConfig(row)]));
+
+    for (const [id, entry] of running) {
+      const config = configs.get(id);
+      if (!config || JSON.stringify({ ...config, updated_at: null }) !== entry.key) {
+        running.delete(id);
+        await entry.collector.stop();
+      }
+    }
+
+    for (const [id, config] of configs) {
+      if (running.has(id)) continue;
+      const collector = createCollector(config, ingest);
+      running.set(id, { key: JSON.stringify({ ...config, updated_at: null }), collector });
+      collector.start().catch(err => console.error(`OPC UA collector ${config.name} failed:`, err));
+    }
+
+    return running.size;
+  };
+
+  const stopAll = async () => {
+    const entries = [...running.values()];
+    running.clear();
+    await Promise.all(entries.map(entry => entry.collector.stop()));
+  };
+
+  const withStatus = (config) => {
+    const entry = running.get(config.id);
+    return {
+      ...publicConfig(config),
+      status: entry ? entry.collector.status() : { state: config.enabled ? 'starting' : 'disabled', connected: false }
+    };
+  };
+
+  const summary = () => ({
+    configured: running.size,
+    connected: [...running.values()].filter(entry => entry.collector.status().connected).length
+  });
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const isUniqueViolation = (err) => err && err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message);
+
+  const loadConfig = async (id) => {
+    const row = await dbAsync.get(db, 'SELECT * FROM opcua_collectors WHERE id = ?', [id]);
+    return row ? rowToConfig(row) : null;
+  };
+
+  const collectorParams = (collector) => [
+    collector.name,
+    collector.endpointUrl,
+    collector.machineId,
+    collector.deviceType,
+    collector.mode,
+    collector.samplingIntervalMs,
+    JSON.stringify(collector.nodes),
+    collector.securityMode,
+    collector.securityPolicy,
+    collector.username,
+    collector.password,
+    collector.enabled ? 1 : 0
+  ];
+
+  const router = express.Router();
+
+  router.get('/', requireScope('read'), async (req, res) => {
+    try {
+      const rows = await dbAsync.all(db, 'SELECT * FROM opcua_collectors ORDER BY id');
+      res.json({ success: true, data: rows.map(rowToConfig).map(withStatus) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.get('/:id', requireScope('read'), async (req, res) => {
+    try {
+      const config = await loadConfig(req.params.id);
+      if (!config) return res.status(404).json({ success: false, error: `OPC UA collector not found: ${req.params.id}` });
+      res.json({ success: true, data: withStatus(config) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.post('/', requireScope('admin'), async (req, res) => {
+    const { errors, collector } = validateCollector(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid OPC UA collector', details: errors });
+    }
+
+    try {
+      const result = await dbAsync.write(db, `
+        INSERT INTO opcua_collectors (name, endpoint_url, machine_id, device_type, mode, sampling_interval_ms,
+          nodes, security_mode, security_policy, username, password, enabled)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, collectorParams(collector));
+      await reload();
+      res.status(201).json({ success: true, data: withStatus(await loadConfig(result.lastID)) });
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, error: `OPC UA collector already exists: ${collector.name}` });
+      }
+      dbError(res, err);
+    }
+  });
+
+  router.put('/:id', requireScope('admin'), async (req, res) => {
+    const { errors, collector } = validateCollector(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid OPC UA collector', details: errors });
+    }
+
+    try {
+      // Leaving the password out keeps the stored one
+      const existing = await loadConfig(req.params.id);
+      if (!existing) return res.status(404).json({ success: false, error: `OPC UA collector not found: ${req.params.id}` });
+      if (req.body.password === undefined) collector.password = existing.password;
+
+      await dbAsync.write(db, `
+        UPDATE opcua_collectors
+        SET name = ?, endpoint_url = ?, machine_id = ?, device_type = ?, mode = ?, sampling_interval_ms = ?,
+          nodes = ?, security_mode = ?, security_policy = ?, username = ?, password = ?, enabled = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...collectorParams(collector), req.params.id]);
+      await reload();
+      res.json({ success: true, data: withStatus(await loadConfig(req.params.id)) });
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, error: `OPC UA collector already exists: ${collector.name}` });
+      }
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/:id', requireScope('admin'), async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM opcua_collectors WHERE id = ?', [req.params.id]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `OPC UA collector not found: ${req.params.id}` });
+      }
+      await reload();
+      res.json({ success: true, message: `OPC UA collector ${req.params.id} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  return {
+    reload,
+    stopAll,
+    summary,
+    router
+  };
+};
+
+module.exports = {
+  COLLECTOR_MODES,
+  SECURITY_MODES,
+  SECURITY_POLICIES,
+  validateCollector,
+  createOpcUaCollectors
+};
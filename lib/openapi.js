@@ -0,0 +1,309 @@
+const path = require('path');
+const express = require('express');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const swaggerUiDist = require('swagger-ui-dist');
+const { formatPath } = require('./jsonPath');
+
+const METHODS = ['get', 'put', 'post', 'patch', 'delete'];
+const PARAMETER_LOCATIONS = ['path', 'query', 'header'];
+// Components are registered under this id so the document's #/components/... references resolve
+const DOCUMENT_ID = 'openapi.json';
+const DOCS_DIR = path.join(__dirname, '..', 'public', 'docs');
+
+// "/api/machines/{machineId}" -> "/api/machines/:machineId"
+const expressPath = (template) => template.replace(/\{([^}]+)\}/g, ':$1');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+};
+
+// Path template -> fn(path) returning its parameters, or null when the path does not match. Matching follows
+// Express defaults: case-insensitive, trailing slash optional.
+const pathMatcher = (template) => {
+  const names = [];
+  const source = template.split(/\{([^}]+)\}/).map((part, index) => {
+    if (index % 2 === 0) return escapeRegExp(part);
+    names.push(part);
+    return '([^/]+)';
+  }).join('');
+  const regexp = new RegExp(`^${source}/?$`, 'i');
+
+  return (requestPath) => {
+    const match = regexp.exec(requestPath);
+    return match ? Object.fromEntries(names.map((name, i) => [name, decodeSegment(match[i + 1])])) : null;
+  };
+};
+
+// Values of a local reference such as #/components/parameters/Limit
+const lookup = (document, ref) => ref.slice(2).split('/')
+  .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .reduce((value, segment) => (value === undefined ? undefined : value[segment]), document);
+
+const resolve = (document, object) => {
+  if (!object || !object.$ref) return object;
+  const target = lookup(document, object.$ref);
+  if (target === undefined) throw new Error(`Unresolved reference in the OpenAPI document: ${object.$ref}`);
+  return resolve(document, target);
+};
+
+// Local references point into the registered components once a schema is compiled on its own
+const anchorRefs = (schema) => {
+  if (Array.isArray(schema)) return schema.map(anchorRefs);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) =>
+    [key, key === '$ref' && typeof value === 'string' && value.startsWith('#/') ? `${DOCUMENT_ID}${value}` : anchorRefs(value)]));
+};
+
+const createAjv = (document, options) => {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  ajv.addSchema({ $id: DOCUMENT_ID, components: { schemas: (document.components || {}).schemas || {} } });
+  return ajv;
+};
+
+// ajv error -> "query.limit must be >= 1"; location is path, query, header, body or response
+const describeError = (location, error) => {
+  const segments = error.instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map(segment => /^\d+$/.test(segment) ? Number(segment) : segment);
+  const where = (...extra) => formatPath([location, ...segments, ...extra]);
+
+  switch (error.keyword) {
+    case 'required': return `${where(error.params.missingProperty)} is required`;
+    case 'additionalProperties': return `${where(error.params.additionalProperty)} is not allowed`;
+    case 'enum': return `${where()} must be one of: ${error.params.allowedValues.join(', ')}`;
+    default: return `${where()} ${error.message}`;
+  }
+};
+
+const describeErrors = (location, errors) => [...new Set((errors || [])
+  // The branch errors below say more than "must match exactly one schema in oneOf"
+  .filter(error => !['oneOf', 'anyOf', 'if'].includes(error.keyword) || errors.length === 1)
+  .map(error => describeError(location, error)))];
+
+const parametersSchema = (parameters) => ({
+  type: 'object',
+  properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema || {}])),
+  required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+});
+
+/**
+ * Request and response checks, endpoint lists and the docs UI from one OpenAPI 3.1 document (see
+ * lib/apiSpec.js). Every operation's parameters, JSON body and responses are compiled with ajv up front,
+ * so a schema that does not compile stops the server at start rather than on the first request.
+ *
+ * Parameters are checked with type coercion (?limit=5 is an integer) on a copy: routes still read
+ * req.query and req.params as Express parsed them. Operations marked x-websocket are upgrade handlers
+ * outside Express; they are listed but never validated.
+ */
+const createOpenApi = (document) => {
+  const paramsAjv = createAjv(document, { coerceTypes: 'array' });
+  const bodyAjv = createAjv(document);
+  const compile = (ajv, schema) => ajv.compile(anchorRefs(schema));
+
+  const compileParameters = (parameters) => Object.fromEntries(PARAMETER_LOCATIONS.map(location => {
+    const inLocation = parameters.filter(parameter => parameter.in === location)
+      .map(parameter => (location === 'header' ? { ...parameter, name: parameter.name.toLowerCase() } : parameter));
+    return [location, inLocation.length ? compile(paramsAjv, parametersSchema(inLocation)) : null];
+  }));
+
+  const compileBody = (requestBody) => {
+    if (!requestBody) return null;
+    const { required = false, content = {} } = resolve(document, requestBody);
+    return {
+      required,
+      types: Object.keys(content),
+      validators: Object.fromEntries(Object.entries(content)
+        .filter(([, media]) => media.schema)
+        .map(([type, media]) => [type, compile(bodyAjv, media.schema)]))
+    };
+  };
+
+  const compileResponses = (responses = {}) => Object.fromEntries(Object.entries(responses).map(([status, response]) => {
+    const { content = {} } = resolve(document, response);
+    const json = content['application/json'];
+    return [status, json && json.schema ? compile(bodyAjv, json.schema) : null];
+  }));
+
+  // Fewest path parameters first, so /api/mapping-profiles/dry-run wins over /api/mapping-profiles/{id}
+  const operations = Object.entries(document.paths).flatMap(([template, item]) => METHODS
+    .filter(method => item[method])
+    .map(method => {
+      const operation = item[method];
+      const parameters = [...(item.parameters || []), ...(operation.parameters || [])].map(parameter => resolve(document, parameter));
+      return {
+        method: method.toUpperCase(),
+        template,
+        operation,
+        match: pathMatcher(template),
+        parameterCount: (template.match(/\{/g) || []).length,
+        parameters: compileParameters(parameters),
+        body: compileBody(operation.requestBody),
+        responses: compileResponses(operation.responses)
+      };
+    }))
+    .sort((a, b) => a.parameterCount - b.parameterCount);
+
+  const findOperation = (method, requestPath) => {
+    const wanted = method === 'HEAD' ? 'GET' : method;
+    for (const entry of operations) {
+      if (entry.method !== wanted || entry.operation['x-websocket']) continue;
+      const params = entry.match(requestPath);
+      if (params) return { ...entry, params };
+    }
+    return null;
+  };
+
+  const checkParameters = (entry, req) => PARAMETER_LOCATIONS.flatMap(location => {
+    const validate = entry.parameters[location];
+    if (!validate) return [];
+    const values = { path: entry.params, query: req.query, header: req.headers }[location];
+    return validate({ ...values }) ? [] : describeErrors(location, validate.errors);
+  });
+
+  // Bodies are checked as the body parsers left them; types parsed later by the route itself (NDJSON) are not
+  const checkBody = (entry, req) => {
+    if (!entry.body) return [];
+    const type = req.is(entry.body.types);
+    if (type === null) return entry.body.required ? ['body is required'] : [];
+    if (type === false) return [`body must be sent as ${entry.body.types.join(' or ')}`];
+
+    const validate = entry.body.validators[type];
+    if (!validate || req.body === undefined) return [];
+    return validate(req.body) ? [] : describeErrors('body', validate.errors);
+  };
+
+  /**
+   * Middleware rejecting requests that do not match their operation with 400 { success: false, error, details }.
+   * skip(req, operation) leaves a request to its route untouched (e.g. callers the route will refuse anyway);
+   * onRejected(req, operation) runs for every rejection.
+   */
+  const validateRequest = ({ skip = () => false, onRejected = () => {} } = {}) => (req, res, next) => {
+    const entry = findOperation(req.method, req.path);
+    if (!entry || skip(req, entry.operation)) return next();
+
+    const details = [...checkParameters(entry, req), ...checkBody(entry, req)];
+    if (details.length === 0) return next();
+
+    onRejected(req, entry.operation);
+    res.status(400).json({
+      success: false,
+      error: 'Request does not match the API description',
+      details
+    });
+  };
+
+  // Mismatches between a JSON response and its documented schema, [] when it matches
+  const responseProblems = (entry, status, body) => {
+    const documented = String(status) in entry.responses ? String(status) : ('default' in entry.responses ? 'default' : null);
+    if (documented === null) return [`status ${status} is not documented`];
+    const validate = entry.responses[documented];
+    if (!validate) return [];
+    return validate(body) ? [] : describeErrors('response', validate.errors);
+  };
+
+  // Development aid: logs JSON responses that stray from the document, the response itself goes out unchanged
+  const checkResponses = (req, res, next) => {
+    const entry = findOperation(req.method, req.path);
+    if (!entry) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      // As sent: Dates become strings, undefined properties disappear
+      const problems = responseProblems(entry, res.statusCode, body === undefined ? body : JSON.parse(JSON.stringify(body)));
+      if (problems.length) {
+        console.warn(`⚠️  ${entry.method} ${entry.template} -> ${res.statusCode} does not match the API description: ${problems.join('; ')}`);
+      }
+      return json(body);
+    };
+    next();
+  };
+
+  // Operations that work without an API key: no security requirement, or an empty (optional) one among them
+  const isPublic = (operation) => Boolean(operation.security) &&
+    (operation.security.length === 0 || operation.security.some(requirement => Object.keys(requirement).length === 0));
+
+  // "GET|POST /api/machines" per path, in document order; public=true keeps operations that need no API key
+  const endpointList = ({ public: publicOnly = false } = {}) => Object.entries(document.paths).flatMap(([template, item]) => {
+    const methods = METHODS
+      .filter(method => item[method] && (!publicOnly || isPublic(item[method])))
+      .map(method => (item[method]['x-websocket'] ? 'WS' : method.toUpperCase()));
+    return methods.length ? [`${methods.join('|')} ${expressPath(template)}`] : [];
+  });
+
+  /**
+   * Compares the document with the routes registered on app: operations no route serves, and routes no
+   * operation describes. Mounted routers only know their own paths, so an undescribed route in a router
+   * none of whose routes are described is reported relative to it.
+   */
+  const checkRoutes = (app) => {
+    const routes = new Map();
+    const mounts = new Map();
+
+    const collect = (stack, prefix) => stack.forEach(layer => {
+      if (layer.route) routes.set(layer.route, { prefix, handled: new Set() });
+      else if (layer.handle && layer.handle.stack) collect(layer.handle.stack, layer.handle);
+    });
+    collect(app.router.stack, null);
+
+    // Walks the stack the way a request would; base is the part of the path mounted routers consumed
+    const findRoute = (stack, method, requestPath, base = '') => {
+      for (const layer of stack) {
+        if (!layer.match(requestPath)) continue;
+        if (layer.route) {
+          if (layer.route._handlesMethod(method)) return layer.route;
+        } else if (layer.handle && layer.handle.stack) {
+          mounts.set(layer.handle, base + layer.path);
+          const route = findRoute(layer.handle.stack, method, requestPath.slice(layer.path.length) || '/', base + layer.path);
+          if (route) return route;
+        }
+      }
+      return null;
+    };
+
+    const missing = [];
+    for (const entry of operations) {
+      if (entry.operation['x-websocket']) continue;
+      const samplePath = entry.template.replace(/\{[^}]+\}/g, 'x');
+      const route = findRoute(app.router.stack, entry.method.toLowerCase(), samplePath);
+      if (route) routes.get(route).handled.add(entry.method.toLowerCase());
+      else missing.push(`${entry.method} ${expressPath(entry.template)}`);
+    }
+
+    const undocumented = [...routes.entries()].flatMap(([route, { prefix, handled }]) => Object.keys(route.methods)
+      .filter(method => method !== '_all' && !handled.has(method))
+      .map(method => `${method.toUpperCase()} ${prefix ? mounts.get(prefix) || '(router)' : ''}${route.path}`));
+
+    return { missing, undocumented };
+  };
+
+  // Swagger UI under /docs; the page asks for an API key when the document needs one
+  const docsRouter = express.Router();
+  docsRouter.get('/', (req, res) => res.sendFile(path.join(DOCS_DIR, 'index.html')));
+  docsRouter.use(express.static(DOCS_DIR, { index: false }));
+  docsRouter.use(express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+  return {
+    document,
+    isPublic,
+    validateRequest,
+    checkResponses,
+    endpointList,
+    checkRoutes,
+    docsRouter
+  };
+};
+
+module.exports = {
+  expressPath,
+  createOpenApi
+};
@@ -0,0 +1,446 @@
+const { Pool, types } = require('pg');
+const { RECORD_FIELDS, formatRecord, recordWhere, scopeWhere, aliasesWith, pageRecords, machineCondition } = require('./records');
+const { parsePath, formatPath } = require('./jsonPath');
+const { isPercentile, percentileKey } = require('./aggregation');
+const { migrate, logMigration } = require('./migrations');
+
+const KEY_SQL = 'INSERT INTO record_keys (key, record_id, ingest_id) VALUES (?, ?, ?)';
+const PRUNE_CHUNK = 10000;
+
+// Values the way the SQLite backend returns them: numbers for ids and counts, ISO strings for times
+const TYPE_PARSERS = {
+  20: Number, // int8
+  1700: Number, // numeric
+  1184: (value) => {
+    const parsed = types.getTypeParser(1184)(value);
+    return parsed instanceof Date ? parsed.toISOString() : parsed;
+  }
+};
+
+// Queries are written with ? placeholders like everywhere else; none of them use the jsonb ? operators
+const toPositional = (sql) => {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+};
+
+// Device timestamps go into a TIMESTAMPTZ column; zone-less values are UTC like in SQLite, unparseable ones are dropped
+// (the raw payload still has them)
+const toTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const text = typeof value === 'string' && !/[zZ]|[+-]\d\d:?\d\d$/.test(value) && /^\d{4}-\d\d-\d\d[T ]\d/.test(value)
+    ? `${value.replace(' ', 'T')}Z`
+    : value;
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const insertParams = (record) => [
+  record.machineId,
+  record.deviceType,
+  toTimestamp(record.timestamp),
+  JSON.stringify(record.rawPayload),
+  JSON.stringify(record.extractedData),
+  JSON.stringify(record.metadata)
+];
+
+const INSERT_SQL = `
+  INSERT INTO machine_data (machine_id, device_type, timestamp, raw_payload, extracted_data, metadata)
+  VALUES (?, ?, ?, ?::jsonb, ?::jsonb, ?::jsonb)
+  RETURNING id
+`;
+
+const POSTGRES_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_machine_data',
+    // received_at keeps millisecond precision so pagination cursors (JS dates) round-trip exactly;
+    // the primary key includes it because hypertables partition on it. IF NOT EXISTS covers databases
+    // set up before migrations.
+    up: async (db) => {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS machine_data (
+          id BIGSERIAL,
+          machine_id TEXT,
+          device_type TEXT DEFAULT 'unknown',
+          timestamp TIMESTAMPTZ,
+          received_at TIMESTAMPTZ NOT NULL DEFAULT date_trunc('milliseconds', now()),
+          raw_payload JSONB NOT NULL,
+          extracted_data JSONB DEFAULT '{}',
+          metadata JSONB DEFAULT '{}',
+          created_at TIMESTAMPTZ DEFAULT now(),
+          PRIMARY KEY (id, received_at)
+        )
+      `);
+      await db.run('CREATE INDEX IF NOT EXISTS idx_machine_data_machine_id ON machine_data(machine_id, id)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_machine_data_timestamp ON machine_data(timestamp)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_machine_data_device_type ON machine_data(device_type)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_machine_data_received_at ON machine_data(received_at, id)');
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS pruned_message_counts (
+          machine_id TEXT NOT NULL,
+          device_type TEXT NOT NULL,
+          count BIGINT NOT NULL DEFAULT 0,
+          PRIMARY KEY (machine_id, device_type)
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'record_keys',
+    // Idempotency and natural keys of stored rows; a unique index on the hypertable would have to include received_at
+    up: async (db) => {
+      await db.run(`
+        CREATE TABLE record_keys (
+          key TEXT PRIMARY KEY,
+          record_id BIGINT NOT NULL,
+          ingest_id TEXT
+        )
+      `);
+      await db.run('CREATE INDEX idx_record_keys_record_id ON record_keys(record_id)');
+    }
+  }
+];
+
+/**
+ * machine_data in PostgreSQL (DATABASE_URL) with JSONB payload columns. When the timescaledb extension
+ * is available the table becomes a hypertable on received_at. Rollup tables are SQLite-only, so
+ * retention here only prunes raw rows.
+ */
+const createPostgresStorage = ({ connectionString }) => {
+  const pool = new Pool({
+    connectionString,
+    options: '-c TimeZone=UTC',
+    types: { getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format) }
+  });
+  pool.on('error', err => console.error('Postgres pool error:', err));
+
+  const all = async (sql, params = [], client = pool) => (await client.query(toPositional(sql), params)).rows;
+  const get = async (sql, params = [], client = pool) => (await all(sql, params, client))[0];
+  const executor = { all: (sql, params) => all(sql, params), get: (sql, params) => get(sql, params) };
+  const where = (filter) => recordWhere(filter, 'postgres');
+
+  const inTransaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  const enableTimescale = async () => {
+    const available = await get("SELECT 1 AS ok FROM pg_available_extensions WHERE name = 'timescaledb'");
+    if (!available) return false;
+    try {
+      await all('CREATE EXTENSION IF NOT EXISTS timescaledb');
+      await all("SELECT create_hypertable('machine_data', 'received_at', if_not_exists => TRUE, migrate_data => TRUE)");
+      return true;
+    } catch (err) {
+      console.warn(`TimescaleDB not enabled, using a plain table: ${err.message}`);
+      return false;
+    }
+  };
+
+  const migrationTarget = {
+    name: 'postgres',
+    migrations: POSTGRES_MIGRATIONS,
+    run: (sql, params) => all(sql, params),
+    get: (sql, params) => get(sql, params),
+    all: (sql, params) => all(sql, params),
+    transaction: (work) => inTransaction(async (client) => {
+      // Instances starting side by side take turns
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('machine_data_schema'))");
+      return work({
+        run: (sql, params) => all(sql, params, client),
+        get: (sql, params) => get(sql, params, client),
+        all: (sql, params) => all(sql, params, client)
+      });
+    })
+  };
+
+  const init = async () => {
+    await migrate(migrationTarget, { onApply: logMigration });
+    const hypertable = await enableTimescale();
+    console.log(`💾 Storage: PostgreSQL${hypertable ? ' (TimescaleDB hypertable)' : ''}`);
+  };
+
+  const ping = () => get('SELECT 1');
+
+  const close = () => pool.end();
+
+  // The row and its keys; a key stored before fails the insert
+  const insertRow = async (record, client) => {
+    const { id } = await get(INSERT_SQL, insertParams(record), client);
+    for (const key of record.keys || []) {
+      await all(KEY_SQL, [key, id, record.ingestId || null], client);
+    }
+    return id;
+  };
+
+  const insert = (record) => inTransaction(client => insertRow(record, client));
+
+  const insertMany = (records) => inTransaction(async (client) => {
+    const ids = [];
+    for (const record of records) {
+      ids.push(await insertRow(record, client));
+    }
+    return ids;
+  });
+
+  const findKeys = async (keys) => {
+    if (keys.length === 0) return [];
+    return all('SELECT key, record_id, ingest_id FROM record_keys WHERE key = ANY(?::text[])', [keys]);
+  };
+
+  const query = (filter, page) => pageRecords(executor, where(filter), page);
+
+  const count = async (filter) => {
+    const { whereClause, params } = where(filter);
+    return (await get(`SELECT COUNT(*) AS total FROM machine_data ${whereClause}`, params)).total;
+  };
+
+  const stats = async ({ machineIds = null, aliases = [] } = {}) => {
+    const filter = machineIds && (machineIds.length ? `machine_id IN (${machineIds.map(() => '?').join(', ')})` : '1=0');
+    const whereSql = (condition) => {
+      const conditions = [condition, filter].filter(Boolean);
+      return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    };
+    const params = machineIds || [];
+    const both = [...params, ...params];
+    const folded = aliasesWith(aliases, 'postgres');
+
+    const [total, uniqueMachines, deviceTypes, recent, topMachines] = await Promise.all([
+      get(`
+        SELECT (SELECT COUNT(*) FROM machine_data ${whereSql()})
+          + (SELECT COALESCE(SUM(count), 0) FROM pruned_message_counts ${whereSql()}) AS total
+      `, both),
+      get(`
+        ${folded.sql}
+        SELECT COUNT(DISTINCT COALESCE(aliases.machine_id, seen.machine_id)) AS unique_machines FROM (
+          SELECT machine_id FROM machine_data ${whereSql('machine_id IS NOT NULL')}
+          UNION SELECT machine_id FROM pruned_message_counts ${whereSql("machine_id != ''")}
+        ) AS seen LEFT JOIN aliases ON aliases.alias = seen.machine_id
+      `, [...folded.params, ...both]),
+      all(`
+        SELECT device_type FROM machine_data ${whereSql()}
+        UNION SELECT device_type FROM pruned_message_counts ${whereSql()}
+      `, both),
+      get(`SELECT COUNT(*) AS recent FROM machine_data ${whereSql("received_at > now() - interval '24 hours'")}`, params),
+      all(`
+        ${folded.sql}
+        SELECT COALESCE(aliases.machine_id, counts.machine_id) AS machine_id, SUM(message_count) AS message_count FROM (
+          SELECT machine_id, COUNT(*) AS message_count FROM machine_data ${whereSql('machine_id IS NOT NULL')} GROUP BY machine_id
+          UNION ALL SELECT machine_id, SUM(count) FROM pruned_message_counts ${whereSql("machine_id != ''")} GROUP BY machine_id
+        ) AS counts LEFT JOIN aliases ON aliases.alias = counts.machine_id
+        GROUP BY 1 ORDER BY message_count DESC LIMIT 10
+      `, [...folded.params, ...both])
+    ]);
+
+    return {
+      totalMessages: total.total,
+      uniqueMachines: uniqueMachines.unique_machines,
+      deviceTypes: deviceTypes.map(row => row.device_type),
+      recentActivity24h: recent.recent,
+      topMachines
+    };
+  };
+
+  const scan = async (filter, { afterId = 0, maxId = null, limit, fields = RECORD_FIELDS }) => {
+    const { whereClause, params } = where(filter);
+    const bound = maxId === null ? '' : ' AND id <= ?';
+    const rows = await all(`
+      SELECT ${fields.join(', ')} FROM machine_data
+      ${whereClause} AND id > ?${bound}
+      ORDER BY id ASC
+      LIMIT ?
+    `, [...params, afterId, ...(maxId === null ? [] : [maxId]), limit]);
+    return rows.map(formatRecord);
+  };
+
+  const getByIds = async (ids) => {
+    if (ids.length === 0) return [];
+    const rows = await all(`SELECT ${RECORD_FIELDS.join(', ')} FROM machine_data WHERE id = ANY(?::bigint[]) ORDER BY id ASC`, [ids]);
+    return rows.map(formatRecord);
+  };
+
+  const latest = async (machineId) => {
+    const row = await get(`
+      SELECT ${RECORD_FIELDS.join(', ')} FROM machine_data WHERE machine_id = ? ORDER BY id DESC LIMIT 1
+    `, [machineId]);
+    return row ? formatRecord(row) : null;
+  };
+
+  const maxId = async () => (await get('SELECT MAX(id) AS max_id FROM machine_data')).max_id || 0;
+
+  // jsonb compares as data, so payloads that only differ in key order count as the same
+  const duplicates = async (filter, { maxId: upTo }) => {
+    const { whereClause, params } = where(filter);
+    const [{ scanned }, rows] = await Promise.all([
+      get(`SELECT COUNT(*) AS scanned FROM machine_data ${whereClause} AND id <= ?`, [...params, upTo]),
+      all(`
+        SELECT id, machine_id, kept_id FROM (
+          SELECT id, machine_id, FIRST_VALUE(id) OVER same AS kept_id, ROW_NUMBER() OVER same AS rn
+          FROM machine_data ${whereClause} AND id <= ?
+          WINDOW same AS (PARTITION BY machine_id, raw_payload ORDER BY id)
+        ) AS numbered
+        WHERE rn > 1
+        ORDER BY id
+      `, [...params, upTo])
+    ]);
+    return { scanned, rows };
+  };
+
+  const machineSummaries = () => all(`
+    SELECT machine_id, MAX(device_type) AS device_type, MIN(received_at) AS first_seen, MAX(received_at) AS last_seen
+    FROM machine_data
+    WHERE machine_id IS NOT NULL
+    GROUP BY machine_id
+  `);
+
+  const recentArrivals = (perMachine) => all(`
+    SELECT machine_id, received_at FROM (
+      SELECT machine_id, received_at, ROW_NUMBER() OVER (PARTITION BY machine_id ORDER BY id DESC) AS rn
+      FROM machine_data
+      WHERE machine_id IS NOT NULL
+    ) AS recent
+    WHERE rn <= ?
+    ORDER BY machine_id, received_at
+  `, [perMachine]);
+
+  // Raw rows only (there are no rollup tiers here); PERCENTILE_CONT interpolates like the SQLite backend
+  const aggregate = async (options) => {
+    const path = parsePath(options.field).map(String);
+    const conditions = [`jsonb_typeof(extracted_data #> ?::text[]) = 'number'`];
+    const whereParams = [path];
+
+    if (options.machineId) {
+      const machine = machineCondition(options);
+      conditions.push(machine.sql);
+      whereParams.push(...machine.params);
+    }
+    if (options.deviceType) {
+      conditions.push('device_type = ?');
+      whereParams.push(options.deviceType);
+    }
+    conditions.push('COALESCE(timestamp, received_at) >= ?::timestamptz', 'COALESCE(timestamp, received_at) < ?::timestamptz');
+    whereParams.push(options.from.toISOString(), options.to.toISOString());
+
+    const percentiles = options.functions.filter(isPercentile);
+    const percentileColumns = percentiles.map(fn => `PERCENTILE_CONT(?::float8) WITHIN GROUP (ORDER BY value) AS ${percentileKey(fn)}`);
+    const percentileParams = percentiles.map(fn => Number(fn.slice(1)) / 100);
+
+    return all(`
+      SELECT
+        (FLOOR(EXTRACT(EPOCH FROM event_time) / ?) * ?)::bigint AS bucket,
+        COUNT(*) AS count,
+        MIN(value) AS min,
+        MAX(value) AS max,
+        AVG(value) AS avg,
+        SUM(value) AS sum,
+        SUM(value * value) AS sum_sq,
+        (ARRAY_AGG(value ORDER BY event_time, id))[1] AS first,
+        (ARRAY_AGG(value ORDER BY event_time DESC, id DESC))[1] AS last${percentileColumns.length ? ',\n        ' + percentileColumns.join(',\n        ') : ''}
+      FROM (
+        SELECT id, COALESCE(timestamp, received_at) AS event_time, (extracted_data #>> ?::text[])::float8 AS value
+        FROM machine_data
+        WHERE ${conditions.join(' AND ')}
+      ) AS base
+      GROUP BY 1
+      ORDER BY 1
+    `, [options.bucketSeconds, options.bucketSeconds, ...percentileParams, path, ...whereParams]);
+  };
+
+  const storedUnit = async (options) => {
+    const path = ['unit_conversions', formatPath(parsePath(options.field))];
+    const conditions = ['metadata #> ?::text[] IS NOT NULL'];
+    const params = [path];
+    if (options.machineId) {
+      const machine = machineCondition(options);
+      conditions.push(machine.sql);
+      params.push(...machine.params);
+    }
+    if (options.deviceType) {
+      conditions.push('device_type = ?');
+      params.push(options.deviceType);
+    }
+
+    const row = await get(`
+      SELECT metadata #> ?::text[] AS conversion FROM machine_data
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY id DESC LIMIT 1
+    `, [path, ...params]);
+    return row ? row.conversion : null;
+  };
+
+  const cleanup = async ({ scope, olderThanDays, maxId: upTo = null }) => {
+    const { sql, params: scopeParams } = scopeWhere(scope);
+    const whereSql = `${sql} AND received_at < now() - ?::interval${upTo === null ? '' : ' AND id <= ?'}`;
+    const params = [...scopeParams, `${olderThanDays} days`, ...(upTo === null ? [] : [upTo])];
+    let deleted = 0;
+
+    for (;;) {
+      const { bound } = await get(`
+        SELECT MAX(id) AS bound FROM (SELECT id FROM machine_data WHERE ${whereSql} ORDER BY id LIMIT ?) AS chunk
+      `, [...params, PRUNE_CHUNK]);
+      if (bound === null) return deleted;
+
+      deleted += await inTransaction(async (client) => {
+        await all(`
+          INSERT INTO pruned_message_counts (machine_id, device_type, count)
+          SELECT COALESCE(machine_id, ''), COALESCE(device_type, 'unknown'), COUNT(*)
+          FROM machine_data WHERE ${whereSql} AND id <= ?
+          GROUP BY 1, 2
+          ON CONFLICT (machine_id, device_type) DO UPDATE SET count = pruned_message_counts.count + excluded.count
+        `, [...params, bound], client);
+        await all(`DELETE FROM record_keys WHERE record_id IN (SELECT id FROM machine_data WHERE ${whereSql} AND id <= ?)`, [...params, bound], client);
+        const result = await client.query(toPositional(`DELETE FROM machine_data WHERE ${whereSql} AND id <= ?`), [...params, bound]);
+        return result.rowCount;
+      });
+    }
+  };
+
+  const remove = async (ids) => {
+    if (ids.length === 0) return 0;
+    return inTransaction(async (client) => {
+      await all('DELETE FROM record_keys WHERE record_id = ANY(?::bigint[])', [ids], client);
+      return (await client.query(toPositional('DELETE FROM machine_data WHERE id = ANY(?::bigint[])'), [ids])).rowCount;
+    });
+  };
+
+  return {
+    name: 'postgres',
+    capabilities: { rollups: false },
+    migrationTarget,
+    init,
+    ping,
+    close,
+    insert,
+    insertMany,
+    findKeys,
+    query,
+    count,
+    stats,
+    scan,
+    getByIds,
+    latest,
+    maxId,
+    duplicates,
+    machineSummaries,
+    recentArrivals,
+    aggregate,
+    storedUnit,
+    cleanup,
+    remove
+  };
+};
+
+module.exports = {
+  createPostgresStorage
+};
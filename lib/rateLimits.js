@@ -0,0 +1,324 @@
+const express = require('express');
+const dbAsync = require('./db');
+
+const KINDS = {
+  machines: 'machine',
+  'device-types': 'deviceType'
+};
+const BUCKET_IDLE_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Takes cost tokens if the refilled bucket holds enough. ?1 bucket, ?2 burst, ?3 cost, ?4 now (ms), ?5 tokens per ms.
+// A bucket seen for the first time starts full.
+const TAKE_SQL = `
+  INSERT INTO rate_limit_buckets (bucket, tokens, updated_at) VALUES (?1, ?2 - ?3, ?4)
+  ON CONFLICT(bucket) DO UPDATE SET
+    tokens = MIN(?2, tokens + MAX(0, ?4 - updated_at) * ?5) - ?3,
+    updated_at = MAX(updated_at, ?4)
+  WHERE MIN(?2, tokens + MAX(0, ?4 - updated_at) * ?5) >= ?3
+`;
+
+const validateLimit = (body) => {
+  const errors = [];
+  const { ratePerMinute, burst } = body || {};
+
+  if (typeof ratePerMinute !== 'number' || !(ratePerMinute > 0)) {
+    errors.push('ratePerMinute must be a number greater than 0');
+  }
+  if (!Number.isInteger(burst) || burst < 1) {
+    errors.push('burst must be an integer of at least 1');
+  }
+
+  return { errors, limit: errors.length ? null : { ratePerMinute, burst } };
+};
+
+const retryMessage = (seconds) => `${seconds} second${seconds === 1 ? '' : 's'}`;
+
+/**
+ * Token bucket rate limits, with bucket state in the database so restarts do not reset them.
+ *
+ * Every caller - the API key, or the IP without one - has a read bucket for /api routes and an ingest
+ * bucket for ingest requests. On top of that each machine has a bucket of its own, whoever writes for
+ * it, limited by the machine's rule or defaults.machine; and a device type with a rule has one bucket
+ * all its machines share. A payload takes a token from each bucket it falls under, or from none when
+ * one of them is empty. Making up machine IDs still drains the caller's ingest bucket.
+ *
+ * identify(payload, req) -> { machineId, deviceType }; onRejected({ machineId, deviceType }, count) runs
+ * for payloads refused for rate limits.
+ */
+const createRateLimits = ({
+  db,
+  enabled = true,
+  defaults,
+  identify,
+  onRejected = () => {},
+  requireScope = () => (req, res, next) => next()
+}) => {
+  // kind -> (target -> { ratePerMinute, burst })
+  let rules = { machine: new Map(), deviceType: new Map() };
+  let sweepTimer = null;
+
+  const reload = async () => {
+    const rows = await dbAsync.all(db, 'SELECT kind, target, rate_per_minute, burst FROM rate_limits');
+    const next = { machine: new Map(), deviceType: new Map() };
+    for (const row of rows) {
+      if (next[row.kind]) next[row.kind].set(row.target, { ratePerMinute: row.rate_per_minute, burst: row.burst });
+    }
+    rules = next;
+    return rows.length;
+  };
+
+  const identityOf = (req) => (req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`);
+
+  // Tokens a bucket holds at now, refilled since it was last taken from
+  const available = async (bucket, { ratePerMinute, burst }, now) => {
+    const row = await dbAsync.get(db, 'SELECT tokens, updated_at FROM rate_limit_buckets WHERE bucket = ?', [bucket]);
+    return row ? Math.min(burst, row.tokens + Math.max(0, now - row.updated_at) * ratePerMinute / 60000) : burst;
+  };
+
+  // [{ bucket, limit }] -> { allowed, retryAfter, denied } with retryAfter in whole seconds and denied the
+  // first bucket short of tokens. Takes cost tokens from every bucket, or from none of them.
+  const take = (buckets, cost = 1) => dbAsync.transaction(db, async () => {
+    const now = Date.now();
+    for (const entry of buckets) {
+      const tokens = await available(entry.bucket, entry.limit, now);
+      if (tokens < cost) {
+        const retryAfter = Math.max(1, Math.ceil((cost - tokens) / (entry.limit.ratePerMinute / 60000) / 1000));
+        return { allowed: false, retryAfter, denied: entry };
+      }
+    }
+    for (const { bucket, limit } of buckets) {
+      await dbAsync.run(db, TAKE_SQL, [bucket, limit.burst, cost, now, limit.ratePerMinute / 60000]);
+    }
+    return { allowed: true, retryAfter: 0, denied: null };
+  });
+
+  // Counted before the 429 goes out, so no rejection goes unrecorded; never fails the request
+  const recordRejection = ({ machineId, deviceType }, count = 1) => {
+    onRejected({ machineId, deviceType }, count);
+    return dbAsync.write(db, `
+      INSERT INTO rate_limit_rejections (machine_id, device_type, count, last_rejected_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(machine_id, device_type) DO UPDATE SET count = count + excluded.count, last_rejected_at = CURRENT_TIMESTAMP
+    `, [machineId || '', deviceType || 'unknown', count]).catch(err => console.error('Failed to count rate limit rejection:', err));
+  };
+
+  const tooManyRequests = (res, retryAfter, error) => {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      error,
+      retryAfter: retryMessage(retryAfter)
+    });
+  };
+
+  // The limiter must not take the API down with it - on database errors requests go through
+  const failOpen = (next) => (err) => {
+    console.error('Rate limiter error:', err);
+    next();
+  };
+
+  const limitReads = (req, res, next) => {
+    if (!enabled) return next();
+
+    take([{ bucket: `read:${identityOf(req)}`, limit: defaults.read }]).then(({ allowed, retryAfter }) => {
+      if (allowed) return next();
+      tooManyRequests(res, retryAfter, `Read rate limit exceeded (${defaults.read.ratePerMinute} per minute). Retry in ${retryMessage(retryAfter)}.`);
+    }, failOpen(next));
+  };
+
+  // Whole-request check against the caller's ingest bucket; resolves null when allowed
+  const takeIngest = async (req) => {
+    const { allowed, retryAfter } = await take([{ bucket: `ingest:${identityOf(req)}`, limit: defaults.ingest }]);
+    return allowed ? null : { retryAfter, error: `Ingest rate limit exceeded (${defaults.ingest.ratePerMinute} per minute). Retry in ${retryMessage(retryAfter)}.` };
+  };
+
+  // The machine's bucket, and its device type's when that has a rule
+  const machineBuckets = ({ machineId, deviceType }) => [
+    { bucket: `machine:${machineId || ''}`, limit: (machineId && rules.machine.get(machineId)) || defaults.machine, name: `machine ${machineId || 'not detected'}` },
+    ...(rules.deviceType.has(deviceType)
+      ? [{ bucket: `device-type:${deviceType}`, limit: rules.deviceType.get(deviceType), name: `device type ${deviceType}` }]
+      : [])
+  ];
+
+  const takeMachine = async (machine) => {
+    const { allowed, retryAfter, denied } = await take(machineBuckets(machine));
+    return allowed ? null : {
+      retryAfter,
+      error: `Rate limit exceeded for ${denied.name} (${denied.limit.ratePerMinute} per minute, burst ${denied.limit.burst}). Retry in ${retryMessage(retryAfter)}.`
+    };
+  };
+
+  // Single payload in req.body
+  const limitIngest = (req, res, next) => {
+    if (!enabled) return next();
+    const machine = identify(req.body, req);
+
+    (async () => {
+      const denied = (await takeIngest(req)) || (await takeMachine(machine));
+      if (denied) await recordRejection(machine);
+      return denied;
+    })().then((denied) => {
+      if (!denied) return next();
+      tooManyRequests(res, denied.retryAfter, denied.error);
+    }, failOpen(next));
+  };
+
+  // req.batchItems: one ingest token per batch and one machine token per machine in it. Items of machines
+  // that are out of tokens end up in req.rateLimitedItems (index -> error), the rest are stored.
+  const limitBatch = (req, res, next) => {
+    req.rateLimitedItems = new Map();
+    if (!enabled) return next();
+
+    const byMachine = new Map();
+    req.batchItems.forEach((item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return;
+      const machine = identify(item, req);
+      const key = machine.machineId || '';
+      if (!byMachine.has(key)) byMachine.set(key, { machine, indexes: [] });
+      byMachine.get(key).indexes.push(index);
+    });
+
+    (async () => {
+      const denied = await takeIngest(req);
+      if (denied) {
+        for (const { machine, indexes } of byMachine.values()) await recordRejection(machine, indexes.length);
+        return denied;
+      }
+
+      for (const { machine, indexes } of byMachine.values()) {
+        const machineDenied = await takeMachine(machine);
+        if (!machineDenied) continue;
+        await recordRejection(machine, indexes.length);
+        indexes.forEach(index => req.rateLimitedItems.set(index, machineDenied.error));
+      }
+      return null;
+    })().then((denied) => {
+      if (!denied) return next();
+      tooManyRequests(res, denied.retryAfter, denied.error);
+    }, failOpen(next));
+  };
+
+  // { total, byMachine } of rejected ingest, optionally only for machineIds; aliases count for their machine
+  const rejectionStats = async ({ machineIds = null } = {}) => {
+    const filter = machineIds && (machineIds.length ? `rejections.machine_id IN (${machineIds.map(() => '?').join(', ')})` : '1=0');
+    const rows = await dbAsync.all(db, `
+      SELECT COALESCE(machine_aliases.machine_id, rejections.machine_id) AS machine_id, SUM(count) AS count,
+        MAX(last_rejected_at) AS last_rejected_at
+      FROM rate_limit_rejections AS rejections LEFT JOIN machine_aliases ON machine_aliases.alias = rejections.machine_id
+      ${filter ? `WHERE ${filter}` : ''}
+      GROUP BY 1
+      ORDER BY count DESC
+    `, machineIds || []);
+
+    return {
+      total: rows.reduce((sum, row) => sum + row.count, 0),
+      byMachine: rows.map(row => ({
+        machineId: row.machine_id || null,
+        count: row.count,
+        lastRejectedAt: row.last_rejected_at
+      }))
+    };
+  };
+
+  // Buckets idle for a day have long refilled; dropping them is the same as starting full
+  const sweep = () => dbAsync.write(db, 'DELETE FROM rate_limit_buckets WHERE updated_at < ?', [Date.now() - BUCKET_IDLE_MS])
+    .catch(err => console.error('Failed to sweep rate limit buckets:', err));
+
+  const start = () => {
+    if (sweepTimer || !enabled) return;
+    sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  };
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const targetField = (kind) => (kind === 'machine' ? 'machineId' : 'deviceType');
+
+  const listRules = (kind) => [...rules[kind].entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([target, limit]) => ({ [targetField(kind)]: target, ...limit }));
+
+  const router = express.Router();
+
+  router.get('/', requireScope('read'), (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        defaults,
+        machines: listRules('machine'),
+        deviceTypes: listRules('deviceType')
+      }
+    });
+  });
+
+  router.put('/:kind/:target', requireScope('admin'), async (req, res) => {
+    const kind = KINDS[req.params.kind];
+    if (!kind) {
+      return res.status(404).json({ success: false, error: `Unknown rate limit kind: ${req.params.kind}. Use machines or device-types` });
+    }
+    const { errors, limit } = validateLimit(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid rate limit', details: errors });
+    }
+
+    try {
+      await dbAsync.write(db, `
+        INSERT INTO rate_limits (kind, target, rate_per_minute, burst, updated_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(kind, target) DO UPDATE SET
+          rate_per_minute = excluded.rate_per_minute, burst = excluded.burst, updated_at = CURRENT_TIMESTAMP
+      `, [kind, req.params.target, limit.ratePerMinute, limit.burst]);
+      await reload();
+      res.json({ success: true, data: { [targetField(kind)]: req.params.target, ...limit } });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/:kind/:target', requireScope('admin'), async (req, res) => {
+    const kind = KINDS[req.params.kind];
+    if (!kind) {
+      return res.status(404).json({ success: false, error: `Unknown rate limit kind: ${req.params.kind}. Use machines or device-types` });
+    }
+
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM rate_limits WHERE kind = ? AND target = ?', [kind, req.params.target]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `No rate limit for ${req.params.target}` });
+      }
+      await reload();
+      res.json({ success: true, message: `Rate limit for ${req.params.target} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  return {
+    enabled,
+    defaults,
+    reload,
+    start,
+    stop,
+    limitReads,
+    limitIngest,
+    limitBatch,
+    rejectionStats,
+    router
+  };
+};
+
+module.exports = {
+  createRateLimits
+};
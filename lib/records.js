@@ -0,0 +1,241 @@
+const { parseJSON } = require('./db');
+const { applyUnitSystem } = require('./units');
+const { compileFilter } = require('./filterQuery');
+
+// Columns returned by the machine_data read routes
+const RECORD_COLUMNS = 'id, machine_id, device_type, timestamp, received_at, raw_payload, extracted_data, metadata';
+const RECORD_FIELDS = RECORD_COLUMNS.split(', ');
+const JSON_FIELDS = ['raw_payload', 'extracted_data', 'metadata'];
+
+// Parse the JSON columns of a machine_data row (only those that were selected)
+const formatRecord = (row) => {
+  const record = { ...row };
+  JSON_FIELDS.forEach(field => {
+    if (field in row) record[field] = parseJSON(row[field]);
+  });
+  return record;
+};
+
+// ?fields=machine_id,extracted_data -> ['id', 'machine_id', 'extracted_data']; id is always returned
+const parseFields = (fields) => {
+  if (fields === undefined || fields === '') return { fields: RECORD_FIELDS };
+  const requested = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = requested.filter(field => !RECORD_FIELDS.includes(field));
+  if (unknown.length) {
+    return { error: `Unknown fields: ${unknown.join(', ')}. Available: ${RECORD_FIELDS.join(', ')}` };
+  }
+  return { fields: RECORD_FIELDS.filter(field => field === 'id' || requested.includes(field)) };
+};
+
+// machine_id condition for a machine and the aliases folded into it, whose older rows keep the alias ID
+const machineCondition = ({ machineId, machineAliases = [] }) => {
+  const ids = [machineId, ...machineAliases];
+  return {
+    sql: ids.length === 1 ? 'machine_id = ?' : `machine_id IN (${ids.map(() => '?').join(', ')})`,
+    params: ids
+  };
+};
+
+/**
+ * WHERE clause for a storage filter: { machineId, machineAliases, deviceType, machineIds, from, to, expression },
+ * all optional.
+ * machineIds comes from registry metadata (location / tags) - an empty list matches nothing.
+ * expression is a parsed filter expression, compiled for dialect ('sqlite' or 'postgres').
+ */
+const recordWhere = (filter = {}, dialect = 'sqlite') => {
+  const conditions = ['1=1'];
+  const params = [];
+
+  if (filter.machineId) {
+    const machine = machineCondition(filter);
+    conditions.push(machine.sql);
+    params.push(...machine.params);
+  }
+  if (filter.deviceType) {
+    conditions.push('device_type = ?');
+    params.push(filter.deviceType);
+  }
+  if (filter.machineIds) {
+    conditions.push(filter.machineIds.length ? `machine_id IN (${filter.machineIds.map(() => '?').join(', ')})` : '1=0');
+    params.push(...filter.machineIds);
+  }
+  // SQLite stores received_at as "2026-01-01 12:00:00", so the text would not compare with ISO dates
+  const receivedAt = (op) => (dialect === 'sqlite' ? `julianday(received_at) ${op} julianday(?)` : `received_at ${op} ?`);
+  if (filter.from) {
+    conditions.push(receivedAt('>='));
+    params.push(filter.from.toISOString());
+  }
+  if (filter.to) {
+    conditions.push(receivedAt('<='));
+    params.push(filter.to.toISOString());
+  }
+  if (filter.expression) {
+    const compiled = compileFilter(filter.expression, dialect);
+    conditions.push(compiled.sql);
+    params.push(...compiled.params);
+  }
+
+  return { whereClause: `WHERE ${conditions.join(' AND ')}`, params };
+};
+
+// Rows a retention policy governs: one machine, one device type or everything, minus the exclusions
+const scopeWhere = ({ machineId = null, deviceType = null, excludeMachineIds = [], excludeDeviceTypes = [] }) => {
+  if (machineId) return { sql: 'machine_id = ?', params: [machineId] };
+
+  const conditions = [];
+  const params = [];
+  if (deviceType) {
+    conditions.push('device_type = ?');
+    params.push(deviceType);
+  } else if (excludeDeviceTypes.length) {
+    conditions.push(`COALESCE(device_type, 'unknown') NOT IN (${excludeDeviceTypes.map(() => '?').join(', ')})`);
+    params.push(...excludeDeviceTypes);
+  }
+  if (excludeMachineIds.length) {
+    conditions.push(`COALESCE(machine_id, '') NOT IN (${excludeMachineIds.map(() => '?').join(', ')})`);
+    params.push(...excludeMachineIds);
+  }
+  return { sql: conditions.length ? conditions.join(' AND ') : '1=1', params };
+};
+
+// WITH clause naming aliases(alias, machine_id) for [[alias, machineId]] pairs, so statistics can count
+// rows stored under an alias for the machine it was folded into
+const aliasesWith = (aliases = [], dialect = 'sqlite') => {
+  const cast = dialect === 'sqlite' ? '' : '::text';
+  const rows = aliases.length
+    ? `VALUES ${aliases.map(() => `(?${cast}, ?${cast})`).join(', ')}`
+    : `SELECT NULL${cast}, NULL${cast} WHERE 1 = 0`;
+  return { sql: `WITH aliases (alias, machine_id) AS (${rows})`, params: aliases.flat() };
+};
+
+// Columns list pages can be ordered by (newest first, ties broken by id)
+const ORDER_COLUMNS = ['received_at', 'timestamp'];
+
+// Cursors are opaque to clients: base64url of [order value, id, direction, orderBy]
+const encodeCursor = (row, direction, orderBy) =>
+  Buffer.from(JSON.stringify([row[orderBy], row.id, direction, orderBy])).toString('base64url');
+
+// Cursors from before orderBy existed carry three elements and page by received_at
+const decodeCursor = (token) => {
+  try {
+    const [value, id, direction, orderBy = 'received_at'] = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (!Number.isInteger(id) || !['next', 'prev'].includes(direction) || !ORDER_COLUMNS.includes(orderBy)) return null;
+    return { value, id, direction, orderBy };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Seek condition past the cursor row. received_at is always set; device timestamps may be missing,
+ * and rows without one sort after all others (NULLS LAST newest first, NULLS FIRST going back).
+ */
+const seekPast = (orderBy, { value, id }, backwards) => {
+  if (orderBy === 'received_at' || (value !== null && backwards)) {
+    return { sql: `(${orderBy}, id) ${backwards ? '>' : '<'} (?, ?)`, params: [value, id] };
+  }
+  if (value !== null) return { sql: `(${orderBy} IS NULL OR (${orderBy}, id) < (?, ?))`, params: [value, id] };
+  if (backwards) return { sql: `(${orderBy} IS NOT NULL OR id > ?)`, params: [id] };
+  return { sql: `(${orderBy} IS NULL AND id < ?)`, params: [id] };
+};
+
+// Validates limit / cursor / offset / fields / orderBy / includeTotal from the query string
+const parsePageOptions = (query, defaultLimit) => {
+  const errors = [];
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  const orderBy = query.orderBy === undefined ? 'received_at' : query.orderBy;
+  const { fields, error: fieldsError } = parseFields(query.fields);
+
+  if (!Number.isInteger(limit) || limit < 1) errors.push('limit must be a positive integer');
+  if (!Number.isInteger(offset) || offset < 0) errors.push('offset must be a non-negative integer');
+  if (query.cursor && !cursor) errors.push('cursor is invalid');
+  if (query.cursor && offset > 0) errors.push('cursor and offset cannot be combined');
+  if (!ORDER_COLUMNS.includes(orderBy)) errors.push(`orderBy must be one of: ${ORDER_COLUMNS.join(', ')}`);
+  else if (cursor && cursor.orderBy !== orderBy) errors.push(`cursor belongs to orderBy=${cursor.orderBy}`);
+  if (fieldsError) errors.push(fieldsError);
+  if (query.includeTotal !== undefined && !['true', 'false'].includes(query.includeTotal)) {
+    errors.push('includeTotal must be true or false');
+  }
+
+  return {
+    errors,
+    options: { limit, offset, cursor, fields, orderBy, includeTotal: query.includeTotal !== 'false' }
+  };
+};
+
+/**
+ * One page of machine_data rows, newest first, ordered by (orderBy, id) - received_at by default, or the
+ * device timestamp. Cursor pages seek past the last row seen, so rows arriving meanwhile do not shift them.
+ * filter is { whereClause, params } from recordWhere(); the storage backend supplies all / get.
+ */
+const pageRecords = async ({ all, get }, filter, { limit, offset, cursor, fields, orderBy = 'received_at', includeTotal, units }) => {
+  const backwards = cursor && cursor.direction === 'prev';
+  // The cursor needs the order column and unit conversion needs metadata, even when not requested
+  const columns = new Set([...fields, orderBy]);
+  if (units && fields.includes('extracted_data')) columns.add('metadata');
+
+  let { whereClause } = filter;
+  const params = [...filter.params];
+  if (cursor) {
+    const seek = seekPast(orderBy, cursor, backwards);
+    whereClause += ` AND ${seek.sql}`;
+    params.push(...seek.params);
+  }
+
+  const order = backwards ? 'ASC' : 'DESC';
+  const nulls = orderBy === 'received_at' ? '' : (backwards ? ' NULLS FIRST' : ' NULLS LAST');
+  const rows = await all(`
+    SELECT ${[...columns].join(', ')}
+    FROM machine_data
+    ${whereClause}
+    ORDER BY ${orderBy} ${order}${nulls}, id ${order}
+    LIMIT ? OFFSET ?
+  `, [...params, limit + 1, offset]);
+
+  const more = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const total = includeTotal
+    ? (await get(`SELECT COUNT(*) AS total FROM machine_data ${filter.whereClause}`, filter.params)).total
+    : undefined;
+
+  // Going back there is always a newer page to return to; going forward only after the first one
+  const hasNext = backwards ? page.length > 0 : more;
+  const hasPrev = backwards ? more : Boolean(cursor) || offset > 0;
+
+  const data = page.map(row => {
+    const record = applyUnitSystem(formatRecord(row), fields.includes('extracted_data') ? units : null);
+    const projected = Object.fromEntries(fields.map(field => [field, record[field]]));
+    if (record.units) projected.units = record.units;
+    return projected;
+  });
+
+  return {
+    data,
+    pagination: {
+      ...(total !== undefined && { total }),
+      limit,
+      ...(!cursor && { offset }),
+      hasMore: hasNext,
+      next: hasNext && page.length ? encodeCursor(page[page.length - 1], 'next', orderBy) : null,
+      prev: hasPrev && page.length ? encodeCursor(page[0], 'prev', orderBy) : null
+    }
+  };
+};
+
+module.exports = {
+  ORDER_COLUMNS,
+  RECORD_COLUMNS,
+  RECORD_FIELDS,
+  formatRecord,
+  parseFields,
+  parsePageOptions,
+  machineCondition,
+  recordWhere,
+  scopeWhere,
+  aliasesWith,
+  pageRecords
+};
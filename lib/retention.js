@@ -0,0 +1,476 @@
+const express = require('express');
+const { EVENT_TIME_SQL } = require('./aggregation');
+const { scopeWhere } = require('./records');
+const dbAsync = require('./db');
+
+// Rollup tiers in order of resolution. Rows are keyed by machine, device type, field and bucket start (unix seconds).
+const ROLLUP_TIERS = {
+  '1m': { seconds: 60, table: 'rollups_1m' },
+  '1h': { seconds: 60 * 60, table: 'rollups_1h' }
+};
+const TIER_NAMES = ['raw', ...Object.keys(ROLLUP_TIERS)];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROLLUP_CHUNK = 5000;
+const MAX_RUN_HISTORY = 500;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// null keeps a tier forever
+const daysOrForever = (days) => days === null ? Infinity : days;
+
+// Without rollup support in the storage backend a policy can only keep raw rows
+const validatePolicy = (body, { rollups = true } = {}) => {
+  const errors = [];
+
+  if (!isPlainObject(body)) {
+    return { errors: ['Policy must be a JSON object'], policy: null };
+  }
+
+  const { name, machineId = null, deviceType = null, tiers, enabled = true } = body;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push('name is required');
+  }
+  if (machineId !== null && (typeof machineId !== 'string' || machineId.trim() === '')) {
+    errors.push('machineId must be a non-empty string');
+  }
+  if (deviceType !== null && (typeof deviceType !== 'string' || deviceType.trim() === '')) {
+    errors.push('deviceType must be a non-empty string');
+  }
+  if (machineId !== null && deviceType !== null) {
+    errors.push('Set machineId or deviceType, not both (neither makes the default policy)');
+  }
+  if (typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  if (!isPlainObject(tiers)) {
+    errors.push('tiers must map tiers to days kept, e.g. { "raw": 14, "1m": 180, "1h": null } (null keeps forever)');
+  } else {
+    const unknown = Object.keys(tiers).filter(tier => !TIER_NAMES.includes(tier));
+    if (unknown.length) errors.push(`Unknown tiers: ${unknown.join(', ')}. Allowed: ${TIER_NAMES.join(', ')}`);
+    if (!('raw' in tiers)) errors.push('tiers.raw is required');
+    if (!rollups && Object.keys(tiers).some(tier => ROLLUP_TIERS[tier])) {
+      errors.push('Rollup tiers need the sqlite storage backend; this one only keeps raw rows');
+    }
+
+    const kept = TIER_NAMES.filter(tier => tier in tiers);
+    kept.forEach(tier => {
+      const days = tiers[tier];
+      if (days !== null && (!Number.isInteger(days) || days < 1)) {
+        errors.push(`tiers.${tier} must be a whole number of days (at least 1) or null`);
+      }
+    });
+    // Coarser tiers are what is left once a finer one is pruned, so they must outlive it
+    for (let i = 1; i < kept.length; i++) {
+      if (daysOrForever(tiers[kept[i]]) < daysOrForever(tiers[kept[i - 1]])) {
+        errors.push(`tiers.${kept[i]} must be kept at least as long as tiers.${kept[i - 1]}`);
+      }
+    }
+  }
+
+  return {
+    errors,
+    policy: errors.length ? null : {
+      name: name.trim(),
+      machineId: machineId && machineId.trim(),
+      deviceType: deviceType && deviceType.trim(),
+      tiers: Object.fromEntries(TIER_NAMES.filter(tier => tier in tiers).map(tier => [tier, tiers[tier]])),
+      enabled
+    }
+  };
+};
+
+const rowToPolicy = (row) => ({
+  id: row.id,
+  name: row.name,
+  machineId: row.machine_id,
+  deviceType: row.device_type,
+  tiers: dbAsync.parseJSON(row.tiers),
+  enabled: row.enabled === 1,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+const rowToRun = (row) => ({
+  ...row,
+  details: dbAsync.parseJSON(row.details, [])
+});
+
+// Numeric leaves of extracted_data for rows in (?, ?], merged into existing buckets so late data still counts.
+// Fields are stored as json_tree fullkeys; see toJsonTreeKey().
+const rollupSql = ({ seconds, table }) => `
+  INSERT INTO ${table} (machine_id, device_type, field, bucket, count, sum, sum_sq, min, max, first, first_at, last, last_at)
+  SELECT machine_id, device_type, field, bucket,
+    COUNT(*), SUM(value), SUM(value * value), MIN(value), MAX(value),
+    MAX(first_value), MIN(event_time), MAX(last_value), MAX(event_time)
+  FROM (
+    SELECT *,
+      FIRST_VALUE(value) OVER (PARTITION BY machine_id, device_type, field, bucket ORDER BY event_time, id) AS first_value,
+      FIRST_VALUE(value) OVER (PARTITION BY machine_id, device_type, field, bucket ORDER BY event_time DESC, id DESC) AS last_value
+    FROM (
+      SELECT
+        m.id AS id,
+        COALESCE(m.machine_id, '') AS machine_id,
+        COALESCE(m.device_type, 'unknown') AS device_type,
+        j.fullkey AS field,
+        (CAST(strftime('%s', ${EVENT_TIME_SQL}) AS INTEGER) / ${seconds}) * ${seconds} AS bucket,
+        julianday(${EVENT_TIME_SQL}) AS event_time,
+        j.value AS value
+      FROM machine_data m, json_tree(m.extracted_data) j
+      WHERE m.id > ? AND m.id <= ?
+        AND j.type IN ('integer', 'real')
+        AND julianday(${EVENT_TIME_SQL}) IS NOT NULL
+    )
+  )
+  GROUP BY machine_id, device_type, field, bucket
+  ON CONFLICT(machine_id, device_type, field, bucket) DO UPDATE SET
+    count = count + excluded.count,
+    sum = sum + excluded.sum,
+    sum_sq = sum_sq + excluded.sum_sq,
+    min = MIN(min, excluded.min),
+    max = MAX(max, excluded.max),
+    first = CASE WHEN excluded.first_at < first_at THEN excluded.first ELSE first END,
+    first_at = MIN(first_at, excluded.first_at),
+    last = CASE WHEN excluded.last_at >= last_at THEN excluded.last ELSE last END,
+    last_at = MAX(last_at, excluded.last_at)
+`;
+
+/**
+ * Retention policies per machine, device type or as a default. A scheduled run first rolls new raw
+ * rows up into the 1m / 1h tables (all machines, so a policy added later has history), then prunes
+ * each tier in the scope of every enabled policy. Machines without a policy keep everything.
+ * Rollups live next to machine_data, so storage backends without them only prune raw rows.
+ */
+const createRetention = ({
+  db,
+  storage,
+  intervalMs = 15 * 60 * 1000,
+  requireScope = () => (req, res, next) => next()
+}) => {
+  const { rollups } = storage.capabilities;
+  let policies = [];
+  let rolledUpTo = 0;
+  let running = null;
+  let timer = null;
+  let lastRun = null;
+
+  const reload = async () => {
+    const rows = await dbAsync.all(db, 'SELECT * FROM retention_policies WHERE enabled = 1 ORDER BY id');
+    policies = rows.map(rowToPolicy);
+    const state = await dbAsync.get(db, "SELECT value FROM retention_state WHERE key = 'rolled_up_to'");
+    rolledUpTo = state ? Number(state.value) : 0;
+    return policies.length;
+  };
+
+  // Machine policy first, then device type, then the default
+  const policyFor = (machineId, deviceType) =>
+    (machineId && policies.find(p => p.machineId === machineId)) ||
+    (deviceType && policies.find(p => !p.machineId && p.deviceType === deviceType)) ||
+    policies.find(p => !p.machineId && !p.deviceType) ||
+    null;
+
+  // Rows governed by a policy: more specific policies carve their machines / device types out
+  const scopeFor = (policy) => {
+    if (policy.machineId) return { machineId: policy.machineId };
+    return {
+      deviceType: policy.deviceType,
+      excludeMachineIds: policies.filter(p => p.machineId).map(p => p.machineId),
+      excludeDeviceTypes: policies.filter(p => !p.machineId && p.deviceType).map(p => p.deviceType)
+    };
+  };
+
+  // Advances the rollup watermark to the newest raw row, one id range per transaction; ingest and other
+  // transactions on the connection get their turn between ranges
+  const rollUp = async () => {
+    if (!rollups) return 0;
+    const maxId = await storage.maxId();
+    let rows = 0;
+
+    while (rolledUpTo < maxId) {
+      const upTo = Math.min(rolledUpTo + ROLLUP_CHUNK, maxId);
+      const { count } = await dbAsync.transaction(db, async () => {
+        for (const tier of Object.values(ROLLUP_TIERS)) {
+          await dbAsync.run(db, rollupSql(tier), [rolledUpTo, upTo]);
+        }
+        await dbAsync.run(db, `
+          INSERT INTO retention_state (key, value) VALUES ('rolled_up_to', ?)
+          ON CONFLICT(key) DO UPDATE SET value = excluded.value
+        `, [upTo]);
+        return dbAsync.get(db, 'SELECT COUNT(*) AS count FROM machine_data WHERE id > ? AND id <= ?', [rolledUpTo, upTo]);
+      });
+      rolledUpTo = upTo;
+      rows += count;
+    }
+
+    return rows;
+  };
+
+  // Raw rows go once they are older than the policy allows and have been rolled up
+  const pruneRaw = (scope, days) =>
+    storage.cleanup({ scope, olderThanDays: days, maxId: rollups ? rolledUpTo : null });
+
+  // A rollup tier the policy leaves out is not kept at all
+  const pruneRollups = async (scope, tier, days) => {
+    const { table } = ROLLUP_TIERS[tier];
+    const { sql, params: scopeParams } = scopeWhere(scope);
+    const cutoff = days === undefined ? '' : ` AND bucket < CAST(strftime('%s', 'now') AS INTEGER) - ?`;
+    const params = days === undefined ? scopeParams : [...scopeParams, days * DAY_MS / 1000];
+    const result = await dbAsync.write(db, `DELETE FROM ${table} WHERE ${sql}${cutoff}`, params);
+    return result.changes;
+  };
+
+  const prune = async () => {
+    const details = [];
+    for (const policy of policies) {
+      const scope = scopeFor(policy);
+      const deleted = {};
+      deleted.raw = policy.tiers.raw === null ? 0 : await pruneRaw(scope, policy.tiers.raw);
+      for (const tier of rollups ? Object.keys(ROLLUP_TIERS) : []) {
+        if (policy.tiers[tier] === null) continue;
+        deleted[tier] = await pruneRollups(scope, tier, policy.tiers[tier]);
+      }
+      details.push({ policyId: policy.id, policy: policy.name, deleted });
+    }
+    return details;
+  };
+
+  const execute = async () => {
+    const { lastID: runId } = await dbAsync.write(db, "INSERT INTO retention_runs (started_at, status) VALUES (CURRENT_TIMESTAMP, 'running')");
+    let rowsRolledUp = 0;
+    let details = [];
+    let error = null;
+
+    try {
+      rowsRolledUp = await rollUp();
+      details = await prune();
+    } catch (err) {
+      error = err.message;
+      console.error('Retention run failed:', err);
+    }
+
+    const rowsDeleted = details.reduce((sum, detail) => sum + Object.values(detail.deleted).reduce((a, b) => a + b, 0), 0);
+    await dbAsync.write(db, `
+      UPDATE retention_runs SET finished_at = CURRENT_TIMESTAMP, status = ?, rolled_up_to = ?, rows_rolled_up = ?,
+        rows_deleted = ?, details = ?, error = ?
+      WHERE id = ?
+    `, [error ? 'failed' : 'success', rolledUpTo, rowsRolledUp, rowsDeleted, JSON.stringify(details), error, runId]);
+    await dbAsync.write(db, 'DELETE FROM retention_runs WHERE id <= ?', [runId - MAX_RUN_HISTORY]);
+
+    if (!error && (rowsRolledUp || rowsDeleted)) {
+      console.log(`🗄️ Retention: rolled up ${rowsRolledUp} rows, pruned ${rowsDeleted}`);
+    }
+    lastRun = rowToRun(await dbAsync.get(db, 'SELECT * FROM retention_runs WHERE id = ?', [runId]));
+    return lastRun;
+  };
+
+  // Nothing to do until a policy exists; overlapping calls share the run in progress
+  const runNow = () => {
+    if (policies.length === 0) return Promise.resolve(null);
+    if (!running) {
+      running = execute().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  const start = () => {
+    if (!timer) {
+      timer = setInterval(() => runNow().catch(err => console.error('Retention run failed:', err)), intervalMs);
+      timer.unref();
+    }
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  /**
+   * Which tier answers an aggregate query: raw when the policy still keeps raw rows for the whole range,
+   * otherwise the finest rollup tier that fits the bucket and reaches back far enough (or, failing that,
+   * the one that reaches back furthest). Rollup answers add raw rows newer than the watermark.
+   */
+  const selectTier = async ({ machineId, deviceType, from, bucketSeconds }) => {
+    let type = deviceType;
+    if (machineId && !type) {
+      const machine = await dbAsync.get(db, 'SELECT device_type FROM machines WHERE machine_id = ?', [machineId]);
+      type = machine ? machine.device_type : null;
+    }
+
+    const policy = policyFor(machineId, type);
+    const since = (days) => days === null ? null : new Date(Date.now() - days * DAY_MS);
+    const covers = (days) => days === null || from >= since(days);
+
+    if (!policy || covers(policy.tiers.raw)) {
+      return { tier: 'raw', policy: policy ? policy.name : null, dataSince: policy ? since(policy.tiers.raw) : null };
+    }
+
+    const candidates = Object.keys(ROLLUP_TIERS)
+      .filter(tier => tier in policy.tiers && bucketSeconds % ROLLUP_TIERS[tier].seconds === 0);
+    const tier = candidates.find(t => covers(policy.tiers[t])) || candidates[candidates.length - 1];
+    if (!tier) {
+      return { tier: 'raw', policy: policy.name, dataSince: since(policy.tiers.raw) };
+    }
+    return {
+      tier,
+      table: ROLLUP_TIERS[tier].table,
+      rolledUpTo,
+      policy: policy.name,
+      dataSince: since(policy.tiers[tier]),
+      rawSince: since(policy.tiers.raw)
+    };
+  };
+
+  const summary = () => ({
+    policies: policies.length,
+    rolledUpTo,
+    running: Boolean(running),
+    lastRun: lastRun && { id: lastRun.id, status: lastRun.status, finished_at: lastRun.finished_at }
+  });
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const isUniqueViolation = (err) => err && err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message);
+
+  const loadPolicy = async (id) => {
+    const row = await dbAsync.get(db, 'SELECT * FROM retention_policies WHERE id = ?', [id]);
+    return row ? rowToPolicy(row) : null;
+  };
+
+  const policyParams = (policy) => [
+    policy.name,
+    policy.machineId,
+    policy.deviceType,
+    JSON.stringify(policy.tiers),
+    policy.enabled ? 1 : 0
+  ];
+
+  const conflict = (res) => res.status(409).json({
+    success: false,
+    error: 'A policy with this name or for this machine / device type already exists'
+  });
+
+  const router = express.Router();
+
+  router.get('/policies', requireScope('read'), async (req, res) => {
+    try {
+      const rows = await dbAsync.all(db, 'SELECT * FROM retention_policies ORDER BY id');
+      res.json({ success: true, data: rows.map(rowToPolicy) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.get('/policies/:id', requireScope('read'), async (req, res) => {
+    try {
+      const policy = await loadPolicy(req.params.id);
+      if (!policy) {
+        return res.status(404).json({ success: false, error: `Retention policy not found: ${req.params.id}` });
+      }
+      res.json({ success: true, data: policy });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.post('/policies', requireScope('admin'), async (req, res) => {
+    const { errors, policy } = validatePolicy(req.body, { rollups });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid retention policy', details: errors });
+    }
+
+    try {
+      const { lastID } = await dbAsync.write(db, `
+        INSERT INTO retention_policies (name, machine_id, device_type, tiers, enabled)
+        VALUES (?, ?, ?, ?, ?)
+      `, policyParams(policy));
+      await reload();
+      res.status(201).json({ success: true, data: await loadPolicy(lastID) });
+    } catch (err) {
+      if (isUniqueViolation(err)) return conflict(res);
+      dbError(res, err);
+    }
+  });
+
+  router.put('/policies/:id', requireScope('admin'), async (req, res) => {
+    const { errors, policy } = validatePolicy(req.body, { rollups });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid retention policy', details: errors });
+    }
+
+    try {
+      const result = await dbAsync.write(db, `
+        UPDATE retention_policies
+        SET name = ?, machine_id = ?, device_type = ?, tiers = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...policyParams(policy), req.params.id]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `Retention policy not found: ${req.params.id}` });
+      }
+      await reload();
+      res.json({ success: true, data: await loadPolicy(req.params.id) });
+    } catch (err) {
+      if (isUniqueViolation(err)) return conflict(res);
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/policies/:id', requireScope('admin'), async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM retention_policies WHERE id = ?', [req.params.id]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `Retention policy not found: ${req.params.id}` });
+      }
+      await reload();
+      res.json({ success: true, message: `Retention policy ${req.params.id} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.get('/runs', requireScope('read'), async (req, res) => {
+    const { limit = 50 } = req.query;
+    try {
+      const rows = await dbAsync.all(db, 'SELECT * FROM retention_runs ORDER BY id DESC LIMIT ?', [parseInt(limit)]);
+      res.json({ success: true, data: rows.map(rowToRun) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  // Run now instead of waiting for the schedule
+  router.post('/run', requireScope('admin'), async (req, res) => {
+    if (policies.length === 0) {
+      return res.status(409).json({ success: false, error: 'No enabled retention policies' });
+    }
+    try {
+      res.json({ success: true, data: await runNow() });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  return {
+    reload,
+    start,
+    stop,
+    runNow,
+    selectTier,
+    summary,
+    router
+  };
+};
+
+module.exports = {
+  ROLLUP_TIERS,
+  TIER_NAMES,
+  createRetention
+};
@@ -0,0 +1,266 @@
+const express = require('express');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { formatPath } = require('./jsonPath');
+const dbAsync = require('./db');
+
+const SCHEMA_MODES = ['off', 'warn', 'strict'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const createValidator = () => {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  return ajv;
+};
+
+// "/axis/0/x" -> "axis[0].x"; required errors point at the missing property itself
+const errorPath = (error) => {
+  const segments = error.instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map(segment => /^\d+$/.test(segment) ? Number(segment) : segment);
+  if (error.keyword === 'required') segments.push(error.params.missingProperty);
+  return segments.length ? formatPath(segments) : '$';
+};
+
+const formatErrors = (errors) => (errors || []).map(error => ({
+  path: errorPath(error),
+  keyword: error.keyword,
+  message: error.message,
+  params: error.params
+}));
+
+const validateContract = (body, ajv) => {
+  const errors = [];
+
+  if (!isPlainObject(body)) {
+    return { errors: ['Schema contract must be a JSON object'], contract: null };
+  }
+
+  const { schema, mode = 'warn', description = null } = body;
+
+  if (!SCHEMA_MODES.includes(mode)) {
+    errors.push(`mode must be one of: ${SCHEMA_MODES.join(', ')}`);
+  }
+
+  if (!isPlainObject(schema) && typeof schema !== 'boolean') {
+    errors.push('schema must be a JSON Schema object');
+  } else {
+    try {
+      ajv.compile(schema);
+    } catch (err) {
+      errors.push(`Invalid JSON Schema: ${err.message}`);
+    }
+  }
+
+  return {
+    errors,
+    contract: errors.length ? null : { schema, mode, description }
+  };
+};
+
+const rowToContract = (row) => ({
+  deviceType: row.device_type,
+  mode: row.mode,
+  description: row.description,
+  schema: dbAsync.parseJSON(row.schema),
+  violationCount: row.violation_count,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+const rowToViolation = (row) => ({
+  ...row,
+  errors: dbAsync.parseJSON(row.errors, [])
+});
+
+/**
+ * JSON Schema contracts per device type. Payloads are checked as the device sent them.
+ * warn stores the record and flags it, strict rejects it; both log a violation.
+ */
+const createSchemaContracts = ({ db, requireScope = () => (req, res, next) => next() }) => {
+  const ajv = createValidator();
+  // deviceType -> { mode, validate }
+  let contracts = new Map();
+
+  const reload = async () => {
+    const rows = await dbAsync.all(db, 'SELECT device_type, mode, schema FROM device_schemas');
+    const next = new Map();
+    rows.forEach(row => {
+      try {
+        next.set(row.device_type, { mode: row.mode, validate: ajv.compile(dbAsync.parseJSON(row.schema)) });
+      } catch (err) {
+        console.error(`Ignoring invalid schema for device type ${row.device_type}:`, err.message);
+      }
+    });
+    contracts = next;
+    return contracts.size;
+  };
+
+  // null when the payload passes or no contract applies, otherwise { mode, errors }
+  const check = (payload, deviceType) => {
+    const contract = contracts.get(deviceType);
+    if (!contract || contract.mode === 'off') return null;
+    if (contract.validate(payload)) return null;
+    return { mode: contract.mode, errors: formatErrors(contract.validate.errors) };
+  };
+
+  const recordViolation = ({ machineId, deviceType, recordId = null, mode, errors }) => {
+    dbAsync.write(db, `
+      INSERT INTO schema_violations (machine_id, device_type, record_id, mode, errors)
+      VALUES (?, ?, ?, ?, ?)
+    `, [machineId, deviceType, recordId, mode, JSON.stringify(errors)])
+      .catch(err => console.error('Failed to record schema violation:', err));
+  };
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const loadContract = async (deviceType) => {
+    const row = await dbAsync.get(db, `
+      SELECT device_schemas.*,
+        (SELECT COUNT(*) FROM schema_violations WHERE schema_violations.device_type = device_schemas.device_type) AS violation_count
+      FROM device_schemas WHERE device_type = ?
+    `, [deviceType]);
+    return row ? rowToContract(row) : null;
+  };
+
+  const router = express.Router();
+
+  router.get('/', requireScope('read'), async (req, res) => {
+    try {
+      const rows = await dbAsync.all(db, `
+        SELECT device_schemas.*,
+          (SELECT COUNT(*) FROM schema_violations WHERE schema_violations.device_type = device_schemas.device_type) AS violation_count
+        FROM device_schemas ORDER BY device_type
+      `);
+      res.json({ success: true, data: rows.map(rowToContract) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.get('/:deviceType', requireScope('read'), async (req, res) => {
+    try {
+      const contract = await loadContract(req.params.deviceType);
+      if (!contract) {
+        return res.status(404).json({ success: false, error: `No schema registered for device type: ${req.params.deviceType}` });
+      }
+      res.json({ success: true, data: contract });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.put('/:deviceType', requireScope('admin'), async (req, res) => {
+    const { errors, contract } = validateContract(req.body, ajv);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid schema contract', details: errors });
+    }
+
+    try {
+      await dbAsync.write(db, `
+        INSERT INTO device_schemas (device_type, mode, description, schema, created_at, updated_at)
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT(device_type) DO UPDATE SET
+          mode = excluded.mode,
+          description = excluded.description,
+          schema = excluded.schema,
+          updated_at = CURRENT_TIMESTAMP
+      `, [req.params.deviceType, contract.mode, contract.description, JSON.stringify(contract.schema)]);
+      await reload();
+      res.json({ success: true, data: await loadContract(req.params.deviceType) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/:deviceType', requireScope('admin'), async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM device_schemas WHERE device_type = ?', [req.params.deviceType]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `No schema registered for device type: ${req.params.deviceType}` });
+      }
+      await reload();
+      res.json({ success: true, message: `Schema for ${req.params.deviceType} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  const violationsRouter = express.Router();
+
+  // Violation counts and most recent violation per machine
+  violationsRouter.get('/by-machine', requireScope('read'), async (req, res) => {
+    try {
+      const rows = await dbAsync.all(db, `
+        SELECT machine_id, device_type,
+          COUNT(*) AS total,
+          SUM(CASE WHEN mode = 'strict' THEN 1 ELSE 0 END) AS rejected,
+          SUM(CASE WHEN mode = 'warn' THEN 1 ELSE 0 END) AS flagged,
+          MAX(created_at) AS last_violation_at
+        FROM schema_violations
+        GROUP BY machine_id, device_type
+        ORDER BY last_violation_at DESC
+      `);
+      res.json({ success: true, data: rows });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  violationsRouter.get('/', requireScope('read'), async (req, res) => {
+    const { machineId, deviceType, mode, limit = 100 } = req.query;
+
+    if (mode && !SCHEMA_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: `mode must be one of: ${SCHEMA_MODES.join(', ')}` });
+    }
+
+    const where = ['1=1'];
+    const params = [];
+    if (machineId) {
+      where.push('machine_id = ?');
+      params.push(machineId);
+    }
+    if (deviceType) {
+      where.push('device_type = ?');
+      params.push(deviceType);
+    }
+    if (mode) {
+      where.push('mode = ?');
+      params.push(mode);
+    }
+
+    try {
+      const rows = await dbAsync.all(db, `
+        SELECT * FROM schema_violations
+        WHERE ${where.join(' AND ')}
+        ORDER BY id DESC
+        LIMIT ?
+      `, [...params, parseInt(limit)]);
+      res.json({ success: true, data: rows.map(rowToViolation) });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  return {
+    reload,
+    check,
+    recordViolation,
+    router,
+    violationsRouter
+  };
+};
+
+module.exports = {
+  SCHEMA_MODES,
+  createSchemaContracts
+};
@@ -0,0 +1,273 @@
+const dbAsync = require('./db');
+const { RECORD_FIELDS, formatRecord, recordWhere, scopeWhere, aliasesWith, pageRecords } = require('./records');
+const { sqliteAggregate, findStoredUnit } = require('./aggregation');
+
+const INSERT_SQL = `
+  INSERT INTO machine_data (machine_id, device_type, timestamp, raw_payload, extracted_data, metadata)
+  VALUES (?, ?, ?, ?, ?, ?)
+`;
+const KEY_SQL = 'INSERT INTO record_keys (key, record_id, ingest_id) VALUES (?, ?, ?)';
+const PRUNE_CHUNK = 10000;
+const REMOVE_CHUNK = 500;
+
+const insertParams = (record) => [
+  record.machineId,
+  record.deviceType,
+  record.timestamp,
+  JSON.stringify(record.rawPayload),
+  JSON.stringify(record.extractedData),
+  JSON.stringify(record.metadata)
+];
+
+/**
+ * machine_data in the SQLite file that also holds the configuration tables (the default backend).
+ * Shares the connection with the rest of the app, so retention can roll up in the same database; writes
+ * take turns with the other transactions on it (dbAsync.transaction).
+ */
+const createSqliteStorage = ({ db }) => {
+  const executor = {
+    all: (sql, params) => dbAsync.all(db, sql, params),
+    get: (sql, params) => dbAsync.get(db, sql, params)
+  };
+  const where = (filter) => recordWhere(filter, 'sqlite');
+
+  // machine_data and pruned_message_counts come with the SQLite migrations (lib/migrations.js)
+  const init = async () => {};
+
+  const ping = () => dbAsync.get(db, 'SELECT 1');
+
+  // The connection belongs to the app, which closes it on shutdown
+  const close = async () => {};
+
+  // The row and its keys; a key stored before fails the insert
+  const insertRow = async (record) => {
+    const id = (await dbAsync.run(db, INSERT_SQL, insertParams(record))).lastID;
+    for (const key of record.keys || []) {
+      await dbAsync.run(db, KEY_SQL, [key, id, record.ingestId || null]);
+    }
+    return id;
+  };
+
+  // In a transaction of its own, outside any another module has open, which could roll it back
+  const insert = (record) => dbAsync.transaction(db, () => insertRow(record));
+
+  // All rows or none; ids come back in the order of records
+  const insertMany = (records) => dbAsync.transaction(db, async () => {
+    const ids = [];
+    for (const record of records) {
+      ids.push(await insertRow(record));
+    }
+    return ids;
+  });
+
+  // [{ key, record_id, ingest_id }] for the keys a stored row holds
+  const findKeys = async (keys) => {
+    const found = [];
+    for (let i = 0; i < keys.length; i += REMOVE_CHUNK) {
+      const chunk = keys.slice(i, i + REMOVE_CHUNK);
+      found.push(...await dbAsync.all(db, `SELECT key, record_id, ingest_id FROM record_keys WHERE key IN (${chunk.map(() => '?').join(', ')})`, chunk));
+    }
+    return found;
+  };
+
+  const query = (filter, page) => pageRecords(executor, where(filter), page);
+
+  const count = async (filter) => {
+    const { whereClause, params } = where(filter);
+    return (await dbAsync.get(db, `SELECT COUNT(*) AS total FROM machine_data ${whereClause}`, params)).total;
+  };
+
+  // Totals include rows pruned by retention; machineIds narrows everything to registry matches
+  // aliases: [[alias, machineId]] - rows stored under an alias count for the machine it was folded into
+  const stats = async ({ machineIds = null, aliases = [] } = {}) => {
+    const filter = machineIds && (machineIds.length ? `machine_id IN (${machineIds.map(() => '?').join(', ')})` : '1=0');
+    const whereSql = (condition) => {
+      const conditions = [condition, filter].filter(Boolean);
+      return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    };
+    const params = machineIds || [];
+    const both = [...params, ...params];
+    const folded = aliasesWith(aliases, 'sqlite');
+
+    const [total, uniqueMachines, deviceTypes, recent, topMachines] = await Promise.all([
+      dbAsync.get(db, `
+        SELECT (SELECT COUNT(*) FROM machine_data ${whereSql()})
+          + (SELECT COALESCE(SUM(count), 0) FROM pruned_message_counts ${whereSql()}) as total
+      `, both),
+      dbAsync.get(db, `
+        ${folded.sql}
+        SELECT COUNT(DISTINCT COALESCE(aliases.machine_id, seen.machine_id)) as unique_machines FROM (
+          SELECT machine_id FROM machine_data ${whereSql('machine_id IS NOT NULL')}
+          UNION SELECT machine_id FROM pruned_message_counts ${whereSql("machine_id != ''")}
+        ) AS seen LEFT JOIN aliases ON aliases.alias = seen.machine_id
+      `, [...folded.params, ...both]),
+      dbAsync.all(db, `
+        SELECT device_type FROM machine_data ${whereSql()}
+        UNION SELECT device_type FROM pruned_message_counts ${whereSql()}
+      `, both),
+      dbAsync.get(db, `SELECT COUNT(*) as recent FROM machine_data ${whereSql("received_at > datetime('now', '-24 hours')")}`, params),
+      dbAsync.all(db, `
+        ${folded.sql}
+        SELECT COALESCE(aliases.machine_id, counts.machine_id) as machine_id, SUM(message_count) as message_count FROM (
+          SELECT machine_id, COUNT(*) as message_count FROM machine_data ${whereSql('machine_id IS NOT NULL')} GROUP BY machine_id
+          UNION ALL SELECT machine_id, SUM(count) FROM pruned_message_counts ${whereSql("machine_id != ''")} GROUP BY machine_id
+        ) AS counts LEFT JOIN aliases ON aliases.alias = counts.machine_id
+        GROUP BY 1 ORDER BY message_count DESC LIMIT 10
+      `, [...folded.params, ...both])
+    ]);
+
+    return {
+      totalMessages: total.total,
+      uniqueMachines: uniqueMachines.unique_machines,
+      deviceTypes: deviceTypes.map(row => row.device_type),
+      recentActivity24h: recent.recent,
+      topMachines
+    };
+  };
+
+  // Rows after afterId (up to maxId) in id order, limit at a time
+  const scan = async (filter, { afterId = 0, maxId = null, limit, fields = RECORD_FIELDS }) => {
+    const { whereClause, params } = where(filter);
+    const bound = maxId === null ? '' : ' AND id <= ?';
+    const rows = await dbAsync.all(db, `
+      SELECT ${fields.join(', ')} FROM machine_data
+      ${whereClause} AND id > ?${bound}
+      ORDER BY id ASC
+      LIMIT ?
+    `, [...params, afterId, ...(maxId === null ? [] : [maxId]), limit]);
+    return rows.map(formatRecord);
+  };
+
+  const getByIds = async (ids) => {
+    if (ids.length === 0) return [];
+    const rows = await dbAsync.all(db, `
+      SELECT ${RECORD_FIELDS.join(', ')} FROM machine_data WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY id ASC
+    `, ids);
+    return rows.map(formatRecord);
+  };
+
+  const latest = async (machineId) => {
+    const row = await dbAsync.get(db, `
+      SELECT ${RECORD_FIELDS.join(', ')} FROM machine_data WHERE machine_id = ? ORDER BY id DESC LIMIT 1
+    `, [machineId]);
+    return row ? formatRecord(row) : null;
+  };
+
+  const maxId = async () => (await dbAsync.get(db, 'SELECT MAX(id) AS maxId FROM machine_data')).maxId || 0;
+
+  // Rows up to maxId with the same machine and raw payload as an earlier one, in id order, with the first id of their group
+  const duplicates = async (filter, { maxId: upTo }) => {
+    const { whereClause, params } = where(filter);
+    const [{ scanned }, rows] = await Promise.all([
+      dbAsync.get(db, `SELECT COUNT(*) AS scanned FROM machine_data ${whereClause} AND id <= ?`, [...params, upTo]),
+      dbAsync.all(db, `
+        SELECT id, machine_id, kept_id FROM (
+          SELECT id, machine_id, FIRST_VALUE(id) OVER same AS kept_id, ROW_NUMBER() OVER same AS rn
+          FROM machine_data ${whereClause} AND id <= ?
+          WINDOW same AS (PARTITION BY machine_id, raw_payload ORDER BY id)
+        )
+        WHERE rn > 1
+        ORDER BY id
+      `, [...params, upTo])
+    ]);
+    return { scanned, rows };
+  };
+
+  // First / last arrival and device type per machine, for backfilling the registry
+  const machineSummaries = () => dbAsync.all(db, `
+    SELECT machine_id, MAX(device_type) AS device_type, MIN(received_at) AS first_seen, MAX(received_at) AS last_seen
+    FROM machine_data
+    WHERE machine_id IS NOT NULL
+    GROUP BY machine_id
+  `);
+
+  // The newest perMachine arrival times of every machine, oldest first
+  const recentArrivals = (perMachine) => dbAsync.all(db, `
+    SELECT machine_id, received_at FROM (
+      SELECT machine_id, received_at, ROW_NUMBER() OVER (PARTITION BY machine_id ORDER BY id DESC) AS rn
+      FROM machine_data
+      WHERE machine_id IS NOT NULL
+    )
+    WHERE rn <= ?
+    ORDER BY machine_id, received_at
+  `, [perMachine]);
+
+  const aggregate = (options, source) => sqliteAggregate(db, options, source);
+
+  const storedUnit = (options) => findStoredUnit(db, options);
+
+  /**
+   * Deletes rows in scope received more than olderThanDays ago (and with id <= maxId, when given),
+   * a chunk per transaction. Their counts move to pruned_message_counts so totals stay whole.
+   */
+  const cleanup = async ({ scope, olderThanDays, maxId: upTo = null }) => {
+    const { sql, params: scopeParams } = scopeWhere(scope);
+    const whereSql = `${sql} AND received_at < datetime('now', ?)${upTo === null ? '' : ' AND id <= ?'}`;
+    const params = [...scopeParams, `-${olderThanDays} days`, ...(upTo === null ? [] : [upTo])];
+    let deleted = 0;
+
+    for (;;) {
+      const { bound } = await dbAsync.get(db, `
+        SELECT MAX(id) AS bound FROM (SELECT id FROM machine_data WHERE ${whereSql} ORDER BY id LIMIT ?)
+      `, [...params, PRUNE_CHUNK]);
+      if (bound === null) return deleted;
+
+      // The lock is released between chunks, so ingest keeps going during a long cleanup
+      deleted += await dbAsync.transaction(db, async () => {
+        await dbAsync.run(db, `
+          INSERT INTO pruned_message_counts (machine_id, device_type, count)
+          SELECT COALESCE(machine_id, ''), COALESCE(device_type, 'unknown'), COUNT(*)
+          FROM machine_data WHERE ${whereSql} AND id <= ?
+          GROUP BY 1, 2
+          ON CONFLICT(machine_id, device_type) DO UPDATE SET count = count + excluded.count
+        `, [...params, bound]);
+        await dbAsync.run(db, `DELETE FROM record_keys WHERE record_id IN (SELECT id FROM machine_data WHERE ${whereSql} AND id <= ?)`, [...params, bound]);
+        return (await dbAsync.run(db, `DELETE FROM machine_data WHERE ${whereSql} AND id <= ?`, [...params, bound])).changes;
+      });
+    }
+  };
+
+  // Deletes the given rows, a chunk per statement; unlike cleanup they leave the message totals alone
+  const remove = async (ids) => {
+    let deleted = 0;
+    for (let i = 0; i < ids.length; i += REMOVE_CHUNK) {
+      const chunk = ids.slice(i, i + REMOVE_CHUNK);
+      const list = chunk.map(() => '?').join(', ');
+      deleted += await dbAsync.transaction(db, async () => {
+        await dbAsync.run(db, `DELETE FROM record_keys WHERE record_id IN (${list})`, chunk);
+        return (await dbAsync.run(db, `DELETE FROM machine_data WHERE id IN (${list})`, chunk)).changes;
+      });
+    }
+    return deleted;
+  };
+
+  return {
+    name: 'sqlite',
+    capabilities: { rollups: true },
+    migrationTarget: null,
+    init,
+    ping,
+    close,
+    insert,
+    insertMany,
+    findKeys,
+    query,
+    count,
+    stats,
+    scan,
+    getByIds,
+    latest,
+    maxId,
+    duplicates,
+    machineSummaries,
+    recentArrivals,
+    aggregate,
+    storedUnit,
+    cleanup,
+    remove
+  };
+};
+
+module.exports = {
+  createSqliteStorage
+};
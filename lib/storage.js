@@ -0,0 +1,43 @@
+const BACKENDS = ['sqlite', 'postgres'];
+
+/**
+ * Storage backend for machine_data, picked by STORAGE_BACKEND (sqlite by default, or postgres with
+ * DATABASE_URL). Configuration tables (API keys, profiles, registry, ...) stay in SQLite either way.
+ *
+ * Every backend implements:
+ *   init(), ping(), close()
+ *   insert(record) -> id; insertMany(records) -> ids, all or nothing
+ *   findKeys(keys) -> [{ key, record_id, ingest_id }] of the keys stored rows hold
+ *   query(filter, page) -> { data, pagination } (see records.pageRecords)
+ *   count(filter), stats({ machineIds, aliases }), maxId() - stats folds [[alias, machineId]] aliases into their machine
+ *   scan(filter, { afterId, maxId, limit, fields }) -> records in id order; getByIds(ids); latest(machineId)
+ *   duplicates(filter, { maxId }) -> { scanned, rows: [{ id, machine_id, kept_id }] } - rows repeating an earlier one
+ *   machineSummaries(), recentArrivals(perMachine) - registry backfill
+ *   aggregate(options, source), storedUnit(options) - see aggregation.runAggregation
+ *   cleanup({ scope, olderThanDays, maxId }) -> rows deleted (see records.scopeWhere); remove(ids) -> rows deleted
+ * and sets capabilities.rollups when retention may keep rollup tables next to the raw rows.
+ * migrationTarget is the backend's own schema (see migrations.migrate), or null when machine_data
+ * lives in the SQLite file and comes with its migrations.
+ *
+ * A record is { machineId, deviceType, timestamp, rawPayload, extractedData, metadata }, plus ingestId and
+ * keys (idempotency / natural keys, see ingestQueue) when it came through the queue. A key is unique
+ * across stored rows and removed with its row;
+ * a filter is { machineId, deviceType, machineIds, from, to, expression } (see records.recordWhere).
+ */
+const createStorage = ({ backend = 'sqlite', db, connectionString }) => {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`STORAGE_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+  }
+
+  // Required here so the pg driver only loads when it is used
+  if (backend === 'postgres') {
+    if (!connectionString) throw new Error('DATABASE_URL is required for the postgres storage backend');
+    return require('./postgresStorage').createPostgresStorage({ connectionString });
+  }
+  return require('./sqliteStorage').createSqliteStorage({ db });
+};
+
+module.exports = {
+  BACKENDS,
+  createStorage
+};
@@ -0,0 +1,282 @@
+const express = require('express');
+const { isValidTimeZone } = require('./mappingProfiles');
+const dbAsync = require('./db');
+
+const TIMESTAMP_ACTIONS = ['flag', 'correct', 'reject'];
+// Skews kept per machine; their median is the clock offset estimate
+const MAX_SKEWS = 20;
+// Consecutive skews that must agree (within tolerance) before they set or replace a machine's estimate
+const CONFIRM_SKEWS = 5;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// "3 h 20 min" style, for error messages
+const describeSkew = (ms) => {
+  const seconds = Math.round(Math.abs(ms) / 1000);
+  if (seconds < 120) return `${seconds} s`;
+  if (seconds < 2 * 3600) return `${Math.round(seconds / 60)} min`;
+  if (seconds < 2 * 86400) return `${Math.round(seconds / 3600)} h`;
+  return `${Math.round(seconds / 86400)} days`;
+};
+
+// Omitted fields take the server defaults
+const validatePolicy = (body, defaults) => {
+  const errors = [];
+
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Timestamp policy must be a JSON object'], policy: null };
+  }
+
+  const { action = defaults.action, toleranceSeconds = defaults.toleranceSeconds, timeZone = null } = body;
+
+  if (!TIMESTAMP_ACTIONS.includes(action)) {
+    errors.push(`action must be one of: ${TIMESTAMP_ACTIONS.join(', ')}`);
+  }
+  if (typeof toleranceSeconds !== 'number' || !(toleranceSeconds >= 0)) {
+    errors.push('toleranceSeconds must be a number of at least 0');
+  }
+  if (timeZone !== null && !isValidTimeZone(timeZone)) {
+    errors.push('timeZone must be an IANA time zone name such as Europe/Berlin, or null');
+  }
+
+  return { errors, policy: errors.length ? null : { action, toleranceSeconds, timeZone } };
+};
+
+/**
+ * Device clock checks. Every record with a device timestamp gets its skew against the time it arrived
+ * (clock_skew_ms in metadata). Timestamps older than the newest one seen from the machine are marked
+ * out_of_order.
+ *
+ * A skew beyond the device type's tolerance is flagged, corrected (the timestamp minus the machine's
+ * offset, the reported one kept as reported_timestamp) or rejected, per policy or defaults. Payloads
+ * without a machine ID, or from a machine without an offset estimate yet, are flagged instead. Policies
+ * also name the time zone zone-less timestamp strings are read in (see mappingProfiles.parseTimestamp).
+ *
+ * check() only decides; the caller hands the returned sample to observe() once the record is accepted
+ * and is not a duplicate. The offset estimate is the median of the machine's recent skews, and only
+ * live samples feed it: out-of-order ones (backfills, redeliveries) never do, and a skew outside
+ * tolerance of the estimate only counts once CONFIRM_SKEWS consecutive ones agree - a clock that was
+ * reset, not a batch of old readings, whose skews spread as wide as their timestamps.
+ */
+const createTimestamps = ({
+  db,
+  defaults,
+  requireScope = () => (req, res, next) => next()
+}) => {
+  if (!TIMESTAMP_ACTIONS.includes(defaults.action)) {
+    throw new Error(`TIMESTAMP_SKEW_ACTION must be one of: ${TIMESTAMP_ACTIONS.join(', ')}`);
+  }
+  if (defaults.timeZone && !isValidTimeZone(defaults.timeZone)) {
+    throw new Error(`Unknown time zone: ${defaults.timeZone}`);
+  }
+
+  // deviceType -> { action, toleranceSeconds, timeZone }
+  let policies = new Map();
+  // machineId -> { offsetMs (null until confirmed), skews, pending, lastTimestamp (ms), updatedAt (ms) }
+  const clocks = new Map();
+
+  const reload = async () => {
+    const rows = await dbAsync.all(db, 'SELECT * FROM timestamp_policies');
+    policies = new Map(rows.map(row => [row.device_type, {
+      action: row.action,
+      toleranceSeconds: row.tolerance_seconds,
+      timeZone: row.time_zone
+    }]));
+
+    clocks.clear();
+    for (const row of await dbAsync.all(db, 'SELECT * FROM machine_clocks')) {
+      const skews = dbAsync.parseJSON(row.skews, []);
+      clocks.set(row.machine_id, {
+        offsetMs: skews.length ? row.offset_ms : null,
+        skews,
+        pending: [],
+        lastTimestamp: row.last_timestamp ? Date.parse(row.last_timestamp) : null,
+        updatedAt: Date.parse(row.updated_at)
+      });
+    }
+    return policies.size;
+  };
+
+  const policyFor = (deviceType) => policies.get(deviceType) || defaults;
+
+  const timeZoneFor = (deviceType) => policyFor(deviceType).timeZone || defaults.timeZone || null;
+
+  // Adds a skew to the estimate when it agrees with it, else to the candidates that replace it once confirmed
+  const learn = (clock, skewMs, toleranceMs) => {
+    const agrees = (a, b) => Math.abs(a - b) <= toleranceMs;
+    if (clock.offsetMs !== null && agrees(skewMs, clock.offsetMs)) {
+      clock.skews.push(skewMs);
+      if (clock.skews.length > MAX_SKEWS) clock.skews.shift();
+      clock.offsetMs = median(clock.skews);
+      clock.pending = [];
+      return;
+    }
+
+    if (clock.pending.length && !agrees(skewMs, median(clock.pending))) clock.pending = [];
+    clock.pending.push(skewMs);
+    if (clock.pending.length >= CONFIRM_SKEWS) {
+      clock.skews = clock.pending;
+      clock.pending = [];
+      clock.offsetMs = median(clock.skews);
+    }
+  };
+
+  /**
+   * Feeds an accepted, non-duplicate record's sample (from check) into its machine's clock: the newest
+   * timestamp always, the offset estimate only when the sample is not older than that.
+   */
+  const observe = (sample) => {
+    if (!sample) return;
+    const { machineId, skewMs, time, receivedAt, toleranceSeconds } = sample;
+    let clock = clocks.get(machineId);
+    if (!clock) {
+      clock = { offsetMs: null, skews: [], pending: [], lastTimestamp: null, updatedAt: receivedAt };
+      clocks.set(machineId, clock);
+    }
+    const replayed = clock.lastTimestamp !== null && time < clock.lastTimestamp;
+    if (!replayed) learn(clock, skewMs, toleranceSeconds * 1000);
+    clock.lastTimestamp = Math.max(clock.lastTimestamp === null ? time : clock.lastTimestamp, time);
+    clock.updatedAt = receivedAt;
+
+    dbAsync.write(db, `
+      INSERT INTO machine_clocks (machine_id, offset_ms, skews, last_timestamp, updated_at) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(machine_id) DO UPDATE SET
+        offset_ms = excluded.offset_ms, skews = excluded.skews, last_timestamp = excluded.last_timestamp, updated_at = excluded.updated_at
+    `, [machineId, clock.offsetMs === null ? 0 : clock.offsetMs, JSON.stringify(clock.skews), new Date(clock.lastTimestamp).toISOString(),
+      new Date(receivedAt).toISOString()]).catch(err => console.error('Failed to update machine clock:', err));
+  };
+
+  /**
+   * Checks an extracted payload ({ machineId, deviceType, timestamp }) that arrived at receivedAt.
+   * Returns { timestamp, metadata, check, sample } - the timestamp to store, metadata for the record,
+   * when the skew is beyond tolerance check = { action, skewMs, toleranceSeconds, error?, correctedTimestamp? },
+   * and the sample to observe() once the record is accepted (null without a machine ID).
+   * Rejected when check.action is reject. Nothing about the machine's clock changes here.
+   */
+  const check = ({ machineId, deviceType, timestamp }, receivedAt = Date.now()) => {
+    if (!timestamp) return { timestamp, metadata: {}, check: null, sample: null };
+
+    const time = Date.parse(timestamp);
+    const skewMs = time - receivedAt;
+    const { action, toleranceSeconds } = policyFor(deviceType);
+    const hasMachine = machineId !== null && machineId !== undefined;
+    const clock = hasMachine ? clocks.get(String(machineId)) : null;
+    const outOfOrder = Boolean(clock && clock.lastTimestamp !== null && time < clock.lastTimestamp);
+    const sample = hasMachine ? { machineId: String(machineId), skewMs, time, receivedAt, toleranceSeconds } : null;
+
+    const metadata = { clock_skew_ms: skewMs, ...(outOfOrder && { out_of_order: true }) };
+    if (Math.abs(skewMs) <= toleranceSeconds * 1000) return { timestamp, metadata, check: null, sample };
+
+    const result = { action, skewMs, toleranceSeconds };
+    if (action === 'reject') {
+      result.error = `Device timestamp is ${describeSkew(skewMs)} ${skewMs > 0 ? 'ahead of' : 'behind'} the server clock (tolerance ${toleranceSeconds} s)`;
+      return { timestamp, metadata, check: result, sample };
+    }
+    if (action === 'flag' || !clock || clock.offsetMs === null) {
+      return { timestamp, metadata: { ...metadata, timestamp_check: 'flagged' }, check: { ...result, action: 'flag' }, sample };
+    }
+
+    const corrected = new Date(time - clock.offsetMs).toISOString();
+    return {
+      timestamp: corrected,
+      metadata: { ...metadata, timestamp_check: 'corrected', reported_timestamp: timestamp, clock_offset_ms: clock.offsetMs },
+      check: { ...result, correctedTimestamp: corrected },
+      sample
+    };
+  };
+
+  // { offsetMs, samples, lastTimestamp, updatedAt } for a machine, or null until its offset is confirmed
+  const clockOf = (machineId) => {
+    const clock = clocks.get(machineId);
+    if (!clock || clock.offsetMs === null) return null;
+    return {
+      offsetMs: Math.round(clock.offsetMs),
+      samples: clock.skews.length,
+      lastTimestamp: clock.lastTimestamp === null ? null : new Date(clock.lastTimestamp).toISOString(),
+      updatedAt: new Date(clock.updatedAt).toISOString()
+    };
+  };
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const router = express.Router();
+
+  router.get('/policies', requireScope('read'), (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        defaults,
+        deviceTypes: [...policies.entries()]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([deviceType, policy]) => ({ deviceType, ...policy }))
+      }
+    });
+  });
+
+  router.put('/policies/:deviceType', requireScope('admin'), async (req, res) => {
+    const { errors, policy } = validatePolicy(req.body, defaults);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid timestamp policy', details: errors });
+    }
+
+    try {
+      await dbAsync.write(db, `
+        INSERT INTO timestamp_policies (device_type, action, tolerance_seconds, time_zone) VALUES (?, ?, ?, ?)
+        ON CONFLICT(device_type) DO UPDATE SET
+          action = excluded.action, tolerance_seconds = excluded.tolerance_seconds, time_zone = excluded.time_zone,
+          updated_at = CURRENT_TIMESTAMP
+      `, [req.params.deviceType, policy.action, policy.toleranceSeconds, policy.timeZone]);
+      await reload();
+      res.json({ success: true, data: { deviceType: req.params.deviceType, ...policy } });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/policies/:deviceType', requireScope('admin'), async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM timestamp_policies WHERE device_type = ?', [req.params.deviceType]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `No timestamp policy for device type: ${req.params.deviceType}` });
+      }
+      await reload();
+      res.json({ success: true, message: `Timestamp policy for ${req.params.deviceType} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  // Estimated clock offsets, largest first - positive means the device clock runs ahead
+  router.get('/clocks', requireScope('read'), (req, res) => {
+    const data = [...clocks.keys()]
+      .filter(machineId => clockOf(machineId))
+      .map(machineId => ({ machineId, ...clockOf(machineId) }))
+      .sort((a, b) => Math.abs(b.offsetMs) - Math.abs(a.offsetMs));
+    res.json({ success: true, data });
+  });
+
+  return {
+    reload,
+    timeZoneFor,
+    check,
+    observe,
+    clockOf,
+    router
+  };
+};
+
+module.exports = {
+  TIMESTAMP_ACTIONS,
+  CONFIRM_SKEWS,
+  createTimestamps
+};
@@ -0,0 +1,384 @@
+const express = require('express');
+const { getPath, setPath, parsePath, formatPath } = require('./jsonPath');
+const dbAsync = require('./db');
+
+// Each unit converts to its quantity's canonical unit as: canonical = value * factor + offset
+const QUANTITIES = {
+  temperature: {
+    canonical: '°C',
+    units: {
+      '°C': { factor: 1, offset: 0, aliases: ['C', 'degC', 'celsius', 'deg_c'] },
+      '°F': { factor: 5 / 9, offset: -160 / 9, aliases: ['F', 'degF', 'fahrenheit', 'deg_f'] },
+      K: { factor: 1, offset: -273.15, aliases: ['kelvin'] }
+    }
+  },
+  pressure: {
+    canonical: 'bar',
+    units: {
+      bar: { factor: 1, aliases: [] },
+      mbar: { factor: 0.001, aliases: [] },
+      Pa: { factor: 0.00001, aliases: ['pascal'] },
+      kPa: { factor: 0.01, aliases: [] },
+      MPa: { factor: 10, aliases: [] },
+      psi: { factor: 0.0689475729, aliases: ['lbf/in2'] },
+      atm: { factor: 1.01325, aliases: [] }
+    }
+  },
+  length: {
+    canonical: 'mm',
+    units: {
+      'µm': { factor: 0.001, aliases: ['um', 'micron'] },
+      mm: { factor: 1, aliases: [] },
+      cm: { factor: 10, aliases: [] },
+      m: { factor: 1000, aliases: ['meter', 'metre'] },
+      in: { factor: 25.4, aliases: ['inch'] },
+      ft: { factor: 304.8, aliases: ['foot', 'feet'] }
+    }
+  },
+  mass: {
+    canonical: 'kg',
+    units: {
+      g: { factor: 0.001, aliases: ['gram'] },
+      kg: { factor: 1, aliases: [] },
+      t: { factor: 1000, aliases: ['tonne'] },
+      lb: { factor: 0.45359237, aliases: ['lbs', 'pound'] }
+    }
+  },
+  power: {
+    canonical: 'kW',
+    units: {
+      W: { factor: 0.001, aliases: ['watt'] },
+      kW: { factor: 1, aliases: [] },
+      MW: { factor: 1000, aliases: [] },
+      hp: { factor: 0.745699872, aliases: [] }
+    }
+  },
+  velocity: {
+    canonical: 'm/s',
+    units: {
+      'm/s': { factor: 1, aliases: [] },
+      'mm/s': { factor: 0.001, aliases: [] },
+      'm/min': { factor: 1 / 60, aliases: [] },
+      'km/h': { factor: 1 / 3.6, aliases: ['kph'] },
+      mph: { factor: 0.44704, aliases: [] },
+      'ft/min': { factor: 0.00508, aliases: ['fpm'] }
+    }
+  },
+  flow: {
+    canonical: 'l/min',
+    units: {
+      'l/min': { factor: 1, aliases: ['lpm', 'L/min'] },
+      'l/s': { factor: 60, aliases: ['L/s'] },
+      'm3/h': { factor: 1000 / 60, aliases: ['m³/h'] },
+      'm3/s': { factor: 60000, aliases: ['m³/s'] },
+      'gal/min': { factor: 3.785411784, aliases: ['gpm'] }
+    }
+  },
+  rotational_speed: {
+    canonical: 'rpm',
+    units: {
+      rpm: { factor: 1, aliases: ['1/min'] },
+      rps: { factor: 60, aliases: ['1/s'] }
+    }
+  },
+  voltage: {
+    canonical: 'V',
+    units: {
+      mV: { factor: 0.001, aliases: [] },
+      V: { factor: 1, aliases: ['volt'] },
+      kV: { factor: 1000, aliases: [] }
+    }
+  },
+  current: {
+    canonical: 'A',
+    units: {
+      mA: { factor: 0.001, aliases: [] },
+      A: { factor: 1, aliases: ['amp', 'ampere'] }
+    }
+  }
+};
+
+// Output unit per quantity for each unit system accepted by ?units=
+const UNIT_SYSTEMS = {
+  metric: Object.fromEntries(Object.entries(QUANTITIES).map(([name, q]) => [name, q.canonical])),
+  imperial: {
+    temperature: '°F',
+    pressure: 'psi',
+    length: 'in',
+    mass: 'lb',
+    power: 'hp',
+    velocity: 'mph',
+    flow: 'gal/min',
+    rotational_speed: 'rpm',
+    voltage: 'V',
+    current: 'A'
+  },
+  si: {
+    temperature: 'K',
+    pressure: 'Pa',
+    length: 'm',
+    mass: 'kg',
+    power: 'W',
+    velocity: 'm/s',
+    flow: 'm3/s',
+    rotational_speed: 'rps',
+    voltage: 'V',
+    current: 'A'
+  }
+};
+
+const UNIT_SUFFIX = '_unit';
+
+// symbol / alias -> { quantity, symbol, factor, offset }
+const UNIT_INDEX = new Map();
+const LOWERCASE_INDEX = new Map();
+for (const [quantity, { units }] of Object.entries(QUANTITIES)) {
+  for (const [symbol, { factor, offset = 0, aliases }] of Object.entries(units)) {
+    const unit = { quantity, symbol, factor, offset };
+    [symbol, ...aliases].forEach(name => {
+      UNIT_INDEX.set(name, unit);
+      if (!LOWERCASE_INDEX.has(name.toLowerCase())) LOWERCASE_INDEX.set(name.toLowerCase(), unit);
+    });
+  }
+}
+
+const lookupUnit = (name) => {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim();
+  return UNIT_INDEX.get(trimmed) || LOWERCASE_INDEX.get(trimmed.toLowerCase()) || null;
+};
+
+// Avoid float noise like 25.000000000000004 in converted values
+const round = (value) => Number(value.toPrecision(12));
+
+const toCanonical = (value, unit) => value * unit.factor + unit.offset;
+
+const convert = (value, fromUnit, toUnit) => {
+  const from = lookupUnit(fromUnit);
+  const to = lookupUnit(toUnit);
+  if (!from || !to || from.quantity !== to.quantity) return null;
+  return round((toCanonical(value, from) - to.offset) / to.factor);
+};
+
+// Scale-only conversion, for spreads such as stddev
+const convertDelta = (value, fromUnit, toUnit) => {
+  const from = lookupUnit(fromUnit);
+  const to = lookupUnit(toUnit);
+  if (!from || !to || from.quantity !== to.quantity) return null;
+  return round(value * from.factor / to.factor);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isValueUnitObject = (value) =>
+  isPlainObject(value) && typeof value.value === 'number' && typeof value.unit === 'string' &&
+  Object.keys(value).every(key => key === 'value' || key === 'unit');
+
+/**
+ * Convert declared measurements in extracted data to canonical units.
+ * Declarations come from {value, unit} objects, <field>_unit siblings, then the device type config.
+ * Returns the converted data and, per converted path, the original value and unit.
+ */
+const normalizeUnits = (data, configuredUnits = {}) => {
+  const conversions = {};
+  const unrecognized = {};
+
+  const record = (segments, original, unitName, target, key) => {
+    const unit = lookupUnit(unitName);
+    const path = formatPath(segments);
+    if (!unit) {
+      unrecognized[path] = unitName;
+      return false;
+    }
+    const canonicalUnit = QUANTITIES[unit.quantity].canonical;
+    target[key] = round(toCanonical(original, unit));
+    conversions[path] = { value: original, unit: unit.symbol, canonicalUnit, quantity: unit.quantity };
+    return true;
+  };
+
+  const walk = (node, segments) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => {
+        if (isValueUnitObject(item)) {
+          if (record([...segments, index], item.value, item.unit, node, index)) return;
+        }
+        if (item !== null && typeof item === 'object') walk(item, [...segments, index]);
+      });
+      return;
+    }
+
+    for (const key of Object.keys(node)) {
+      const value = node[key];
+
+      if (isValueUnitObject(value) && record([...segments, key], value.value, value.unit, node, key)) continue;
+
+      if (key.endsWith(UNIT_SUFFIX) && typeof value === 'string') {
+        const field = key.slice(0, -UNIT_SUFFIX.length);
+        if (typeof node[field] === 'number' && record([...segments, field], node[field], value, node, field)) {
+          delete node[key];
+        }
+        continue;
+      }
+
+      if (value !== null && typeof value === 'object') walk(value, [...segments, key]);
+    }
+  };
+
+  const result = structuredClone(data);
+  walk(result, []);
+
+  // Device type defaults only apply to plain numbers the payload did not declare itself
+  for (const [path, unitName] of Object.entries(configuredUnits)) {
+    const canonicalPath = formatPath(parsePath(path));
+    if (conversions[canonicalPath]) continue;
+    const value = getPath(result, path);
+    if (typeof value !== 'number') continue;
+    const unit = lookupUnit(unitName);
+    if (!unit) continue;
+    setPath(result, path, round(toCanonical(value, unit)));
+    conversions[canonicalPath] = {
+      value,
+      unit: unit.symbol,
+      canonicalUnit: QUANTITIES[unit.quantity].canonical,
+      quantity: unit.quantity,
+      source: 'device_type'
+    };
+  }
+
+  return { data: result, conversions, unrecognized };
+};
+
+// Convert a formatted record's extracted_data (stored canonical) into the requested unit system
+const applyUnitSystem = (record, system) => {
+  if (!system || !UNIT_SYSTEMS[system]) return record;
+  const conversions = (record.metadata && record.metadata.unit_conversions) || {};
+  const extracted = structuredClone(record.extracted_data);
+  const units = {};
+
+  for (const [path, { canonicalUnit, quantity }] of Object.entries(conversions)) {
+    const value = getPath(extracted, path);
+    const target = UNIT_SYSTEMS[system][quantity];
+    if (typeof value !== 'number' || !target) continue;
+    setPath(extracted, path, convert(value, canonicalUnit, target));
+    units[path] = target;
+  }
+
+  return { ...record, extracted_data: extracted, units };
+};
+
+const validateUnitSystem = (system) =>
+  system === undefined || UNIT_SYSTEMS[system] ? null : `units must be one of: ${Object.keys(UNIT_SYSTEMS).join(', ')}`;
+
+const validateUnitConfig = (body) => {
+  const errors = [];
+  const fields = body && body.fields;
+
+  if (!isPlainObject(fields) || Object.keys(fields).length === 0) {
+    errors.push('fields must map field paths to units, e.g. { "temperature": "°F" }');
+  } else {
+    for (const [path, unit] of Object.entries(fields)) {
+      try {
+        parsePath(path);
+      } catch (err) {
+        errors.push(`Invalid field path "${path}": ${err.message}`);
+      }
+      if (!lookupUnit(unit)) errors.push(`Unknown unit "${unit}" for field ${path}`);
+    }
+  }
+
+  return { errors, fields: errors.length ? null : fields };
+};
+
+const createUnitConfigs = ({ db, requireScope = () => (req, res, next) => next() }) => {
+  // deviceType -> { fieldPath: unit }
+  let configs = new Map();
+
+  const reload = async () => {
+    const rows = await dbAsync.all(db, 'SELECT device_type, fields FROM unit_configs');
+    configs = new Map(rows.map(row => [row.device_type, dbAsync.parseJSON(row.fields)]));
+    return configs.size;
+  };
+
+  const normalize = (extractedData, deviceType) => normalizeUnits(extractedData, configs.get(deviceType) || {});
+
+  const dbError = (res, err) => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  };
+
+  const router = express.Router();
+
+  router.get('/', requireScope('read'), async (req, res) => {
+    try {
+      const rows = await dbAsync.all(db, 'SELECT * FROM unit_configs ORDER BY device_type');
+      res.json({
+        success: true,
+        data: rows.map(row => ({ deviceType: row.device_type, fields: dbAsync.parseJSON(row.fields), updated_at: row.updated_at })),
+        supportedUnits: Object.fromEntries(Object.entries(QUANTITIES).map(([name, q]) => [name, Object.keys(q.units)])),
+        unitSystems: UNIT_SYSTEMS
+      });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.get('/:deviceType', requireScope('read'), (req, res) => {
+    const fields = configs.get(req.params.deviceType);
+    if (!fields) {
+      return res.status(404).json({ success: false, error: `No unit configuration for device type: ${req.params.deviceType}` });
+    }
+    res.json({ success: true, data: { deviceType: req.params.deviceType, fields } });
+  });
+
+  router.put('/:deviceType', requireScope('admin'), async (req, res) => {
+    const { errors, fields } = validateUnitConfig(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid unit configuration', details: errors });
+    }
+
+    try {
+      await dbAsync.write(db, `
+        INSERT INTO unit_configs (device_type, fields, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(device_type) DO UPDATE SET fields = excluded.fields, updated_at = CURRENT_TIMESTAMP
+      `, [req.params.deviceType, JSON.stringify(fields)]);
+      await reload();
+      res.json({ success: true, data: { deviceType: req.params.deviceType, fields } });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  router.delete('/:deviceType', requireScope('admin'), async (req, res) => {
+    try {
+      const result = await dbAsync.write(db, 'DELETE FROM unit_configs WHERE device_type = ?', [req.params.deviceType]);
+      if (result.changes === 0) {
+        return res.status(404).json({ success: false, error: `No unit configuration for device type: ${req.params.deviceType}` });
+      }
+      await reload();
+      res.json({ success: true, message: `Unit configuration for ${req.params.deviceType} deleted` });
+    } catch (err) {
+      dbError(res, err);
+    }
+  });
+
+  return {
+    reload,
+    normalize,
+    router
+  };
+};
+
+module.exports = {
+  QUANTITIES,
+  UNIT_SYSTEMS,
+  lookupUnit,
+  convert,
+  convertDelta,
+  normalizeUnits,
+  applyUnitSystem,
+  validateUnitSystem,
+  createUnitConfigs
+};
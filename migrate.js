@@ -0,0 +1,66 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { createStorage } = require('./lib/storage');
+const { sqliteMigrationTarget, migrationStatus, migrate, logMigration } = require('./lib/migrations');
+const { queueMigrationTarget } = require('./lib/ingestQueue');
+
+// Checks or applies schema migrations without starting the server, using the same DB_PATH,
+// INGEST_QUEUE_PATH, STORAGE_BACKEND and DATABASE_URL settings.
+//   node migrate.js status   - lists applied and pending migrations, exits 1 if any are pending
+//   node migrate.js up       - applies pending migrations
+
+const USAGE = 'Usage: node migrate.js <status|up>';
+
+const printStatus = ({ database, current, latest, applied, pending, unknown }) => {
+  console.log(`${database}: version ${current} of ${latest}`);
+  applied.forEach(row => console.log(`  ✅ ${row.version} ${row.name} (applied ${row.applied_at})`));
+  pending.forEach(migration => console.log(`  ⏳ ${migration.version} ${migration.name}`));
+  if (unknown.length) console.log(`  ⚠️  unknown versions ${unknown.join(', ')} - migrated by a newer release`);
+};
+
+const main = async (command) => {
+  const dbPath = process.env.DB_PATH || path.join(__dirname, 'machine_data.db');
+  const db = new sqlite3.Database(dbPath);
+  const queueDb = new sqlite3.Database(process.env.INGEST_QUEUE_PATH || path.join(path.dirname(dbPath), 'ingest_queue.db'));
+  const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || 'sqlite',
+    db,
+    connectionString: process.env.DATABASE_URL
+  });
+  const targets = [sqliteMigrationTarget(db), queueMigrationTarget(queueDb), storage.migrationTarget].filter(Boolean);
+
+  try {
+    if (command === 'up') {
+      for (const target of targets) {
+        const applied = await migrate(target, { onApply: logMigration });
+        if (applied.length === 0) console.log(`${target.name}: up to date`);
+      }
+      return 0;
+    }
+
+    let outstanding = false;
+    for (const target of targets) {
+      const status = await migrationStatus(target);
+      printStatus(status);
+      outstanding = outstanding || status.pending.length > 0 || status.unknown.length > 0;
+    }
+    return outstanding ? 1 : 0;
+  } finally {
+    await storage.close();
+    await new Promise(resolve => db.close(resolve));
+    await new Promise(resolve => queueDb.close(resolve));
+  }
+};
+
+const command = process.argv[2];
+if (!['status', 'up'].includes(command)) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+main(command)
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+  });
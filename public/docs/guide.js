@@ -0,0 +1,12 @@
+// Click a code sample of the guide (/health?guide=true) to copy it
+document.querySelectorAll('pre').forEach(pre => {
+  pre.addEventListener('click', () => {
+    navigator.clipboard.writeText(pre.textContent);
+    const feedback = document.createElement('div');
+    feedback.textContent = '📋 Copied!';
+    feedback.style.cssText = 'position: absolute; top: 10px; right: 10px; background: #10b981; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;';
+    pre.style.position = 'relative';
+    pre.appendChild(feedback);
+    setTimeout(() => feedback.remove(), 2000);
+  });
+});
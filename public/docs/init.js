@@ -0,0 +1,44 @@
+// Loads GET /openapi.json into Swagger UI. With authentication on that needs a read key, which is asked
+// for once per tab and then also authorizes "Try it out" requests.
+(() => {
+  const STORAGE_KEY = 'machine-data-api-key';
+  const form = document.getElementById('key-form');
+  const input = document.getElementById('api-key');
+  const message = document.getElementById('key-message');
+
+  const askForKey = (text) => {
+    sessionStorage.removeItem(STORAGE_KEY);
+    message.textContent = text;
+    form.hidden = false;
+    input.focus();
+  };
+
+  const load = async (apiKey) => {
+    const response = await fetch('/openapi.json', { headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+    if (response.status === 401 || response.status === 403) {
+      return askForKey(apiKey ? (await response.json()).error : '');
+    }
+    if (!response.ok) {
+      return askForKey(`Failed to load the API description (HTTP ${response.status})`);
+    }
+
+    if (apiKey) sessionStorage.setItem(STORAGE_KEY, apiKey);
+    form.hidden = true;
+    window.ui = SwaggerUIBundle({
+      spec: await response.json(),
+      dom_id: '#swagger-ui',
+      deepLinking: true,
+      validatorUrl: null,
+      onComplete: () => {
+        if (apiKey) window.ui.preauthorizeApiKey('ApiKeyHeader', apiKey);
+      }
+    });
+  };
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    load(input.value.trim()).catch(err => askForKey(err.message));
+  });
+
+  load(sessionStorage.getItem(STORAGE_KEY)).catch(err => askForKey(err.message));
+})();
@@ -1,9 +1,34 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { createMappingProfiles } = require('./lib/mappingProfiles');
+const { createApiKeys, hasScope } = require('./lib/apiKeys');
+const { parseAggregateOptions, runAggregation, isPercentile } = require('./lib/aggregation');
+const { parsePageOptions } = require('./lib/records');
+const { createLiveStream } = require('./lib/liveStream');
+const { createAlerting } = require('./lib/alerts');
+const { createMachineRegistry } = require('./lib/machineRegistry');
+const { createUnitConfigs, applyUnitSystem, validateUnitSystem } = require('./lib/units');
+const { createSchemaContracts } = require('./lib/schemaContracts');
+const { createMqttListener } = require('./lib/mqttListener');
+const { createOpcUaCollectors } = require('./lib/opcuaCollectors');
+const { createModbusPoller } = require('./lib/modbusPoller');
+const { EXPORT_FORMATS, streamExport } = require('./lib/export');
+const { parseFilter } = require('./lib/filterQuery');
+const { createRetention } = require('./lib/retention');
+const { createStorage } = require('./lib/storage');
+const { sqliteMigrationTarget, migrationStatus, migrate, logMigration } = require('./lib/migrations');
+const { createMetrics } = require('./lib/metrics');
+const { createRateLimits } = require('./lib/rateLimits');
+const { queueMigrationTarget, createIngestQueue } = require('./lib/ingestQueue');
+const { createDeduplication } = require('./lib/deduplication');
+const { createTimestamps } = require('./lib/timestamps');
+const { buildApiSpec } = require('./lib/apiSpec');
+const { createOpenApi } = require('./lib/openapi');
+const { renderGuide } = require('./lib/guide');
+const { version } = require('./package.json');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,163 +37,311 @@ const PORT = process.env.PORT || 3000;
 const dbPath = process.env.DB_PATH || path.join(__dirname, 'machine_data.db');
 const db = new sqlite3.Database(dbPath);
 
-// Initialize database tables - now more flexible
-db.serialize(() => {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS machine_data (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      machine_id TEXT,
-      device_type TEXT DEFAULT 'unknown',
-      timestamp DATETIME,
-      received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      raw_payload TEXT NOT NULL,
-      extracted_data TEXT DEFAULT '{}',
-      metadata TEXT DEFAULT '{}',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  db.run(`
-    CREATE INDEX IF NOT EXISTS idx_machine_id ON machine_data(machine_id);
-  `);
-
-  db.run(`
-    CREATE INDEX IF NOT EXISTS idx_timestamp ON machine_data(timestamp);
-  `);
-
-  db.run(`
-    CREATE INDEX IF NOT EXISTS idx_device_type ON machine_data(device_type);
-  `);
-
-  db.run(`
-    CREATE INDEX IF NOT EXISTS idx_received_at ON machine_data(received_at);
-  `);
+// Prometheus metrics at GET /metrics. METRICS_MACHINE_LABELS=false drops the per-machine series,
+// which grow with the number of machine IDs.
+const metrics = createMetrics({
+  machineLabels: process.env.METRICS_MACHINE_LABELS !== 'false',
+  recordCount: () => storage.count({}),
+  queueStatus: () => ingestQueue.status(),
+  machinesLastSeen: () => machineRegistry.lastSeenTimes()
 });
 
+// machine_data lives in the storage backend: this SQLite file by default, or STORAGE_BACKEND=postgres
+// with DATABASE_URL for PostgreSQL / TimescaleDB. Configuration tables always stay in SQLite.
+const storage = metrics.instrumentStorage(createStorage({
+  backend: process.env.STORAGE_BACKEND || 'sqlite',
+  db,
+  connectionString: process.env.DATABASE_URL
+}));
+
+// Durable ingest queue, in its own SQLite file so machine_data locks never hold up accepting payloads
+const queueDb = new sqlite3.Database(process.env.INGEST_QUEUE_PATH || path.join(path.dirname(dbPath), 'ingest_queue.db'));
+
+// Schema migrations run before anything touches the database. With MIGRATE_ON_START=false the server
+// refuses to start while migrations are pending - apply them with `npm run migrate` first.
+const migrateOnStart = process.env.MIGRATE_ON_START !== 'false';
+const prepareSchema = async (target) => {
+  if (migrateOnStart) return migrate(target, { onApply: logMigration });
+  const { pending } = await migrationStatus(target);
+  if (pending.length) {
+    throw new Error(`${pending.length} pending ${target.name} migration(s); run npm run migrate`);
+  }
+};
+
+const databaseReady = (async () => {
+  await prepareSchema(sqliteMigrationTarget(db));
+  await prepareSchema(queueMigrationTarget(queueDb));
+  // PostgreSQL storage migrates its own schema in init(), so only the pending check happens here
+  if (!migrateOnStart && storage.migrationTarget) await prepareSchema(storage.migrationTarget);
+  await storage.init();
+})();
+// Nothing can run without its tables, so stop here rather than in every loader below
+databaseReady.catch(err => {
+  console.error('Failed to prepare the database:', err.message);
+  process.exit(1);
+});
+
+// Field-mapping profiles per device type (cached in memory, refreshed on every change). Zone-less timestamps
+// are read in the time zone of the device type, including one that a collector supplies as a default.
+const mappingProfiles = createMappingProfiles(db, {
+  timeZoneFor: (deviceType, { defaults = {} }) =>
+    timestamps.timeZoneFor(deviceType === 'unknown' && defaults.deviceType ? defaults.deviceType : deviceType)
+});
+databaseReady
+  .then(() => mappingProfiles.reload())
+  .catch(err => console.error('Failed to load mapping profiles:', err));
+
+// API key authentication - set AUTH_ENABLED=false only for local development
+const apiKeys = createApiKeys(db, { enabled: process.env.AUTH_ENABLED !== 'false' });
+databaseReady
+  .then(() => apiKeys.ensureAdminKey())
+  .catch(err => console.error('Failed to check admin API keys:', err));
+
+// Device clock checks: skew per record, clock offset per machine, and per device type what to do beyond the
+// tolerance (flag, correct or reject) and which time zone zone-less timestamps are in
+const timestampDefaults = {
+  action: process.env.TIMESTAMP_SKEW_ACTION || 'flag',
+  toleranceSeconds: parseFloat(process.env.TIMESTAMP_SKEW_TOLERANCE_SECONDS) || 300,
+  timeZone: process.env.TIMESTAMP_DEFAULT_TIMEZONE || null
+};
+const timestamps = createTimestamps({
+  db,
+  defaults: timestampDefaults,
+  requireScope: apiKeys.requireScope
+});
+databaseReady
+  .then(() => timestamps.reload())
+  .catch(err => console.error('Failed to load timestamp policies:', err));
+
+// Accepted payloads are acknowledged with an ingest id once queued; a writer batch-commits them into machine_data
+const INGEST_RETAIN_HOURS = parseFloat(process.env.INGEST_RETAIN_HOURS) || 24;
+const ingestQueue = createIngestQueue({
+  db: queueDb,
+  storage,
+  batchSize: parseInt(process.env.INGEST_WRITE_BATCH, 10) || 500,
+  intervalMs: parseInt(process.env.INGEST_FLUSH_INTERVAL_MS, 10) || 1000,
+  retainMs: INGEST_RETAIN_HOURS * 60 * 60 * 1000,
+  onStored: (entries) => afterStored(entries),
+  onFailed: (entries) => entries.forEach(({ ingestId, record, error }) => {
+    metrics.countIngest(record.deviceType, 'failed');
+    console.error(`Queued record ${ingestId} (${record.machineId || 'unknown'}) failed for good: ${error}`);
+  }),
+  requireScope: apiKeys.requireScope
+});
+databaseReady
+  .then(() => ingestQueue.start())
+  .catch(err => console.error('Failed to start the ingest writer:', err));
+
+// Live fan-out of stored records over SSE and WebSocket
+const liveStream = createLiveStream({ storage, apiKeys });
+
+const publishRecords = (ids) => {
+  liveStream.publish(ids).catch(err => console.error('Failed to publish live records:', err));
+};
+
+// Threshold / change alerting, notifications go to ALERT_WEBHOOK_URL unless a rule sets its own
+const alerting = createAlerting({
+  db,
+  webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+  requireScope: apiKeys.requireScope
+});
+databaseReady
+  .then(() => alerting.reload())
+  .then(() => alerting.start())
+  .catch(err => console.error('Failed to load alert rules:', err));
+
+// Machine registry - metadata, aliases and online / late / offline detection
+const machineRegistry = createMachineRegistry({
+  db,
+  storage,
+  defaultIntervalSeconds: parseInt(process.env.MACHINE_DEFAULT_INTERVAL_SECONDS, 10) || 60,
+  checkIntervalMs: parseInt(process.env.MACHINE_CHECK_INTERVAL_MS, 10) || 15 * 1000,
+  clockOf: (machineId) => timestamps.clockOf(machineId),
+  requireScope: apiKeys.requireScope
+});
+machineRegistry.events.on('status', ({ machineId, status, previousStatus }) => {
+  if (previousStatus) console.log(`📶 Machine ${machineId}: ${previousStatus} -> ${status}`);
+});
+databaseReady
+  .then(() => machineRegistry.load())
+  .then(() => machineRegistry.start())
+  .catch(err => console.error('Failed to load machine registry:', err));
+
+// Measurement units assumed per device type when a payload does not declare them
+const unitConfigs = createUnitConfigs({ db, requireScope: apiKeys.requireScope });
+databaseReady
+  .then(() => unitConfigs.reload())
+  .catch(err => console.error('Failed to load unit configs:', err));
+
+// JSON Schema contracts per device type - off, warn (store + flag) or strict (reject with 422)
+const schemaContracts = createSchemaContracts({ db, requireScope: apiKeys.requireScope });
+databaseReady
+  .then(() => schemaContracts.reload())
+  .catch(err => console.error('Failed to load schema contracts:', err));
+
+// Natural keys per device type for duplicate detection at ingest, and the duplicate scan over stored rows
+const deduplication = createDeduplication({ db, storage, requireScope: apiKeys.requireScope });
+databaseReady
+  .then(() => deduplication.reload())
+  .catch(err => console.error('Failed to load natural keys:', err));
+
+// OPC UA collectors configured through /api/opcua-collectors and started once the server listens;
+// samples are stored under the configured machine ID
+const opcuaCollectors = createOpcUaCollectors({
+  db,
+  requireScope: apiKeys.requireScope,
+  ingest: (payload, collector) => ingestOne(payload, {
+    defaults: { machineId: collector.machineId, deviceType: collector.deviceType },
+    metadata: { source: 'opcua', opcua: { collector: collector.name, endpointUrl: collector.endpointUrl } }
+  })
+});
+
+// Modbus TCP polling - register maps per device type, devices (host / unit / interval) under /api/modbus
+const modbusPoller = createModbusPoller({
+  db,
+  requireScope: apiKeys.requireScope,
+  ingest: (payload, device) => ingestOne(payload, {
+    defaults: { machineId: device.machineId, deviceType: device.deviceType },
+    metadata: { source: 'modbus', modbus: { device: device.name, host: device.host, port: device.port, unitId: device.unitId } }
+  })
+});
+
+// Token bucket rate limits per API key (or IP) for reads and ingest, per machine and per device type (see lib/rateLimits.js).
+// Limits are per minute; machine and device type rules are managed under /api/rate-limits.
+const rateLimits = createRateLimits({
+  db,
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  defaults: {
+    read: {
+      ratePerMinute: parseFloat(process.env.RATE_LIMIT_READ_PER_MINUTE) || 100,
+      burst: parseInt(process.env.RATE_LIMIT_READ_BURST, 10) || 100
+    },
+    ingest: {
+      ratePerMinute: parseFloat(process.env.RATE_LIMIT_INGEST_PER_MINUTE) || 600,
+      burst: parseInt(process.env.RATE_LIMIT_INGEST_BURST, 10) || 300
+    },
+    machine: {
+      ratePerMinute: parseFloat(process.env.RATE_LIMIT_MACHINE_PER_MINUTE) || 6,
+      burst: parseInt(process.env.RATE_LIMIT_MACHINE_BURST, 10) || 5
+    }
+  },
+  identify: (payload, req) => extractMachineInfo(payload, ingestContext(req)),
+  onRejected: ({ deviceType }, count) => metrics.countIngest(deviceType, 'rate_limited', count),
+  requireScope: apiKeys.requireScope
+});
+databaseReady
+  .then(() => rateLimits.reload())
+  .then(() => rateLimits.start())
+  .catch(err => console.error('Failed to load rate limits:', err));
+
+// Retention policies - scheduled rollups into 1m / 1h tables, then pruning per machine / device type
+const retention = createRetention({
+  db,
+  storage,
+  intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS, 10) || 15 * 60 * 1000,
+  requireScope: apiKeys.requireScope
+});
+databaseReady
+  .then(() => retention.reload())
+  .then(() => retention.start())
+  .catch(err => console.error('Failed to load retention policies:', err));
+
+const MAX_BATCH_ITEMS = parseInt(process.env.MAX_BATCH_ITEMS, 10) || 1000;
+
+// OpenAPI description of every route (lib/apiSpec.js). Requests are validated against it; it is served at
+// /openapi.json and /docs, and the guide and the 404 endpoint list are generated from it.
+// OPENAPI_VALIDATE_RESPONSES=true also logs responses that stray from it - for development and the tests
+// (test/api.test.js), it costs a check per response.
+const openapi = createOpenApi(buildApiSpec({
+  version,
+  maxBatchItems: MAX_BATCH_ITEMS,
+  ingestRetainHours: INGEST_RETAIN_HOURS,
+  rateLimits: rateLimits.defaults,
+  timestamps: timestampDefaults
+}));
+
 // Middleware stack
+app.use(metrics.requestTimer);
+if (process.env.OPENAPI_VALIDATE_RESPONSES === 'true') {
+  app.use(openapi.checkResponses);
+}
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Flexible rate limiting based on identifiable machine or IP fallback
-const machineRateLimiter = rateLimit({
-  windowMs: 10 * 1000, // 10 seconds
-  max: 1,
-  keyGenerator: (req) => {
-    // Try multiple ways to identify the machine
-    const payload = req.body || {};
-    return payload.machineId || 
-           payload.machine_id || 
-           payload.deviceId || 
-           payload.device_id ||
-           payload.id ||
-           payload.serial ||
-           req.ip;
-  },
-  message: {
-    success: false,
-    error: 'Rate limit exceeded. Maximum 1 request per 10 seconds per machine.',
-    retryAfter: '10 seconds'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+// Ingest routes have their own per-machine limits; every other /api route counts as a read
+const isIngestRoute = (req) => req.method === 'POST' && /^\/machine-data(\/batch)?\/?$/.test(req.path);
 
-// Global fallback rate limiter
-const globalLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 100,
-  message: {
-    success: false,
-    error: 'Global rate limit exceeded. Try again in a minute.',
-    retryAfter: '60 seconds'
-  }
-});
+app.use(apiKeys.authenticate);
+app.use('/api/', (req, res, next) => (isIngestRoute(req) ? next() : rateLimits.limitReads(req, res, next)));
 
-app.use('/api/', globalLimiter);
+// Callers the route will refuse (no key, or a key without the scope) get its 401 / 403 rather than a 400
+app.use(openapi.validateRequest({
+  skip: (req, operation) => apiKeys.enabled && Boolean(operation['x-scope']) && !hasScope(req.apiKey, operation['x-scope']),
+  onRejected: (req, operation) => {
+    if (req.method === 'POST' && operation['x-scope'] === 'ingest') metrics.countIngest('unknown', 'rejected');
+  }
+}));
 
-// System metrics cache
+// System metrics cache (machine connectivity lives in machineRegistry)
 let systemMetrics = {
   totalMessages: 0,
-  lastMessage: null,
-  connectedDevices: new Set()
+  lastMessage: null
 };
 
 // Update metrics from database on startup
-db.get("SELECT COUNT(*) as count FROM machine_data", (err, row) => {
-  if (!err) systemMetrics.totalMessages = row.count;
+databaseReady
+  .then(() => storage.stats())
+  .then(stats => { systemMetrics.totalMessages = stats.totalMessages; })
+  .catch(() => {});
+
+// Request details mapping profiles can match on
+const ingestContext = (req) => ({
+  headers: req.headers,
+  sourceIp: req.ip
 });
 
-db.all("SELECT DISTINCT machine_id FROM machine_data WHERE machine_id IS NOT NULL", (err, rows) => {
-  if (!err) {
-    systemMetrics.connectedDevices = new Set(rows.map(r => r.machine_id));
-  }
-});
-
-// Smart data extraction utility
-const extractMachineInfo = (payload) => {
-  if (!payload || typeof payload !== 'object') {
+// Smart data extraction utility - stored mapping profiles first, built-in alias lists otherwise.
+// context.defaults (e.g. MQTT topic segments) fills in a machineId / deviceType the payload lacks.
+// Registered aliases (e.g. press_001 -> PRESS-001) resolve to the canonical machine ID.
+const extractMachineInfo = (payload, context = {}) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
     return {
       machineId: null,
       deviceType: 'unknown',
       timestamp: null,
-      extractedData: {}
+      extractedData: {},
+      profile: null,
+      unitConversions: {},
+      unrecognizedUnits: {}
     };
   }
 
-  // Smart machine ID extraction
-  const machineId = payload.machineId || 
-                   payload.machine_id || 
-                   payload.deviceId || 
-                   payload.device_id ||
-                   payload.id ||
-                   payload.serial ||
-                   payload.name ||
-                   null;
-
-  // Smart device type extraction
-  const deviceType = payload.deviceType || 
-                    payload.device_type ||
-                    payload.type ||
-                    payload.category ||
-                    'unknown';
-
-  // Smart timestamp extraction
-  let timestamp = null;
-  const timestampFields = ['timestamp', 'time', 'datetime', 'created_at', 'recorded_at'];
-  for (const field of timestampFields) {
-    if (payload[field]) {
-      const ts = new Date(payload[field]);
-      if (!isNaN(ts.getTime())) {
-        timestamp = ts.toISOString();
-        break;
-      }
-    }
-  }
-
-  // Extract meaningful data (everything except our extracted fields)
-  const extractedData = { ...payload };
-  delete extractedData.machineId;
-  delete extractedData.machine_id;
-  delete extractedData.deviceId;
-  delete extractedData.device_id;
-  delete extractedData.deviceType;
-  delete extractedData.device_type;
-  delete extractedData.type;
-  delete extractedData.category;
+  const mapped = mappingProfiles.extract(payload, context);
+  const defaults = context.defaults || {};
+  const extracted = {
+    ...mapped,
+    machineId: mapped.machineId || defaults.machineId || null,
+    deviceType: mapped.deviceType === 'unknown' && defaults.deviceType ? defaults.deviceType : mapped.deviceType
+  };
+  const canonicalId = machineRegistry.resolveAlias(extracted.machineId);
+  const { data, conversions, unrecognized } = unitConfigs.normalize(extracted.extractedData, extracted.deviceType);
 
   return {
-    machineId,
-    deviceType,
-    timestamp,
-    extractedData
+    ...extracted,
+    machineId: canonicalId,
+    reportedMachineId: canonicalId !== extracted.machineId ? extracted.machineId : null,
+    extractedData: data,
+    unitConversions: conversions,
+    unrecognizedUnits: unrecognized
   };
 };
 
 // Minimal validation - just check if we have ANY data
 const validateBasicPayload = (req, res, next) => {
   if (!req.body || Object.keys(req.body).length === 0) {
+    metrics.countIngest('unknown', 'rejected');
     return res.status(400).json({
       success: false,
       error: 'Empty payload received. Send some data.',
@@ -179,6 +352,7 @@ const validateBasicPayload = (req, res, next) => {
   // Check payload size (basic sanity check)
   const payloadSize = JSON.stringify(req.body).length;
   if (payloadSize > 10 * 1024 * 1024) { // 10MB limit
+    metrics.countIngest('unknown', 'rejected');
     return res.status(413).json({
       success: false,
       error: 'Payload too large. Maximum 10MB allowed.'
@@ -188,155 +362,240 @@ const validateBasicPayload = (req, res, next) => {
   next();
 };
 
-// Health check endpoint with updated guide
+// Per-item check used by the batch endpoint - same rules as validateBasicPayload
+const validateBatchItem = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return 'Item must be a JSON object';
+  }
+  if (Object.keys(item).length === 0) {
+    return 'Empty payload received';
+  }
+  return null;
+};
+
+// Normalizes a batch body (JSON array or NDJSON text) into req.batchItems
+const parseBatchPayload = (req, res, next) => {
+  let items;
+  const parseErrors = {};
+
+  if (Array.isArray(req.body)) {
+    items = req.body;
+  } else if (typeof req.body === 'string') {
+    items = [];
+    const lines = req.body.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+      try {
+        items.push(JSON.parse(line));
+      } catch (err) {
+        // Keep the slot so results still line up with the input
+        parseErrors[items.length] = `Invalid JSON on line ${i + 1}: ${err.message}`;
+        items.push(null);
+      }
+    }
+  } else {
+    return res.status(400).json({
+      success: false,
+      error: 'Batch payload must be a JSON array or NDJSON (one JSON object per line).'
+    });
+  }
+
+  if (items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Empty batch received. Send at least one item.'
+    });
+  }
+
+  if (items.length > MAX_BATCH_ITEMS) {
+    return res.status(413).json({
+      success: false,
+      error: `Batch too large. Maximum ${MAX_BATCH_ITEMS} items allowed.`
+    });
+  }
+
+  req.batchItems = items;
+  req.batchParseErrors = parseErrors;
+  next();
+};
+
+// Storage record for one payload (see lib/storage.js)
+const buildRecord = (rawPayload, extracted, metadata) => ({
+  machineId: extracted.machineId,
+  deviceType: extracted.deviceType,
+  timestamp: extracted.timestamp,
+  rawPayload,
+  extractedData: extracted.extractedData,
+  metadata
+});
+
+const extractionMetadata = (extracted) => ({
+  mapping_profile: extracted.profile,
+  reported_machine_id: extracted.reportedMachineId,
+  unit_conversions: extracted.unitConversions,
+  unrecognized_units: extracted.unrecognizedUnits
+});
+
+const requestMetadata = (req, extracted) => ({
+  source_ip: req.ip,
+  user_agent: req.get('User-Agent'),
+  content_length: req.get('Content-Length'),
+  ...extractionMetadata(extracted)
+});
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Idempotency-Key header, scoped to the caller so clients never collide on keys.
+// { key } - null without the header - or { error }.
+const idempotencyKeyOf = (req) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return { key: null };
+  if (key.trim() === '' || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return { error: `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters` };
+  }
+  return { key: `${req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`}:${key}` };
+};
+
+const recordIngest = (machineId, deviceType) => {
+  metrics.countIngest(deviceType, 'stored');
+  systemMetrics.totalMessages++;
+  systemMetrics.lastMessage = new Date();
+  machineRegistry.touch(machineId, deviceType);
+};
+
+// Natural key over the payload as the device reported it: a corrected timestamp moves with the clock
+// offset estimate, so a retry would not hash the same
+const naturalKeyOf = (rawPayload, extracted) => deduplication.naturalKey({ ...extracted, rawPayload });
+
+const timestampRejection = (check, deviceType) => ({
+  status: 422,
+  error: check.error,
+  details: [`Fix the device clock, or raise toleranceSeconds under /api/timestamps/policies/${deviceType}`]
+});
+
+// Strict schema and timestamp checks for a payload about to be queued: { rejection } when either refuses it,
+// otherwise the ingest queue entry with what the checks found
+const prepareRecord = ({ rawPayload, extracted, metadata, idempotencyKey = null }) => {
+  const { machineId, deviceType } = extracted;
+
+  const violation = schemaContracts.check(rawPayload, deviceType);
+  if (violation && violation.mode === 'strict') {
+    schemaContracts.recordViolation({ machineId, deviceType, ...violation });
+    metrics.countIngest(deviceType, 'rejected');
+    return {
+      rejection: {
+        status: 422,
+        error: `Payload does not match the schema for device type: ${deviceType}`,
+        details: violation.errors
+      }
+    };
+  }
+
+  const clock = timestamps.check(extracted);
+  if (clock.check && clock.check.action === 'reject') {
+    metrics.countIngest(deviceType, 'rejected');
+    return { rejection: timestampRejection(clock.check, deviceType) };
+  }
+
+  const record = buildRecord(rawPayload, { ...extracted, timestamp: clock.timestamp }, {
+    ...metadata,
+    ...clock.metadata,
+    ...(violation && { schema_violations: violation.errors })
+  });
+  return { entry: { record, violation, idempotencyKey, naturalKey: naturalKeyOf(rawPayload, extracted) }, clock, violation };
+};
+
+// Schema check and durable enqueue - shared by HTTP, MQTT, OPC UA and Modbus ingest. Takes
+// [{ rawPayload, extracted, metadata, idempotencyKey? }] and resolves a result per item: { ingestId, duplicate,
+// status, recordId, violation, timestampCheck } once queued (or found queued before under the same idempotency
+// or natural key), or { rejection } when a strict schema or the timestamp policy refuses the payload.
+// The accepted items go into the queue together, so a storage error leaves none of them queued.
+const queueRecords = async (items) => {
+  const prepared = items.map(prepareRecord);
+  const accepted = prepared.filter(item => !item.rejection);
+
+  let queued;
+  try {
+    queued = accepted.length ? await ingestQueue.enqueue(accepted.map(item => item.entry)) : [];
+  } catch (err) {
+    accepted.forEach(item => metrics.countIngest(item.entry.record.deviceType, 'failed'));
+    throw err;
+  }
+
+  return prepared.map(item => {
+    if (item.rejection) return item;
+    const result = queued[accepted.indexOf(item)];
+    if (result.duplicate) metrics.countIngest(item.entry.record.deviceType, 'duplicate');
+    else timestamps.observe(item.clock.sample);
+    return { ...result, violation: item.violation, timestampCheck: item.clock.check };
+  });
+};
+
+const queueRecord = async (rawPayload, extracted, metadata, { idempotencyKey = null } = {}) =>
+  (await queueRecords([{ rawPayload, extracted, metadata, idempotencyKey }]))[0];
+
+// Fan-out once the ingest writer has committed queued records: registry, violation log, live stream, alerts
+const afterStored = (entries) => {
+  for (const { record, violation, recordId } of entries) {
+    recordIngest(record.machineId, record.deviceType);
+    if (violation) {
+      schemaContracts.recordViolation({ machineId: record.machineId, deviceType: record.deviceType, recordId, ...violation });
+    }
+  }
+  publishRecords(entries.map(entry => entry.recordId));
+  alerting.evaluate(entries.map(({ record, recordId }) => ({
+    id: recordId,
+    machineId: record.machineId,
+    deviceType: record.deviceType,
+    extractedData: record.extractedData
+  })));
+};
+
+// Health check, or the guide generated from the API description with ?guide=true
 app.get('/health', (req, res) => {
-  db.get("SELECT 1", (err) => {
+  Promise.all([
+    storage.ping().then(() => null, err => err),
+    ingestQueue.status().catch(err => ({ error: err.message }))
+  ]).then(([err, queue]) => {
     const dbStatus = err ? 'error' : 'connected';
     
     const showGuide = req.query.guide === 'true';
     
     if (showGuide) {
-      res.send(`
-<!DOCTYPE html>
-<html lang="pl">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>API Guide - Flexible Machine Data</title>
-    <style>
-        body { font-family: system-ui, -apple-system, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; line-height: 1.6; }
-        h1 { color: #2563eb; }
-        h2 { color: #1e40af; border-bottom: 2px solid #e5e7eb; padding-bottom: 8px; }
-        h3 { color: #1e3a8a; }
-        code { background: #f3f4f6; color: #1f2937; padding: 2px 4px; border-radius: 3px; font-size: 0.9em; }
-        pre { background: #1f2937; color: #f9fafb; padding: 16px; border-radius: 8px; overflow-x: auto; }
-        .success { background: #d1fae5; border-left: 4px solid #10b981; padding: 12px; margin: 16px 0; }
-        .info { background: #dbeafe; border-left: 4px solid #3b82f6; padding: 12px; margin: 16px 0; }
-        .step { background: #eff6ff; padding: 12px; margin: 8px 0; border-radius: 6px; }
-        button { background: #2563eb; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
-        button:hover { background: #1d4ed8; }
-    </style>
-</head>
-<body>
-    <h1>🚀 Flexible Machine Data API - Send ANY JSON!</h1>
-    
-    <div class="success">
-        <h3>✨ New Feature: Zero Requirements!</h3>
-        <p>This API now accepts <strong>ANY JSON payload</strong> from your machines. No required fields, no strict validation - just send your data and we'll intelligently extract what we can!</p>
-    </div>
-    
-    <h2>🔧 Quick Test (Copy & Paste in Browser Console)</h2>
-    
-    <div class="step">
-        <h3>Method 1: Simple Data</h3>
-        <pre><code>fetch('${req.protocol}://${req.get('host')}/api/machine-data', {
-  method: 'POST',
-  headers: { 'Content-Type': 'application/json' },
-  body: JSON.stringify({
-    temp: 25.6,
-    status: "running",
-    location: "Factory Floor A"
-  })
-})
-.then(r => r.json())
-.then(data => console.log('✅ SUCCESS:', data));</code></pre>
-    </div>
-
-    <div class="step">
-        <h3>Method 2: Rich Machine Data</h3>
-        <pre><code>fetch('${req.protocol}://${req.get('host')}/api/machine-data', {
-  method: 'POST',
-  headers: { 'Content-Type': 'application/json' },
-  body: JSON.stringify({
-    machineId: "PRESS-001",
-    deviceType: "hydraulic_press", 
-    timestamp: new Date().toISOString(),
-    pressure: 1500,
-    temperature: 78.2,
-    cycles_completed: 1247,
-    operator: "John Smith",
-    shift: "morning"
-  })
-})
-.then(r => r.json())
-.then(data => console.log('✅ SUCCESS:', data));</code></pre>
-    </div>
-
-    <div class="step">
-        <h3>Method 3: Whatever Your Machine Sends</h3>
-        <pre><code>// Your machine can send literally anything like this:
-fetch('${req.protocol}://${req.get('host')}/api/machine-data', {
-  method: 'POST',
-  headers: { 'Content-Type': 'application/json' },
-  body: JSON.stringify({
-    xyz_sensor_reading: 42.7,
-    custom_field_name: "some_value",
-    nested_object: {
-      sub_field: 123,
-      another_field: true
-    },
-    timestamp_field: "2025-06-10T14:30:00Z"
-  })
-})
-.then(r => r.json())
-.then(data => console.log('✅ SUCCESS:', data));</code></pre>
-    </div>
-
-    <h2>🎯 Smart Field Detection</h2>
-    
-    <div class="info">
-        <p><strong>The API automatically detects:</strong></p>
-        <ul>
-            <li><strong>Machine ID:</strong> machineId, machine_id, deviceId, device_id, id, serial, name</li>
-            <li><strong>Device Type:</strong> deviceType, device_type, type, category</li>
-            <li><strong>Timestamp:</strong> timestamp, time, datetime, created_at, recorded_at</li>
-            <li><strong>Data:</strong> Everything else gets stored as measurement data</li>
-        </ul>
-    </div>
-
-    <h2>📊 Check Your Data</h2>
-    <ul>
-        <li><a href="${req.protocol}://${req.get('host')}/health" target="_blank">Dashboard</a></li>
-        <li><a href="${req.protocol}://${req.get('host')}/api/machine-data" target="_blank">All Data</a></li>
-        <li><a href="${req.protocol}://${req.get('host')}/api/stats" target="_blank">Statistics</a></li>
-    </ul>
-
-    <div class="info">
-        <h3>⚡ Rate Limits:</h3>
-        <ul>
-            <li>1 request per 10 seconds per machine/IP</li>
-            <li>100 requests per minute globally</li>
-        </ul>
-    </div>
-
-    <script>
-        document.querySelectorAll('pre').forEach(pre => {
-            pre.addEventListener('click', () => {
-                navigator.clipboard.writeText(pre.textContent);
-                const feedback = document.createElement('div');
-                feedback.textContent = '📋 Copied!';
-                feedback.style.cssText = 'position: absolute; top: 10px; right: 10px; background: #10b981; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;';
-                pre.style.position = 'relative';
-                pre.appendChild(feedback);
-                setTimeout(() => feedback.remove(), 2000);
-            });
-        });
-    </script>
-</body>
-</html>
-      `);
+      res.type('html').send(renderGuide(openapi.document, {
+        baseUrl: `${req.protocol}://${req.get('host')}`,
+        authenticated: apiKeys.isAuthenticated(req)
+      }));
+    } else if (!apiKeys.isAuthenticated(req)) {
+      // Unauthenticated callers only learn whether the service is up
+      res.json({
+        status: dbStatus === 'connected' ? 'operational' : 'degraded',
+        timestamp: new Date().toISOString(),
+        guide: {
+          available: true,
+          url: `${req.protocol}://${req.get('host')}/health?guide=true`
+        }
+      });
     } else {
       res.json({
         status: dbStatus === 'connected' ? 'operational' : 'degraded',
         database: dbStatus,
+        storage: storage.name,
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         memory: process.memoryUsage(),
         metrics: {
           totalMessages: systemMetrics.totalMessages,
-          connectedDevices: systemMetrics.connectedDevices.size,
+          connectedDevices: machineRegistry.summary().online,
           lastActivity: systemMetrics.lastMessage
         },
+        machines: machineRegistry.summary(),
+        mqtt: mqttListener ? mqttListener.status() : { enabled: false },
+        opcua: opcuaCollectors.summary(),
+        modbus: modbusPoller.summary(),
+        retention: retention.summary(),
+        ingestQueue: queue,
         guide: {
           available: true,
           url: `${req.protocol}://${req.get('host')}/health?guide=true`,
@@ -347,262 +606,514 @@ fetch('${req.protocol}://${req.get('host')}/api/machine-data', {
   });
 });
 
+// Prometheus scrape endpoint - send a read key as Authorization: Bearer <key> (or X-API-Key)
+app.get('/metrics', apiKeys.requireScope('read'), metrics.handler);
+
 // POST endpoint - accepts ANY JSON payload
-app.post('/api/machine-data', machineRateLimiter, validateBasicPayload, (req, res) => {
+app.post('/api/machine-data', apiKeys.requireScope('ingest'), validateBasicPayload, rateLimits.limitIngest, (req, res) => {
   const rawPayload = req.body;
-  const { machineId, deviceType, timestamp, extractedData } = extractMachineInfo(rawPayload);
-
-  const insertSQL = `
-    INSERT INTO machine_data (machine_id, device_type, timestamp, raw_payload, extracted_data, metadata)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `;
-
-  const params = [
-    machineId,
-    deviceType,
-    timestamp,
-    JSON.stringify(rawPayload),
-    JSON.stringify(extractedData),
-    JSON.stringify({
-      source_ip: req.ip,
-      user_agent: req.get('User-Agent'),
-      content_length: req.get('Content-Length')
-    })
-  ];
-
-  db.run(insertSQL, params, function(err) {
-    if (err) {
-      console.error('Database error:', err);
-      return res.status(500).json({
+  const extracted = extractMachineInfo(rawPayload, ingestContext(req));
+  const { machineId, deviceType, timestamp, extractedData } = extracted;
+
+  const idempotency = idempotencyKeyOf(req);
+  if (idempotency.error) {
+    metrics.countIngest(deviceType, 'rejected');
+    return res.status(400).json({ success: false, error: idempotency.error });
+  }
+
+  if (!apiKeys.allowsMachine(req.apiKey, machineId)) {
+    metrics.countIngest(deviceType, 'rejected');
+    return res.status(403).json({
+      success: false,
+      error: `API key is not allowed to write data for machine: ${machineId || 'not detected'}`
+    });
+  }
+
+  queueRecord(rawPayload, extracted, requestMetadata(req, extracted), { idempotencyKey: idempotency.key }).then(({ ingestId, duplicate, status, recordId, violation, timestampCheck, rejection }) => {
+    if (rejection) {
+      return res.status(rejection.status).json({
         success: false,
-        error: 'Database error occurred'
+        error: rejection.error,
+        details: rejection.details
       });
     }
 
-    // Update metrics
-    systemMetrics.totalMessages++;
-    systemMetrics.lastMessage = new Date();
-    if (machineId) {
-      systemMetrics.connectedDevices.add(machineId);
+    // A retry gets the first delivery's ingest id and, once written, its record id
+    if (duplicate) {
+      console.log(`Duplicate payload: ${machineId || 'unknown'} -> Ingest ID: ${ingestId}`);
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Payload was received before and is not stored again',
+        ingestId,
+        status,
+        recordId,
+        statusUrl: `/api/ingest/${ingestId}`,
+        timestamp: new Date().toISOString()
+      });
     }
 
-    console.log(`Data saved: ${machineId || 'unknown'} -> Record ID: ${this.lastID}`);
+    console.log(`Data queued: ${machineId || 'unknown'} -> Ingest ID: ${ingestId}`);
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      message: 'Data received and stored successfully',
-      id: this.lastID,
+      message: 'Data received and queued for storage',
+      ingestId,
+      statusUrl: `/api/ingest/${ingestId}`,
       timestamp: new Date().toISOString(),
       extracted: {
         machineId: machineId || 'not detected',
         deviceType,
         timestamp: timestamp || 'not detected',
-        dataFields: Object.keys(extractedData).length
-      }
+        dataFields: Object.keys(extractedData).length,
+        mappingProfile: extracted.profile || 'default'
+      },
+      ...(violation && { schemaViolations: violation.errors }),
+      ...(timestampCheck && { timestampCheck })
+    });
+  }).catch(err => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
     });
   });
 });
 
-// GET endpoint - retrieve data with filtering (updated for new schema)
-app.get('/api/machine-data', (req, res) => {
-  const { 
-    machineId, 
-    limit = 100, 
-    offset = 0, 
-    from, 
-    to,
-    deviceType 
-  } = req.query;
-
-  let whereClause = 'WHERE 1=1';
-  let params = [];
-
-  if (machineId) {
-    whereClause += ` AND machine_id = ?`;
-    params.push(machineId);
-  }
+// POST batch endpoint - JSON array or NDJSON, accepted items are queued together
+app.post(
+  '/api/machine-data/batch',
+  apiKeys.requireScope('ingest'),
+  express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: '10mb' }),
+  parseBatchPayload,
+  rateLimits.limitBatch,
+  (req, res) => {
+    const items = req.batchItems;
+    const results = new Array(items.length);
+    const pending = [];
+
+    // The key covers the whole request; each item is deduplicated as <key>:<index>
+    const idempotency = idempotencyKeyOf(req);
+    if (idempotency.error) {
+      return res.status(400).json({ success: false, error: idempotency.error });
+    }
 
-  if (deviceType) {
-    whereClause += ` AND device_type = ?`;
-    params.push(deviceType);
-  }
+    items.forEach((item, index) => {
+      if (req.rateLimitedItems.has(index)) {
+        results[index] = { index, success: false, error: req.rateLimitedItems.get(index), rateLimited: true };
+        return;
+      }
 
-  if (from) {
-    whereClause += ` AND received_at >= ?`;
-    params.push(new Date(from).toISOString());
-  }
+      const error = req.batchParseErrors[index] || validateBatchItem(item);
+      if (error) {
+        metrics.countIngest('unknown', 'rejected');
+        results[index] = { index, success: false, error };
+        return;
+      }
 
-  if (to) {
-    whereClause += ` AND received_at <= ?`;
-    params.push(new Date(to).toISOString());
-  }
+      const extracted = extractMachineInfo(item, ingestContext(req));
+      if (!apiKeys.allowsMachine(req.apiKey, extracted.machineId)) {
+        metrics.countIngest(extracted.deviceType, 'rejected');
+        results[index] = {
+          index,
+          success: false,
+          error: `API key is not allowed to write data for machine: ${extracted.machineId || 'not detected'}`
+        };
+        return;
+      }
 
-  // Count total records
-  const countSQL = `SELECT COUNT(*) as total FROM machine_data ${whereClause}`;
-  
-  db.get(countSQL, params, (err, countRow) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        error: 'Database error occurred'
+      const violation = schemaContracts.check(item, extracted.deviceType);
+      if (violation && violation.mode === 'strict') {
+        schemaContracts.recordViolation({ machineId: extracted.machineId, deviceType: extracted.deviceType, ...violation });
+        metrics.countIngest(extracted.deviceType, 'rejected');
+        results[index] = {
+          index,
+          success: false,
+          error: `Payload does not match the schema for device type: ${extracted.deviceType}`,
+          details: violation.errors
+        };
+        return;
+      }
+
+      const clock = timestamps.check(extracted);
+      if (clock.check && clock.check.action === 'reject') {
+        metrics.countIngest(extracted.deviceType, 'rejected');
+        const { error, details } = timestampRejection(clock.check, extracted.deviceType);
+        results[index] = { index, success: false, error, details };
+        return;
+      }
+
+      const metadata = {
+        ...requestMetadata(req, extracted),
+        ...clock.metadata,
+        ...(violation && { schema_violations: violation.errors }),
+        batch: { size: items.length, index }
+      };
+      pending.push({
+        index,
+        extracted,
+        violation,
+        timestampCheck: clock.check,
+        clockSample: clock.sample,
+        naturalKey: naturalKeyOf(item, extracted),
+        record: buildRecord(item, { ...extracted, timestamp: clock.timestamp }, metadata)
       });
-    }
+    });
 
-    // Get paginated data
-    const dataSQL = `
-      SELECT id, machine_id, device_type, timestamp, received_at, raw_payload, extracted_data, metadata
-      FROM machine_data 
-      ${whereClause}
-      ORDER BY received_at DESC
-      LIMIT ? OFFSET ?
-    `;
+    const respond = () => {
+      const accepted = results.filter(r => r.success).length;
+      const rejected = results.length - accepted;
+      const duplicates = results.filter(r => r.duplicate).length;
+      const rateLimited = results.every(r => r.rateLimited);
+      let status = accepted === 0 ? (rateLimited ? 429 : 400) : (rejected > 0 ? 207 : 202);
+      // A retried batch that was queued in full before
+      if (status === 202 && duplicates === accepted) status = 200;
 
-    const dataParams = [...params, parseInt(limit), parseInt(offset)];
+      console.log(`Batch queued: ${accepted} accepted (${duplicates} duplicates), ${rejected} rejected`);
 
-    db.all(dataSQL, dataParams, (err, rows) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          error: 'Database error occurred'
-        });
-      }
+      res.status(status).json({
+        success: accepted > 0,
+        message: `Batch processed: ${accepted} accepted, ${rejected} rejected`,
+        timestamp: new Date().toISOString(),
+        summary: { total: results.length, accepted, rejected, duplicates },
+        results
+      });
+    };
 
-      // Parse JSON fields
-      const processedRows = rows.map(row => ({
-        ...row,
-        raw_payload: JSON.parse(row.raw_payload),
-        extracted_data: JSON.parse(row.extracted_data),
-        metadata: JSON.parse(row.metadata)
-      }));
+    if (pending.length === 0) {
+      return respond();
+    }
 
-      res.json({
-        success: true,
-        data: processedRows,
-        pagination: {
-          total: countRow.total,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          hasMore: (parseInt(offset) + parseInt(limit)) < countRow.total
-        }
+    ingestQueue.enqueue(pending.map(({ index, record, violation, naturalKey }) => ({
+      record,
+      violation,
+      idempotencyKey: idempotency.key && `${idempotency.key}:${index}`,
+      naturalKey
+    }))).then(queued => {
+      pending.forEach(({ index, extracted, violation, timestampCheck, clockSample }, i) => {
+        const { ingestId, duplicate, status, recordId } = queued[i];
+        if (duplicate) metrics.countIngest(extracted.deviceType, 'duplicate');
+        else timestamps.observe(clockSample);
+        results[index] = {
+          index,
+          success: true,
+          ingestId,
+          machineId: extracted.machineId || 'not detected',
+          ...(duplicate && { duplicate, status, recordId }),
+          ...(violation && !duplicate && { schemaViolations: violation.errors }),
+          ...(timestampCheck && !duplicate && { timestampCheck })
+        };
+      });
+      respond();
+    }, err => {
+      console.error('Database error:', err);
+      pending.forEach(({ extracted }) => metrics.countIngest(extracted.deviceType, 'failed'));
+      res.status(500).json({
+        success: false,
+        error: 'Database error occurred - no items from this batch were accepted'
       });
     });
-  });
+  }
+);
+
+// A machine by its ID or an alias, with the aliases folded into it - their older rows keep the alias ID
+const machineFilter = (machineId) => {
+  if (!machineId) return { machineId: null };
+  const canonical = machineRegistry.resolveAlias(machineId);
+  return { machineId: canonical, machineAliases: machineRegistry.aliasesOf(canonical) };
+};
+
+// Storage filter for the machineId / deviceType / location / tags / from / to / filter params shared by the read routes.
+// A filter expression that does not parse comes back as filterError ({ error, position }).
+const recordFilter = (query) => {
+  const { machineId, deviceType, from, to, filter } = query;
+  const parsed = filter === undefined ? {} : parseFilter(filter);
+  if (parsed.error) return { filterError: parsed };
+
+  return {
+    ...machineFilter(machineId),
+    deviceType: deviceType || null,
+    machineIds: machineRegistry.matchingMachineIds(query),
+    from: from ? new Date(from) : null,
+    to: to ? new Date(to) : null,
+    expression: parsed.expression || null
+  };
+};
+
+const rejectFilter = (res, { error, position }) => res.status(400).json({
+  success: false,
+  error: `Invalid filter expression: ${error}`,
+  position
+});
+
+// Validation shared by the paginated read routes; responds with 400 and returns null on bad input
+const readPageOptions = (req, res, defaultLimit) => {
+  const { errors, options } = parsePageOptions(req.query, defaultLimit);
+  const unitsError = validateUnitSystem(req.query.units);
+  if (unitsError) errors.push(unitsError);
+
+  if (errors.length) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors
+    });
+    return null;
+  }
+  return { ...options, units: req.query.units };
+};
+
+// GET endpoint - retrieve data with filtering (updated for new schema)
+// Pages with ?cursor= (next/prev tokens from the previous response), ?fields= and ?includeTotal=false
+app.get('/api/machine-data', apiKeys.requireScope('read'), async (req, res) => {
+  const options = readPageOptions(req, res, 100);
+  if (!options) return;
+
+  const filter = recordFilter(req.query);
+  if (filter.filterError) return rejectFilter(res, filter.filterError);
+
+  try {
+    const { data, pagination } = await storage.query(filter, options);
+    res.json({
+      success: true,
+      data,
+      pagination
+    });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  }
 });
 
 // GET specific machine data
-app.get('/api/machine-data/:machineId', (req, res) => {
-  const { machineId } = req.params;
-  const { limit = 50 } = req.query;
-
-  const sql = `
-    SELECT id, machine_id, device_type, timestamp, received_at, raw_payload, extracted_data, metadata
-    FROM machine_data 
-    WHERE machine_id = ?
-    ORDER BY received_at DESC
-    LIMIT ?
-  `;
-
-  db.all(sql, [machineId, parseInt(limit)], (err, rows) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        error: 'Database error occurred'
-      });
-    }
+app.get('/api/machine-data/:machineId', apiKeys.requireScope('read'), async (req, res) => {
+  const machineId = machineRegistry.resolveAlias(req.params.machineId);
+  const options = readPageOptions(req, res, 50);
+  if (!options) return;
+
+  const filter = recordFilter({ filter: req.query.filter, machineId });
+  if (filter.filterError) return rejectFilter(res, filter.filterError);
 
-    if (rows.length === 0) {
+  try {
+    const { data, pagination } = await storage.query(filter, options);
+
+    if (data.length === 0 && !options.cursor && options.offset === 0 && req.query.filter === undefined) {
       return res.status(404).json({
         success: false,
         error: `No data found for machine: ${machineId}`
       });
     }
 
-    const processedRows = rows.map(row => ({
-      ...row,
-      raw_payload: JSON.parse(row.raw_payload),
-      extracted_data: JSON.parse(row.extracted_data),
-      metadata: JSON.parse(row.metadata)
-    }));
-
     res.json({
       success: true,
       machineId,
-      recordCount: processedRows.length,
-      data: processedRows
+      recordCount: data.length,
+      data,
+      pagination
     });
-  });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  }
 });
 
 // GET system statistics
-app.get('/api/stats', (req, res) => {
-  const queries = [
-    db.prepare("SELECT COUNT(*) as total FROM machine_data"),
-    db.prepare("SELECT COUNT(DISTINCT machine_id) as unique_machines FROM machine_data WHERE machine_id IS NOT NULL"),
-    db.prepare("SELECT DISTINCT device_type FROM machine_data"),
-    db.prepare("SELECT COUNT(*) as recent FROM machine_data WHERE received_at > datetime('now', '-24 hours')"),
-    db.prepare("SELECT machine_id, COUNT(*) as message_count FROM machine_data WHERE machine_id IS NOT NULL GROUP BY machine_id ORDER BY message_count DESC")
-  ];
-
-  Promise.all([
-    new Promise((resolve, reject) => {
-      queries[0].get((err, row) => err ? reject(err) : resolve(row));
-    }),
-    new Promise((resolve, reject) => {
-      queries[1].get((err, row) => err ? reject(err) : resolve(row));
-    }),
-    new Promise((resolve, reject) => {
-      queries[2].all((err, rows) => err ? reject(err) : resolve(rows));
-    }),
-    new Promise((resolve, reject) => {
-      queries[3].get((err, row) => err ? reject(err) : resolve(row));
-    }),
-    new Promise((resolve, reject) => {
-      queries[4].all((err, rows) => err ? reject(err) : resolve(rows));
-    })
-  ]).then(([total, uniqueMachines, deviceTypes, recent, machineStats]) => {
+app.get('/api/stats', apiKeys.requireScope('read'), async (req, res) => {
+  try {
+    // Optional registry filters (?location=, ?tags=a,b) narrow every statistic
+    const machineIds = machineRegistry.matchingMachineIds(req.query);
+    const [stats, rateLimited] = await Promise.all([
+      storage.stats({ machineIds, aliases: machineRegistry.aliasList() }),
+      rateLimits.rejectionStats({ machineIds })
+    ]);
     res.json({
       success: true,
       statistics: {
-        totalMessages: total.total,
-        uniqueMachines: uniqueMachines.unique_machines,
-        deviceTypes: deviceTypes.map(dt => dt.device_type),
-        recentActivity24h: recent.recent,
+        totalMessages: stats.totalMessages,
+        uniqueMachines: stats.uniqueMachines,
+        deviceTypes: stats.deviceTypes,
+        recentActivity24h: stats.recentActivity24h,
         lastMessage: systemMetrics.lastMessage,
-        topMachines: machineStats.slice(0, 10)
+        topMachines: stats.topMachines,
+        rateLimited
       }
     });
-  }).catch(err => {
+  } catch (err) {
     res.status(500).json({
       success: false,
       error: 'Database error occurred'
     });
-  }).finally(() => {
-    queries.forEach(q => q.finalize());
-  });
+  }
 });
 
-// Cleanup old data endpoint
-app.delete('/api/cleanup', (req, res) => {
-  const { days = 30 } = req.query;
-  
-  const sql = `DELETE FROM machine_data WHERE received_at < datetime('now', '-${parseInt(days)} days')`;
-  
-  db.run(sql, function(err) {
-    if (err) {
+// GET bulk export for spreadsheets and data tools - streamed, same filters as GET /api/machine-data
+app.get('/api/export/:format', apiKeys.requireScope('read'), (req, res) => {
+  const { format } = req.params;
+  const { from, to, units } = req.query;
+
+  const errors = [];
+  if (!EXPORT_FORMATS[format]) {
+    errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+    errors.push('from and to must be valid dates');
+  }
+  const unitsError = validateUnitSystem(units);
+  if (unitsError) errors.push(unitsError);
+
+  if (errors.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid export request',
+      details: errors
+    });
+  }
+
+  const filter = recordFilter(req.query);
+  if (filter.filterError) return rejectFilter(res, filter.filterError);
+
+  streamExport(storage, filter, res, { format, units }).catch(err => {
+    console.error('Export failed:', err);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
       return res.status(500).json({
         success: false,
         error: 'Database error occurred'
       });
     }
+    res.destroy(err);
+  });
+});
+
+// GET live stream of new records (Server-Sent Events, resumable with Last-Event-ID)
+app.get('/api/stream', apiKeys.requireScope('read'), liveStream.sseHandler);
+
+// GET time-bucketed aggregates of one extracted_data field
+app.get('/api/aggregate', apiKeys.requireScope('read'), (req, res) => {
+  const { errors, options } = parseAggregateOptions(req.query);
+  if (errors.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid aggregation query',
+      details: errors
+    });
+  }
+  Object.assign(options, machineFilter(options.machineId));
+
+  retention.selectTier(options).then(async (source) => {
+    const percentiles = options.functions.filter(isPercentile);
+    if (source.tier !== 'raw' && percentiles.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Percentiles need raw data, which retention policy ${source.policy} keeps from ${source.rawSince.toISOString()}`,
+        details: [`Drop ${percentiles.join(', ')} or move from after the raw retention window`]
+      });
+    }
 
+    const { buckets, unit } = await runAggregation(storage, options, source);
     res.json({
       success: true,
-      message: `Cleaned up records older than ${days} days`,
-      deletedRecords: this.changes
+      query: {
+        machineId: options.machineId,
+        deviceType: options.deviceType,
+        field: options.field,
+        bucket: options.bucket,
+        from: options.from.toISOString(),
+        to: options.to.toISOString(),
+        functions: options.functions,
+        units: options.units,
+        timeSource: 'timestamp (falls back to received_at)'
+      },
+      tier: source.tier,
+      retention: source.policy ? {
+        policy: source.policy,
+        dataSince: source.dataSince ? source.dataSince.toISOString() : null
+      } : null,
+      unit,
+      bucketCount: buckets.length,
+      data: buckets
+    });
+  }).catch(err => {
+    console.error('Database error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
     });
   });
 });
 
+// Per device type unit configuration (PUT / DELETE need admin)
+app.use('/api/unit-configs', unitConfigs.router);
+
+// JSON Schema contracts per device type (PUT / DELETE need admin) and the violations they caught
+app.use('/api/device-schemas', schemaContracts.router);
+app.use('/api/schema-violations', schemaContracts.violationsRouter);
+
+// OPC UA collectors - configs plus per-endpoint status (POST / PUT / DELETE need admin)
+app.use('/api/opcua-collectors', opcuaCollectors.router);
+
+// Modbus TCP register maps and polled devices with their status (PUT / POST / DELETE need admin)
+app.use('/api/modbus', modbusPoller.router);
+
+// Mapping profile CRUD + dry run
+app.use('/api/mapping-profiles', apiKeys.requireScope('admin'), mappingProfiles.router);
+
+// Machine registry - metadata, aliases, status, decommissioning
+app.use('/api/machines', machineRegistry.router);
+
+// Alert rules (admin) and alert state - list, acknowledge
+app.use('/api/alert-rules', apiKeys.requireScope('admin'), alerting.rulesRouter);
+app.use('/api/alerts', alerting.alertsRouter);
+
+// API key administration - issue, list, rotate, revoke
+app.use('/api/keys', apiKeys.requireScope('admin'), apiKeys.router);
+
+// Ingest id -> queued / stored (with the record id) / failed
+app.use('/api/ingest', ingestQueue.router);
+
+// Natural keys per device type and the duplicate scan
+app.use('/api/deduplication', deduplication.router);
+
+// Timestamp policies per device type and estimated device clock offsets
+app.use('/api/timestamps', timestamps.router);
+
+// Rate limit rules per machine / device type
+app.use('/api/rate-limits', rateLimits.router);
+
+// Retention policies, rollup runs and a manual trigger
+app.use('/api/retention', retention.router);
+
+// Replaced by retention policies
+app.delete('/api/cleanup', apiKeys.requireScope('admin'), (req, res) => {
+  res.status(410).json({
+    success: false,
+    error: 'DELETE /api/cleanup has been replaced by retention policies',
+    hint: 'POST /api/retention/policies with e.g. { "name": "default", "tiers": { "raw": 30 } }, then POST /api/retention/run to apply it now'
+  });
+});
+
+// The API description: machine-readable for read keys, and browsable (the page asks for a key)
+app.get('/openapi.json', apiKeys.requireScope('read'), (req, res) => res.json(openapi.document));
+app.use('/docs', openapi.docsRouter);
+
+// Every route must be described, and every description served - the server refuses to start otherwise
+const routeCheck = openapi.checkRoutes(app);
+const routeDrift = [
+  ...routeCheck.missing.map(route => `${route} is described in the API description but not served`),
+  ...routeCheck.undocumented.map(route => `${route} is served but missing from the API description`)
+];
+if (routeDrift.length) {
+  routeDrift.forEach(problem => console.error(`❌ ${problem}`));
+  console.error('The routes and lib/apiSpec.js disagree; update the description with the route');
+  process.exit(1);
+}
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -614,25 +1125,74 @@ app.use((err, req, res, next) => {
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({
+  const body = {
     success: false,
     error: 'Endpoint not found',
     path: req.path,
-    method: req.method,
-    availableEndpoints: [
-      'GET /health',
-      'POST /api/machine-data (accepts ANY JSON)',
-      'GET /api/machine-data',
-      'GET /api/machine-data/:machineId',
-      'GET /api/stats',
-      'DELETE /api/cleanup'
-    ]
-  });
+    method: req.method
+  };
+
+  // The full route list is only shown to authenticated callers
+  body.availableEndpoints = openapi.endpointList({ public: !apiKeys.isAuthenticated(req) });
+
+  res.status(404).json(body);
 });
 
+// Ingest for server-side sources (MQTT, OPC UA, Modbus) - same extraction and insert path as
+// POST /api/machine-data, minus the HTTP rate limits. Resolves a result per payload, { stored, ingestId, duplicate }
+// once durably queued or { stored: false, error }; the accepted payloads are queued together or not at all.
+const ingestCollected = async (payloads, { defaults, metadata }) => {
+  const results = new Array(payloads.length);
+  const items = [];
+  payloads.forEach((payload, index) => {
+    const error = validateBatchItem(payload);
+    if (error) {
+      metrics.countIngest('unknown', 'rejected');
+      results[index] = { stored: false, error };
+      return;
+    }
+    const extracted = extractMachineInfo(payload, { defaults });
+    items.push({ index, rawPayload: payload, extracted, metadata: { ...metadata, ...extractionMetadata(extracted) } });
+  });
+
+  const queued = await queueRecords(items);
+  items.forEach(({ index }, i) => {
+    const { rejection, ingestId, duplicate } = queued[i];
+    results[index] = rejection ? { stored: false, error: rejection.error } : { stored: true, ingestId, duplicate };
+  });
+  return results;
+};
+
+const ingestOne = async (payload, options) => (await ingestCollected([payload], options))[0];
+
+// Enabled by MQTT_URL (e.g. mqtt://broker:1883). MQTT_TOPICS is a comma-separated list of patterns;
+// named segments such as +machineId and +deviceType identify machines whose payloads do not.
+const mqttListener = process.env.MQTT_URL ? createMqttListener({
+  url: process.env.MQTT_URL,
+  topics: (process.env.MQTT_TOPICS || 'machines/+machineId/telemetry').split(',').map(t => t.trim()).filter(Boolean),
+  qos: process.env.MQTT_QOS === '0' ? 0 : 1,
+  clientId: process.env.MQTT_CLIENT_ID || undefined,
+  username: process.env.MQTT_USERNAME || undefined,
+  password: process.env.MQTT_PASSWORD || undefined,
+  reconnectPeriod: parseInt(process.env.MQTT_RECONNECT_MS, 10) || 5000,
+  ingest: (payloads, { topic, params, qos, retain }) => ingestCollected(payloads, {
+    defaults: params,
+    metadata: { source: 'mqtt', mqtt: { topic, qos, retain, segments: params } }
+  })
+}) : null;
+
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
+  if (mqttListener) {
+    await mqttListener.stop();
+  }
+  await opcuaCollectors.stopAll();
+  await modbusPoller.stopAll();
+  await ingestQueue.stop();
+  await alerting.stop();
+  await storage.close().catch(err => console.error(err.message));
+  await new Promise(resolve => queueDb.close(resolve));
   db.close((err) => {
     if (err) {
       console.error(err.message);
@@ -642,15 +1202,29 @@ process.on('SIGINT', () => {
   });
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`🚀 Flexible Machine Data API running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`📡 Data endpoint: http://localhost:${PORT}/api/machine-data`);
-  console.log(`✨ NEW: Accepts ANY JSON payload - no required fields!`);
-  console.log(`⚡ Rate limit: 1 request per 10 seconds per machine`);
-  console.log(`🌐 Global limit: 100 requests per minute`);
-  console.log(`💾 Database: SQLite at ${dbPath}`);
+// Start the server once the schema is migrated and machine_data storage is ready
+databaseReady.then(() => {
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 Flexible Machine Data API running on port ${PORT}`);
+    console.log(`📊 Health check: http://localhost:${PORT}/health`);
+    console.log(`📖 API reference: http://localhost:${PORT}/docs (OpenAPI at /openapi.json)`);
+    console.log(`📡 Data endpoint: http://localhost:${PORT}/api/machine-data`);
+    console.log(`✨ NEW: Accepts ANY JSON payload - no required fields!`);
+    const { read, ingest, machine } = rateLimits.defaults;
+    console.log(rateLimits.enabled
+      ? `⚡ Rate limits: ${machine.ratePerMinute}/min per machine (burst ${machine.burst}), ${ingest.ratePerMinute} ingest and ${read.ratePerMinute} read requests/min per key`
+      : '⚡ Rate limits: disabled');
+    console.log(`💾 Database: SQLite at ${dbPath}${storage.name === 'sqlite' ? '' : `, machine data in ${storage.name}`}`);
+    console.log(`📺 Live stream: http://localhost:${PORT}/api/stream (SSE), ws://localhost:${PORT}/api/stream/ws`);
+  });
+
+  liveStream.attach(server);
+
+  if (mqttListener) {
+    mqttListener.start();
+  }
+  opcuaCollectors.reload().catch(err => console.error('Failed to start OPC UA collectors:', err));
+  modbusPoller.reload().catch(err => console.error('Failed to start Modbus pollers:', err));
 });
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
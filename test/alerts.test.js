@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const dbAsync = require('../lib/db');
+const { createAlerting } = require('../lib/alerts');
+const { openSqlite } = require('./support/storage');
+const { waitFor } = require('./support/wait');
+
+// A local webhook receiver; respond(req, res, body) answers each notification
+const startReceiver = async (respond) => {
+  const received = [];
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    received.push(JSON.parse(body));
+    respond(req, res);
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { received, url: `http://127.0.0.1:${server.address().port}/hook`, close: () => server.close() };
+};
+
+const reading = (id, temperature) => ({ id, machineId: 'PRESS-001', deviceType: 'sensor', extractedData: { temperature } });
+
+describe('alert notifications', () => {
+  let sqlite;
+  let receiver;
+  let alerting;
+
+  const createRule = async () => {
+    await dbAsync.run(sqlite.db, `
+      INSERT INTO alert_rules (name, machine_id, field, condition, threshold, hysteresis, min_duration_seconds, severity, webhook_url, enabled)
+      VALUES ('Overheating', 'PRESS-001', 'temperature', '>', '80', 0, 0, 'critical', ?, 1)
+    `, [receiver.url]);
+    alerting = createAlerting({ db: sqlite.db });
+    await alerting.reload();
+  };
+
+  const alertRows = () => dbAsync.all(sqlite.db, 'SELECT state, notification_error FROM alerts ORDER BY id');
+
+  beforeEach(async () => {
+    sqlite = await openSqlite();
+  });
+
+  afterEach(async () => {
+    await alerting.stop();
+    receiver.close();
+    await sqlite.close();
+  });
+
+  it('posts firing and resolved alerts to the webhook', async () => {
+    receiver = await startReceiver((req, res) => res.end('ok'));
+    await createRule();
+
+    await alerting.evaluate([reading(1, 90)]);
+    await waitFor(() => receiver.received.length === 1);
+    await alerting.evaluate([reading(2, 70)]);
+    await waitFor(() => receiver.received.length === 2);
+
+    assert.deepEqual(receiver.received.map(body => body.event), ['alert.firing', 'alert.resolved']);
+    assert.equal(receiver.received[0].alert.state, 'firing');
+    assert.equal(receiver.received[0].rule.name, 'Overheating');
+    await alerting.stop();
+    assert.deepEqual(await alertRows(), [{ state: 'resolved', notification_error: null }]);
+  });
+
+  it('keeps evaluating while the webhook is slow and records its failure', async () => {
+    receiver = await startReceiver((req, res) => setTimeout(() => {
+      res.statusCode = 500;
+      res.end();
+    }, 1500));
+    await createRule();
+
+    const started = Date.now();
+    await alerting.evaluate([reading(1, 90)]);
+    await alerting.evaluate([reading(2, 91), reading(3, 70)]);
+    assert.ok(Date.now() - started < 1000, 'evaluation waited for the webhook');
+    assert.deepEqual((await alertRows()).map(row => row.state), ['resolved']);
+
+    await alerting.stop();
+    assert.equal(receiver.received.length, 2);
+    assert.deepEqual(await alertRows(), [{ state: 'resolved', notification_error: 'Webhook responded with HTTP 500' }]);
+  });
+});
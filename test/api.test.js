@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createOpenApi } = require('../lib/openapi');
+const { startServer } = require('./support/server');
+const { waitFor } = require('./support/wait');
+
+const MISMATCH = /does not match the API description/;
+
+const minimalDocument = (paths) => ({
+  openapi: '3.1.0',
+  info: { title: 'test', version: '1' },
+  paths
+});
+
+const ok = { responses: { 200: { description: 'OK' } } };
+
+describe('OpenAPI route check', () => {
+  it('reports described operations no route serves and routes no operation describes', () => {
+    const openapi = createOpenApi(minimalDocument({ '/api/things': { get: ok }, '/api/things/{id}': { delete: ok } }));
+    const app = express();
+    const router = express.Router();
+    router.get('/', (req, res) => res.json([]));
+    router.post('/', (req, res) => res.json({}));
+    app.use('/api/things', router);
+
+    assert.deepEqual(openapi.checkRoutes(app), {
+      missing: ['DELETE /api/things/:id'],
+      undocumented: ['POST /api/things/']
+    });
+  });
+});
+
+// The real server on a scratch database, logging every response that strays from lib/apiSpec.js
+describe('API responses match the API description', () => {
+  let server;
+  let request;
+  let document;
+
+  before(async () => {
+    server = await startServer({ RATE_LIMIT_ENABLED: 'false', OPENAPI_VALIDATE_RESPONSES: 'true' });
+    request = server.request;
+    document = (await request('GET', '/openapi.json')).body;
+  });
+
+  after(() => server.stop());
+
+  it('answers every parameterless JSON read', async () => {
+    const reads = Object.entries(document.paths).filter(([template, item]) => item.get && !template.includes('{') &&
+      !item.get['x-websocket'] && item.get.responses['200']?.content?.['application/json'] &&
+      !(item.get.parameters || []).some(parameter => parameter.required));
+    assert.ok(reads.length > 20);
+
+    for (const [template] of reads) {
+      const { status } = await request('GET', template);
+      assert.equal(status, 200, `GET ${template}`);
+    }
+  });
+
+  it('answers ingest, machine and configuration requests', async () => {
+    const single = await request('POST', '/api/machine-data', { machineId: 'PRESS-001', deviceType: 'press', temperature: 72.5 });
+    assert.equal(single.status, 202);
+    const batch = await request('POST', '/api/machine-data/batch', [
+      { machineId: 'PRESS-001', deviceType: 'press', temperature: 73 },
+      { machineId: 'press_001', deviceType: 'press', temperature: 74 }
+    ]);
+    assert.equal(batch.status, 202);
+    await waitFor(async () => (await request('GET', `/api/ingest/${single.body.ingestId}`)).body.data?.status === 'stored');
+
+    assert.equal((await request('GET', '/api/machine-data/PRESS-001')).status, 200);
+    assert.equal((await request('GET', '/api/aggregate?machineId=PRESS-001&field=temperature&bucket=1h')).status, 200);
+    assert.equal((await request('GET', '/api/machines/PRESS-001')).status, 200);
+    assert.equal((await request('PATCH', '/api/machines/PRESS-001', { aliases: ['press_001'] })).status, 200);
+    assert.equal((await request('GET', '/api/machines/press_001')).status, 200);
+    await waitFor(async () => (await request('GET', '/api/stats')).body.statistics.totalMessages === 3);
+    const { statistics } = (await request('GET', '/api/stats')).body;
+    assert.equal(statistics.uniqueMachines, 1);
+    assert.deepEqual(statistics.topMachines, [{ machine_id: 'PRESS-001', message_count: 3 }]);
+
+    const rule = await request('POST', '/api/alert-rules', {
+      name: 'Overheating', machineId: 'PRESS-001', field: 'temperature', condition: '>', threshold: 80, severity: 'warning'
+    });
+    assert.equal(rule.status, 201);
+    assert.equal((await request('GET', `/api/alert-rules/${rule.body.data.id}`)).status, 200);
+    assert.equal((await request('DELETE', `/api/alert-rules/${rule.body.data.id}`)).status, 200);
+
+    const dryRun = await request('POST', '/api/mapping-profiles/dry-run', { payload: { machine: 'LATHE-002', temp: 70 } });
+    assert.equal(dryRun.status, 200);
+  });
+
+  it('answers rejected requests', async () => {
+    assert.equal((await request('GET', '/api/machine-data', undefined, { key: null })).status, 401);
+    assert.equal((await request('GET', '/api/machine-data?limit=abc')).status, 400);
+    assert.equal((await request('GET', '/api/machines/NOPE')).status, 404);
+    assert.equal((await request('GET', '/api/alert-rules/999')).status, 404);
+  });
+
+  it('sent nothing that strays from the description', async () => {
+    await server.shutdown();
+    const mismatches = server.output().split('\n').filter(line => MISMATCH.test(line));
+    assert.deepEqual(mismatches, []);
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dbAsync = require('../lib/db');
+const { openSqlite } = require('./support/storage');
+
+describe('shared SQLite connection', () => {
+  let sqlite;
+
+  before(async () => {
+    sqlite = await openSqlite();
+    await dbAsync.run(sqlite.db, 'CREATE TABLE notes (name TEXT NOT NULL)');
+  });
+
+  after(() => sqlite.close());
+
+  it('keeps a write out of a transaction another module has open and rolls back', async () => {
+    const { db } = sqlite;
+    let begun;
+    let release;
+    const opened = new Promise(resolve => { begun = resolve; });
+    const held = new Promise(resolve => { release = resolve; });
+    const rolledBack = dbAsync.transaction(db, async () => {
+      await dbAsync.run(db, "INSERT INTO notes (name) VALUES ('in transaction')");
+      begun();
+      await held;
+      throw new Error('rolled back');
+    });
+
+    await opened;
+    const written = dbAsync.write(db, "INSERT INTO notes (name) VALUES ('on its own')");
+    await new Promise(resolve => setTimeout(resolve, 20));
+    release();
+    await assert.rejects(rolledBack, /rolled back/);
+    assert.equal((await written).changes, 1);
+
+    assert.deepEqual(await dbAsync.all(db, 'SELECT name FROM notes'), [{ name: 'on its own' }]);
+  });
+});
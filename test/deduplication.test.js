@@ -0,0 +1,56 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKENDS } = require('../lib/storage');
+const { createDeduplication } = require('../lib/deduplication');
+const { openStorage, record } = require('./support/storage');
+
+for (const backend of BACKENDS) {
+  describe(`duplicate scan on ${backend} storage`, () => {
+    let opened;
+    let deduplication;
+    let ids;
+
+    before(async () => {
+      opened = await openStorage(backend);
+      deduplication = createDeduplication({ db: opened.db, storage: opened.storage });
+    });
+
+    after(() => opened.close());
+
+    beforeEach(async () => {
+      await opened.storage.remove((await opened.storage.scan({}, { limit: 100000, fields: ['id'] })).map(row => row.id));
+      ids = await opened.storage.insertMany([
+        record('PRESS-001', { temperature: 70 }),
+        record('PRESS-001', { temperature: 70 }),
+        record('LATHE-002', { temperature: 70 }),
+        record('PRESS-001', { temperature: 71 }),
+        record('PRESS-001', { temperature: 70 }),
+        record('LATHE-002', { temperature: 70 })
+      ]);
+    });
+
+    it('reports each group of repeated payloads with the oldest row kept', async () => {
+      const report = await deduplication.scan();
+
+      assert.equal(report.scanned, 6);
+      assert.equal(report.duplicateGroups, 2);
+      assert.equal(report.duplicates, 3);
+      assert.equal(report.removed, 0);
+      assert.deepEqual(report.groups.map(({ machineId, keptId, duplicateIds }) => ({ machineId, keptId, duplicateIds })), [
+        { machineId: 'PRESS-001', keptId: ids[0], duplicateIds: [ids[1], ids[4]] },
+        { machineId: 'LATHE-002', keptId: ids[2], duplicateIds: [ids[5]] }
+      ]);
+      assert.ok(report.groups.every(group => /^[0-9a-f]{64}$/.test(group.hash)));
+      assert.equal(await opened.storage.count({}), 6);
+    });
+
+    it('removes the repeats within the filter', async () => {
+      const report = await deduplication.scan({ filter: { machineId: 'PRESS-001' }, remove: true });
+
+      assert.equal(report.scanned, 4);
+      assert.equal(report.removed, 2);
+      const left = await opened.storage.scan({}, { limit: 10, fields: ['id'] });
+      assert.deepEqual(left.map(row => row.id), [ids[0], ids[2], ids[3], ids[5]]);
+    });
+  });
+}
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { BACKENDS } = require('../lib/storage');
+const { streamExport } = require('../lib/export');
+const { openStorage, record } = require('./support/storage');
+
+// Just enough of an Express response for streamExport: status / set and a body to write to
+const exportResponse = () => {
+  const chunks = [];
+  const res = new Writable({
+    write: (chunk, encoding, callback) => {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  res.headers = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (headers) => Object.assign(res.headers, headers);
+  res.body = () => Buffer.concat(chunks).toString('utf8');
+  return res;
+};
+
+const runExport = async (storage, filter, format) => {
+  const res = exportResponse();
+  await streamExport(storage, filter, res, { format });
+  return res;
+};
+
+for (const backend of BACKENDS) {
+  describe(`export from ${backend} storage`, () => {
+    let opened;
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const tomorrow = new Date(today.getTime() + 24 * 3600 * 1000);
+
+    before(async () => {
+      opened = await openStorage(backend);
+      await opened.storage.insertMany([
+        record('PRESS-001', { temperature: 70 }),
+        record('PRESS-001', { temperature: 71 }),
+        record('LATHE-002', { rpm: 1200 })
+      ]);
+    });
+
+    after(() => opened.close());
+
+    it('exports the rows received within a date range as NDJSON', async () => {
+      const res = await runExport(opened.storage, { machineId: 'PRESS-001', from: today, to: tomorrow }, 'ndjson');
+
+      assert.equal(res.statusCode, 200);
+      const lines = res.body().trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(lines.map(line => line.extracted_data.temperature), [70, 71]);
+    });
+
+    it('exports the rows received within a date range as CSV', async () => {
+      const res = await runExport(opened.storage, { from: today, to: tomorrow }, 'csv');
+
+      const [header, ...rows] = res.body().trim().split('\r\n');
+      assert.ok(header.split(',').includes('temperature'));
+      assert.equal(rows.length, 3);
+    });
+
+    it('leaves out rows outside the date range', async () => {
+      const res = await runExport(opened.storage, { from: tomorrow }, 'ndjson');
+
+      assert.equal(res.body(), '');
+    });
+  });
+}
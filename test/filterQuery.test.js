@@ -0,0 +1,229 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFilter, compileFilter } = require('../lib/filterQuery');
+const { formatPath } = require('../lib/jsonPath');
+const { BACKENDS } = require('../lib/storage');
+const { openStorage, record } = require('./support/storage');
+
+const parsed = (source) => {
+  const result = parseFilter(source);
+  assert.equal(result.error, undefined, `${source}: ${result.error}`);
+  return result.expression;
+};
+
+const compiled = (source, dialect) => compileFilter(parsed(source), dialect);
+
+// The tree written back out with every group in parentheses, e.g. "(a = 1 or (b = 2 and c = 3))"
+const shape = (node) => {
+  const field = (resolved) => resolved.column || formatPath(resolved.segments);
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return `(${shape(node.left)} ${node.type} ${shape(node.right)})`;
+    case 'not':
+      return `not ${shape(node.operand)}`;
+    case 'exists':
+      return `${field(node.field)} exists`;
+    case 'in':
+      return `${field(node.field)} ${node.negated ? 'not in' : 'in'} ${JSON.stringify(node.values)}`;
+    case 'compare':
+      return `${field(node.field)} ${node.op} ${JSON.stringify(node.value)}`;
+  }
+};
+
+describe('filter expression parsing', () => {
+  it('reads comparisons, lists, exists and literals', () => {
+    assert.equal(shape(parsed('temperature >= -1.5e2')), 'temperature >= -150');
+    assert.equal(shape(parsed('status == "fault"')), 'status = "fault"');
+    assert.equal(shape(parsed('running != true')), 'running != true');
+    assert.equal(shape(parsed('reason = null')), 'reason = null');
+    assert.equal(shape(parsed('status NOT IN ("fault", \'stopped\', 3)')), 'status not in ["fault","stopped",3]');
+    assert.equal(shape(parsed('axis.x[0] Exists')), 'axis.x[0] exists');
+    assert.equal(shape(parsed('axis.x not exists')), 'not axis.x exists');
+  });
+
+  it('binds and tighter than or, and not tighter than both', () => {
+    assert.equal(shape(parsed('a = 1 or b = 2 and c = 3')), '(a = 1 or (b = 2 and c = 3))');
+    assert.equal(shape(parsed('a = 1 and b = 2 or c = 3')), '((a = 1 and b = 2) or c = 3)');
+    assert.equal(shape(parsed('not a = 1 and b = 2')), '(not a = 1 and b = 2)');
+    assert.equal(shape(parsed('not (a = 1 or b = 2) and c = 3')), '(not (a = 1 or b = 2) and c = 3)');
+    assert.equal(shape(parsed('a = 1 and (b = 2 or c = 3)')), '(a = 1 and (b = 2 or c = 3))');
+    assert.equal(shape(parsed('a = 1 or b = 2 or c = 3')), '((a = 1 or b = 2) or c = 3)');
+  });
+
+  it('unquotes strings and bracketed keys', () => {
+    assert.equal(parsed('note = "say \\"hi\\""').value, 'say "hi"');
+    assert.equal(parsed("note = 'it\\'s'").value, "it's");
+    assert.equal(parsed('note = "C:\\\\logs"').value, 'C:\\logs');
+    assert.equal(parsed('note = "and or not"').value, 'and or not');
+    assert.deepEqual(parsed("spindle['load %'] <= 0.5").field.segments, ['spindle', 'load %']);
+    assert.deepEqual(parsed('spindle["it\'s"] exists').field.segments, ['spindle', "it's"]);
+    assert.deepEqual(parsed('axes[2].temp-c > 1').field.segments, ['axes', 2, 'temp-c']);
+  });
+
+  it('keeps columns apart from payload fields', () => {
+    assert.deepEqual(parsed('machine_id = "PRESS-001"').field, { kind: 'text', column: 'machine_id' });
+    assert.deepEqual(parsed('received_at < 0').field, { kind: 'time', column: 'received_at' });
+    assert.equal(parsed('received_at < 0').value, '1970-01-01T00:00:00.000Z');
+    assert.deepEqual(parsed('extracted_data.machine_id = "x"').field.segments, ['machine_id']);
+    assert.deepEqual(parsed('machine_id.line = "L1"').field.segments, ['machine_id', 'line']);
+  });
+
+  it('reports where an expression goes wrong', () => {
+    const errors = {
+      'status = "open': 'Unterminated string at position 9',
+      'spindle[load] > 1': 'Expected an array index or quoted key at position 8',
+      'spindle[0 > 1': 'Expected "]" at position 7',
+      '(a = 1': 'Expected ")" but found end of expression at position 6',
+      'a = 1 b = 2': 'Unexpected "b" at position 6',
+      'a = 1 and': 'Expected a field name but found end of expression at position 9',
+      'a in ()': 'Expected a value but found ")" at position 6',
+      'a in (1 2)': 'Expected "," or ")" but found "2" at position 8',
+      'a not between': 'Expected "in" or "exists" after "not" but found "between" at position 6',
+      '5 = a': 'Expected a field name but found "5" at position 0',
+      'a > null': 'null can only be compared with = or != at position 4',
+      'timestamp > "yesterday"': 'Expected a date (e.g. "2026-01-31T12:00:00Z") or epoch milliseconds at position 12',
+      'note["say \\"hi\\""] = 1': 'Path segment "say "hi"" cannot contain double quotes at position 0'
+    };
+    for (const [source, error] of Object.entries(errors)) {
+      const result = parseFilter(source);
+      assert.equal(result.error, error, source);
+      assert.equal(result.position, Number(/position (\d+)$/.exec(error)[1]), source);
+    }
+  });
+
+  it('refuses operators it does not know', () => {
+    const errors = {
+      'temperature ~ 80': 'Unexpected "~" at position 12',
+      'temperature ! 80': 'Unexpected "!" at position 12',
+      'temperature => 80': 'Expected a value but found ">" at position 13',
+      'temperature <> 80': 'Expected a value but found ">" at position 13',
+      'temperature like "8%"': 'Expected an operator, "in" or "exists" but found "like" at position 12',
+      'a = 1 && b = 2': 'Unexpected "&" at position 6',
+      'a = 1; DROP TABLE machine_data': 'Unexpected ";" at position 5'
+    };
+    for (const [source, error] of Object.entries(errors)) {
+      assert.equal(parseFilter(source).error, error, source);
+    }
+  });
+
+  it('takes expressions up to 2000 characters', () => {
+    const within = `${'x'.repeat(1996)} = 1`;
+    assert.equal(within.length, 2000);
+    assert.ok(parseFilter(within).expression);
+
+    assert.deepEqual(parseFilter(`${within} `), { error: 'filter must be at most 2000 characters', position: 2000 });
+    assert.deepEqual(parseFilter('   '), { error: 'filter must be a non-empty expression', position: 0 });
+    assert.deepEqual(parseFilter(undefined), { error: 'filter must be a non-empty expression', position: 0 });
+  });
+});
+
+describe('filter expression compilation', () => {
+  it('compiles for SQLite with json_extract() and julianday()', () => {
+    assert.deepEqual(compiled('temperature > 80 and status in ("fault", "stopped")', 'sqlite'), {
+      sql: "((json_type(extracted_data, ?) IN ('integer', 'real') AND json_extract(extracted_data, ?) > ?) AND " +
+        'json_extract(extracted_data, ?) IN (?, ?))',
+      params: ['$.temperature', '$.temperature', 80, '$.status', 'fault', 'stopped']
+    });
+    assert.deepEqual(compiled('running = true or not axis.x exists', 'sqlite'), {
+      sql: '(json_extract(extracted_data, ?) = ? OR NOT COALESCE(json_type(extracted_data, ?) IS NOT NULL, 0))',
+      params: ['$.running', 1, '$.axis.x']
+    });
+    assert.deepEqual(compiled('timestamp >= "2026-01-01" and machine_id != "PRESS-001"', 'sqlite'), {
+      sql: '(julianday(timestamp) >= julianday(?) AND machine_id != ?)',
+      params: ['2026-01-01', 'PRESS-001']
+    });
+    assert.deepEqual(compiled('reason = null', 'sqlite'), { sql: "json_type(extracted_data, ?) = 'null'", params: ['$.reason'] });
+    assert.deepEqual(compiled("spindle['load %'] <= 0.5", 'sqlite').params, ['$.spindle."load %"', '$.spindle."load %"', 0.5]);
+  });
+
+  it('compiles for Postgres with jsonb paths and casts', () => {
+    assert.deepEqual(compiled('temperature > 80 and status in ("fault", "stopped")', 'postgres'), {
+      sql: "((CASE WHEN jsonb_typeof(extracted_data #> ?::text[]) = 'number' THEN (extracted_data #>> ?::text[])::double precision END) " +
+        '> ?::double precision AND extracted_data #> ?::text[] IN (?::jsonb, ?::jsonb))',
+      params: [['temperature'], ['temperature'], 80, ['status'], '"fault"', '"stopped"']
+    });
+    assert.deepEqual(compiled('running = true or not axis.x exists', 'postgres'), {
+      sql: '(extracted_data #> ?::text[] = ?::jsonb OR NOT COALESCE(extracted_data #> ?::text[] IS NOT NULL, false))',
+      params: [['running'], 'true', ['axis', 'x']]
+    });
+    assert.deepEqual(compiled('timestamp >= "2026-01-01" and machine_id != "PRESS-001"', 'postgres'), {
+      sql: '(timestamp >= ?::timestamptz AND machine_id <> ?::text)',
+      params: ['2026-01-01', 'PRESS-001']
+    });
+    assert.deepEqual(compiled('axes[2] = null', 'postgres'), {
+      sql: "jsonb_typeof(extracted_data #> ?::text[]) = 'null'",
+      params: [['axes', '2']]
+    });
+  });
+
+  it('keeps the grouping of the expression in the SQL', () => {
+    assert.equal(compiled('a exists or b exists and c exists', 'sqlite').sql,
+      '(json_type(extracted_data, ?) IS NOT NULL OR (json_type(extracted_data, ?) IS NOT NULL AND json_type(extracted_data, ?) IS NOT NULL))');
+    assert.equal(compiled('(a exists or b exists) and c exists', 'sqlite').sql,
+      '((json_type(extracted_data, ?) IS NOT NULL OR json_type(extracted_data, ?) IS NOT NULL) AND json_type(extracted_data, ?) IS NOT NULL)');
+    assert.deepEqual(compiled('(a exists or b exists) and c exists', 'postgres').params, [['a'], ['b'], ['c']]);
+  });
+
+  it('passes field paths as parameters, never in the SQL text', () => {
+    const hostile = [
+      'data["x\'); DROP TABLE machine_data; --"]',
+      "data['x` OR 1=1 --']",
+      "data['$.a']",
+      "data['#>> 1']",
+      'extracted_data.received_at'
+    ];
+    const templates = ['FIELD > 1', 'FIELD = "a"', 'FIELD in (1, 2)', 'FIELD not exists', 'FIELD != null'];
+
+    for (const dialect of ['sqlite', 'postgres']) {
+      for (const template of templates) {
+        const plain = compiled(template.replace('FIELD', 'plain'), dialect);
+        for (const path of hostile) {
+          const result = compiled(template.replace('FIELD', path), dialect);
+          assert.equal(result.sql, plain.sql, `${dialect}: ${template} with ${path}`);
+          assert.equal(result.params.length, plain.params.length);
+        }
+      }
+    }
+  });
+});
+
+// The compiled SQL run against each backend
+for (const backend of BACKENDS) {
+  describe(`${backend} filter expressions`, () => {
+    let opened;
+    let storage;
+
+    before(async () => {
+      opened = await openStorage(backend);
+      storage = opened.storage;
+      await storage.insertMany([
+        record('PRESS-001', { temperature: 85, status: 'fault', spindle: { 'load %': 0.4 }, "x'); DROP TABLE machine_data; --": 1 }),
+        record('PRESS-002', { temperature: 60, status: 'running', running: true, reason: null }),
+        record('PRESS-003', { temperature: '90', status: 'stopped', spindle: { 'load %': 0.9 } })
+      ]);
+    });
+
+    after(() => opened.close());
+
+    const machines = async (source) => {
+      const { data } = await storage.query({ expression: parsed(source) }, { limit: 10, offset: 0, fields: ['machine_id'] });
+      return data.map(row => row.machine_id).sort();
+    };
+
+    it('matches the rows the expression describes', async () => {
+      assert.deepEqual(await machines('temperature > 80'), ['PRESS-001']);
+      assert.deepEqual(await machines('temperature > 50 or status = "stopped" and spindle[\'load %\'] > 0.5'), ['PRESS-001', 'PRESS-002', 'PRESS-003']);
+      assert.deepEqual(await machines('(temperature > 50 or status = "stopped") and spindle[\'load %\'] > 0.5'), ['PRESS-003']);
+      assert.deepEqual(await machines('status not in ("fault", "stopped")'), ['PRESS-002']);
+      assert.deepEqual(await machines('not running = true'), ['PRESS-001', 'PRESS-003']);
+      assert.deepEqual(await machines('reason = null'), ['PRESS-002']);
+      assert.deepEqual(await machines('machine_id = "PRESS-003" and received_at > 0'), ['PRESS-003']);
+    });
+
+    it('reads a key that looks like SQL as a key', async () => {
+      assert.deepEqual(await machines('extracted_data["x\'); DROP TABLE machine_data; --"] exists'), ['PRESS-001']);
+      assert.equal(await storage.count({}), 3);
+    });
+  });
+}
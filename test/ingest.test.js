@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+const { waitFor } = require('./support/wait');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ingest deduplication', () => {
+  let server;
+  let request;
+
+  before(async () => {
+    server = await startServer({ RATE_LIMIT_ENABLED: 'false' });
+    request = server.request;
+  });
+
+  after(() => server.stop());
+
+  const send = (payload, headers) => request('POST', '/api/machine-data', payload, { headers });
+  const stored = async (ingestId) => (await request('GET', `/api/ingest/${ingestId}`)).body.data?.status === 'stored';
+  const rowsOf = async (machineId) => (await request('GET', `/api/machine-data?machineId=${machineId}`)).body.pagination.total;
+
+  it('answers a request retried under the same Idempotency-Key with the first delivery', async () => {
+    const payload = { machineId: 'RETRY-001', deviceType: 'press', temperature: 70 };
+    const first = await send(payload, { 'Idempotency-Key': 'order-17' });
+    assert.equal(first.status, 202);
+    await waitFor(() => stored(first.body.ingestId));
+
+    const retry = await send({ ...payload, temperature: 71 }, { 'Idempotency-Key': 'order-17' });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, true);
+    assert.equal(retry.body.ingestId, first.body.ingestId);
+    assert.equal(retry.body.status, 'stored');
+    assert.equal(typeof retry.body.recordId, 'number');
+
+    assert.equal((await send(payload, { 'Idempotency-Key': 'order-18' })).status, 202);
+    assert.equal((await send(payload)).status, 202);
+    await waitFor(async () => (await rowsOf('RETRY-001')) === 3);
+  });
+
+  it('answers a batch retried under the same Idempotency-Key item by item', async () => {
+    const items = [{ machineId: 'RETRY-002', seq: 1 }, { machineId: 'RETRY-002', seq: 2 }];
+    const first = await request('POST', '/api/machine-data/batch', items, { headers: { 'Idempotency-Key': 'batch-5' } });
+    assert.equal(first.status, 202);
+
+    const retry = await request('POST', '/api/machine-data/batch', items, { headers: { 'Idempotency-Key': 'batch-5' } });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.summary.duplicates, 2);
+    assert.deepEqual(retry.body.results.map(result => result.ingestId), first.body.results.map(result => result.ingestId));
+    await waitFor(async () => (await rowsOf('RETRY-002')) === 2);
+  });
+
+  it('stores a payload once per natural key', async () => {
+    await request('PUT', '/api/deduplication/natural-keys/counter', { fields: ['machineId', 'seq'] });
+
+    const first = await send({ machineId: 'COUNTER-001', deviceType: 'counter', seq: 1, count: 10 });
+    assert.equal(first.status, 202);
+    const resent = await send({ machineId: 'COUNTER-001', deviceType: 'counter', seq: 1, count: 10, resent: true });
+    assert.equal(resent.status, 200);
+    assert.equal(resent.body.ingestId, first.body.ingestId);
+    assert.equal((await send({ machineId: 'COUNTER-001', deviceType: 'counter', seq: 2, count: 11 })).status, 202);
+
+    await waitFor(async () => (await rowsOf('COUNTER-001')) === 2);
+    assert.equal((await send({ machineId: 'COUNTER-001', deviceType: 'counter', seq: 1, count: 10 })).status, 200);
+  });
+
+  it('recognises a retried reading after the clock offset it was corrected by has moved', async () => {
+    await request('PUT', '/api/timestamps/policies/clocked', { action: 'correct', toleranceSeconds: 60 });
+    await request('PUT', '/api/deduplication/natural-keys/clocked', { fields: ['machineId', 'timestamp'] });
+    const reading = (skewMs, n) => ({
+      machineId: 'CLOCK-001', deviceType: 'clocked', timestamp: new Date(Date.now() + skewMs + n * 1000).toISOString(), n
+    });
+
+    for (let n = 0; n < 5; n++) assert.equal((await send(reading(HOUR, n))).status, 202);
+    const original = reading(HOUR, 30);
+    const first = await send(original);
+    assert.equal(first.body.timestampCheck.action, 'correct');
+
+    // The device clock jumps ahead another two hours: the offset follows once the readings agree
+    for (let n = 0; n < 5; n++) await send(reading(3 * HOUR, n));
+    const [clock] = (await request('GET', '/api/timestamps/clocks')).body.data;
+    assert.ok(Math.abs(clock.offsetMs - 3 * HOUR) < 60 * 1000);
+
+    const retry = await send(original);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, true);
+    assert.equal(retry.body.ingestId, first.body.ingestId);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbAsync = require('../lib/db');
+const { queueMigrationTarget, createIngestQueue } = require('../lib/ingestQueue');
+const { openSqlite, openStorage, record } = require('./support/storage');
+const { waitFor } = require('./support/wait');
+
+const entries = (count) => Array.from({ length: count }, (_, i) => ({ record: record('PRESS-001', { n: i }), violation: null }));
+
+describe('ingest queue', () => {
+  let queueDb;
+  let opened;
+  let queue;
+
+  beforeEach(async () => {
+    queueDb = await openSqlite(queueMigrationTarget);
+    opened = await openStorage('sqlite');
+  });
+
+  afterEach(async () => {
+    await queue.stop();
+    await opened.close();
+    await queueDb.close();
+  });
+
+  const queueRows = () => dbAsync.all(queueDb.db, 'SELECT status, attempts, error, record_id FROM ingest_queue ORDER BY seq');
+
+  it('writes queued entries into storage and hands them to onStored', async () => {
+    const stored = [];
+    queue = createIngestQueue({ db: queueDb.db, storage: opened.storage, intervalMs: 20, onStored: (batch) => stored.push(...batch) });
+    await queue.start();
+
+    const results = await queue.enqueue(entries(3));
+    await waitFor(() => stored.length === 3);
+
+    assert.deepEqual(stored.map(entry => entry.ingestId), results.map(result => result.ingestId));
+    assert.equal(await opened.storage.count({ machineId: 'PRESS-001' }), 3);
+    assert.ok((await queueRows()).every(row => row.status === 'stored' && row.record_id !== null));
+  });
+
+  it('leaves the batch queued while storage fails', async () => {
+    let available = false;
+    const storage = {
+      insertMany: (records) => available ? opened.storage.insertMany(records) : Promise.reject(new Error('SQLITE_BUSY: database is locked')),
+      insert: (item) => available ? opened.storage.insert(item) : Promise.reject(new Error('SQLITE_BUSY: database is locked'))
+    };
+    queue = createIngestQueue({ db: queueDb.db, storage, intervalMs: 20 });
+    await queue.start();
+
+    await queue.enqueue(entries(3));
+    await waitFor(async () => (await queue.status()).lastError !== null);
+
+    const rows = await queueRows();
+    assert.equal(rows.length, 3);
+    assert.ok(rows.every(row => row.status === 'queued' && row.attempts === 0 && /SQLITE_BUSY/.test(row.error)));
+    assert.equal((await queue.status()).depth, 3);
+
+    // The writer backs off, then picks the same entries up again
+    available = true;
+    await waitFor(async () => (await queue.status()).depth === 0, { timeoutMs: 10000 });
+    assert.equal(await opened.storage.count({}), 3);
+  });
+
+  it('resolves a key to the stored row after the queue has let go of the entry', async () => {
+    queue = createIngestQueue({ db: queueDb.db, storage: opened.storage, intervalMs: 20 });
+    await queue.start();
+
+    const entry = { record: record('PRESS-001', { n: 1 }), violation: null, idempotencyKey: 'client:retry-1', naturalKey: 'abc' };
+    const [first] = await queue.enqueue([entry]);
+    await waitFor(async () => (await queue.status()).depth === 0);
+    await queue.stop();
+    await dbAsync.run(queueDb.db, 'DELETE FROM ingest_queue');
+
+    const [byIdempotencyKey] = await queue.enqueue([{ ...entry, naturalKey: null }]);
+    const [byNaturalKey] = await queue.enqueue([{ ...entry, idempotencyKey: 'client:retry-2' }]);
+    const [stored] = await opened.storage.scan({}, { limit: 10, fields: ['id'] });
+    for (const result of [byIdempotencyKey, byNaturalKey]) {
+      assert.deepEqual(result, { ingestId: first.ingestId, duplicate: true, status: 'stored', recordId: stored.id });
+    }
+    assert.equal((await queueRows()).length, 0);
+    assert.equal(await opened.storage.count({}), 1);
+  });
+
+  it('matches an entry written again after a crash to the row it was stored as', async () => {
+    const stored = [];
+    queue = createIngestQueue({ db: queueDb.db, storage: opened.storage, intervalMs: 20, onStored: (batch) => stored.push(...batch) });
+    const [first] = await queue.enqueue([{ record: record('PRESS-001'), violation: null, naturalKey: 'abc' }]);
+    const id = await opened.storage.insert({ ...record('PRESS-001'), ingestId: first.ingestId, keys: ['natural:abc'] });
+
+    // The row went in, but the entry is still queued as if the server died before marking it
+    await queue.start();
+    await waitFor(async () => (await queue.status()).depth === 0);
+
+    assert.deepEqual((await queueRows()).map(row => [row.status, row.record_id]), [['stored', id]]);
+    assert.equal(await opened.storage.count({}), 1);
+    assert.deepEqual(stored, []);
+  });
+});
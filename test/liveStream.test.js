@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { WS_PATH, createLiveStream } = require('../lib/liveStream');
+const { openStorage, record } = require('./support/storage');
+const { waitFor } = require('./support/wait');
+
+// Resolves with the first message of a new WebSocket connection
+const connect = async (url) => {
+  const ws = new WebSocket(url);
+  const [message] = await once(ws, 'message');
+  return { ws, first: JSON.parse(message) };
+};
+
+describe('live stream WebSocket', () => {
+  let opened;
+  let liveStream;
+  let server;
+  let url;
+
+  before(async () => {
+    opened = await openStorage('sqlite');
+    liveStream = createLiveStream({ storage: opened.storage, apiKeys: { enabled: false } });
+    server = http.createServer();
+    liveStream.attach(server);
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `ws://127.0.0.1:${server.address().port}${WS_PATH}`;
+  });
+
+  after(async () => {
+    server.close();
+    await opened.close();
+  });
+
+  it('sends stored records to subscribers', async () => {
+    const { ws, first } = await connect(`${url}?machineId=PRESS-001`);
+    assert.equal(first.type, 'subscribed');
+
+    const [id] = await opened.storage.insertMany([record('PRESS-001', { temperature: 70 })]);
+    const message = once(ws, 'message');
+    await liveStream.publish([id]);
+    const pushed = JSON.parse((await message)[0]);
+    assert.equal(pushed.type, 'machine-data');
+    assert.equal(pushed.id, id);
+
+    ws.close();
+    await once(ws, 'close');
+  });
+
+  it('drops a connection that sends a malformed frame and keeps serving', async () => {
+    await waitFor(() => liveStream.subscriberCount() === 0);
+    const socket = net.connect(server.address().port, '127.0.0.1');
+    socket.on('error', () => {});
+    await once(socket, 'connect');
+    socket.write([
+      `GET ${WS_PATH} HTTP/1.1`,
+      'Host: 127.0.0.1',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+      'Sec-WebSocket-Version: 13',
+      '',
+      ''
+    ].join('\r\n'));
+    await once(socket, 'data');
+    await waitFor(() => liveStream.subscriberCount() === 1);
+
+    // A text frame without the mask bit, which clients must set
+    socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+    await once(socket, 'close');
+    await waitFor(() => liveStream.subscriberCount() === 0);
+
+    const { ws, first } = await connect(url);
+    assert.equal(first.type, 'subscribed');
+    ws.close();
+    await once(ws, 'close');
+  });
+});
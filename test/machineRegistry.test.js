@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const dbAsync = require('../lib/db');
+const { createMachineRegistry } = require('../lib/machineRegistry');
+const { openStorage, record } = require('./support/storage');
+
+describe('machine registry aliases', () => {
+  let opened;
+  let server;
+  let baseUrl;
+
+  const registryFor = () => createMachineRegistry({ db: opened.db, storage: opened.storage });
+
+  const listen = async (registry) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/machines', registry.router);
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/machines`;
+  };
+
+  const request = async (method, path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    opened = await openStorage('sqlite');
+    await opened.storage.insertMany([record('PRESS-001'), record('PRESS-001'), record('press_001'), record('press_001'), record('press_001')]);
+  });
+
+  afterEach(async () => {
+    server.close();
+    await opened.close();
+  });
+
+  it('folds a machine that has reported into the canonical one', async () => {
+    const registry = registryFor();
+    await registry.load();
+    await listen(registry);
+    await request('PATCH', '/press_001', { location: 'Hall 2' });
+
+    const patched = await request('PATCH', '/PRESS-001', { aliases: ['press_001'] });
+    assert.equal(patched.status, 200);
+    assert.deepEqual(patched.body.data.aliases, ['press_001']);
+    assert.equal(patched.body.data.location, 'Hall 2');
+
+    const list = await request('GET', '/');
+    assert.deepEqual(list.body.data.map(machine => machine.machineId), ['PRESS-001']);
+
+    // History stored under the alias is read through it
+    const detail = await request('GET', '/press_001');
+    assert.equal(detail.body.data.machineId, 'PRESS-001');
+    assert.equal(detail.body.data.recordCount, 5);
+    assert.equal(await opened.storage.count({ machineId: 'PRESS-001', machineAliases: registry.aliasesOf('PRESS-001') }), 5);
+  });
+
+  it('keeps a folded machine out of the registry after a restart', async () => {
+    const registry = registryFor();
+    await registry.load();
+    await listen(registry);
+    await request('PATCH', '/PRESS-001', { aliases: ['press_001'] });
+
+    const restarted = registryFor();
+    await restarted.load();
+    assert.equal(restarted.summary().total, 1);
+    assert.equal(restarted.resolveAlias('press_001'), 'PRESS-001');
+    assert.deepEqual(await dbAsync.all(opened.db, 'SELECT machine_id FROM machines'), [{ machine_id: 'PRESS-001' }]);
+  });
+
+  it('refuses to fold a machine that other IDs are aliases of', async () => {
+    const registry = registryFor();
+    await registry.load();
+    await listen(registry);
+    assert.equal((await request('PATCH', '/press_001', { aliases: ['press-1'] })).status, 200);
+
+    const patched = await request('PATCH', '/PRESS-001', { aliases: ['press_001'] });
+    assert.equal(patched.status, 409);
+    assert.equal((await request('GET', '/')).body.data.length, 2);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sqlite3 = require('sqlite3');
+const dbAsync = require('../lib/db');
+const { SQLITE_MIGRATIONS, sqliteMigrationTarget, migrationStatus, migrate } = require('../lib/migrations');
+
+const ROOT = path.join(__dirname, '..');
+const LATEST = SQLITE_MIGRATIONS[SQLITE_MIGRATIONS.length - 1].version;
+
+// machine_data as the first release (server.backup.js) created and filled it
+const LEGACY_SCHEMA = [
+  `CREATE TABLE machine_data (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    machine_id TEXT NOT NULL,
+    device_type TEXT DEFAULT 'unknown',
+    timestamp DATETIME NOT NULL,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    data TEXT NOT NULL,
+    metadata TEXT DEFAULT '{}',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX idx_machine_id ON machine_data(machine_id)',
+  'CREATE INDEX idx_timestamp ON machine_data(timestamp)',
+  'CREATE INDEX idx_device_type ON machine_data(device_type)'
+];
+const LEGACY_ROWS = [
+  [3, 'MASZYNA-001', 'press', '2025-06-01T08:00:00Z', JSON.stringify({ temperature: 71.5, status: 'running' }), JSON.stringify({ line: 'L1' })],
+  [7, 'BOSCH-REXROTH-01', 'unknown', '2025-06-01T08:00:10Z', JSON.stringify({ pressure: 2.1 }), '{}']
+];
+
+const runMigrate = (command, env) => new Promise(resolve => {
+  execFile(process.execPath, [path.join(ROOT, 'migrate.js'), command], { env: { ...process.env, ...env }, timeout: 20000 },
+    (err, stdout, stderr) => resolve({ code: err ? err.code : 0, output: stdout + stderr }));
+});
+
+describe('SQLite schema migrations', () => {
+  let dir;
+  let db;
+
+  const open = () => {
+    db = new sqlite3.Database(path.join(dir, 'machine_data.db'));
+    return db;
+  };
+
+  const close = () => new Promise(resolve => db.close(resolve));
+
+  const createLegacy = async () => {
+    open();
+    for (const sql of LEGACY_SCHEMA) await dbAsync.run(db, sql);
+    for (const row of LEGACY_ROWS) {
+      await dbAsync.run(db, 'INSERT INTO machine_data (id, machine_id, device_type, timestamp, data, metadata) VALUES (?, ?, ?, ?, ?, ?)', row);
+    }
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'machine-data-migrations-'));
+  });
+
+  afterEach(async () => {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('converts a first-release database, keeping its rows and ids', async () => {
+    await createLegacy();
+
+    const applied = await migrate(sqliteMigrationTarget(db));
+    assert.deepEqual(applied.map(migration => migration.version), SQLITE_MIGRATIONS.map(migration => migration.version));
+
+    const rows = await dbAsync.all(db, 'SELECT * FROM machine_data ORDER BY id');
+    assert.deepEqual(rows.map(row => row.id), [3, 7]);
+    assert.equal('data' in rows[0], false);
+    assert.deepEqual(JSON.parse(rows[0].extracted_data), { temperature: 71.5, status: 'running' });
+    assert.deepEqual(JSON.parse(rows[0].metadata), { line: 'L1' });
+    assert.deepEqual(JSON.parse(rows[1].raw_payload), {
+      machineId: 'BOSCH-REXROTH-01', deviceType: 'unknown', timestamp: '2025-06-01T08:00:10Z', data: { pressure: 2.1 }
+    });
+
+    const versions = await dbAsync.all(db, 'SELECT version, name FROM schema_version ORDER BY version');
+    assert.deepEqual(versions, SQLITE_MIGRATIONS.map(({ version, name }) => ({ version, name })));
+    assert.equal((await migrationStatus(sqliteMigrationTarget(db))).current, LATEST);
+
+    // New rows keep counting after the converted ids
+    await dbAsync.run(db, "INSERT INTO machine_data (machine_id, raw_payload) VALUES ('PRESS-001', '{}')");
+    assert.equal((await dbAsync.get(db, 'SELECT MAX(id) AS id FROM machine_data')).id, 8);
+  });
+
+  it('applies nothing on a second run', async () => {
+    await createLegacy();
+    await migrate(sqliteMigrationTarget(db));
+
+    assert.deepEqual(await migrate(sqliteMigrationTarget(db)), []);
+    assert.equal((await dbAsync.get(db, 'SELECT COUNT(*) AS count FROM schema_version')).count, SQLITE_MIGRATIONS.length);
+    assert.equal((await dbAsync.get(db, 'SELECT COUNT(*) AS count FROM machine_data')).count, LEGACY_ROWS.length);
+  });
+
+  it('reports a first-release database as pending until migrate up has run', async () => {
+    await createLegacy();
+    await close();
+    const env = {
+      DB_PATH: path.join(dir, 'machine_data.db'),
+      INGEST_QUEUE_PATH: path.join(dir, 'ingest_queue.db'),
+      STORAGE_BACKEND: 'sqlite'
+    };
+
+    const before = await runMigrate('status', env);
+    assert.equal(before.code, 1);
+    assert.match(before.output, new RegExp(`^sqlite: version 0 of ${LATEST}$`, 'm'));
+    assert.match(before.output, /⏳ 1 convert_legacy_machine_data/);
+
+    const up = await runMigrate('up', env);
+    assert.equal(up.code, 0, up.output);
+    assert.match(up.output, /Migrated sqlite schema to version 1 \(convert_legacy_machine_data\)/);
+
+    const after = await runMigrate('status', env);
+    assert.equal(after.code, 0, after.output);
+    assert.match(after.output, new RegExp(`^sqlite: version ${LATEST} of ${LATEST}$`, 'm'));
+    assert.match(after.output, /✅ 1 convert_legacy_machine_data \(applied \d{4}-/);
+    assert.doesNotMatch(after.output, /⏳/);
+
+    assert.equal((await runMigrate('sideways', env)).code, 2);
+
+    open();
+    assert.equal((await dbAsync.get(db, 'SELECT COUNT(*) AS count FROM machine_data')).count, LEGACY_ROWS.length);
+  });
+});
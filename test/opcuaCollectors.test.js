@@ -0,0 +1,97 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { OPCUAServer } = require('node-opcua-server');
+const { Variant, DataType } = require('node-opcua-client');
+const dbAsync = require('../lib/db');
+const { createOpcUaCollectors } = require('../lib/opcuaCollectors');
+const { freePort } = require('./support/net');
+const { openSqlite } = require('./support/storage');
+const { waitFor } = require('./support/wait');
+
+// A press with a temperature that changes on every read, and a running flag
+const startServer = async () => {
+  const server = new OPCUAServer({ port: await freePort() });
+  await server.initialize();
+  const { addressSpace } = server.engine;
+  const namespace = addressSpace.getOwnNamespace();
+  let temperature = 70;
+  namespace.addVariable({
+    organizedBy: addressSpace.rootFolder.objects,
+    browseName: 'Temperature',
+    nodeId: 's=Temperature',
+    dataType: 'Double',
+    minimumSamplingInterval: 100,
+    value: { get: () => new Variant({ dataType: DataType.Double, value: temperature++ }) }
+  });
+  namespace.addVariable({
+    organizedBy: addressSpace.rootFolder.objects,
+    browseName: 'Running',
+    nodeId: 's=Running',
+    dataType: 'Boolean',
+    value: { get: () => new Variant({ dataType: DataType.Boolean, value: true }) }
+  });
+  await server.start();
+  return { server, endpointUrl: `opc.tcp://127.0.0.1:${server.endpoints[0].port}`, namespace: namespace.index };
+};
+
+describe('OPC UA collectors against a server', () => {
+  let opcua;
+  let sqlite;
+  let collectors;
+  let samples;
+
+  before(async () => {
+    opcua = await startServer();
+    sqlite = await openSqlite();
+  });
+
+  after(async () => {
+    await sqlite.close();
+    await opcua.server.shutdown();
+  });
+
+  afterEach(() => collectors.stopAll());
+
+  const startCollector = async (mode) => {
+    samples = [];
+    await dbAsync.run(sqlite.db, 'DELETE FROM opcua_collectors');
+    await dbAsync.run(sqlite.db, `
+      INSERT INTO opcua_collectors (name, endpoint_url, machine_id, device_type, mode, sampling_interval_ms,
+        nodes, security_mode, security_policy, enabled)
+      VALUES (?, ?, 'PRESS-001', 'opcua', ?, 200, ?, 'None', 'None', 1)
+    `, [`press-${mode}`, opcua.endpointUrl, mode, JSON.stringify([
+      { nodeId: `ns=${opcua.namespace};s=Temperature`, field: 'temperature' },
+      { nodeId: `ns=${opcua.namespace};s=Running`, field: 'status.running' }
+    ])]);
+    collectors = createOpcUaCollectors({
+      db: sqlite.db,
+      ingest: async (payload) => {
+        samples.push(payload);
+        return { stored: true };
+      }
+    });
+    await collectors.reload();
+  };
+
+  it('polls the configured nodes into one sample per interval', async () => {
+    await startCollector('poll');
+    await waitFor(() => samples.length >= 2, { timeoutMs: 15000 });
+
+    const [first, second] = samples;
+    assert.equal(first.machineId, 'PRESS-001');
+    assert.equal(first.deviceType, 'opcua');
+    assert.equal(typeof first.temperature, 'number');
+    assert.deepEqual(first.status, { running: true });
+    assert.ok(second.temperature > first.temperature);
+    assert.deepEqual(collectors.summary(), { configured: 1, connected: 1 });
+  });
+
+  it('stores data changes from a subscription', async () => {
+    await startCollector('subscribe');
+    await waitFor(() => samples.some(sample => sample.temperature !== undefined), { timeoutMs: 15000 });
+
+    const sample = samples.find(s => s.temperature !== undefined);
+    assert.equal(sample.machineId, 'PRESS-001');
+    assert.ok(!isNaN(Date.parse(sample.timestamp)));
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const dbAsync = require('../lib/db');
+const { createRateLimits } = require('../lib/rateLimits');
+const { openSqlite } = require('./support/storage');
+const { startServer } = require('./support/server');
+
+const DEFAULTS = {
+  read: { ratePerMinute: 600, burst: 100 },
+  ingest: { ratePerMinute: 600, burst: 100 },
+  machine: { ratePerMinute: 60, burst: 2 }
+};
+
+describe('rate limits', () => {
+  let sqlite;
+  let server;
+  let baseUrl;
+  let limits;
+
+  // The caller's API key id comes in X-Caller
+  const listen = async (defaults = DEFAULTS) => {
+    limits = createRateLimits({ db: sqlite.db, defaults, identify: ({ machineId, deviceType }) => ({ machineId, deviceType }) });
+    await limits.reload();
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.apiKey = { id: req.get('x-caller') || 'default' };
+      next();
+    });
+    app.post('/ingest', limits.limitIngest, (req, res) => res.status(202).json({ success: true }));
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const send = async (payload, caller) => {
+    const res = await fetch(`${baseUrl}/ingest`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(caller && { 'X-Caller': caller }) },
+      body: JSON.stringify(payload)
+    });
+    return { status: res.status, retryAfter: res.headers.get('retry-after'), body: await res.json() };
+  };
+
+  const statuses = async (payloads) => {
+    const result = [];
+    for (const payload of payloads) result.push((await send(payload)).status);
+    return result;
+  };
+
+  beforeEach(async () => {
+    sqlite = await openSqlite();
+  });
+
+  afterEach(async () => {
+    server.close();
+    await sqlite.close();
+  });
+
+  it('answers 429 with Retry-After once a machine has used its burst, whoever sends for it', async () => {
+    await listen();
+
+    assert.equal((await send({ machineId: 'PRESS-001' }, 'line-1')).status, 202);
+    assert.equal((await send({ machineId: 'PRESS-001' }, 'line-2')).status, 202);
+    const refused = await send({ machineId: 'PRESS-001' }, 'line-3');
+    assert.equal(refused.status, 429);
+    assert.equal(refused.retryAfter, '1');
+    assert.match(refused.body.error, /^Rate limit exceeded for machine PRESS-001 \(60 per minute, burst 2\)/);
+
+    assert.equal((await send({ machineId: 'PRESS-002' }, 'line-3')).status, 202);
+  });
+
+  it('refills a bucket at the configured rate', async () => {
+    await listen({ ...DEFAULTS, machine: { ratePerMinute: 300, burst: 1 } });
+
+    assert.deepEqual(await statuses([{ machineId: 'PRESS-001' }, { machineId: 'PRESS-001' }]), [202, 429]);
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.equal((await send({ machineId: 'PRESS-001' })).status, 202);
+  });
+
+  it('limits the machines of a device type together under its rule', async () => {
+    await dbAsync.run(sqlite.db, "INSERT INTO rate_limits (kind, target, rate_per_minute, burst) VALUES ('deviceType', 'press', 60, 3)");
+    await listen();
+
+    const presses = ['PRESS-001', 'PRESS-002', 'PRESS-003', 'PRESS-004'].map(machineId => ({ machineId, deviceType: 'press' }));
+    assert.deepEqual(await statuses(presses), [202, 202, 202, 429]);
+    assert.match((await send(presses[3])).body.error, /^Rate limit exceeded for device type press/);
+    // Refused by the device type, the machine keeps its own tokens
+    assert.equal(await dbAsync.get(sqlite.db, "SELECT tokens FROM rate_limit_buckets WHERE bucket = 'machine:PRESS-004'"), undefined);
+
+    assert.equal((await send({ machineId: 'LATHE-001', deviceType: 'lathe' })).status, 202);
+  });
+
+  it('keeps the buckets when the limiter starts again on the same database', async () => {
+    await listen();
+    assert.deepEqual(await statuses([{ machineId: 'PRESS-001' }, { machineId: 'PRESS-001' }]), [202, 202]);
+
+    server.close();
+    await listen();
+    assert.equal((await send({ machineId: 'PRESS-001' })).status, 429);
+  });
+});
+
+describe('rate limits in the server', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ RATE_LIMIT_MACHINE_PER_MINUTE: '1', RATE_LIMIT_MACHINE_BURST: '2' });
+  });
+
+  after(() => server.stop());
+
+  const send = (payload) => server.request('POST', '/api/machine-data', payload);
+
+  it('validates a payload before it takes a token', async () => {
+    for (let i = 0; i < 3; i++) assert.equal((await send({})).status, 400);
+
+    assert.equal((await send({ machineId: 'PRESS-001', temperature: 70 })).status, 202);
+    assert.equal((await send({ machineId: 'PRESS-001', temperature: 71 })).status, 202);
+    const refused = await send({ machineId: 'PRESS-001', temperature: 72 });
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers.get('retry-after')) > 50);
+  });
+
+  it('still refuses the machine after a restart', async () => {
+    await server.restart();
+
+    assert.equal((await send({ machineId: 'PRESS-001', temperature: 73 })).status, 429);
+    assert.equal((await send({ machineId: 'PRESS-002', temperature: 73 })).status, 202);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dbAsync = require('../lib/db');
+const { createRetention } = require('../lib/retention');
+const { queueMigrationTarget, createIngestQueue } = require('../lib/ingestQueue');
+const { openSqlite, openStorage, record } = require('./support/storage');
+const { waitFor } = require('./support/wait');
+
+const SEEDED = 12000;
+
+describe('retention on the shared SQLite connection', () => {
+  let opened;
+  let queueDb;
+  let queue;
+  let retention;
+
+  before(async () => {
+    opened = await openStorage('sqlite');
+    queueDb = await openSqlite(queueMigrationTarget);
+
+    for (let i = 0; i < SEEDED; i += 2000) {
+      await opened.storage.insertMany(Array.from({ length: 2000 }, (_, n) => record(`M-${n % 20}`, { temperature: n })));
+    }
+    await dbAsync.run(opened.db, "UPDATE machine_data SET received_at = datetime('now', '-30 days')");
+    await dbAsync.run(opened.db, 'INSERT INTO retention_policies (name, tiers, enabled) VALUES (?, ?, 1)',
+      ['default', JSON.stringify({ raw: 14, '1m': 180, '1h': null })]);
+
+    retention = createRetention({ db: opened.db, storage: opened.storage });
+    await retention.reload();
+    queue = createIngestQueue({ db: queueDb.db, storage: opened.storage, batchSize: 50, intervalMs: 5 });
+    await queue.start();
+  });
+
+  after(async () => {
+    await queue.stop();
+    await queueDb.close();
+    await opened.close();
+  });
+
+  it('rolls up and prunes while the ingest writer keeps storing', async () => {
+    const ingest = (async () => {
+      for (let i = 0; i < 20; i++) {
+        await queue.enqueue(Array.from({ length: 25 }, (_, n) => ({ record: record('LIVE', { n }), violation: null, naturalKey: `live-${i}-${n}` })));
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    })();
+
+    const [run] = await Promise.all([retention.runNow(), ingest]);
+    await waitFor(async () => (await queue.status()).depth === 0, { timeoutMs: 20000 });
+
+    assert.equal(run.status, 'success');
+    assert.ok(run.rows_rolled_up >= SEEDED);
+    assert.equal((await queue.status()).lastError, null);
+    assert.equal(await opened.storage.count({ machineId: 'LIVE' }), 500);
+    // Only the fresh rows are left; the seeded ones live on in the rollups
+    assert.equal(await opened.storage.count({}), 500);
+    assert.equal((await dbAsync.get(opened.db, 'SELECT SUM(count) AS count FROM rollups_1m WHERE field LIKE ?', ['%temperature'])).count, SEEDED);
+  });
+
+  it('cleans up while the ingest writer keeps storing', async () => {
+    await dbAsync.run(opened.db, "UPDATE machine_data SET received_at = datetime('now', '-30 days')");
+
+    const [deleted] = await Promise.all([
+      opened.storage.cleanup({ scope: {}, olderThanDays: 14 }),
+      queue.enqueue(Array.from({ length: 100 }, (_, n) => ({ record: record('AFTER', { n }), violation: null, naturalKey: `after-${n}` })))
+    ]);
+    await waitFor(async () => (await queue.status()).depth === 0, { timeoutMs: 20000 });
+
+    assert.equal(deleted, 500);
+    assert.equal(await opened.storage.count({ machineId: 'AFTER' }), 100);
+    // The keys went with their rows
+    assert.equal((await opened.storage.findKeys(['natural:live-0-0', 'natural:after-0'])).length, 1);
+    assert.equal((await dbAsync.get(opened.db, 'SELECT COUNT(*) AS count FROM record_keys')).count, 100);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKENDS } = require('../lib/storage');
+const { RECORD_FIELDS } = require('../lib/records');
+const { openStorage, record } = require('./support/storage');
+
+const PAGE = { limit: 10, offset: 0, fields: RECORD_FIELDS, includeTotal: true };
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+};
+
+for (const backend of BACKENDS) {
+  describe(`${backend} storage`, () => {
+    let opened;
+    let storage;
+
+    before(async () => {
+      opened = await openStorage(backend);
+      storage = opened.storage;
+    });
+
+    after(() => opened.close());
+
+    beforeEach(async () => {
+      await storage.remove(await storage.scan({}, { limit: 100000, fields: ['id'] }).then(rows => rows.map(row => row.id)));
+    });
+
+    it('stores a record and reads it back', async () => {
+      const id = await storage.insert(record('PRESS-001', { temperature: 71.5 }));
+
+      const [stored] = await storage.getByIds([id]);
+      assert.equal(stored.machine_id, 'PRESS-001');
+      assert.equal(stored.device_type, 'sensor');
+      assert.deepEqual(stored.extracted_data, { temperature: 71.5 });
+      assert.deepEqual(stored.raw_payload, { machineId: 'PRESS-001', temperature: 71.5 });
+      assert.equal((await storage.latest('PRESS-001')).id, id);
+    });
+
+    it('returns insertMany ids in the order of the records', async () => {
+      const ids = await storage.insertMany([record('A', { n: 1 }), record('B', { n: 2 }), record('C', { n: 3 })]);
+
+      assert.equal(ids.length, 3);
+      const rows = await storage.getByIds(ids);
+      assert.deepEqual(ids.map(id => rows.find(row => row.id === id).machine_id), ['A', 'B', 'C']);
+    });
+
+    it('filters and pages by machine', async () => {
+      await storage.insertMany([record('A'), record('A'), record('A'), record('B')]);
+
+      const page = await storage.query({ machineId: 'A' }, { ...PAGE, limit: 2 });
+      assert.equal(page.data.length, 2);
+      assert.equal(page.pagination.total, 3);
+      assert.equal(page.pagination.hasMore, true);
+      assert.ok(page.data.every(row => row.machine_id === 'A'));
+      assert.equal(await storage.count({ machineId: 'B' }), 1);
+    });
+
+    it('reads the rows a machine stored under its aliases', async () => {
+      await storage.insertMany([record('PRESS-001'), record('press_001'), record('press-1'), record('LATHE-002')]);
+
+      const filter = { machineId: 'PRESS-001', machineAliases: ['press_001', 'press-1'] };
+      assert.equal(await storage.count(filter), 3);
+      assert.equal((await storage.query(filter, PAGE)).data.length, 3);
+      assert.equal(await storage.count({ machineId: 'PRESS-001' }), 1);
+    });
+
+    it('counts the rows of an alias for the machine it was folded into', async () => {
+      await storage.insertMany([record('PRESS-001'), record('press_001'), record('press_001'), record('LATHE-002')]);
+
+      const stats = await storage.stats({ aliases: [['press_001', 'PRESS-001'], ['press-1', 'PRESS-001']] });
+      assert.equal(stats.uniqueMachines, 2);
+      assert.deepEqual(stats.topMachines, [{ machine_id: 'PRESS-001', message_count: 3 }, { machine_id: 'LATHE-002', message_count: 1 }]);
+      assert.equal((await storage.stats()).uniqueMachines, 3);
+    });
+
+    it('compares from / to with the arrival time as dates', async () => {
+      await storage.insertMany([record('A'), record('B')]);
+      const today = startOfToday();
+      const tomorrow = new Date(today.getTime() + 24 * 3600 * 1000);
+
+      assert.equal(await storage.count({ from: today }), 2);
+      assert.equal(await storage.count({ from: today, to: tomorrow }), 2);
+      assert.equal(await storage.count({ from: tomorrow }), 0);
+      assert.equal(await storage.count({ to: today }), 0);
+      assert.equal((await storage.query({ from: today, to: tomorrow }, PAGE)).data.length, 2);
+      assert.equal((await storage.scan({ from: today }, { limit: 10 })).length, 2);
+    });
+
+    it('scans in id order after a given id', async () => {
+      const ids = await storage.insertMany([record('A'), record('B'), record('C')]);
+
+      const rows = await storage.scan({}, { afterId: ids[0], limit: 10, fields: ['id', 'machine_id'] });
+      assert.deepEqual(rows.map(row => row.machine_id), ['B', 'C']);
+      assert.equal(await storage.maxId(), ids[2]);
+    });
+
+    it('removes rows without touching the message totals', async () => {
+      const ids = await storage.insertMany([record('A'), record('A')]);
+
+      assert.equal(await storage.remove([ids[0]]), 1);
+      assert.equal(await storage.count({}), 1);
+      assert.equal((await storage.stats()).totalMessages, 1);
+    });
+
+    it('keeps the keys a record is stored with until the row is removed', async () => {
+      const [id] = await storage.insertMany([record('A', {}, { ingestId: 'ingest-1', keys: ['idempotency:k1', 'natural:n1'] })]);
+
+      assert.deepEqual(await storage.findKeys(['natural:n1', 'natural:other']), [{ key: 'natural:n1', record_id: id, ingest_id: 'ingest-1' }]);
+      await assert.rejects(storage.insert(record('B', {}, { keys: ['natural:n1'] })));
+      assert.equal(await storage.count({ machineId: 'B' }), 0);
+
+      await storage.remove([id]);
+      assert.deepEqual(await storage.findKeys(['idempotency:k1', 'natural:n1']), []);
+      await storage.insert(record('B', {}, { keys: ['natural:n1'] }));
+    });
+
+    it('finds rows repeating an earlier one of the same machine', async () => {
+      const ids = await storage.insertMany([
+        record('A', { n: 1 }), record('A', { n: 1 }), record('B', { n: 1 }), record('A', { n: 2 }), record('A', { n: 1 }), record('B', { n: 1 })
+      ]);
+
+      const { scanned, rows } = await storage.duplicates({}, { maxId: ids[4] });
+      assert.equal(scanned, 5);
+      assert.deepEqual(rows, [
+        { id: ids[1], machine_id: 'A', kept_id: ids[0] },
+        { id: ids[4], machine_id: 'A', kept_id: ids[0] }
+      ]);
+      assert.equal((await storage.duplicates({ machineId: 'B' }, { maxId: ids[5] })).rows[0].kept_id, ids[2]);
+    });
+  });
+}
@@ -0,0 +1,15 @@
+const net = require('net');
+
+// A port nothing listens on right now
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+module.exports = {
+  freePort
+};
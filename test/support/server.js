@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const { freePort } = require('./net');
+const { waitFor } = require('./wait');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+
+/**
+ * server.js on SQLite files in a scratch directory (kept across restart(), removed by stop()), with the
+ * environment's storage, MQTT and webhook settings cleared. env adds to it. output() is everything the
+ * server logged; request() sends JSON with the bootstrap admin key unless given another key (or null).
+ */
+const startServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'machine-data-server-'));
+  const baseEnv = { ...process.env };
+  ['DATABASE_URL', 'STORAGE_BACKEND', 'MQTT_URL', 'ALERT_WEBHOOK_URL', 'AUTH_ENABLED'].forEach(name => delete baseEnv[name]);
+  let child = null;
+  let output = '';
+  let adminKey = null;
+  let baseUrl = null;
+
+  const launch = async () => {
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    const started = output.length;
+    child = spawn(process.execPath, [SERVER], {
+      env: {
+        ...baseEnv,
+        PORT: String(port),
+        DB_PATH: path.join(dir, 'machine_data.db'),
+        INGEST_QUEUE_PATH: path.join(dir, 'ingest_queue.db'),
+        INGEST_FLUSH_INTERVAL_MS: '50',
+        ...env
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    // The admin key is only issued on the first start
+    const ready = () => /running on port/.test(output.slice(started)) && (adminKey || /bootstrap admin key: mdk_/.test(output));
+    let exitCode = null;
+    child.once('exit', code => { exitCode = code; });
+    await waitFor(() => {
+      if (exitCode !== null) throw new Error(`server exited with ${exitCode}:\n${output}`);
+      return ready();
+    }, { timeoutMs: 20000 });
+    adminKey = adminKey || output.match(/bootstrap admin key: (mdk_\S+)/)[1];
+  };
+
+  const shutdown = async () => {
+    if (!child || child.exitCode !== null) return;
+    child.kill('SIGINT');
+    await once(child, 'exit');
+  };
+
+  const request = async (method, route, body, { key = adminKey, headers: extraHeaders = {} } = {}) => {
+    const headers = { accept: 'application/json', ...extraHeaders };
+    if (key) headers['x-api-key'] = key;
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    const res = await fetch(baseUrl + route, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: res.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text
+    };
+  };
+
+  await launch();
+
+  return {
+    request,
+    output: () => output,
+    adminKey: () => adminKey,
+    // Stops the server gracefully and starts it again on the same files
+    restart: async () => {
+      await shutdown();
+      await launch();
+    },
+    shutdown,
+    stop: async () => {
+      await shutdown();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+};
+
+module.exports = {
+  startServer
+};
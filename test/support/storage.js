@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { createStorage } = require('../../lib/storage');
+const { sqliteMigrationTarget, migrate } = require('../../lib/migrations');
+const { createPostgresDatabase } = require('./postgres');
+
+// A migrated SQLite file in a temp directory, the way server.js opens DB_PATH (or the ingest queue)
+const openSqlite = async (migrationTarget = sqliteMigrationTarget) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'machine-data-test-'));
+  const db = new sqlite3.Database(path.join(dir, 'machine_data.db'));
+  await migrate(migrationTarget(db));
+  return {
+    db,
+    close: async () => {
+      await new Promise(resolve => db.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+};
+
+/**
+ * Opens an initialised storage backend with an empty machine_data table. The SQLite configuration
+ * database comes along either way (db), as it does in the server.
+ */
+const openStorage = async (backend) => {
+  const sqlite = await openSqlite();
+  const postgres = backend === 'postgres' ? await createPostgresDatabase() : null;
+  const storage = createStorage({ backend, db: sqlite.db, connectionString: postgres && postgres.connectionString });
+  await storage.init();
+
+  return {
+    storage,
+    db: sqlite.db,
+    close: async () => {
+      await storage.close();
+      if (postgres) await postgres.drop();
+      await sqlite.close();
+    }
+  };
+};
+
+const record = (machineId, extractedData = {}, overrides = {}) => ({
+  machineId,
+  deviceType: 'sensor',
+  timestamp: new Date().toISOString(),
+  rawPayload: { machineId, ...extractedData },
+  extractedData,
+  metadata: {},
+  ...overrides
+});
+
+module.exports = {
+  openSqlite,
+  openStorage,
+  record
+};
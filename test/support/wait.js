@@ -0,0 +1,12 @@
+// Polls condition (which may be async) until it holds
+const waitFor = async (condition, { timeoutMs = 5000, intervalMs = 10 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
+
+module.exports = {
+  waitFor
+};
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbAsync = require('../lib/db');
+const { CONFIRM_SKEWS, createTimestamps } = require('../lib/timestamps');
+const { openSqlite } = require('./support/storage');
+const { waitFor } = require('./support/wait');
+
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const reading = (machineId, time, deviceType = 'press') => ({ machineId, deviceType, timestamp: new Date(time).toISOString() });
+
+describe('device timestamp checks', () => {
+  let sqlite;
+  let timestamps;
+
+  const setPolicy = async (action) => {
+    await dbAsync.run(sqlite.db, 'INSERT INTO timestamp_policies (device_type, action, tolerance_seconds) VALUES (?, ?, 60)', ['press', action]);
+    await timestamps.reload();
+  };
+
+  // Checks and, unless rejected, accepts readings skewed by skewMs, one a minute up to NOW
+  const accept = (machineId, count, skewMs) => {
+    for (let i = count - 1; i >= 0; i--) {
+      const receivedAt = NOW - i * MINUTE;
+      const result = timestamps.check(reading(machineId, receivedAt + skewMs), receivedAt);
+      if (!result.check || result.check.action !== 'reject') timestamps.observe(result.sample);
+    }
+  };
+
+  beforeEach(async () => {
+    sqlite = await openSqlite();
+    timestamps = createTimestamps({ db: sqlite.db, defaults: { action: 'flag', toleranceSeconds: 300, timeZone: null } });
+    await timestamps.reload();
+  });
+
+  afterEach(() => sqlite.close());
+
+  it('rejects a timestamp beyond tolerance under reject', async () => {
+    await setPolicy('reject');
+
+    const result = timestamps.check(reading('PRESS-001', NOW - 2 * HOUR), NOW);
+    assert.equal(result.check.action, 'reject');
+    assert.equal(result.check.error, 'Device timestamp is 2 h behind the server clock (tolerance 60 s)');
+    assert.equal(result.metadata.clock_skew_ms, -2 * HOUR);
+    assert.equal(timestamps.clockOf('PRESS-001'), null);
+  });
+
+  it('flags a timestamp beyond tolerance under flag, and leaves one within it alone', () => {
+    const flagged = timestamps.check(reading('PRESS-001', NOW + 10 * MINUTE), NOW);
+    assert.equal(flagged.check.action, 'flag');
+    assert.equal(flagged.metadata.timestamp_check, 'flagged');
+    assert.equal(flagged.timestamp, reading('PRESS-001', NOW + 10 * MINUTE).timestamp);
+
+    const fine = timestamps.check(reading('PRESS-001', NOW + MINUTE), NOW);
+    assert.equal(fine.check, null);
+    assert.deepEqual(fine.metadata, { clock_skew_ms: MINUTE });
+  });
+
+  it('corrects by the machine offset once enough readings agree on it', async () => {
+    await setPolicy('correct');
+    accept('PRESS-001', CONFIRM_SKEWS - 1, HOUR);
+    assert.equal(timestamps.clockOf('PRESS-001'), null);
+    assert.equal(timestamps.check(reading('PRESS-001', NOW + HOUR), NOW).check.action, 'flag');
+
+    accept('PRESS-001', 1, HOUR);
+    assert.equal(timestamps.clockOf('PRESS-001').offsetMs, HOUR);
+
+    const result = timestamps.check(reading('PRESS-001', NOW + MINUTE + HOUR), NOW + MINUTE);
+    assert.equal(result.check.action, 'correct');
+    assert.equal(result.timestamp, new Date(NOW + MINUTE).toISOString());
+    assert.equal(result.metadata.reported_timestamp, new Date(NOW + MINUTE + HOUR).toISOString());
+    assert.equal(result.metadata.clock_offset_ms, HOUR);
+  });
+
+  it('keeps the offset when a backfill of old readings arrives', async () => {
+    await setPolicy('correct');
+    accept('PRESS-001', 10, 2 * 1000);
+    const offset = timestamps.clockOf('PRESS-001').offsetMs;
+
+    // Six hours of readings from the device buffer, oldest first, sent within a minute
+    for (let i = 0; i < 60; i++) {
+      const result = timestamps.check(reading('PRESS-001', NOW - 6 * HOUR + i * 6 * MINUTE), NOW + i * 1000);
+      assert.equal(result.metadata.out_of_order, true);
+      timestamps.observe(result.sample);
+    }
+    assert.equal(timestamps.clockOf('PRESS-001').offsetMs, offset);
+
+    const live = timestamps.check(reading('PRESS-001', NOW + 2 * MINUTE), NOW + 2 * MINUTE);
+    assert.equal(live.check, null);
+    assert.equal(live.timestamp, new Date(NOW + 2 * MINUTE).toISOString());
+  });
+
+  it('learns no offset from a backfill of a machine seen for the first time', async () => {
+    await setPolicy('correct');
+    for (let i = 0; i < 60; i++) {
+      const result = timestamps.check(reading('LATHE-002', NOW - 6 * HOUR + i * 6 * MINUTE), NOW + i * 1000);
+      timestamps.observe(result.sample);
+    }
+    assert.equal(timestamps.clockOf('LATHE-002'), null);
+
+    accept('LATHE-002', CONFIRM_SKEWS, 0);
+    assert.equal(timestamps.clockOf('LATHE-002').offsetMs, 0);
+  });
+
+  it('keeps the estimate across a reload', async () => {
+    accept('PRESS-001', CONFIRM_SKEWS, HOUR);
+    await waitFor(async () => (await dbAsync.get(sqlite.db, 'SELECT offset_ms FROM machine_clocks WHERE machine_id = ?', ['PRESS-001']))?.offset_ms === HOUR);
+
+    await timestamps.reload();
+    assert.equal(timestamps.clockOf('PRESS-001').offsetMs, HOUR);
+    assert.equal(timestamps.clockOf('PRESS-001').samples, CONFIRM_SKEWS);
+  });
+});